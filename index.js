@@ -24,7 +24,9 @@ const {
 const startupConfig = getRuntimeEnvironmentConfig();
 const isDevelopment = startupConfig.isDevelopment;
 
-if (isDevelopment && process.env.TEST_DB_CONNECTION_STRING) {
+if (startupConfig.storageBackend === 'sqlite') {
+  console.log(`🔧 Using SQLite database (${startupConfig.sqlitePath})`);
+} else if (isDevelopment && process.env.TEST_DB_CONNECTION_STRING) {
   process.env.DB_CONNECTION_STRING = process.env.TEST_DB_CONNECTION_STRING;
   console.log('🔧 Using TEST database (db40738)');
 } else {
@@ -39,10 +41,25 @@ const authService = require('./src/services/AuthorizationService');
 const botController = require('./src/controllers/TelegramBotController');
 const getScheduledOrderService = require('./src/services/ScheduledOrderService');
 const browserManager = require('./src/services/BrowserManager');
+const orderRecoveryService = require('./src/services/OrderRecoveryService');
+const migrationService = require('./src/services/MigrationService');
+const getAccountMonitorService = require('./src/services/AccountMonitorService');
+const catalogHistoryService = require('./src/services/CatalogHistoryService');
+const getStockWatchService = require('./src/services/StockWatchService');
+const getOrderQueueService = require('./src/services/OrderQueueService');
 
 // Global scheduled order service instance
 let scheduledOrderService = null;
 
+// Global account monitor instance (low backup codes / Gold alerts)
+let accountMonitorService = null;
+
+// Global stock watch instance (/watch restock notifications)
+let stockWatchService = null;
+
+// Global order queue instance (orders wait their turn for the browser)
+let orderQueueService = null;
+
 /**
  * Validates required environment variables
  * Exits the process if critical variables are missing
@@ -67,7 +84,7 @@ function validateEnvironment() {
 async function initializeServices(config) {
   logger.system('Initializing services...');
 
-  // Initialize authorization service (whitelist check only - no database)
+  // Initialize authorization service (seeds admins from AUTHORIZED_USER_IDS on first run)
   await authService.initialize();
 
   // Initialize Telegram bot controller with environment-specific bot token
@@ -80,12 +97,32 @@ async function initializeServices(config) {
   const bot = botController.getBot();
   scheduledOrderService = getScheduledOrderService(bot);
 
+  // Orders queue up from here but only start once the startup browser is ready (see below)
+  orderQueueService = getOrderQueueService(bot);
+
   // Only start monitoring if there are pending scheduled orders
   await scheduledOrderService.ensureMonitoring();
   logger.success('Scheduled order service initialized');
 
+  // Only poll the catalog if there are active stock watches
+  stockWatchService = getStockWatchService(bot);
+  await stockWatchService.ensureMonitoring();
+
   await browserManager.initializeBrowserAtStartup();
 
+  // Recover orders interrupted by a crash (needs the logged-in startup browser)
+  await orderRecoveryService.recoverInterruptedOrders(bot);
+
+  // Restore orders still queued when the bot stopped and start running the queue
+  await orderQueueService.start();
+
+  // Alert admins when backup codes or Gold balance run low
+  accountMonitorService = getAccountMonitorService(bot);
+  accountMonitorService.start();
+
+  // Snapshot catalog prices / stock for /catalog
+  catalogHistoryService.start();
+
   logger.success('All services initialized');
 }
 
@@ -101,6 +138,14 @@ async function startApplication() {
   // Keep runtime DB env vars synchronized with selected environment profile.
   applyDatabaseEnvironmentVariables(config);
 
+  // Bring the database schema up to date before any service touches it
+  try {
+    await migrationService.applyPendingMigrations();
+  } catch (err) {
+    logger.error('Could not migrate database schema - aborting startup');
+    process.exit(1);
+  }
+
   // Initialize all services
   await initializeServices(config);
 
@@ -128,6 +173,20 @@ async function handleShutdown() {
       logger.success('Scheduled order service stopped');
     }
 
+    if (accountMonitorService) {
+      accountMonitorService.stop();
+    }
+
+    catalogHistoryService.stop();
+
+    if (stockWatchService) {
+      stockWatchService.stop();
+    }
+
+    if (orderQueueService) {
+      orderQueueService.stop();
+    }
+
     browserManager.stopAutoRestartTimer();
     await browserManager.closeAll();
 
@@ -2,8 +2,6 @@ const APP_CONFIG = {
   browser: {
     headlessMode: "true",
     defaultTimeoutMs: 30000,
-    reloadCheckIntervalMs: 500,
-    maxReloadAttempts: 100,
     inactivityTimeoutMs: 24 * 60 * 60 * 1000,
     browserRestartIntervalMs: 6 * 60 * 60 * 1000,
     browserRestartRetryIntervalMs: 30 * 60 * 1000,
@@ -70,6 +68,9 @@ const APP_CONFIG = {
     transactionApiRateDelayMs: 100,
     apiReplayDelayMinMs: 500,
     apiReplayDelayMaxMs: 800,
+    // Out-of-stock cards: poll the catalog API for hasStock and reload the page only once it is back.
+    restockPollIntervalMs: (parseInt(process.env.RESTOCK_POLL_INTERVAL_SECONDS || "5", 10) || 5) * 1000,
+    restockWaitWindowMs: (parseInt(process.env.RESTOCK_WAIT_MINUTES || "60", 10) || 60) * 60 * 1000,
   },
   orderFlow: {
     sessionTimeoutMs: 30 * 60 * 1000,
@@ -83,6 +84,58 @@ const APP_CONFIG = {
     pinTtlMs: 2 * 60 * 60 * 1000,
     cleanupIntervalMs: 15 * 60 * 1000,
   },
+  recovery: {
+    transactionWindowGraceMs: 2 * 60 * 1000,
+  },
+  monitor: {
+    // Background low-balance / low-backup-code alerts to admins (0 disables a check).
+    checkIntervalMs: 10 * 60 * 1000,
+    realertIntervalMs: 6 * 60 * 60 * 1000,
+    lowBackupCodesThreshold: parseInt(process.env.LOW_BACKUP_CODES_THRESHOLD || "3", 10) || 0,
+    lowGoldBalanceThreshold: parseInt(process.env.LOW_GOLD_BALANCE_THRESHOLD || "0", 10) || 0,
+  },
+  accounts: {
+    // How long a Razer account's Gold balance is trusted for order routing before it is re-read.
+    balanceCacheMs: 5 * 60 * 1000,
+  },
+  catalogHistory: {
+    // Catalog price/stock snapshots of every game in games-catalog (0 disables the timer).
+    snapshotIntervalMs:
+      (parseInt(process.env.CATALOG_SNAPSHOT_INTERVAL_MINUTES || "30", 10) || 0) * 60 * 1000,
+    eventsShown: 15,
+  },
+  time: {
+    // IANA zone for users who have not picked one in /settings (dates, schedules, /transactions days).
+    defaultTimeZone: process.env.DEFAULT_TIMEZONE || "Africa/Cairo",
+  },
+  schedule: {
+    // A recurring run this late (e.g. the bot was offline) is skipped instead of bought.
+    missedRunGraceMs: 30 * 60 * 1000,
+    // Seconds before a scheduled order its browser is checked (logged in, on the game page); 0 = off.
+    prewarmMs: (parseInt(process.env.SCHEDULE_PREWARM_SECONDS || "60", 10) || 0) * 1000,
+  },
+  queue: {
+    // Orders wait their turn for the browser; the per-card estimate seeds queue ETAs until real runs refine it.
+    estimatedMsPerCard: (parseInt(process.env.ORDER_QUEUE_SECONDS_PER_CARD || "20", 10) || 20) * 1000,
+    // Scheduled orders jump ahead of queued Buy Now orders (still behind the running one).
+    prioritizeScheduled: process.env.ORDER_QUEUE_PRIORITIZE_SCHEDULED !== "false",
+  },
+  watch: {
+    // /watch restock notifications: catalog API poll interval, expiry choices and per-user cap.
+    pollIntervalMs: (parseInt(process.env.WATCH_POLL_INTERVAL_SECONDS || "60", 10) || 60) * 1000,
+    expiryOptionsHours: [6, 24, 72, 168],
+    maxActivePerUser: 20,
+  },
+  limits: {
+    // Daily defaults for every user (0 = unlimited); admins override per user/game with /setlimit.
+    dailyCardLimit: parseInt(process.env.DAILY_CARD_LIMIT || "0", 10) || 0,
+    dailyGoldLimit: parseInt(process.env.DAILY_GOLD_LIMIT || "0", 10) || 0,
+  },
+  razer: {
+    // Overridable so browser flows can run against tools/mock-storefront.
+    goldBaseUrl: (process.env.RAZER_GOLD_BASE_URL || "https://gold.razer.com").replace(/\/+$/, ""),
+    razerIdBaseUrl: (process.env.RAZER_ID_BASE_URL || "https://razerid.razer.com").replace(/\/+$/, ""),
+  },
   bot: {
     rateLimitMs: 800,
     rateLimitEntryTtlMs: 5 * 60 * 1000,
@@ -1,10 +1,15 @@
+const STORAGE_BACKENDS = ['mssql', 'sqlite'];
+
 function getRuntimeEnvironmentConfig() {
   const environment = process.env.NODE_ENV || 'development';
   const isDevelopment = environment === 'development';
+  const storageBackend = (process.env.STORAGE_BACKEND || 'mssql').toLowerCase();
 
   return {
     environment,
     isDevelopment,
+    storageBackend,
+    sqlitePath: process.env.SQLITE_PATH || 'data/razer-bot.db',
     botToken: isDevelopment
       ? process.env.TELEGRAM_TEST_BOT_TOKEN
       : process.env.TELEGRAM_BOT_TOKEN,
@@ -28,17 +33,28 @@ function getEnvironmentValidationErrors(config) {
     errors.push(`${envVar} (required for ${config.environment} environment)`);
   }
 
-  const hasConnectionString = !!config.dbConnectionString;
-  const hasIndividualParams = !!(config.dbServer && config.dbName);
-  if (!hasConnectionString && !hasIndividualParams) {
-    const prefix = config.isDevelopment ? 'TEST_DB' : 'DB';
-    errors.push(`Either ${prefix}_CONNECTION_STRING or both ${prefix}_SERVER and ${prefix}_NAME`);
+  if (!STORAGE_BACKENDS.includes(config.storageBackend)) {
+    errors.push(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  // Connection settings are only needed for the SQL Server backend
+  if (config.storageBackend === 'mssql') {
+    const hasConnectionString = !!config.dbConnectionString;
+    const hasIndividualParams = !!(config.dbServer && config.dbName);
+    if (!hasConnectionString && !hasIndividualParams) {
+      const prefix = config.isDevelopment ? 'TEST_DB' : 'DB';
+      errors.push(`Either ${prefix}_CONNECTION_STRING or both ${prefix}_SERVER and ${prefix}_NAME`);
+    }
   }
 
   return errors;
 }
 
 function applyDatabaseEnvironmentVariables(config) {
+  if (config.storageBackend !== 'mssql') {
+    return;
+  }
+
   process.env.DB_CONNECTION_STRING = config.dbConnectionString;
   process.env.DB_SERVER = config.dbServer;
   process.env.DB_NAME = config.dbName;
@@ -1,40 +1,61 @@
 /**
  * Games Catalog
  * 
- * Contains all available games with their Razer Gold purchase links and catalog region IDs.
+ * Contains all available games with their storefront, Razer Gold purchase links and catalog region IDs.
  */
 
+const { getStorefront, buildCatalogUrl } = require('./storefronts');
+
+/**
+ * Define a catalog game on a storefront.
+ * link and regionId are derived so every consumer hits the matching regional endpoints.
+ * @param {Object} game - {id, name, storefront, permalink}
+ * @returns {Object} Game object
+ */
+function defineGame({ id, name, storefront, permalink }) {
+  const resolvedStorefront = getStorefront(storefront);
+
+  return {
+    id,
+    name,
+    storefront: resolvedStorefront.id,
+    permalink,
+    link: buildCatalogUrl(resolvedStorefront, permalink),
+    regionId: resolvedStorefront.regionId
+  };
+}
+
 const gamesCatalog = [
-  {
+  defineGame({
     id: 'freefire',
     name: '🔥 Free Fire(Global)',
-    link: 'https://gold.razer.com/global/en/gold/catalog/freefire-pins',
-    regionId: 2
-  },
-  {
+    storefront: 'global',
+    permalink: 'freefire-pins'
+  }),
+  defineGame({
     id: 'yalla-ludo',
     name: '🎲 Yalla Ludo(Global)',
-    link: 'https://gold.razer.com/global/en/gold/catalog/yalla-ludo',
-    regionId: 2
-  },
-  {
+    storefront: 'global',
+    permalink: 'yalla-ludo'
+  }),
+  defineGame({
     id: 'pubg-mobile',
     name: '🔫 PUBG Mobile Tencent(Global)',
-    link: 'https://gold.razer.com/global/en/gold/catalog/pubg-mobile-uc-code',
-    regionId: 2
-  },
-  {
-    id: "xbox-live-usa",
-    name: "❎ Xbox Live USA(Global)",
-    link: "https://gold.razer.com/global/en/gold/catalog/xbox-live-usa",
-    regionId: 2
-  },
-  {
+    storefront: 'global',
+    permalink: 'pubg-mobile-uc-code'
+  }),
+  defineGame({
+    id: 'xbox-live-usa',
+    name: '❎ Xbox Live USA(Global)',
+    storefront: 'global',
+    permalink: 'xbox-live-usa'
+  }),
+  defineGame({
     id: 'pubg-mobile-usa',
     name: '🔫 PUBG Mobile (USA)',
-    link: 'https://gold.razer.com/us/en/gold/catalog/pubg-mobile',
-    regionId: 12
-  },
+    storefront: 'us',
+    permalink: 'pubg-mobile'
+  }),
 ];
 
 /**
@@ -0,0 +1,113 @@
+/**
+ * Storefronts
+ *
+ * Razer Gold regional storefronts.
+ * Each storefront lives under its own /{region}/{locale} path and catalog API region ID;
+ * catalog, checkout, transactions and transaction detail pages all share that prefix.
+ */
+
+const appConfig = require('./app-config');
+
+const DEFAULT_STOREFRONT_ID = 'global';
+
+const storefronts = {
+  global: {
+    id: 'global',
+    region: 'global',
+    locale: 'en',
+    regionId: 2
+  },
+  us: {
+    id: 'us',
+    region: 'us',
+    locale: 'en',
+    regionId: 12
+  }
+};
+
+/**
+ * Get storefront by ID
+ * @param {string} storefrontId - Storefront ID
+ * @returns {Object} Storefront (default storefront if unknown)
+ */
+function getStorefront(storefrontId) {
+  return storefronts[storefrontId] || storefronts[DEFAULT_STOREFRONT_ID];
+}
+
+/**
+ * Get the default (global) storefront
+ * @returns {Object} Storefront
+ */
+function getDefaultStorefront() {
+  return storefronts[DEFAULT_STOREFRONT_ID];
+}
+
+/**
+ * Resolve the storefront a Razer Gold URL belongs to.
+ * Unknown region/locale pairs (custom URLs) keep their path prefix and use the default region ID.
+ * @param {string} url - Razer Gold page URL
+ * @returns {Object} Storefront
+ */
+function resolveStorefrontFromUrl(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (err) {
+    return getDefaultStorefront();
+  }
+
+  const match = /^\/([a-z]+)\/([a-z]{2}(?:-[a-z]{2})?)(?:\/|$)/i.exec(pathname);
+  if (!match) {
+    return getDefaultStorefront();
+  }
+
+  const region = match[1].toLowerCase();
+  const locale = match[2].toLowerCase();
+  const known = Object.values(storefronts).find(storefront => storefront.region === region);
+
+  if (known && known.locale === locale) {
+    return known;
+  }
+
+  return {
+    id: `${region}-${locale}`,
+    region,
+    locale,
+    regionId: known ? known.regionId : getDefaultStorefront().regionId
+  };
+}
+
+/**
+ * Build the page URLs of a storefront
+ * @param {Object} storefront - Storefront (default storefront if omitted)
+ * @returns {{homeUrl: string, transactionsUrl: string, transactionDetailUrlPrefix: string}}
+ */
+function getStorefrontUrls(storefront = null) {
+  const { region, locale } = storefront || getDefaultStorefront();
+  const homeUrl = `${appConfig.razer.goldBaseUrl}/${region}/${locale}`;
+
+  return {
+    homeUrl,
+    transactionsUrl: `${homeUrl}/transactions`,
+    transactionDetailUrlPrefix: `${homeUrl}/transaction/purchase/`
+  };
+}
+
+/**
+ * Build a game catalog URL
+ * @param {Object} storefront - Storefront
+ * @param {string} permalink - Catalog permalink (e.g. 'freefire-pins')
+ * @returns {string} Catalog URL
+ */
+function buildCatalogUrl(storefront, permalink) {
+  return `${getStorefrontUrls(storefront).homeUrl}/gold/catalog/${permalink}`;
+}
+
+module.exports = {
+  storefronts,
+  getStorefront,
+  getDefaultStorefront,
+  resolveStorefrontFromUrl,
+  getStorefrontUrls,
+  buildCatalogUrl
+};
@@ -7,15 +7,25 @@
  * - Collects quantity and backup code
  * - Processes order
  * - Sends results to user
+ * - Cart mode (/cart): several lines across games and denominations, bought as one queued order
+ * - Template mode (/templates): saves game, card and quantity by name; templates and past orders
+ *   (history Reorder) run again with one tap
+ * - Each order can switch between an encrypted ZIP and plain PIN files before Buy Now
  */
 
 const {
   getAllGames,
-  getGameById
+  getGameById,
+  getGameByName
 } = require('../config/games-catalog');
 const purchaseService = require('../services/PurchaseService');
+const browserManager = require('../services/BrowserManager');
+const scraperService = require('../services/RazerScraperService');
 const gameCardsService = require('../services/GameCardsService');
 const orderService = require('../services/OrderService');
+const spendingLimitService = require('../services/SpendingLimitService');
+const razerAccountService = require('../services/RazerAccountService');
+const userPreferencesService = require('../services/UserPreferencesService');
 const logger = require('../utils/logger');
 
 // SOLID Principle: Single Responsibility - Use shared utilities
@@ -23,13 +33,18 @@ const fileGenerator = require('../utils/FileGenerator');
 const messageFormatter = require('../utils/MessageFormatter');
 const errorHandler = require('../utils/ErrorHandler');
 const appConfig = require('../config/app-config');
+const { getDefaultStorefront, resolveStorefrontFromUrl, buildCatalogUrl } = require('../config/storefronts');
+const { parseRecurrence, describeRecurrence, getNextRun } = require('../utils/recurrence');
+const { getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
 
 class OrderFlowHandler {
   constructor() {
     // Session data for order creation flow
-    this.orderSessions = new Map(); // chatId -> {step, gameId, cardIndex, cardName, quantity}
+    this.orderSessions = new Map(); // chatId -> {step, gameId, cardIndex, cardName, quantity, accountUserId, cart, encryptPins}
     // Track cancellation requests
     this.cancellationRequests = new Set();
+    // Queued orders running in a chat, kept apart from the chat's order session
+    this.runningOrders = new Map(); // chatId -> {telegramUserId, queueEntryId, cancelRequested, startedAt}
     // Track progress message IDs for editing
     this.progressMessages = new Map(); // chatId -> messageId
     // Track cancelling message IDs for deletion
@@ -51,16 +66,16 @@ class OrderFlowHandler {
   /**
    * Start automatic cleanup of old sessions
    * Prevents memory leaks from abandoned order flows
-   * OPTIMIZATION: Active processing orders can take hours - never cleanup
+   * OPTIMIZATION: Chats with a running order (can take hours) are never cleaned up
    */
   startSessionCleanup() {
-    setInterval(() => {
+    this.sessionCleanupTimer = setInterval(() => {
       const now = Date.now();
       let cleaned = 0;
 
       for (const [chatId, session] of this.orderSessions.entries()) {
-        // CRITICAL: Skip processing and cancelling orders (can take 1+ hours for large quantities or stock waiting)
-        if (session.step === 'processing' || session.step === 'checking_balance' || session.step === 'cancelling') {
+        // CRITICAL: Skip chats with a running order (can take 1+ hours for large quantities or stock waiting)
+        if (this.runningOrders.has(chatId)) {
           continue;
         }
 
@@ -88,6 +103,16 @@ class OrderFlowHandler {
     }, appConfig.orderFlow.cleanupIntervalMs);
   }
 
+  /**
+   * Stop automatic session cleanup
+   */
+  stopSessionCleanup() {
+    if (this.sessionCleanupTimer) {
+      clearInterval(this.sessionCleanupTimer);
+      this.sessionCleanupTimer = null;
+    }
+  }
+
   /**
    * Create visual progress bar
    * @param {number} completed - Completed items
@@ -124,16 +149,13 @@ class OrderFlowHandler {
   }
 
   /**
-   * Mark order as cancelling and keep the session locked until the running flow exits.
+   * Mark order as cancelling; the chat stays locked until the running order exits.
    * @param {number} chatId - Chat ID
    */
   markAsCancelling(chatId) {
-    const session = this.getSession(chatId);
-
-    if (session) {
-      session.step = 'cancelling';
-      session.cancelRequested = true;
-      session.lastActivity = Date.now();
+    const runningOrder = this.runningOrders.get(chatId);
+    if (runningOrder) {
+      runningOrder.cancelRequested = true;
     }
 
     this.cancellationRequests.add(chatId);
@@ -146,13 +168,49 @@ class OrderFlowHandler {
   clearCancellation(chatId) {
     this.cancellationRequests.delete(chatId);
 
+    const runningOrder = this.runningOrders.get(chatId);
+    if (runningOrder) {
+      runningOrder.cancelRequested = false;
+    }
+  }
+
+  /**
+   * Mark a queued order as running in its chat: commands wait and /cancel stops it.
+   * The session that queued it is done; a flow the user started while it waited is kept.
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user who placed the order
+   * @param {number} queueEntryId - Queue entry ID
+   */
+  beginRunningOrder(chatId, telegramUserId, queueEntryId) {
     const session = this.orderSessions.get(chatId);
-    if (session) {
-      delete session.cancelRequested;
-      if (session.step === 'cancelling') {
-        session.step = 'idle';
-      }
+    if (session && session.step === 'queued' && (!session.queueEntryId || session.queueEntryId === queueEntryId)) {
+      this.clearSession(chatId);
     }
+
+    this.cancellationRequests.delete(chatId);
+    this.runningOrders.set(chatId, {
+      telegramUserId: String(telegramUserId),
+      queueEntryId,
+      cancelRequested: false,
+      startedAt: Date.now()
+    });
+  }
+
+  /**
+   * Release the chat once its running order has finished
+   * @param {string} chatId - Chat ID
+   */
+  endRunningOrder(chatId) {
+    this.runningOrders.delete(chatId);
+  }
+
+  /**
+   * Queued order running in a chat
+   * @param {string} chatId - Chat ID
+   * @returns {Object|null} {telegramUserId, queueEntryId, cancelRequested, startedAt}
+   */
+  getRunningOrder(chatId) {
+    return this.runningOrders.get(chatId) || null;
   }
 
   /**
@@ -285,7 +343,7 @@ class OrderFlowHandler {
     });
 
     await bot.sendMessage(chatId,
-      `🔗 *Enter Razer Gold URL*\n\nExample: https://gold.razer.com/global/en/gold/catalog/game-name\n\n_Type /start to cancel_`,
+      `🔗 *Enter Razer Gold URL*\n\nExample: ${buildCatalogUrl(getDefaultStorefront(), 'game-name')}\n\n_Type /start to cancel_`,
       { parse_mode: 'Markdown' }
     );
   }
@@ -304,9 +362,9 @@ class OrderFlowHandler {
     const urlTrimmed = url.trim();
 
     // Validate URL format
-    if (!urlTrimmed.startsWith('https://gold.razer.com')) {
+    if (!urlTrimmed.startsWith(appConfig.razer.goldBaseUrl)) {
       try {
-        await bot.sendMessage(chatId, `❌ Invalid URL. Must start with:\nhttps://gold.razer.com`, { parse_mode: 'Markdown' });
+        await bot.sendMessage(chatId, `❌ Invalid URL. Must start with:\n${appConfig.razer.goldBaseUrl}`, { parse_mode: 'Markdown' });
       } catch (err) {
         logger.error('Error sending invalid URL message:', err);
       }
@@ -332,12 +390,15 @@ class OrderFlowHandler {
       .replace(/-/g, ' ')
       .replace(/\b\w/g, c => c.toUpperCase());
 
+    const storefront = resolveStorefrontFromUrl(urlTrimmed);
+
     // Update session and store telegramUserId for later use
     this.updateSession(chatId, {
       step: 'select_card',
       gameId: 'custom',
       gameName: `🎮 ${gameName}`,
       gameUrl: urlTrimmed,
+      regionId: storefront.regionId,
       telegramUserId: telegramUserId
     });
 
@@ -347,9 +408,13 @@ class OrderFlowHandler {
     );
 
     try {
-      logger.http(`Loading cards from catalog API: ${urlTrimmed} (region 2)`);
-      const result = await gameCardsService.getCards(telegramUserId, urlTrimmed, 2);
+      logger.http(`Loading cards from catalog API: ${urlTrimmed} (region ${storefront.regionId})`);
+      const result = await gameCardsService.getCards(telegramUserId, urlTrimmed, storefront.regionId);
       const cards = result.cards;
+      this.updateSession(chatId, {
+        cardPrices: cards.map(card => this.getCardUnitGold(card)),
+        cardDetails: cards.map(card => ({ productId: card.productId ?? null, inStock: !card.disabled }))
+      });
 
       logger.success(`Found ${cards.length} cards`);
 
@@ -396,10 +461,13 @@ class OrderFlowHandler {
    */
   async handleCancel(bot, chatId, telegramUserId) {
     const session = this.getSession(chatId);
-    const hasActivePurchase = !!(session && (session.step === 'processing' || session.step === 'checking_balance' || session.step === 'cancelling'));
 
-    if (hasActivePurchase) {
-      // Mark as cancelling FIRST and keep the session locked until the running flow exits.
+    if (session && session.step === 'queued' && session.queueEntryId) {
+      await this.handleCancelQueued(bot, chatId, telegramUserId, session.queueEntryId);
+      return;
+    }
+    if (this.getRunningOrder(chatId)) {
+      // Mark as cancelling FIRST and keep the chat locked until the running order exits.
       this.markAsCancelling(chatId);
 
       // Force close active purchase pages only (keep persistent browser session).
@@ -498,8 +566,7 @@ class OrderFlowHandler {
    * @param {string} telegramUserId - Telegram user ID
    */
   async handleCancelProcessing(bot, chatId, telegramUserId) {
-    const session = this.getSession(chatId);
-    if (!session || (session.step !== 'processing' && session.step !== 'cancelling')) {
+    if (!this.getRunningOrder(chatId)) {
       // Ignore stale callbacks from old messages.
       this.clearCancellation(chatId);
       return;
@@ -580,7 +647,7 @@ class OrderFlowHandler {
       gameId: game.id,
       gameName: game.name,
       gameUrl: game.link,
-      regionId: game.regionId || 2,
+      regionId: game.regionId,
       telegramUserId: telegramUserId
     });
 
@@ -592,11 +659,15 @@ class OrderFlowHandler {
 
     try {
       logger.http(`Loading cards from catalog API: ${game.link}`);
-      const result = await gameCardsService.getCards(telegramUserId, game.link, game.regionId || 2);
+      const result = await gameCardsService.getCards(telegramUserId, game.link, game.regionId);
       const cards = result.cards;
+      this.updateSession(chatId, {
+        cardPrices: cards.map(card => this.getCardUnitGold(card)),
+        cardDetails: cards.map(card => ({ productId: card.productId ?? null, inStock: !card.disabled }))
+      });
 
       if (result.apiError) {
-        await bot.sendMessage(chatId, `⚠️ Card fetch failed from catalog API (region ${game.regionId || 2}). Falling back to scraping...`);
+        await bot.sendMessage(chatId, `⚠️ Card fetch failed from catalog API (region ${game.regionId}). Falling back to scraping...`);
       }
 
       logger.success(`Found ${cards.length} cards`);
@@ -687,10 +758,12 @@ class OrderFlowHandler {
     }
 
     // Update session
+    const cardPrices = session.cardPrices || [];
     this.updateSession(chatId, {
-      step: 'enter_quantity',
+      step: session.isWatchMode ? 'select_watch_expiry' : 'enter_quantity',
       cardIndex: parseInt(cardIndex),
-      cardName: cardName.replace(/_/g, ' ')
+      cardName: cardName.replace(/_/g, ' '),
+      unitGold: cardPrices[parseInt(cardIndex)] ?? null
     });
 
     // Delete the card menu message
@@ -704,28 +777,351 @@ class OrderFlowHandler {
       }
     }
 
-    // Ask for quantity
+    if (session.isWatchMode) {
+      await this.sendWatchExpiryPrompt(bot, chatId);
+      return;
+    }
+
+    await this.sendQuantityPrompt(bot, chatId);
+  }
+
+  /**
+   * Ask how long to watch the picked card (/watch flow).
+   * A card that is already in stock is not watched.
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   */
+  async sendWatchExpiryPrompt(bot, chatId) {
+    const session = this.getSession(chatId);
+    if (!session) return;
+
+    const details = (session.cardDetails || [])[session.cardIndex];
+    if (details && details.inStock) {
+      await bot.sendMessage(chatId,
+        `✅ *IN STOCK NOW*\n💎 ${session.cardName}\n\nUse /start to buy it.`,
+        { parse_mode: 'Markdown' }
+      );
+      this.clearSession(chatId);
+      return;
+    }
+
+    const expiryButtons = appConfig.watch.expiryOptionsHours.map(hours => ({
+      text: `⌛ ${hours % 24 === 0 ? `${hours / 24}d` : `${hours}h`}`,
+      callback_data: `watch_expiry_${hours}`
+    }));
+
     try {
-      const quantityPromptMsg = await bot.sendMessage(chatId,
-        `📦 *ENTER QUANTITY:*`,
+      const promptMsg = await bot.sendMessage(chatId,
+        `👀 *WATCH CARD*\n🎮 ${session.gameName}\n💎 ${session.cardName}\n\nNotify me if it comes back within:`,
         {
           parse_mode: 'Markdown',
           reply_markup: {
             inline_keyboard: [
-                [
-                  { text: '⬅️ Back', callback_data: 'order_back_to_cards' },
-                  { text: '❌ Cancel', callback_data: 'order_cancel' }
-                ]
+              expiryButtons,
+              [
+                { text: '⬅️ Back', callback_data: 'order_back_to_cards' },
+                { text: '❌ Cancel', callback_data: 'order_cancel' }
+              ]
             ]
           }
         }
       );
+      // Deleted like the quantity prompt when going back or cancelling
+      this.quantityPromptMessages.set(chatId, promptMsg.message_id);
+    } catch (err) {
+      logger.error('Error sending watch expiry prompt:', err);
+    }
+  }
+
+  /**
+   * Create the stock watch for the picked card
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} hours - Watch duration
+   */
+  async handleWatchExpiry(bot, chatId, telegramUserId, hours) {
+    const session = this.getSession(chatId);
+    if (!session || !session.isWatchMode || session.step !== 'select_watch_expiry' ||
+      !appConfig.watch.expiryOptionsHours.includes(hours)) {
+      await bot.sendMessage(chatId, '⚠️ Session expired. Use /watch to begin again.');
+      return;
+    }
+
+    const promptMsgId = this.quantityPromptMessages.get(chatId);
+    if (promptMsgId) {
+      try {
+        await bot.deleteMessage(chatId, promptMsgId);
+      } catch (delErr) {
+        logger.debug('Could not delete watch expiry prompt');
+      } finally {
+        this.quantityPromptMessages.delete(chatId);
+      }
+    }
+
+    try {
+      const getStockWatchService = require('../services/StockWatchService');
+      const details = (session.cardDetails || [])[session.cardIndex] || {};
+      const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+      const { expiresAt } = await getStockWatchService().createWatch({
+        telegramUserId,
+        chatId,
+        gameId: session.gameId,
+        gameName: session.gameName,
+        gameUrl: session.gameUrl,
+        regionId: session.regionId,
+        cardName: session.cardName,
+        productId: details.productId ?? null,
+        expiryHours: hours
+      });
+
+      await bot.sendMessage(chatId,
+        `👀 *WATCHING*\n🎮 ${session.gameName}\n💎 ${session.cardName}\n` +
+        `⌛ Until ${messageFormatter.formatDateTime(expiresAt, timeZone)} (${timeZone})\n\n` +
+        `You'll get a message when it's back in stock.\n/watches to list or cancel.`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (err) {
+      await bot.sendMessage(chatId, `❌ ${err.message}`);
+    } finally {
+      this.clearSession(chatId);
+    }
+  }
+
+  /**
+   * Start an order for a restocked card from its watch notification (Buy now button)
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} watchId - Stock watch ID
+   */
+  async handleWatchBuy(bot, chatId, telegramUserId, watchId) {
+    const db = require('../services/DatabaseService');
+    const getStockWatchService = require('../services/StockWatchService');
+    const watch = await db.getStockWatch(watchId);
+    if (!watch) {
+      await bot.sendMessage(chatId, '⚠️ Watch not found.');
+      return;
+    }
+
+    this.initSession(chatId);
+    this.updateSession(chatId, {
+      step: 'select_card',
+      gameId: watch.game_id,
+      gameName: watch.game_name,
+      gameUrl: watch.game_url,
+      regionId: watch.region_id,
+      telegramUserId: telegramUserId
+    });
+
+    let cards;
+    try {
+      const result = await gameCardsService.getCards(telegramUserId, watch.game_url, watch.region_id);
+      cards = result.cards;
+    } catch (err) {
+      logger.error(`Error loading cards for watch #${watchId}:`, err.message);
+      await bot.sendMessage(chatId, '❌ Failed to load available cards. Please try again later');
+      this.clearSession(chatId);
+      return;
+    }
+
+    // Card positions can change between the notification and the tap
+    const card = getStockWatchService().findCard(cards, watch);
+    if (!card || card.disabled) {
+      await bot.sendMessage(chatId,
+        `⚠️ *SOLD OUT AGAIN*\n💎 ${watch.card_name}\n\nUse /watch to watch it again.`,
+        { parse_mode: 'Markdown' }
+      );
+      this.clearSession(chatId);
+      return;
+    }
+
+    this.updateSession(chatId, {
+      step: 'enter_quantity',
+      cardPrices: cards.map(catalogCard => this.getCardUnitGold(catalogCard)),
+      cardIndex: cards.indexOf(card),
+      cardName: card.name,
+      unitGold: this.getCardUnitGold(card)
+    });
+
+    await this.sendQuantityPrompt(bot, chatId);
+  }
+
+  /**
+   * Ask for the quantity (with today's remaining allowance when limits apply).
+   * With more than one Razer account, also offers to pick the account that pays.
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   */
+  async sendQuantityPrompt(bot, chatId) {
+    const session = this.getSession(chatId);
+    if (!session) return;
+
+    let allowanceLine = null;
+    if (!session.isScheduleMode && !session.isTemplateMode && session.telegramUserId) {
+      try {
+        // Lines already in the cart count against the allowance
+        const { remaining } = await spendingLimitService.getAllowance(session.telegramUserId, session.gameName, {
+          pending: spendingLimitService.getCartSpending(session.cart || [])
+        });
+        allowanceLine = messageFormatter.formatSpendingAllowance(remaining);
+      } catch (err) {
+        logger.debug('Could not load spending allowance for quantity prompt');
+      }
+    }
+
+    const buttons = [];
+    try {
+      const accounts = await razerAccountService.listAccounts();
+      if (accounts.length > 1) {
+        const picked = accounts.find(account => account.account_user_id === session.accountUserId);
+        buttons.push([{
+          text: `🏦 Account: ${picked ? razerAccountService.formatAccountLabel(picked) : 'Auto'}`,
+          callback_data: 'order_pick_account'
+        }]);
+      }
+    } catch (err) {
+      logger.debug('Could not load Razer accounts for quantity prompt');
+    }
+    // Encrypted ZIP or plain PIN files for this order (starts at the user's /settings choice)
+    if (!session.isScheduleMode && !session.isTemplateMode && session.telegramUserId) {
+      const encrypt = typeof session.encryptPins === 'boolean'
+        ? session.encryptPins
+        : (await userPreferencesService.getPinArchiveMode(session.telegramUserId)) !== 'off';
+      buttons.push([{
+        text: encrypt ? '🔒 PINs: Encrypted ZIP' : '📄 PINs: Plain files',
+        callback_data: 'order_toggle_zip'
+      }]);
+    }
+    buttons.push([
+      { text: '⬅️ Back', callback_data: 'order_back_to_cards' },
+      { text: '❌ Cancel', callback_data: 'order_cancel' }
+    ]);
+
+    try {
+      const quantityPromptMsg = await bot.sendMessage(chatId,
+        `📦 *ENTER QUANTITY:*` + (allowanceLine ? `\n\n${allowanceLine}` : ''),
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: buttons
+          }
+        }
+      );
       this.quantityPromptMessages.set(chatId, quantityPromptMsg.message_id);
     } catch (err) {
       logger.error('Error sending quantity prompt:', err);
     }
   }
 
+  /**
+   * Show the Razer accounts the order can be bought with
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   */
+  async handlePickAccount(bot, chatId) {
+    const session = this.getSession(chatId);
+    if (!session || session.step !== 'enter_quantity') {
+      await bot.sendMessage(chatId, '⚠️ Session expired. Use /start to begin again.');
+      return;
+    }
+
+    const quantityPromptMsgId = this.quantityPromptMessages.get(chatId);
+    if (quantityPromptMsgId) {
+      try {
+        await bot.deleteMessage(chatId, quantityPromptMsgId);
+      } catch (delErr) {
+        logger.debug('Could not delete quantity prompt message');
+      } finally {
+        this.quantityPromptMessages.delete(chatId);
+      }
+    }
+
+    const accounts = await razerAccountService.listAccounts();
+    const buttons = accounts.map(account => [{
+      text: `${account.account_user_id === session.accountUserId ? '✅ ' : ''}` +
+        `${razerAccountService.formatAccountLabel(account)} (🔑 ${account.active_backup_codes})` +
+        `${razerAccountService.isRoutable(account) ? '' : ' ⚠️'}`,
+      callback_data: `order_account_${account.account_number}`
+    }]);
+    buttons.push([{ text: `${session.accountUserId ? '' : '✅ '}🔄 Auto`, callback_data: 'order_account_auto' }]);
+
+    const pickMsg = await bot.sendMessage(chatId,
+      `🏦 *PICK ACCOUNT*\n\nAuto uses the first active account with enough Gold and backup codes.`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: buttons }
+      }
+    );
+    // Deleted like the quantity prompt once a choice is made
+    this.quantityPromptMessages.set(chatId, pickMsg.message_id);
+  }
+
+  /**
+   * Switch this order between an encrypted ZIP and plain PIN files, then ask for the quantity again
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   */
+  async handleToggleZip(bot, chatId) {
+    const session = this.getSession(chatId);
+    if (!session || session.step !== 'enter_quantity') {
+      await bot.sendMessage(chatId, '⚠️ Session expired. Use /start to begin again.');
+      return;
+    }
+
+    const current = typeof session.encryptPins === 'boolean'
+      ? session.encryptPins
+      : (await userPreferencesService.getPinArchiveMode(session.telegramUserId)) !== 'off';
+    this.updateSession(chatId, { encryptPins: !current });
+
+    const quantityPromptMsgId = this.quantityPromptMessages.get(chatId);
+    if (quantityPromptMsgId) {
+      try {
+        await bot.deleteMessage(chatId, quantityPromptMsgId);
+      } catch (delErr) {
+        logger.debug('Could not delete quantity prompt message');
+      } finally {
+        this.quantityPromptMessages.delete(chatId);
+      }
+    }
+
+    await this.sendQuantityPrompt(bot, chatId);
+  }
+
+  /**
+   * Store the picked account and ask for the quantity again
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {string} choice - Account number or 'auto'
+   */
+  async handleAccountChoice(bot, chatId, choice) {
+    const session = this.getSession(chatId);
+    if (!session || session.step !== 'enter_quantity') {
+      await bot.sendMessage(chatId, '⚠️ Session expired. Use /start to begin again.');
+      return;
+    }
+
+    let accountUserId = null;
+    if (choice !== 'auto') {
+      const account = await razerAccountService.getAccountByNumber(parseInt(choice, 10));
+      accountUserId = account ? account.account_user_id : null;
+    }
+    this.updateSession(chatId, { accountUserId, balanceConfirmed: false });
+
+    const pickMsgId = this.quantityPromptMessages.get(chatId);
+    if (pickMsgId) {
+      try {
+        await bot.deleteMessage(chatId, pickMsgId);
+      } catch (delErr) {
+        logger.debug('Could not delete account picker message');
+      } finally {
+        this.quantityPromptMessages.delete(chatId);
+      }
+    }
+
+    await this.sendQuantityPrompt(bot, chatId);
+  }
+
   /**
    * Handle back to cards from quantity step
    * @param {Object} bot - Telegram bot instance
@@ -793,9 +1189,10 @@ class OrderFlowHandler {
       return;
     }
 
-    // Update session with quantity
+    // Update session with quantity (a new quantity needs a fresh balance check)
     this.updateSession(chatId, {
-      quantity: quantity
+      quantity: quantity,
+      balanceConfirmed: false
     });
 
     const quantityPromptMsgId = this.quantityPromptMessages.get(chatId);
@@ -809,12 +1206,27 @@ class OrderFlowHandler {
       }
     }
 
+    // Template mode: nothing is bought, the order only needs a name
+    if (session.isTemplateMode) {
+      this.updateSession(chatId, { step: 'enter_template_name' });
+      await bot.sendMessage(chatId,
+        `💾 *TEMPLATE NAME*\n🎮 ${session.gameName}\n💎 ${session.cardName} × ${quantity}\n\nSend a name for this template:`,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: { inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'order_cancel' }]] }
+        }
+      );
+      return;
+    }
+
     // Check if user has backup codes in database
     const db = require('../services/DatabaseService');
     const telegramUserId = session.telegramUserId || chatId;
 
     try {
-      const backupCodeCount = await db.getActiveBackupCodeCount(telegramUserId);
+      const backupCodeCount = session.accountUserId
+        ? await db.getActiveBackupCodeCount(session.accountUserId)
+        : await this.countRoutableBackupCodes(telegramUserId);
 
       if (backupCodeCount === 0) {
         await bot.sendMessage(chatId,
@@ -827,10 +1239,12 @@ class OrderFlowHandler {
       // NOTE: No quantity limit based on backup codes - each code gives a ~15 min browser session
       // that can process many purchases. Even 1 backup code can handle dozens of cards.
 
-      // Check if schedule mode or instant purchase
-      if (session.isScheduleMode) {
+      // Cart mode: the line joins the cart instead of being bought on its own
+      if (session.isCartMode) {
+        await this.addCartItem(bot, chatId);
+      } else if (session.isScheduleMode) {
         // Schedule mode: go directly to schedule time entry
-        await this.handleScheduleOrder(bot, chatId);
+        await this.handleScheduleOrder(bot, chatId, telegramUserId);
       } else {
         // Instant purchase mode: start buying immediately
         await this.handleBuyNow(bot, chatId, telegramUserId);
@@ -871,11 +1285,15 @@ class OrderFlowHandler {
     // Always show Cancel button
     buttons.push([{ text: '❌ Cancel', callback_data: 'order_cancel' }]);
 
+    // Projected cost and balance left afterwards (when the card price is known)
+    const affordability = await this.checkAffordability(session.accountUserId || session.telegramUserId || chatId, session);
+
     await bot.sendMessage(chatId,
       `📋 *ORDER SUMMARY*\n` +
       `🎮 ${session.gameName}\n` +
       `💎 ${session.cardName}\n` +
       `📦 ${session.quantity}\n\n` +
+      (affordability ? `${messageFormatter.formatProjectedCost(affordability)}\n\n` : '') +
       `When would you like to process this?`,
       {
         parse_mode: 'Markdown',
@@ -892,17 +1310,20 @@ class OrderFlowHandler {
    * @param {Object} params - Parameters
    * @param {Object} params.bot - Telegram bot instance
    * @param {number} params.chatId - Chat ID
-   * @param {string} params.telegramUserId - Telegram user ID
+   * @param {string} params.telegramUserId - Razer account operator ID that buys the cards
    * @param {string} params.gameName - Game name
    * @param {string} params.gameUrl - Game URL
    * @param {string} params.cardName - Card name
    * @param {number} params.cardIndex - Card index
    * @param {number} params.quantity - Quantity
+   * @param {number|null} params.unitGold - Gold price per card (recorded for spending limits)
+   * @param {string|null} params.orderOwnerId - Real user the order is recorded under
    * @param {boolean} params.isScheduled - If true, this is a scheduled order
    * @param {number} params.scheduledOrderId - Scheduled order ID (only for scheduled orders)
+   * @param {boolean|null} params.encryptPins - Encrypted ZIP for the PIN file (null = the owner's setting)
    * @returns {Promise<Object>} Order result
    */
-  async _executeOrder({ bot, chatId, telegramUserId, gameName, gameUrl, cardName, cardIndex, quantity, isScheduled = false, scheduledOrderId = null }) {
+  async _executeOrder({ bot, chatId, telegramUserId, gameName, gameUrl, cardName, cardIndex, quantity, unitGold = null, orderOwnerId = null, isScheduled = false, scheduledOrderId = null, encryptPins = null }) {
     try {
       // Send initial progress message immediately (0/total) with cancel button
       const progressBar = this.createProgressBar(0, quantity);
@@ -935,8 +1356,8 @@ class OrderFlowHandler {
 
             if (phase === 'waiting_for_restock') {
               const restockCardNumber = completed.cardNumber || 1;
-              const restockAttempt = completed.attempt || 1;
-              const restockMaxAttempts = completed.maxAttempts || '?';
+              const restockWaited = messageFormatter.formatDuration(completed.elapsedMs || 0);
+              const restockWindow = messageFormatter.formatDuration(completed.waitWindowMs || 0);
               const progressBar = this.createProgressBar(0, quantity);
               progressText =
                 `${gameName}\n` +
@@ -947,7 +1368,7 @@ class OrderFlowHandler {
                 `✅ 0/${quantity} (📊 0%)\n\n` +
                 `⏳ *Waiting for Restock*\n` +
                 `🃏 Card ${restockCardNumber} is out of stock\n` +
-                `🔄 Checking... (attempt ${restockAttempt}/${restockMaxAttempts})`;
+                `🔄 Checking stock... (waited ${restockWaited} of ${restockWindow})`;
             } else {
               progressBar = this.createProgressBar(processed, totalTx);
               let statusLine = '⏳ Preparing...';
@@ -1013,11 +1434,14 @@ class OrderFlowHandler {
       // Process the order
       const result = await orderService.processOrder({
         telegramUserId,
+        chatId,
         gameName,
         gameUrl,
         cardName,
         cardIndex,
         quantity,
+        unitGold,
+        orderOwnerId,
         onProgress: sendProgressUpdate,
         checkCancellation: () => this.isCancelled(chatId)
       });
@@ -1134,13 +1558,17 @@ class OrderFlowHandler {
       // Send pin files
       if (result.pins && result.pins.length > 0) {
         await fileGenerator.sendPinFiles(bot, chatId, result.order.id, result.pins, {
-          formatPinsPlain: orderService.formatPinsPlain.bind(orderService)
+          formatPinsPlain: orderService.formatPinsPlain.bind(orderService),
+          fileFormat: await userPreferencesService.getPinFileFormat(orderOwnerId || telegramUserId),
+          order: result.order,
+          archive: await userPreferencesService.getPinArchive(orderOwnerId || telegramUserId, encryptPins)
         });
 
         // Send failed cards report if any cards failed
         if (failedCount > 0) {
           await fileGenerator.sendFailedCardsReport(bot, chatId, result.order.id, result.pins);
         }
+        await this.sendUnsavedCardsWarning(bot, chatId, result.pins);
 
         orderService.clearOrderPins(result.order.id);
       }
@@ -1221,8 +1649,12 @@ class OrderFlowHandler {
             if (err.partialOrder.pins && err.partialOrder.pins.length > 0) {
               await fileGenerator.sendPinFiles(bot, chatId, err.partialOrder.order.id, err.partialOrder.pins, {
                 isPartial: true,
-                formatPinsPlain: orderService.formatPinsPlain.bind(orderService)
+                formatPinsPlain: orderService.formatPinsPlain.bind(orderService),
+                fileFormat: await userPreferencesService.getPinFileFormat(orderOwnerId || telegramUserId),
+                order: err.partialOrder.order,
+                archive: await userPreferencesService.getPinArchive(orderOwnerId || telegramUserId, encryptPins)
               });
+              await this.sendUnsavedCardsWarning(bot, chatId, err.partialOrder.pins);
               orderService.clearOrderPins(err.partialOrder.order.id);
             }
 
@@ -1369,85 +1801,998 @@ class OrderFlowHandler {
   }
 
   /**
-   * Handle Buy Now - Start order immediately
-   * @param {Object} bot - Telegram bot instance
-   * @param {number} chatId - Chat ID
-   * @param {string} telegramUserId - Telegram user ID
+   * Cart order execution: buys the lines one after another (each line is its own order in history),
+   * then sends a combined summary and one PIN file per line. A cancel stops the running line and
+   * skips the rest; a failed line does not stop the next ones.
+   * @param {Object} params - Parameters
+   * @param {Object} params.bot - Telegram bot instance
+   * @param {number} params.chatId - Chat ID
+   * @param {string} params.telegramUserId - Razer account operator ID that buys the cards
+   * @param {Array<Object>} params.items - Cart lines {gameName, gameUrl, cardName, cardIndex, quantity, unitGold}
+   * @param {string|null} params.orderOwnerId - Real user the orders are recorded under
+   * @param {boolean|null} params.encryptPins - One encrypted ZIP for all PIN files (null = the owner's setting)
+   * @returns {Promise<{lines: Array<Object>}>} Result of every line
+   * @throws {Error} If the cart was cancelled or every line failed (after the summary was sent)
    */
-  async handleBuyNow(bot, chatId, telegramUserId) {
-    const session = this.getSession(chatId);
-    if (!session) return;
-
-    // Guard against stale cancel flags from previous /cancel or old callbacks.
-    this.clearCancellation(chatId);
-
-    const db = require('../services/DatabaseService');
-    const credentials = await db.getUserCredentials(telegramUserId);
-    if (!credentials || !credentials.email || !credentials.password) {
-      await bot.sendMessage(chatId, '⚠️ *No credentials found*\nUse /settings first.', { parse_mode: 'Markdown' });
-      return;
-    }
-
-    // Store telegram user ID in session
-    session.telegramUserId = telegramUserId;
+  async _executeCart({ bot, chatId, telegramUserId, items, orderOwnerId = null, encryptPins = null }) {
+    const lines = items.map(item => ({
+      item,
+      status: 'skipped',
+      order: null,
+      pins: [],
+      validPinCount: 0,
+      failedCount: 0,
+      error: null
+    }));
+    const totalCards = items.reduce((total, item) => total + item.quantity, 0);
+    let processedCards = 0;
+
+    const formatCartProgress = (index, completed, statusLines = '') => {
+      const item = items[index];
+      const done = processedCards + completed;
+      return `🛒 *CART* - item ${index + 1}/${items.length}\n` +
+        `🎮 ${item.gameName}\n` +
+        `💎 ${item.cardName}\n` +
+        `📦 ${completed}/${item.quantity}\n\n` +
+        `⏳PROGRESS\n` +
+        `${this.createProgressBar(done, totalCards)}\n` +
+        `✅ ${done}/${totalCards} (📊 ${Math.round((done / totalCards) * 100)}%)` +
+        statusLines;
+    };
+
+    for (const [index, line] of lines.entries()) {
+      if (this.isCancelled(chatId)) {
+        line.status = 'cancelled';
+        break;
+      }
 
-    // Process order using unified method (parallel purchase flow handles its own login)
-    try {
-      this.updateSession(chatId, { step: 'processing' });
+      await this.sendCartProgress(bot, chatId, formatCartProgress(index, 0));
 
-      await this._executeOrder({
-        bot,
-        chatId,
+      try {
+        const result = await orderService.processOrder({
+          telegramUserId,
+          chatId,
+          gameName: line.item.gameName,
+          gameUrl: line.item.gameUrl,
+          cardName: line.item.cardName,
+          cardIndex: line.item.cardIndex,
+          quantity: line.item.quantity,
+          unitGold: line.item.unitGold,
+          orderOwnerId,
+          onProgress: async (completed) => {
+            // Enrichment phases are not shown for cart lines; restock waits are
+            if (typeof completed === 'object' && completed !== null) {
+              if (completed.phase !== 'waiting_for_restock') return;
+              await this.sendCartProgress(bot, chatId, formatCartProgress(index, 0,
+                `\n\n⏳ *Waiting for Restock*\n` +
+                `🔄 Checking stock... (waited ${messageFormatter.formatDuration(completed.elapsedMs || 0)} of ` +
+                `${messageFormatter.formatDuration(completed.waitWindowMs || 0)})`
+              ));
+              return;
+            }
+            await this.sendCartProgress(bot, chatId, formatCartProgress(index, Number(completed) || 0));
+          },
+          checkCancellation: () => this.isCancelled(chatId)
+        });
+        line.status = 'completed';
+        line.order = result.order;
+        line.pins = result.pins || [];
+      } catch (err) {
+        if (err.message && err.message.includes('cancelled by user')) {
+          line.status = 'cancelled';
+          if (err.partialOrder) {
+            line.order = err.partialOrder.order;
+            line.pins = err.partialOrder.pins || [];
+          }
+        } else {
+          logger.error(`Cart item ${index + 1} failed:`, err);
+          line.status = 'failed';
+          line.error = err.message;
+        }
+      }
+
+      line.validPinCount = fileGenerator.getValidPinCount(line.pins);
+      line.failedCount = line.pins.filter(p => p.pinCode === 'FAILED').length;
+      processedCards += line.item.quantity;
+
+      if (line.status === 'cancelled') break;
+    }
+
+    // Progress and cancelling messages make way for the summary
+    for (const messages of [this.progressMessages, this.cancellingMessages]) {
+      const msgId = messages.get(chatId);
+      if (msgId) {
+        try {
+          await bot.deleteMessage(chatId, msgId);
+        } catch (delErr) {
+          logger.debug('Could not delete cart progress message');
+        }
+        messages.delete(chatId);
+      }
+    }
+
+    try {
+      await bot.sendMessage(chatId, messageFormatter.formatCartComplete(lines), { parse_mode: 'Markdown' });
+
+      // One PIN file per line, like /transactions groups them per product
+      const groupedPins = {};
+      lines.forEach((line, index) => {
+        if (line.order && line.validPinCount > 0) {
+          groupedPins[`${index + 1}. ${line.item.gameName} - ${line.item.cardName} (Order #${line.order.id})`] =
+            line.pins.map(pin => ({ ...pin, orderId: line.order.id, unitGold: line.order.unit_gold }));
+        }
+      });
+      await fileGenerator.sendGroupedPinFiles(bot, chatId, groupedPins, {
+        fileFormat: await userPreferencesService.getPinFileFormat(orderOwnerId || telegramUserId),
+        archive: await userPreferencesService.getPinArchive(orderOwnerId || telegramUserId, encryptPins)
+      });
+
+      for (const line of lines) {
+        if (line.order && line.failedCount > 0) {
+          await fileGenerator.sendFailedCardsReport(bot, chatId, line.order.id, line.pins);
+        }
+      }
+      await this.sendUnsavedCardsWarning(bot, chatId, lines.flatMap(line => line.pins || []));
+    } catch (err) {
+      logger.error('Error sending cart results:', err);
+      await bot.sendMessage(chatId, '⚠️ Could not send the PIN files. Find them under /history.').catch(() => {});
+    } finally {
+      for (const line of lines) {
+        if (line.order) orderService.clearOrderPins(line.order.id);
+      }
+      this.clearCancellation(chatId);
+    }
+
+    if (lines.some(line => line.status === 'cancelled')) {
+      throw new Error('Cart order cancelled by user');
+    }
+    if (lines.every(line => line.status === 'failed')) {
+      throw new Error(`Every cart item failed: ${lines[0].error}`);
+    }
+
+    return { lines };
+  }
+
+  /**
+   * Warn when bought cards could not be saved to the database (missing from /history)
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {Array} pins - Card results from OrderService (savedToDb === false = not saved)
+   */
+  async sendUnsavedCardsWarning(bot, chatId, pins) {
+    const unsavedCount = (pins || []).filter(p => p.savedToDb === false).length;
+    if (unsavedCount === 0) return;
+
+    await bot.sendMessage(chatId,
+      `⚠️ *${unsavedCount} card(s) not saved*
+They are not in /history - keep the PIN file above.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  /**
+   * Show cart progress in the chat's progress message (sent on first use)
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {string} text - Progress text
+   */
+  async sendCartProgress(bot, chatId, text) {
+    const options = {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[{ text: '🛑 Cancel Order', callback_data: 'order_cancel_processing' }]]
+      }
+    };
+
+    try {
+      const existingMessageId = this.progressMessages.get(chatId);
+      if (existingMessageId) {
+        try {
+          await bot.editMessageText(text, { chat_id: chatId, message_id: existingMessageId, ...options });
+          return;
+        } catch (editErr) {
+          if (String(editErr.message).includes('message is not modified')) return;
+          logger.debug('Could not edit cart progress message, sending new one');
+        }
+      }
+
+      const msg = await bot.sendMessage(chatId, text, options);
+      this.progressMessages.set(chatId, msg.message_id);
+    } catch (err) {
+      logger.debug('Could not send cart progress:', err.message);
+    }
+  }
+
+  /**
+   * Read the Gold price of a catalog card
+   * @param {Object} card - Card from GameCardsService
+   * @returns {number|null} Gold per card, or null if unknown (e.g. scraped cards)
+   */
+  getCardUnitGold(card) {
+    if (!card || card.unitGold === undefined || card.unitGold === null) {
+      return null;
+    }
+
+    const unitGold = Number(card.unitGold);
+    return Number.isFinite(unitGold) ? unitGold : null;
+  }
+
+  /**
+   * Tell the user an order exceeds their daily limits and let them enter a smaller quantity
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {Object} limitCheck - Result of SpendingLimitService.checkOrder
+   * @param {number} quantity - Requested quantity
+   * @param {string} dayLabel - Day the allowance applies to
+   */
+  async sendSpendingLimitExceeded(bot, chatId, limitCheck, quantity, dayLabel) {
+    const canRetry = limitCheck.maxQuantity > 0;
+    this.updateSession(chatId, { step: canRetry ? 'enter_quantity' : 'select_card', quantity: null });
+
+    const promptMsg = await bot.sendMessage(chatId,
+      messageFormatter.formatSpendingLimitExceeded(limitCheck, quantity, dayLabel) +
+      (canRetry ? `\n\n📦 *ENTER QUANTITY:*` : ''),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '⬅️ Back', callback_data: 'order_back_to_cards' },
+              { text: '❌ Cancel', callback_data: 'order_cancel' }
+            ]
+          ]
+        }
+      }
+    );
+
+    if (canRetry) {
+      this.quantityPromptMessages.set(chatId, promptMsg.message_id);
+    }
+  }
+
+  /**
+   * Active backup codes available to automatic routing
+   * (account 1's codes while it is the only account)
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<number>}
+   */
+  async countRoutableBackupCodes(telegramUserId) {
+    const db = require('../services/DatabaseService');
+    const accounts = await razerAccountService.listAccounts();
+    if (accounts.length === 1) {
+      return db.getActiveBackupCodeCount(telegramUserId);
+    }
+
+    return accounts
+      .filter(account => razerAccountService.isRoutable(account))
+      .reduce((total, account) => total + account.active_backup_codes, 0);
+  }
+
+  /**
+   * Read the current Gold balance from the ready browser
+   * @param {string} telegramUserId - Razer account operator ID or Telegram user ID (account 1)
+   * @returns {Promise<number|null>} Gold balance, or null if it could not be read
+   */
+  async readGoldBalance(telegramUserId) {
+    try {
+      // The page belongs to a running order; its balance is unknown until it finishes
+      // (unless the caller is that order, e.g. the queue checking before it buys)
+      const readySessions = purchaseService.getReadySessions(telegramUserId);
+      if (readySessions.length === 0 || !(browserManager.isBrowserAvailable() || purchaseService.holdsBrowserLock())) {
+        return null;
+      }
+
+      const balance = await scraperService.getGoldBalance(telegramUserId, readySessions[0].page);
+      razerAccountService.recordBalance(telegramUserId, balance);
+      return balance;
+    } catch (err) {
+      logger.warn(`Could not read Gold balance before order: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Project the cost of the session's order against the current balance
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {Object} session - Order session
+   * @returns {Promise<{quantity: number, unitGold: number, cost: number, balance: number|null, affordable: number|null}|null>}
+   *          null if the card price is unknown
+   */
+  async checkAffordability(telegramUserId, session) {
+    if (session.unitGold === null || session.unitGold === undefined) {
+      return null;
+    }
+
+    const cost = session.unitGold * session.quantity;
+    const balance = await this.readGoldBalance(telegramUserId);
+
+    let affordable = null;
+    if (balance !== null) {
+      affordable = session.unitGold > 0
+        ? Math.min(session.quantity, Math.floor(balance / session.unitGold))
+        : session.quantity;
+    }
+
+    return { quantity: session.quantity, unitGold: session.unitGold, cost, balance, affordable };
+  }
+
+  /**
+   * Show what an order will cost and the balance left afterwards, before it is queued
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {Object} session - Order session
+   * @param {Object} affordability - Result of checkAffordability
+   */
+  async sendProjectedCost(bot, chatId, session, affordability) {
+    await bot.sendMessage(chatId,
+      `📋 ${session.gameName} - ${session.cardName} × ${session.quantity}\n` +
+      messageFormatter.formatProjectedCost(affordability) +
+      // The browser is busy with another order (or not logged in yet)
+      (affordability.balance === null ? `\n⚠️ Balance not checked: the browser is busy. It is checked when the order starts.` : ''),
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  /**
+   * Offer to buy only the affordable number of cards, or cancel
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {Object} affordability - Result of checkAffordability
+   */
+  async offerAffordableQuantity(bot, chatId, affordability) {
+    this.updateSession(chatId, {
+      step: 'confirm_affordable',
+      affordableQuantity: affordability.affordable
+    });
+
+    const buttons = [];
+    if (affordability.affordable > 0) {
+      buttons.push([{ text: `🛒 Buy ${affordability.affordable}`, callback_data: 'order_buy_affordable' }]);
+    }
+    buttons.push([{ text: '❌ Cancel', callback_data: 'order_cancel' }]);
+
+    await bot.sendMessage(chatId,
+      messageFormatter.formatInsufficientBalance(affordability),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: buttons }
+      }
+    );
+  }
+
+  /**
+   * Handle "Buy affordable" - Continue the order with the quantity the balance covers
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   */
+  async handleBuyAffordable(bot, chatId, telegramUserId) {
+    const session = this.getSession(chatId);
+    if (!session || session.step !== 'confirm_affordable' || !session.affordableQuantity) {
+      await bot.sendMessage(chatId, '⚠️ Session expired. Use /start to begin again.');
+      return;
+    }
+
+    this.updateSession(chatId, {
+      quantity: session.affordableQuantity,
+      affordableQuantity: null,
+      balanceConfirmed: true
+    });
+
+    await this.handleBuyNow(bot, chatId, telegramUserId);
+  }
+
+  /**
+   * Handle Buy Now - Queue the order; it starts right away unless another order is using the browser
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   */
+  async handleBuyNow(bot, chatId, telegramUserId) {
+    const session = this.getSession(chatId);
+    if (!session) return;
+
+    // Already submitted (e.g. Buy Now tapped twice)
+    if (session.step === 'queued') return;
+
+    // Guard against stale cancel flags from previous /cancel or old callbacks
+    // (a /cancel for an order running in this chat still has to reach it)
+    if (!this.getRunningOrder(chatId)) {
+      this.clearCancellation(chatId);
+    }
+
+    const account = await this.pickOrderAccount(bot, chatId, {
+      quantity: session.quantity,
+      unitGold: session.unitGold,
+      preferredAccountUserId: session.accountUserId
+    });
+    if (!account) return;
+    const accountUserId = account.account_user_id;
+
+    // Store telegram user ID in session
+    session.telegramUserId = telegramUserId;
+
+    // Enforce daily spending limits before touching the browser
+    const limitCheck = await spendingLimitService.checkOrder({
+      telegramUserId,
+      gameName: session.gameName,
+      quantity: session.quantity,
+      unitGold: session.unitGold
+    });
+    if (!limitCheck.allowed) {
+      await this.sendSpendingLimitExceeded(bot, chatId, limitCheck, session.quantity, 'today');
+      return;
+    }
+
+    if (!(await this.loginOrderAccount(bot, chatId, account))) return;
+
+    // Balance pre-check: don't start an order the account can't pay for
+    if (!session.balanceConfirmed) {
+      const affordability = await this.checkAffordability(accountUserId, session);
+      if (affordability && affordability.balance !== null && affordability.cost > affordability.balance) {
+        // "Buy affordable" continues on the same account
+        this.updateSession(chatId, { accountUserId });
+        await this.offerAffordableQuantity(bot, chatId, affordability);
+        return;
+      }
+
+      if (affordability) {
+        await this.sendProjectedCost(bot, chatId, session, affordability);
+      }
+    }
+
+    // Queue the order: the queue runs it with the unified method and clears the session when it starts
+    try {
+      this.updateSession(chatId, { step: 'queued' });
+
+      const getOrderQueueService = require('../services/OrderQueueService');
+      const queued = await getOrderQueueService(bot).enqueue({
+        telegramUserId,
+        chatId,
+        accountUserId,
+        gameName: session.gameName,
+        gameUrl: session.gameUrl,
+        cardName: session.cardName,
+        cardIndex: session.cardIndex,
+        quantity: session.quantity,
+        unitGold: session.unitGold,
+        encryptPins: session.encryptPins ?? null
+      });
+
+      // The order may have started already
+      if (session.step === 'queued') {
+        this.updateSession(chatId, { queueEntryId: queued.id });
+      }
+    } catch (err) {
+      this.clearSession(chatId);
+      await bot.sendMessage(chatId, '❌ Could not queue the order. Try again.');
+      return;
+    }
+
+    // A resumed interrupted order is closed now that its remaining cards are queued
+    if (session.resumedOrderId) {
+      await this.closeResumedOrder(session.resumedOrderId);
+    }
+  }
+
+  /**
+   * Close an interrupted order whose remaining cards were queued as a new order
+   * @param {number} orderId - Interrupted order ID
+   */
+  async closeResumedOrder(orderId) {
+    const db = require('../services/DatabaseService');
+    try {
+      await db.updateOrderStatus(orderId, 'completed');
+    } catch (err) {
+      logger.error(`Could not close resumed order ${orderId}:`, err);
+    }
+  }
+
+  /**
+   * Razer account that pays for an order: the operator's pick, or one with enough Gold and codes
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {Object} params - {quantity, unitGold, preferredAccountUserId} (see RazerAccountService.pickAccount)
+   * @returns {Promise<Object|null>} Account, or null if none can pay (the user has been told)
+   */
+  async pickOrderAccount(bot, chatId, params) {
+    const account = await razerAccountService.pickAccount(params);
+    if (!account) {
+      await bot.sendMessage(chatId,
+        '⚠️ *No Razer account available*\nEvery account is disabled or missing credentials or backup codes. See /accounts.',
+        { parse_mode: 'Markdown' }
+      );
+      return null;
+    }
+
+    const db = require('../services/DatabaseService');
+    const credentials = await db.getUserCredentials(account.account_user_id);
+    if (!credentials || !credentials.email || !credentials.password) {
+      await bot.sendMessage(chatId, '⚠️ *No credentials found*\nUse /settings first.', { parse_mode: 'Markdown' });
+      return null;
+    }
+
+    return account;
+  }
+
+  /**
+   * Log in the account an order is bought with. Account 1 keeps its pool from /start; other
+   * accounts log in on their first order (while another order runs, the queue logs them in
+   * when this one starts).
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {Object} account - Account from pickOrderAccount
+   * @returns {Promise<boolean>} False if the login failed (the user has been told)
+   */
+  async loginOrderAccount(bot, chatId, account) {
+    const accountUserId = account.account_user_id;
+    if (account.account_number > 1 && purchaseService.getReadySessions(accountUserId).length === 0 && browserManager.isBrowserAvailable()) {
+      await bot.sendMessage(chatId, `⏳ Logging in Razer account ${razerAccountService.formatAccountLabel(account)}...`);
+      if (!(await razerAccountService.ensureAccountReady(accountUserId))) {
+        await bot.sendMessage(chatId,
+          `❌ *LOGIN FAILED*\nRazer account ${razerAccountService.formatAccountLabel(account)} could not log in. Check its credentials in /accounts.`,
+          { parse_mode: 'Markdown' }
+        );
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Add the line just entered (game, card, quantity) to the cart and show the cart
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   */
+  async addCartItem(bot, chatId) {
+    const session = this.getSession(chatId);
+    if (!session) return;
+
+    const cart = session.cart || [];
+    cart.push({
+      gameName: session.gameName,
+      gameUrl: session.gameUrl,
+      cardName: session.cardName,
+      cardIndex: session.cardIndex,
+      quantity: session.quantity,
+      unitGold: session.unitGold ?? null
+    });
+
+    this.updateSession(chatId, {
+      cart,
+      step: 'review_cart',
+      cardIndex: null,
+      cardName: null,
+      quantity: null,
+      unitGold: null
+    });
+    await this.showCart(bot, chatId);
+  }
+
+  /**
+   * Show the cart with its total cost, and buttons to add, remove or buy
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   */
+  async showCart(bot, chatId) {
+    const session = this.getSession(chatId);
+    if (!session) return;
+
+    const cart = session.cart || [];
+    const telegramUserId = session.telegramUserId || chatId;
+    const balance = cart.length > 0 ? await this.readGoldBalance(session.accountUserId || telegramUserId) : null;
+
+    const buttons = [[{ text: '➕ Add Item', callback_data: 'cart_add' }]];
+    if (cart.length > 0) {
+      buttons[0].push({ text: '🗑️ Remove Last', callback_data: 'cart_remove_last' });
+      const totalCards = cart.reduce((total, item) => total + item.quantity, 0);
+      buttons.push([{ text: `🚀 Buy All (${totalCards} cards)`, callback_data: 'cart_buy' }]);
+    }
+    buttons.push([{ text: '❌ Cancel', callback_data: 'order_cancel' }]);
+
+    try {
+      const cartMsg = await bot.sendMessage(chatId,
+        messageFormatter.formatCart(cart, balance),
+        {
+          parse_mode: 'Markdown',
+          reply_markup: { inline_keyboard: buttons }
+        }
+      );
+      // Deleted like the quantity prompt when the cart changes
+      this.quantityPromptMessages.set(chatId, cartMsg.message_id);
+    } catch (err) {
+      logger.error('Error sending cart:', err);
+    }
+  }
+
+  /**
+   * Remove the cart message before it is shown again or the cart is bought
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   */
+  async deleteCartMessage(bot, chatId) {
+    const cartMsgId = this.quantityPromptMessages.get(chatId);
+    if (cartMsgId) {
+      try {
+        await bot.deleteMessage(chatId, cartMsgId);
+      } catch (delErr) {
+        logger.debug('Could not delete cart message');
+      } finally {
+        this.quantityPromptMessages.delete(chatId);
+      }
+    }
+  }
+
+  /**
+   * Pick the next cart line with the usual game and card pickers
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   */
+  async handleCartAdd(bot, chatId) {
+    const session = this.getSession(chatId);
+    if (!session || !session.isCartMode || session.step !== 'review_cart') {
+      await bot.sendMessage(chatId, '⚠️ Session expired. Use /cart to begin again.');
+      return;
+    }
+
+    await this.deleteCartMessage(bot, chatId);
+    this.updateSession(chatId, {
+      step: 'select_game',
+      gameId: null,
+      gameName: null,
+      gameUrl: null,
+      regionId: null
+    });
+    await this.showGameSelection(bot, chatId);
+  }
+
+  /**
+   * Remove the last line of the cart
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   */
+  async handleCartRemoveLast(bot, chatId) {
+    const session = this.getSession(chatId);
+    if (!session || !session.isCartMode || session.step !== 'review_cart') {
+      await bot.sendMessage(chatId, '⚠️ Session expired. Use /cart to begin again.');
+      return;
+    }
+
+    await this.deleteCartMessage(bot, chatId);
+    (session.cart || []).pop();
+    await this.showCart(bot, chatId);
+  }
+
+  /**
+   * Handle Buy All - Check limits and balance for the whole cart, then queue it as one order
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   */
+  async handleBuyCart(bot, chatId, telegramUserId) {
+    const session = this.getSession(chatId);
+    if (!session || !session.isCartMode || session.step !== 'review_cart' || !(session.cart || []).length) {
+      await bot.sendMessage(chatId, '⚠️ Session expired. Use /cart to begin again.');
+      return;
+    }
+
+    if (!this.getRunningOrder(chatId)) {
+      this.clearCancellation(chatId);
+    }
+    await this.deleteCartMessage(bot, chatId);
+
+    const items = session.cart;
+    const quantity = items.reduce((total, item) => total + item.quantity, 0);
+    const hasPrices = items.every(item => item.unitGold !== null);
+    const cost = hasPrices ? items.reduce((total, item) => total + item.unitGold * item.quantity, 0) : null;
+
+    // The whole cart is bought with one account
+    const account = await this.pickOrderAccount(bot, chatId, {
+      quantity: 1,
+      unitGold: cost,
+      preferredAccountUserId: session.accountUserId
+    });
+    if (!account) return;
+    const accountUserId = account.account_user_id;
+    session.telegramUserId = telegramUserId;
+
+    // Every line counts the lines before it against the daily limits
+    const limitCheck = await spendingLimitService.checkCart({ telegramUserId, items });
+    if (!limitCheck.allowed) {
+      await bot.sendMessage(chatId,
+        `🎮 ${limitCheck.item.gameName} - 💎 ${limitCheck.item.cardName}\n` +
+        messageFormatter.formatSpendingLimitExceeded(limitCheck.check, limitCheck.item.quantity, 'today') +
+        `\n\nRemove items from the cart to continue.`,
+        { parse_mode: 'Markdown' }
+      );
+      await this.showCart(bot, chatId);
+      return;
+    }
+
+    if (!(await this.loginOrderAccount(bot, chatId, account))) return;
+
+    const balance = cost !== null ? await this.readGoldBalance(accountUserId) : null;
+    if (balance !== null && cost > balance) {
+      await bot.sendMessage(chatId,
+        `⚠️ *INSUFFICIENT BALANCE*\n💰 Cart: ${messageFormatter.formatGold(cost)} Gold\n🥇 Balance: ${messageFormatter.formatGold(balance)} Gold\n\n` +
+        `Remove items or reload the account first.`,
+        { parse_mode: 'Markdown' }
+      );
+      this.updateSession(chatId, { accountUserId });
+      await this.showCart(bot, chatId);
+      return;
+    }
+
+    // One place in the queue for the whole cart; the queue buys the lines one after another
+    try {
+      this.updateSession(chatId, { step: 'queued' });
+
+      const first = items[0];
+      const getOrderQueueService = require('../services/OrderQueueService');
+      const queued = await getOrderQueueService(bot).enqueue({
+        telegramUserId,
+        chatId,
+        accountUserId,
+        gameName: first.gameName,
+        gameUrl: first.gameUrl,
+        cardName: first.cardName,
+        cardIndex: first.cardIndex,
+        quantity,
+        unitGold: null,
+        items,
+        encryptPins: session.encryptPins ?? null
+      });
+
+      if (session.step === 'queued') {
+        this.updateSession(chatId, { queueEntryId: queued.id });
+      }
+    } catch (err) {
+      this.clearSession(chatId);
+      await bot.sendMessage(chatId, '❌ Could not queue the order. Try again.');
+    }
+  }
+
+  /**
+   * Save the order configured in template mode under the name the user sent
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} text - Template name
+   */
+  async handleTemplateNameInput(bot, chatId, telegramUserId, text) {
+    const session = this.getSession(chatId);
+    if (!session || !session.isTemplateMode || session.step !== 'enter_template_name') {
+      return;
+    }
+
+    const name = String(text || '').replace(/[_*`[\]]/g, '').trim();
+    if (!name || name.length > 40) {
+      await bot.sendMessage(chatId, '⚠️ Send a name of 1-40 characters.');
+      return;
+    }
+
+    const db = require('../services/DatabaseService');
+    try {
+      const templates = await db.getUserOrderTemplates(telegramUserId);
+      if (templates.some(template => template.name.toLowerCase() === name.toLowerCase())) {
+        await bot.sendMessage(chatId, `⚠️ You already have a template named "${name}". Send another name.`);
+        return;
+      }
+
+      const details = (session.cardDetails || [])[session.cardIndex] || {};
+      await db.createOrderTemplate({
         telegramUserId,
+        name,
+        gameId: session.gameId,
         gameName: session.gameName,
         gameUrl: session.gameUrl,
+        regionId: session.regionId,
         cardName: session.cardName,
-        cardIndex: session.cardIndex,
+        productId: details.productId ?? null,
         quantity: session.quantity,
-        isScheduled: false
+        accountUserId: session.accountUserId || null
       });
 
-      // Clear session on success
-      this.clearSession(chatId);
+      await bot.sendMessage(chatId,
+        `💾 *TEMPLATE SAVED*\n📑 ${name}\n🎮 ${session.gameName}\n💎 ${session.cardName} × ${session.quantity}\n\n/templates to run it.`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (err) {
+      logger.error('Error saving order template:', err);
+      await bot.sendMessage(chatId, '❌ Could not save the template. Try again.');
+    } finally {
+      if (this.getSession(chatId) === session && session.step === 'enter_template_name') {
+        this.clearSession(chatId);
+      }
+    }
+  }
+
+  /**
+   * Run a saved template (one tap from /templates)
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} templateId - Order template ID
+   */
+  async handleTemplateRun(bot, chatId, telegramUserId, templateId) {
+    const db = require('../services/DatabaseService');
+    const template = await db.getOrderTemplate(templateId, telegramUserId);
+    if (!template) {
+      await bot.sendMessage(chatId, '⚠️ Template not found. Use /templates.');
+      return;
+    }
+
+    await this.startSavedOrder(bot, chatId, telegramUserId, {
+      gameId: template.game_id,
+      gameName: template.game_name,
+      gameUrl: template.game_url,
+      regionId: template.region_id,
+      cardName: template.card_name,
+      productId: template.product_id,
+      quantity: template.quantity,
+      accountUserId: template.account_user_id ? String(template.account_user_id) : null
+    });
+  }
+
+  /**
+   * Buy a past order again (Reorder button in order history)
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} orderId - Order ID
+   */
+  async handleReorder(bot, chatId, telegramUserId, orderId) {
+    const db = require('../services/DatabaseService');
+    const order = await db.getOrderById(orderId);
+    if (!order || String(order.telegram_user_id) !== String(telegramUserId)) {
+      await bot.sendMessage(chatId, '⚠️ Order not found.');
+      return;
+    }
+
+    // Orders from before game URLs were recorded are matched to the catalog by name
+    const game = getGameByName(order.game_name);
+    const gameUrl = order.game_url || (game ? game.link : null);
+    if (!gameUrl) {
+      await bot.sendMessage(chatId, '⚠️ This order\'s game link is unknown. Use /start.');
+      return;
+    }
 
+    await this.startSavedOrder(bot, chatId, telegramUserId, {
+      gameId: game ? game.id : null,
+      gameName: order.game_name,
+      gameUrl,
+      regionId: game && game.link === gameUrl ? game.regionId : null,
+      cardName: order.card_value,
+      productId: null,
+      quantity: order.cards_count,
+      accountUserId: null
+    });
+  }
+
+  /**
+   * Start an order from a template or past order: find its card in the current catalog
+   * (by product, not by its old position), then continue as if the quantity had been typed
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {Object} saved - {gameId, gameName, gameUrl, regionId, cardName, productId, quantity, accountUserId}
+   */
+  async startSavedOrder(bot, chatId, telegramUserId, saved) {
+    this.initSession(chatId);
+    this.updateSession(chatId, {
+      step: 'select_card',
+      gameId: saved.gameId,
+      gameName: saved.gameName,
+      gameUrl: saved.gameUrl,
+      regionId: saved.regionId,
+      accountUserId: saved.accountUserId,
+      telegramUserId: telegramUserId
+    });
+
+    const loadingMsg = await bot.sendMessage(chatId,
+      `🔄 *LOADING CARDS*\n${saved.gameName}\n\n_Please wait..._`,
+      { parse_mode: 'Markdown' }
+    );
+
+    let cards;
+    try {
+      const result = await gameCardsService.getCards(telegramUserId, saved.gameUrl, saved.regionId);
+      cards = result.cards;
     } catch (err) {
-      // Unified method handles most error scenarios
+      logger.error(`Error loading cards for saved order (${saved.gameName}):`, err.message);
+      await bot.sendMessage(chatId, '❌ Failed to load available cards. Please try again later');
+      this.clearSession(chatId);
+      return;
+    } finally {
+      await bot.deleteMessage(chatId, loadingMsg.message_id).catch(() => {});
+    }
+
+    const card = gameCardsService.findCard(cards, { productId: saved.productId, cardName: saved.cardName });
+    if (!card) {
+      await bot.sendMessage(chatId,
+        `⚠️ *CARD NOT FOUND*\n🎮 ${saved.gameName}\n💎 ${saved.cardName}\n\nIt is no longer in the catalog. Use /start.`,
+        { parse_mode: 'Markdown' }
+      );
+      this.clearSession(chatId);
+      return;
+    }
+
+    this.updateSession(chatId, {
+      step: 'enter_quantity',
+      cardPrices: cards.map(catalogCard => this.getCardUnitGold(catalogCard)),
+      cardDetails: cards.map(catalogCard => ({ productId: catalogCard.productId ?? null, inStock: !catalogCard.disabled })),
+      cardIndex: cards.indexOf(card),
+      cardName: card.name,
+      unitGold: this.getCardUnitGold(card)
+    });
+
+    await bot.sendMessage(chatId,
+      `🔁 *REORDER*\n🎮 ${saved.gameName}\n💎 ${card.name} × ${saved.quantity}` +
+      (card.disabled ? `\n\n⚠️ Out of stock - it will be bought when it is back.` : ''),
+      { parse_mode: 'Markdown' }
+    );
+
+    // Same checks as a typed quantity (limits, backup codes, balance), then Buy Now
+    await this.handleQuantityInput(bot, chatId, String(saved.quantity));
+  }
+
+  /**
+   * Cancel an order still waiting in the queue
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} entryId - Queue entry ID
+   */
+  async handleCancelQueued(bot, chatId, telegramUserId, entryId) {
+    const getOrderQueueService = require('../services/OrderQueueService');
+    const cancelled = await getOrderQueueService(bot).cancel(entryId, telegramUserId);
+
+    const session = this.getSession(chatId);
+    if (cancelled && session && session.queueEntryId === entryId) {
       this.clearSession(chatId);
     }
+
+    await bot.sendMessage(chatId,
+      cancelled
+        ? '❌ *Order cancelled*\n\nIt was removed from the queue.'
+        : '⚠️ This order has already started or ended.',
+      { parse_mode: 'Markdown' }
+    );
   }
 
   /**
-   * Handle Schedule Order - Ask for date/time
+   * Handle Schedule Order - Ask for date/time or a recurrence (in the user's timezone)
    * @param {Object} bot - Telegram bot instance
    * @param {number} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
    */
-  async handleScheduleOrder(bot, chatId) {
+  async handleScheduleOrder(bot, chatId, telegramUserId) {
     const session = this.getSession(chatId);
     if (!session) return;
 
     this.updateSession(chatId, { step: 'enter_schedule_time' });
 
-    // Show current Egypt time (UTC+2)
-    const nowUTC = new Date();
-    const EGYPT_OFFSET_HOURS = 2;
-    const nowEgypt = new Date(nowUTC.getTime() + (EGYPT_OFFSET_HOURS * 60 * 60 * 1000));
-    const currentEgyptTime = `${String(nowEgypt.getUTCDate()).padStart(2, '0')}/${String(nowEgypt.getUTCMonth() + 1).padStart(2, '0')} ${String(nowEgypt.getUTCHours()).padStart(2, '0')}:${String(nowEgypt.getUTCMinutes()).padStart(2, '0')}`;
+    const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
 
     await bot.sendMessage(chatId,
       `⏰ *Enter Time*\n\n` +
-      `Format: DD/MM HH:MM\n` +
-      `Example: 20/02 14:30\n\n` +
-      `📍 Current Egypt time: \`${currentEgyptTime}\`\n\n`,
+      `Once: DD/MM HH:MM (e.g. 20/02 14:30)\n\n` +
+      `Repeat:\n` +
+      `• \`daily 10:00\`\n` +
+      `• \`mon,thu 18:30\` or \`weekdays 09:00\`\n` +
+      `• \`cron 0 10 * * 1-5\`\n\n` +
+      `📍 Now in ${messageFormatter.formatTimeZone(timeZone)}: \`${messageFormatter.formatDateTime(new Date(), timeZone)}\`\n` +
+      `Change your timezone in /settings.\n\n`,
       { parse_mode: 'Markdown' }
     );
   }
 
   /**
-   * Handle Schedule Time Input
+   * Handle Schedule Time Input (one-off date/time or recurrence)
    * @param {Object} bot - Telegram bot instance
    * @param {number} chatId - Chat ID
    * @param {string} telegramUserId - Telegram user ID
-   * @param {string} text - DateTime input
+   * @param {string} text - DateTime or recurrence input
    */
   async handleScheduleTimeInput(bot, chatId, telegramUserId, text) {
     const session = this.getSession(chatId);
@@ -1456,70 +2801,23 @@ class OrderFlowHandler {
     const db = require('../services/DatabaseService');
 
     try {
-      // Parse datetime - Format: DD/MM HH:MM (auto-add current year)
-      const dateTimeRegex = /^(\d{1,2})\/(\d{1,2})\s+(\d{1,2}):(\d{1,2})$/;
-      const match = text.trim().match(dateTimeRegex);
-
-      if (!match) {
-        await bot.sendMessage(chatId,
-          `❌ *INVALID FORMAT*\n\n` +
-          `Use: DD/MM HH:MM (Example: 20/02 14:30)`,
-          { parse_mode: 'Markdown' }
-        );
-        return;
-      }
-
-      // IMPORTANT: User enters Egypt time (UTC+2), convert to UTC for database
-      // This works regardless of where the server is located (Egypt, London, etc.)
-      const nowUTC = new Date();
-      const EGYPT_OFFSET_HOURS = 2;
-      const nowEgypt = new Date(nowUTC.getTime() + (EGYPT_OFFSET_HOURS * 60 * 60 * 1000));
-      const year = nowEgypt.getUTCFullYear(); // Auto-add current year
-      const day = parseInt(match[1]);
-      const month = parseInt(match[2]) - 1; // JS months are 0-indexed
-      const hour = parseInt(match[3]);
-      const minute = parseInt(match[4]);
-
-      // Validate hour and minute ranges
-      if (hour < 0 || hour > 23 || minute < 0 || minute > 59) {
-        await bot.sendMessage(chatId,
-          `❌ *INVALID TIME*\n\n` +
-          `Hour must be 0-23, minute must be 0-59`,
-          { parse_mode: 'Markdown' }
-        );
-        return;
-      }
-
-      // Interpret user's input as Egypt time and convert to UTC
-      // Example: User enters "20/02 14:30" Egypt → Store as "12:30 UTC"
-      const egyptTimeAsUTC = Date.UTC(year, month, day, hour, minute, 0);
-      const scheduledTimeUTC = egyptTimeAsUTC - (EGYPT_OFFSET_HOURS * 60 * 60 * 1000);
-      const scheduledTime = new Date(scheduledTimeUTC);
-
-      logger.debug(`User entered: ${match[0]} Egypt time → Storing as: ${scheduledTime.toISOString()} UTC`);
-
-      // Validate not in the past (compare in UTC)
-      if (scheduledTime <= nowUTC) {
-        // Show current Egypt time for reference
-        const nowEgyptTime = new Date(nowUTC.getTime() + (EGYPT_OFFSET_HOURS * 60 * 60 * 1000));
-        const displayTime = `${String(nowEgyptTime.getUTCDate()).padStart(2, '0')}/${String(nowEgyptTime.getUTCMonth() + 1).padStart(2, '0')} ${String(nowEgyptTime.getUTCHours()).padStart(2, '0')}:${String(nowEgyptTime.getUTCMinutes()).padStart(2, '0')}`;
-
-        await bot.sendMessage(chatId,
-          `❌ *INVALID TIME*\n\n` +
-          `Must be in future. Current Egypt time: ${displayTime}`,
-          { parse_mode: 'Markdown' }
-        );
-        return;
-      }
+      const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+      const schedule = await this.resolveScheduleInput(bot, chatId, text, timeZone);
+      if (!schedule) return;
+      const { scheduledTime, recurrence } = schedule;
 
-      // Validate not too far in the future (e.g., max 30 days)
-      const maxDays = 30;
-      const maxTime = new Date(Date.now() + maxDays * 24 * 60 * 60 * 1000);
-      if (scheduledTime > maxTime) {
-        await bot.sendMessage(chatId,
-          `❌ *TOO FAR AHEAD*\n\nMax: ${maxDays} days`,
-          { parse_mode: 'Markdown' }
-        );
+      // Enforce the spending limits of the scheduled day (including other pending schedules)
+      const limitCheck = await spendingLimitService.checkOrder({
+        telegramUserId,
+        gameName: session.gameName,
+        quantity: session.quantity,
+        unitGold: session.unitGold,
+        at: scheduledTime,
+        includeScheduled: true
+      });
+      if (!limitCheck.allowed) {
+        const dayLabel = `on ${messageFormatter.formatDateTime(scheduledTime, timeZone).split(' ')[0]}`;
+        await this.sendSpendingLimitExceeded(bot, chatId, limitCheck, session.quantity, dayLabel);
         return;
       }
 
@@ -1533,7 +2831,11 @@ class OrderFlowHandler {
         cardValue: session.cardName,
         cardIndex: session.cardIndex,
         quantity: session.quantity,
-        scheduledTime: scheduledTime
+        unitGold: session.unitGold,
+        accountUserId: session.accountUserId || null,
+        scheduledTime: scheduledTime,
+        recurrence: recurrence ? recurrence.cron : null,
+        timeZone
       });
 
       // Ensure scheduled order monitoring is active
@@ -1543,19 +2845,27 @@ class OrderFlowHandler {
         await scheduledOrderService.ensureMonitoring();
       }
 
-      logger.info(`Scheduled order #${scheduledOrderId} created for ${scheduledTime.toISOString()} (UTC)`);
+      logger.info(
+        `Scheduled order #${scheduledOrderId} created for ${scheduledTime.toISOString()} (UTC)` +
+        (recurrence ? `, repeating "${recurrence.cron}" in ${timeZone}` : '')
+      );
+
+      const displayTime = `${messageFormatter.formatDateTime(scheduledTime, timeZone, { withYear: true })} (${timeZone})`;
 
-      // Convert back to Egypt time for display
-      const egyptDisplayTime = new Date(scheduledTime.getTime() + (EGYPT_OFFSET_HOURS * 60 * 60 * 1000));
-      const egyptTimeStr = `${egyptDisplayTime.getUTCFullYear()}-${String(egyptDisplayTime.getUTCMonth() + 1).padStart(2, '0')}-${String(egyptDisplayTime.getUTCDate()).padStart(2, '0')} ${String(egyptDisplayTime.getUTCHours()).padStart(2, '0')}:${String(egyptDisplayTime.getUTCMinutes()).padStart(2, '0')}`;
+      const header = recurrence
+        ? `✅ *RECURRING ORDER SCHEDULED* #${scheduledOrderId}\n\n` +
+          `🔁 ${describeRecurrence(recurrence.cron)}\n` +
+          `⏭️ Next run: ${displayTime}\n`
+        : `✅ *ORDER SCHEDULED* #${scheduledOrderId}\n\n` +
+          `📍 ${displayTime}\n`;
 
       await bot.sendMessage(chatId,
-        `✅ *ORDER SCHEDULED* #${scheduledOrderId}\n\n` +
-        `📍 ${egyptTimeStr} (Egypt time)\n` +
+        header +
         `🎮 ${session.gameName}\n` +
         `💎 ${session.cardName}\n` +
         `🔢 ${session.quantity}\n\n` +
-        `You'll be notified when it starts.\n\n`,
+        `You'll be notified when it starts.\n` +
+        `Edit, pause or delete it with /schedule.\n\n`,
         { parse_mode: 'Markdown' }
       );
 
@@ -1571,6 +2881,108 @@ class OrderFlowHandler {
       );
     }
   }
+
+  /**
+   * Parse a schedule entered by the user (one-off date/time or recurrence), telling the user what is wrong.
+   * Also used when editing the time of an existing schedule.
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {string} text - DateTime or recurrence input
+   * @param {string} timeZone - IANA timezone the input is in
+   * @returns {Promise<{scheduledTime: Date, recurrence: {cron: string}|null}|null>} First run in UTC, or null if invalid
+   */
+  async resolveScheduleInput(bot, chatId, text, timeZone) {
+    let recurrence;
+    try {
+      recurrence = parseRecurrence(text);
+    } catch (parseErr) {
+      await bot.sendMessage(chatId,
+        `❌ *INVALID SCHEDULE*\n\n${parseErr.message}`,
+        { parse_mode: 'Markdown' }
+      );
+      return null;
+    }
+
+    // Recurring: first run is the next match; one-off: the date/time entered
+    const scheduledTime = recurrence
+      ? getNextRun(recurrence.cron, new Date(), timeZone)
+      : await this.parseScheduleTime(bot, chatId, text, timeZone);
+    if (!scheduledTime) return null;
+
+    return { scheduledTime, recurrence };
+  }
+
+  /**
+   * Parse a one-off schedule time (DD/MM HH:MM in the user's timezone), telling the user what is wrong
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID
+   * @param {string} text - DateTime input
+   * @param {string} timeZone - IANA timezone the time is entered in
+   * @returns {Promise<Date|null>} Scheduled time in UTC, or null if invalid
+   */
+  async parseScheduleTime(bot, chatId, text, timeZone) {
+    // Parse datetime - Format: DD/MM HH:MM (auto-add current year)
+    const dateTimeRegex = /^(\d{1,2})\/(\d{1,2})\s+(\d{1,2}):(\d{1,2})$/;
+    const match = text.trim().match(dateTimeRegex);
+
+    if (!match) {
+      await bot.sendMessage(chatId,
+        `❌ *INVALID FORMAT*\n\n` +
+        `Use: DD/MM HH:MM (Example: 20/02 14:30)\n` +
+        `or a repeat like \`daily 10:00\``,
+        { parse_mode: 'Markdown' }
+      );
+      return null;
+    }
+
+    // IMPORTANT: User enters wall-clock time in their timezone, convert to UTC for database
+    // This works regardless of where the server is located and across DST changes
+    const nowUTC = new Date();
+    const year = getZonedParts(nowUTC, timeZone).year; // Auto-add current year
+    const day = parseInt(match[1]);
+    const month = parseInt(match[2]);
+    const hour = parseInt(match[3]);
+    const minute = parseInt(match[4]);
+
+    // Validate hour and minute ranges
+    if (hour < 0 || hour > 23 || minute < 0 || minute > 59) {
+      await bot.sendMessage(chatId,
+        `❌ *INVALID TIME*\n\n` +
+        `Hour must be 0-23, minute must be 0-59`,
+        { parse_mode: 'Markdown' }
+      );
+      return null;
+    }
+
+    // Interpret user's input in their timezone and convert to UTC
+    // Example: User in Africa/Cairo (summer, UTC+3) enters "20/07 14:30" → Store as "11:30 UTC"
+    const scheduledTime = zonedTimeToUtc({ year, month, day, hour, minute }, timeZone);
+
+    logger.debug(`User entered: ${match[0]} ${timeZone} → Storing as: ${scheduledTime.toISOString()} UTC`);
+
+    // Validate not in the past (compare in UTC)
+    if (scheduledTime <= nowUTC) {
+      await bot.sendMessage(chatId,
+        `❌ *INVALID TIME*\n\n` +
+        `Must be in future. Current time (${timeZone}): ${messageFormatter.formatDateTime(nowUTC, timeZone)}`,
+        { parse_mode: 'Markdown' }
+      );
+      return null;
+    }
+
+    // Validate not too far in the future (e.g., max 30 days)
+    const maxDays = 30;
+    const maxTime = new Date(Date.now() + maxDays * 24 * 60 * 60 * 1000);
+    if (scheduledTime > maxTime) {
+      await bot.sendMessage(chatId,
+        `❌ *TOO FAR AHEAD*\n\nMax: ${maxDays} days`,
+        { parse_mode: 'Markdown' }
+      );
+      return null;
+    }
+
+    return scheduledTime;
+  }
 }
 // Export singleton instance
 module.exports = new OrderFlowHandler();
@@ -2,22 +2,47 @@
  * Order History Handler
  * 
  * Handles order history pagination and PIN retrieval
- * - Shows order history one per page with navigation
- * - Generates TXT files with decrypted PINs
+ * - Shows order history one per page with navigation, or as a compact list of several orders per page
+ * - Narrows the history by date, game, card, status and minimum quantity
+ *   (a /history query or the inline filter menu)
+ * - Generates PIN files with decrypted PINs in the user's format (TXT, CSV or JSON),
+ *   plain or in an encrypted ZIP (the user's setting, or the other choice from its own button)
  */
 
 const databaseService = require('../services/DatabaseService');
+const razerAccountService = require('../services/RazerAccountService');
+const userPreferencesService = require('../services/UserPreferencesService');
+const authService = require('../services/AuthorizationService');
+const { Order } = require('../models/DatabaseModels');
+const messageFormatter = require('../utils/MessageFormatter');
 const encryptionService = require('../utils/encryption');
+const fileGenerator = require('../utils/FileGenerator');
+const {
+  ORDER_STATUSES,
+  getRecentDaysFilter,
+  getDayFilter,
+  hasHistoryFilters,
+  describeHistoryFilters
+} = require('../utils/historyQuery');
 const logger = require('../utils/logger');
 const fs = require('fs').promises;
 const path = require('path');
 
+const LIST_PAGE_SIZE = 8;
+const MIN_QUANTITY_OPTIONS = [5, 10, 25, 50, 100];
+const MAX_FILTER_OPTIONS = 30;
+
 class OrderHistoryHandler {
   constructor() {
-    // Track current page for each user
+    // Track current page for each user (an order in detail view, a page of orders in list view)
     this.userPages = new Map(); // chatId -> currentPage (0-indexed)
     // Track order history message IDs for deletion
     this.historyMessages = new Map(); // chatId -> messageId
+    // Active filters and view for each user
+    this.userFilters = new Map(); // chatId -> filters (see historyQuery.parseHistoryQuery)
+    this.userViews = new Map(); // chatId -> 'detail' | 'list'
+    // Game / card filter buttons carry an index into these (callback data is limited to 64 bytes)
+    this.filterOptions = new Map(); // chatId -> {games: string[], cards: string[]}
   }
 
   /**
@@ -41,6 +66,60 @@ class OrderHistoryHandler {
     this.userPages.set(chatId, page);
   }
 
+  /**
+   * Get the user's active history filters
+   * @param {string} chatId - Chat ID
+   * @returns {Object} Filters ({} = all orders)
+   */
+  getFilters(chatId) {
+    return this.userFilters.get(chatId) || {};
+  }
+
+  /**
+   * Replace the user's history filters and go back to the first page
+   * @param {string} chatId - Chat ID
+   * @param {Object} filters - Filters (see historyQuery.parseHistoryQuery)
+   */
+  setFilters(chatId, filters) {
+    this.userFilters.set(chatId, filters);
+    this.setCurrentPage(chatId, 0);
+  }
+
+  /**
+   * Get the user's history view
+   * @param {string} chatId - Chat ID
+   * @returns {'detail'|'list'} One order per page, or a compact list
+   */
+  getView(chatId) {
+    return this.userViews.get(chatId) || 'detail';
+  }
+
+  /**
+   * Set the user's history view
+   * @param {string} chatId - Chat ID
+   * @param {'detail'|'list'} view - View
+   */
+  setView(chatId, view) {
+    this.userViews.set(chatId, view);
+  }
+
+  /**
+   * Delete the last history message (history page or filter menu)
+   * @param {Object} bot - Telegram bot instance
+   * @param {string} chatId - Chat ID
+   */
+  async deleteHistoryMessage(bot, chatId) {
+    const historyMsgId = this.historyMessages.get(chatId);
+    if (historyMsgId) {
+      try {
+        await bot.deleteMessage(chatId, historyMsgId);
+        this.historyMessages.delete(chatId);
+      } catch (delErr) {
+        logger.debug('Could not delete history message');
+      }
+    }
+  }
+
   /**
    * Show order history for user
    * @param {Object} bot - Telegram bot instance
@@ -50,11 +129,31 @@ class OrderHistoryHandler {
   async showOrderHistory(bot, chatId, telegramUserId) {
     try {
       const currentPage = this.getCurrentPage(chatId);
+      const filters = this.getFilters(chatId);
+      const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+      const filterLine = hasHistoryFilters(filters) ? `🔎 ${describeHistoryFilters(filters, timeZone)}\n` : '';
 
       // Get total count of orders for this user
-      const totalOrders = await databaseService.getUserOrderCount(telegramUserId);
+      const totalOrders = await databaseService.getUserOrderCount(telegramUserId, filters);
 
       if (totalOrders === 0) {
+        if (filterLine) {
+          const emptyMsg = await bot.sendMessage(chatId,
+            `🔎 *No matching orders*\n${filterLine}`,
+            {
+              parse_mode: 'Markdown',
+              reply_markup: {
+                inline_keyboard: [[
+                  { text: '🔎 Filters', callback_data: 'history_f_menu' },
+                  { text: '🧹 Show all', callback_data: 'history_f_clear' }
+                ]]
+              }
+            }
+          );
+          this.historyMessages.set(chatId, emptyMsg.message_id);
+          return;
+        }
+
         await bot.sendMessage(chatId,
           `📋 *No orders yet*\nUse /start`,
           { parse_mode: 'Markdown' }
@@ -62,8 +161,13 @@ class OrderHistoryHandler {
         return;
       }
 
+      if (this.getView(chatId) === 'list') {
+        await this.showOrderList(bot, chatId, telegramUserId, totalOrders, filterLine);
+        return;
+      }
+
       // Get order at current page (1 order per page, sorted by newest first)
-      const orders = await databaseService.getUserOrdersPaginated(telegramUserId, 1, currentPage);
+      const orders = await databaseService.getUserOrdersPaginated(telegramUserId, 1, currentPage, filters);
 
       if (orders.length === 0) {
         // Invalid page, reset to 0
@@ -81,15 +185,24 @@ class OrderHistoryHandler {
       const successCount = purchases.filter(p => p.status === 'success').length;
       const failedCount = purchases.filter(p => p.status === 'failed').length;
 
+      // Razer account that bought the order (only worth showing with several accounts)
+      const accounts = await razerAccountService.listAccounts();
+      const orderAccountUserId = databaseService.normalizeSharedOperatorId(order.account_user_id);
+      const accountLine = accounts.length > 1
+        ? `🏦 ${razerAccountService.formatAccountLabel(accounts.find(a => a.account_user_id === orderAccountUserId))}\n`
+        : '';
+
       // Format order details
       const orderMessage =
         `📋 *ORDER* #${order.id}\n` +
-        `📅 ${new Date(order.created_at).toLocaleString()}\n` +
+        `📅 ${messageFormatter.formatDateTime(order.created_at, timeZone, { withYear: true })}\n` +
         `🎮 ${order.game_name}\n` +
         `💎 ${order.card_value}\n` +
         `📦 ${order.cards_count} cards\n` +
+        accountLine +
         `✅ ${successCount} | ❌ ${failedCount}\n` +
         `📊 ${order.status}\n\n` +
+        filterLine +
         `Page ${currentPage + 1}/${totalOrders}`;
 
       // Create navigation buttons
@@ -112,9 +225,24 @@ class OrderHistoryHandler {
 
       // Get Pins button (only show if there are successful purchases)
       if (successCount > 0) {
-        buttons.push([{ text: '📥 Get PINs (TXT)', callback_data: `history_get_pins_${order.id}` }]);
+        const fileFormat = await userPreferencesService.getPinFileFormat(telegramUserId);
+        const isEncrypted = (await userPreferencesService.getPinArchiveMode(telegramUserId)) !== 'off';
+        buttons.push([
+          { text: `📥 Get PINs (${fileFormat.toUpperCase()}${isEncrypted ? ', ZIP' : ''})`, callback_data: `history_get_pins_${order.id}` },
+          isEncrypted
+            ? { text: '📄 Plain', callback_data: `history_pins_plain_${order.id}` }
+            : { text: '🔒 ZIP', callback_data: `history_pins_zip_${order.id}` }
+        ]);
       }
 
+      // Buy the same game, card and quantity again
+      buttons.push([{ text: '🔁 Reorder', callback_data: `history_reorder_${order.id}` }]);
+
+      buttons.push([
+        { text: '🔎 Filters', callback_data: 'history_f_menu' },
+        { text: '📃 List', callback_data: 'history_view_list' }
+      ]);
+
       const historyMsg = await bot.sendMessage(chatId, orderMessage, {
         parse_mode: 'Markdown',
         reply_markup: { inline_keyboard: buttons }
@@ -129,6 +257,68 @@ class OrderHistoryHandler {
     }
   }
 
+  /**
+   * Show a page of the compact order list (several orders per page, newest first)
+   * @param {Object} bot - Telegram bot instance
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} totalOrders - Matching order count
+   * @param {string} filterLine - Active filters line ('' = none)
+   */
+  async showOrderList(bot, chatId, telegramUserId, totalOrders, filterLine) {
+    const pageCount = Math.ceil(totalOrders / LIST_PAGE_SIZE);
+    const currentPage = Math.min(this.getCurrentPage(chatId), pageCount - 1);
+    this.setCurrentPage(chatId, currentPage);
+
+    const firstIndex = currentPage * LIST_PAGE_SIZE;
+    const orders = await databaseService.getUserOrdersPaginated(
+      telegramUserId, LIST_PAGE_SIZE, firstIndex, this.getFilters(chatId)
+    );
+    const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+
+    const lines = orders.map(order =>
+      `*#${order.id}* ${messageFormatter.formatDateTime(order.created_at, timeZone)} · ` +
+      `${order.game_name} · ${order.card_value} ×${order.cards_count} · ${order.getStatusDisplay()}`
+    );
+
+    const listMessage =
+      `📋 *ORDERS* (${totalOrders})\n` +
+      filterLine + '\n' +
+      lines.join('\n') + '\n\n' +
+      `Page ${currentPage + 1}/${pageCount}`;
+
+    // One button per order opens it in detail view
+    const buttons = [];
+    for (let i = 0; i < orders.length; i += 4) {
+      buttons.push(orders.slice(i, i + 4).map((order, offset) => ({
+        text: `#${order.id}`,
+        callback_data: `history_open_${firstIndex + i + offset}`
+      })));
+    }
+
+    const navRow = [];
+    if (currentPage > 0) {
+      navRow.push({ text: '⬅️ Prev', callback_data: 'history_prev' });
+    }
+    if (currentPage < pageCount - 1) {
+      navRow.push({ text: 'Next ➡️', callback_data: 'history_next' });
+    }
+    if (navRow.length > 0) {
+      buttons.push(navRow);
+    }
+
+    buttons.push([
+      { text: '🔎 Filters', callback_data: 'history_f_menu' },
+      { text: '📄 Details', callback_data: 'history_view_detail' }
+    ]);
+
+    const historyMsg = await bot.sendMessage(chatId, listMessage, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: buttons }
+    });
+    this.historyMessages.set(chatId, historyMsg.message_id);
+  }
+
   /**
    * Handle navigation to next order
    * @param {Object} bot - Telegram bot instance
@@ -137,15 +327,7 @@ class OrderHistoryHandler {
    */
   async handleNext(bot, chatId, telegramUserId) {
     // Delete the previous history message
-    const historyMsgId = this.historyMessages.get(chatId);
-    if (historyMsgId) {
-      try {
-        await bot.deleteMessage(chatId, historyMsgId);
-        this.historyMessages.delete(chatId);
-      } catch (delErr) {
-        logger.debug('Could not delete history message');
-      }
-    }
+    await this.deleteHistoryMessage(bot, chatId);
 
     const currentPage = this.getCurrentPage(chatId);
     this.setCurrentPage(chatId, currentPage + 1);
@@ -160,15 +342,7 @@ class OrderHistoryHandler {
    */
   async handlePrev(bot, chatId, telegramUserId) {
     // Delete the previous history message
-    const historyMsgId = this.historyMessages.get(chatId);
-    if (historyMsgId) {
-      try {
-        await bot.deleteMessage(chatId, historyMsgId);
-        this.historyMessages.delete(chatId);
-      } catch (delErr) {
-        logger.debug('Could not delete history message');
-      }
-    }
+    await this.deleteHistoryMessage(bot, chatId);
 
     const currentPage = this.getCurrentPage(chatId);
     this.setCurrentPage(chatId, Math.max(0, currentPage - 1));
@@ -176,16 +350,267 @@ class OrderHistoryHandler {
   }
 
   /**
-   * Generate and send TXT file with PINs
+   * Switch between one order per page and the compact list, keeping the position
+   * @param {Object} bot - Telegram bot instance
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {'detail'|'list'} view - View to show
+   */
+  async handleViewChange(bot, chatId, telegramUserId, view) {
+    await this.deleteHistoryMessage(bot, chatId);
+
+    const currentPage = this.getCurrentPage(chatId);
+    if (view !== this.getView(chatId)) {
+      this.setCurrentPage(chatId, view === 'list'
+        ? Math.floor(currentPage / LIST_PAGE_SIZE)
+        : currentPage * LIST_PAGE_SIZE);
+    }
+    this.setView(chatId, view);
+    await this.showOrderHistory(bot, chatId, telegramUserId);
+  }
+
+  /**
+   * Open an order from the compact list in detail view
+   * @param {Object} bot - Telegram bot instance
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} index - Position of the order in the filtered history (0 = newest)
+   */
+  async handleOpenOrder(bot, chatId, telegramUserId, index) {
+    await this.deleteHistoryMessage(bot, chatId);
+
+    this.setView(chatId, 'detail');
+    this.setCurrentPage(chatId, Number.isInteger(index) && index >= 0 ? index : 0);
+    await this.showOrderHistory(bot, chatId, telegramUserId);
+  }
+
+  /**
+   * Show the filter menu (date presets, game, card, status, minimum quantity)
+   * @param {Object} bot - Telegram bot instance
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   */
+  async showFilterMenu(bot, chatId, telegramUserId) {
+    try {
+      await this.deleteHistoryMessage(bot, chatId);
+
+      const filters = this.getFilters(chatId);
+      const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+      const matchingOrders = await databaseService.getUserOrderCount(telegramUserId, filters);
+      const mark = (isSelected, text) => (isSelected ? `• ${text}` : text);
+
+      const menuMessage =
+        `🔎 *HISTORY FILTERS*\n` +
+        `${describeHistoryFilters(filters, timeZone) || 'No filters'}\n` +
+        `📋 Matching orders: ${matchingOrders}\n\n` +
+        `_Or type: /history pubg date:tuesday min:5_`;
+
+      const statusButtons = [...ORDER_STATUSES, null].map(status => ({
+        text: mark((filters.status || null) === status, status ? new Order({ status }).getStatusDisplay() : 'Any status'),
+        callback_data: `history_f_status_${status || 'any'}`
+      }));
+      const minButtons = [...MIN_QUANTITY_OPTIONS, null].map(min => ({
+        text: mark((filters.minQuantity || null) === min, min ? `${min}+` : 'Any qty'),
+        callback_data: `history_f_min_${min || 'any'}`
+      }));
+
+      const buttons = [
+        [
+          { text: '📅 Today', callback_data: 'history_f_date_today' },
+          { text: 'Yesterday', callback_data: 'history_f_date_yesterday' },
+          { text: '7 days', callback_data: 'history_f_date_7' },
+          { text: '30 days', callback_data: 'history_f_date_30' },
+          { text: 'Any date', callback_data: 'history_f_date_any' }
+        ],
+        [
+          { text: `🎮 ${filters.gameName || 'Any game'}`, callback_data: 'history_f_games' },
+          { text: `💎 ${filters.cardValue || filters.cardSearch || 'Any card'}`, callback_data: 'history_f_cards' }
+        ],
+        statusButtons.slice(0, 3),
+        statusButtons.slice(3),
+        minButtons.slice(0, 3),
+        minButtons.slice(3),
+        [
+          { text: '🧹 Show all', callback_data: 'history_f_clear' },
+          { text: `🔎 Show ${matchingOrders}`, callback_data: 'history_f_apply' }
+        ]
+      ];
+
+      const menuMsg = await bot.sendMessage(chatId, menuMessage, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: buttons }
+      });
+      this.historyMessages.set(chatId, menuMsg.message_id);
+    } catch (err) {
+      logger.error('Error showing history filters:', err);
+      await bot.sendMessage(chatId, '❌ Error loading filters.');
+    }
+  }
+
+  /**
+   * Show the games or cards the user has ordered, to filter by one
    * @param {Object} bot - Telegram bot instance
    * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {'games'|'cards'} kind - Which picker
+   */
+  async showFilterOptions(bot, chatId, telegramUserId, kind) {
+    try {
+      await this.deleteHistoryMessage(bot, chatId);
+
+      const filters = this.getFilters(chatId);
+      const rows = await databaseService.getUserOrderGameCards(telegramUserId);
+
+      // Cards of the picked game only
+      const gameText = (filters.gameName || '').toLowerCase();
+      const values = kind === 'games'
+        ? rows.map(row => row.game_name)
+        : rows.filter(row => !gameText || String(row.game_name).toLowerCase().includes(gameText)).map(row => row.card_value);
+      const options = [...new Set(values)].slice(0, MAX_FILTER_OPTIONS);
+
+      const stored = this.filterOptions.get(chatId) || { games: [], cards: [] };
+      stored[kind] = options;
+      this.filterOptions.set(chatId, stored);
+
+      const prefix = kind === 'games' ? 'history_f_game_' : 'history_f_card_';
+      const perRow = kind === 'games' ? 1 : 2;
+      const buttons = [];
+      for (let i = 0; i < options.length; i += perRow) {
+        buttons.push(options.slice(i, i + perRow).map((option, offset) => ({
+          text: option,
+          callback_data: `${prefix}${i + offset}`
+        })));
+      }
+      buttons.push([
+        { text: kind === 'games' ? 'Any game' : 'Any card', callback_data: `${prefix}any` },
+        { text: '⬅️ Back', callback_data: 'history_f_menu' }
+      ]);
+
+      const title = kind === 'games' ? '🎮 *Filter by game*' : '💎 *Filter by card*';
+      const optionsMsg = await bot.sendMessage(chatId, options.length > 0 ? title : `${title}\nNo orders to pick from.`, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: buttons }
+      });
+      this.historyMessages.set(chatId, optionsMsg.message_id);
+    } catch (err) {
+      logger.error('Error showing history filter options:', err);
+      await bot.sendMessage(chatId, '❌ Error loading filters.');
+    }
+  }
+
+  /**
+   * Handle filter menu buttons (history_f_*)
+   * @param {Object} bot - Telegram bot instance
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} callbackData - Callback data
+   */
+  async handleFilterCallback(bot, chatId, telegramUserId, callbackData) {
+    const action = callbackData.replace('history_f_', '');
+    const filters = { ...this.getFilters(chatId) };
+
+    if (action === 'menu') {
+      await this.showFilterMenu(bot, chatId, telegramUserId);
+      return;
+    }
+
+    if (action === 'games' || action === 'cards') {
+      await this.showFilterOptions(bot, chatId, telegramUserId, action);
+      return;
+    }
+
+    if (action === 'apply' || action === 'clear') {
+      if (action === 'clear') {
+        this.setFilters(chatId, {});
+      }
+      this.setCurrentPage(chatId, 0);
+      await this.deleteHistoryMessage(bot, chatId);
+      await this.showOrderHistory(bot, chatId, telegramUserId);
+      return;
+    }
+
+    const [, kind, value] = action.match(/^(date|game|card|status|min)_(.+)$/) || [];
+    const options = this.filterOptions.get(chatId) || { games: [], cards: [] };
+
+    switch (kind) {
+      case 'date': {
+        delete filters.since;
+        delete filters.until;
+        const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+        if (value === 'today' || value === 'yesterday') {
+          Object.assign(filters, getDayFilter(value === 'today' ? 0 : 1, timeZone));
+        } else if (value !== 'any') {
+          Object.assign(filters, getRecentDaysFilter(parseInt(value, 10), timeZone));
+        }
+        break;
+      }
+      case 'game':
+        // A different game has different cards
+        delete filters.cardValue;
+        delete filters.cardSearch;
+        if (value === 'any') {
+          delete filters.gameName;
+        } else if (options.games[parseInt(value, 10)]) {
+          filters.gameName = options.games[parseInt(value, 10)];
+        }
+        break;
+      case 'card':
+        delete filters.cardSearch;
+        if (value === 'any') {
+          delete filters.cardValue;
+        } else if (options.cards[parseInt(value, 10)]) {
+          filters.cardValue = options.cards[parseInt(value, 10)];
+        }
+        break;
+      case 'status':
+        if (ORDER_STATUSES.includes(value)) {
+          filters.status = value;
+        } else {
+          delete filters.status;
+        }
+        break;
+      case 'min':
+        if (MIN_QUANTITY_OPTIONS.includes(parseInt(value, 10))) {
+          filters.minQuantity = parseInt(value, 10);
+        } else {
+          delete filters.minQuantity;
+        }
+        break;
+      default:
+        logger.warn(`Unknown history filter callback: ${callbackData}`);
+        return;
+    }
+
+    this.setFilters(chatId, filters);
+    await this.showFilterMenu(bot, chatId, telegramUserId);
+  }
+
+  /**
+   * Check whether a user may see an order's PINs
+   * @param {Order} order - Order
+   * @param {string} telegramUserId - Telegram user ID of the requester
+   * @returns {Promise<boolean>} True for the order's owner or an admin
+   */
+  async canAccessOrder(order, telegramUserId) {
+    if (String(order.telegram_user_id) === String(telegramUserId)) {
+      return true;
+    }
+    return (await authService.getRole(telegramUserId)) === authService.ROLES.ADMIN;
+  }
+
+  /**
+   * Generate and send the PIN file in the user's format
+   * @param {Object} bot - Telegram bot instance
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
    * @param {number} orderId - Order ID
+   * @param {boolean|null} encrypt - Encrypted ZIP or plain file (null = the user's setting)
    */
-  async handleGetPins(bot, chatId, orderId) {
+  async handleGetPins(bot, chatId, telegramUserId, orderId, encrypt = null) {
     try {
-      // Get order details
+      // Get order details (only its owner or an admin may download its PINs)
       const order = await databaseService.getOrderById(orderId);
-      if (!order) {
+      if (!order || !(await this.canAccessOrder(order, telegramUserId))) {
         await bot.sendMessage(chatId, '❌ Order not found.');
         return;
       }
@@ -208,23 +633,53 @@ class OrderHistoryHandler {
         return;
       }
 
-      // Decrypt PINs
+      // Decrypt PINs (and serials for CSV / JSON)
       const pins = [];
       for (const purchase of successfulPurchases) {
+        let pinCode;
+        let serialNumber = null;
         try {
-          const decryptedPin = encryptionService.decrypt(purchase.pin_encrypted);
-          pins.push(decryptedPin);
+          pinCode = encryptionService.decrypt(purchase.pin_encrypted);
+          if (purchase.serial_number_encrypted) {
+            serialNumber = encryptionService.decrypt(purchase.serial_number_encrypted);
+          }
         } catch (err) {
           logger.error(`Failed to decrypt PIN for purchase ${purchase.id}:`, err);
-          pins.push('DECRYPTION_FAILED');
+          pinCode = pinCode || 'DECRYPTION_FAILED';
         }
+        pins.push({
+          pinCode,
+          serialNumber,
+          transactionId: purchase.razer_transaction_id,
+          purchasedAt: purchase.purchased_at
+        });
       }
 
-      // Create TXT file content (one PIN per line)
-      const txtContent = pins.join('\n');
+      // Create file content (TXT: one PIN per line)
+      const fileFormat = await userPreferencesService.getPinFileFormat(telegramUserId);
+      const { content, extension, contentType } = fileGenerator.generateFileContent(pins, fileFormat, {
+        orderId: order.id,
+        gameName: order.game_name,
+        cardValue: order.card_value,
+        unitGold: order.unit_gold
+      });
 
       // Create filename
-      const filename = `Order_${orderId}_PINs_${Date.now()}.txt`;
+      const filename = `Order_${orderId}_PINs_${Date.now()}.${extension}`;
+      const caption =
+        `📥 *Order #${orderId} PINs*\n` +
+        `🎮 ${order.game_name}\n` +
+        `💎 ${order.card_value}\n` +
+        `✅ ${pins.length} PINs`;
+
+      const archive = await userPreferencesService.getPinArchive(telegramUserId, encrypt);
+      if (archive) {
+        await fileGenerator.sendEncryptedArchive(bot, chatId, [{ name: filename, content }], archive, {
+          fileName: `Order_${orderId}_PINs_${Date.now()}.zip`,
+          caption
+        });
+        return;
+      }
       const filepath = path.join(__dirname, '..', '..', 'temp', filename);
 
       // Ensure temp directory exists
@@ -236,17 +691,13 @@ class OrderHistoryHandler {
       }
 
       // Write file
-      await fs.writeFile(filepath, txtContent, 'utf8');
+      await fs.writeFile(filepath, content, 'utf8');
 
       // Send file to user
       await bot.sendDocument(chatId, filepath, {
-        caption:
-          `📥 *Order #${orderId} PINs*\n` +
-          `🎮 ${order.game_name}\n` +
-          `💎 ${order.card_value}\n` +
-          `✅ ${pins.length} PINs`,
+        caption,
         parse_mode: 'Markdown'
-      }, { contentType: 'text/plain' });
+      }, { contentType });
 
       // Delete temporary file after sending
       try {
@@ -262,12 +713,15 @@ class OrderHistoryHandler {
   }
 
   /**
-   * Reset pagination for user
+   * Reset pagination, filters and view for user
    * @param {string} chatId - Chat ID
    */
   reset(chatId) {
     this.userPages.delete(chatId);
     this.historyMessages.delete(chatId);
+    this.userFilters.delete(chatId);
+    this.userViews.delete(chatId);
+    this.filterOptions.delete(chatId);
   }
 }
 
@@ -2,23 +2,67 @@
  * TelegramBotController (Simplified)
  *
  * Handles bot interactions with authorized users only
- * No admin panel, no subscription management
+ * Commands and buttons are gated by role permissions (admin / operator / viewer);
+ * admins manage users with /grant, /revoke and /users, and Razer accounts with /accounts and /addaccount
+ * /catalog shows each game's denomination prices and stock history
+ * /watch notifies when a sold-out card is back in stock; /watches lists and cancels watches
+ * /cart builds one order from several games and denominations and buys it in one go
+ * /templates lists saved orders (game, card, quantity) to run with one tap; history entries have a Reorder button
+ * /history [query] searches orders by date, game, card, status and quantity (or its filter menu), one per page or as a list
+ * /schedule lists pending and recurring schedules (edit time/quantity/card, pause, resume, delete) and starts new ones
+ * /settings lets every user pick their timezone, used for schedules, /transactions days and all shown times,
+ * and their PIN file format (TXT, CSV or JSON) for order delivery, /history and /transactions,
+ * plain or in an AES-encrypted ZIP (own passphrase, or a one-time password sent separately)
  * Simple menu: Create Order, Check Balance, Order History
  */
 
 const TelegramBot = require("node-telegram-bot-api");
 const authService = require("../services/AuthorizationService");
+const { ROLES, PERMISSIONS } = authService;
 const sessionManager = require("../services/SessionManager");
 const scraperService = require("../services/RazerScraperService");
 const browserManager = require("../services/BrowserManager");
 const { BrowserBusyError } = require("../services/BrowserManager");
 const orderFlowHandler = require("./OrderFlowHandler");
 const orderHistoryHandler = require("./OrderHistoryHandler");
+const spendingLimitService = require("../services/SpendingLimitService");
+const razerAccountService = require("../services/RazerAccountService");
+const catalogHistoryService = require("../services/CatalogHistoryService");
+const gameCardsService = require("../services/GameCardsService");
+const userPreferencesService = require("../services/UserPreferencesService");
+const { getAllGames, getGameById, getGameByName } = require("../config/games-catalog");
+const { storefronts, getDefaultStorefront } = require("../config/storefronts");
 const fileGenerator = require("../utils/FileGenerator");
+const messageFormatter = require("../utils/MessageFormatter");
 const backupCodeValidator = require("../utils/backupCodeValidator");
+const { describeRecurrence } = require("../utils/recurrence");
+const {
+  parseHistoryQuery,
+  QUERY_HELP: HISTORY_QUERY_HELP,
+} = require("../utils/historyQuery");
+const { getDefaultTimeZone } = require("../utils/timezone");
 const logger = require("../utils/logger");
 const appConfig = require("../config/app-config");
 
+// Encrypted PIN archive modes in /settings
+const PIN_ARCHIVE_LABELS = {
+  off: "Off",
+  one_time: "One-time password",
+  passphrase: "Passphrase",
+};
+
+// Timezones offered as buttons in /settings (any other IANA name can be typed)
+const TIME_ZONE_PRESETS = [
+  "Africa/Cairo",
+  "Asia/Riyadh",
+  "Asia/Dubai",
+  "Europe/Istanbul",
+  "Europe/London",
+  "Europe/Berlin",
+  "America/New_York",
+  "UTC",
+];
+
 class TelegramBotController {
   constructor() {
     this.bot = null;
@@ -95,6 +139,14 @@ class TelegramBotController {
     if (type === "schedule") return "schedule flow";
     if (type === "settings") return "settings update";
     if (type === "info") return "info request";
+    if (type === "history") return "order history";
+    if (type === "users") return "user management";
+    if (type === "limits") return "spending limits";
+    if (type === "accounts") return "Razer accounts";
+    if (type === "catalog") return "catalog history";
+    if (type === "watch") return "stock watch";
+    if (type === "cart") return "cart";
+    if (type === "templates") return "order templates";
     if (type === "callback") return "current action";
     return type;
   }
@@ -173,35 +225,114 @@ class TelegramBotController {
     return false;
   }
 
-  async ensureAuthorized(chatId, telegramUserId) {
+  /**
+   * Check that a user has a role and, optionally, a permission
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string|null} permission - Permission from AuthorizationService.PERMISSIONS
+   * @returns {Promise<boolean>} True if allowed (denial message already sent otherwise)
+   */
+  async ensureAuthorized(chatId, telegramUserId, permission = null) {
     const authResult = await authService.checkAuthorization(telegramUserId);
-    if (authResult.authorized) {
-      return true;
+    if (!authResult.authorized) {
+      await this.bot.sendMessage(chatId, "⛔ Access denied.");
+      return false;
     }
 
-    await this.bot.sendMessage(chatId, "⛔ Access denied.");
-    return false;
+    if (permission && !authService.roleHasPermission(authResult.role, permission)) {
+      await this.bot.sendMessage(
+        chatId,
+        `⛔ Not allowed for your role (${authResult.role}).`,
+      );
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Permission required by a callback button
+   * @param {string} callbackData - Callback data
+   * @returns {string|null} Permission, or null if any authorized user may press it
+   */
+  getCallbackPermission(callbackData) {
+    if (
+      callbackData === "back_to_menu" ||
+      callbackData === "close_menu"
+    ) {
+      return null;
+    }
+
+    // Reorder buys again, so it needs more than viewing history
+    if (callbackData.startsWith("history_reorder_")) {
+      return PERMISSIONS.PURCHASE;
+    }
+
+    if (callbackData.startsWith("history_")) {
+      return PERMISSIONS.VIEW_HISTORY;
+    }
+
+    if (callbackData.startsWith("catalog_")) {
+      return PERMISSIONS.VIEW_INFO;
+    }
+
+    if (
+      callbackData.startsWith("settings_tz") ||
+      callbackData.startsWith("settings_pinfmt") ||
+      callbackData.startsWith("settings_pinzip")
+    ) {
+      return null;
+    }
+
+    // Only the user who queued an order can cancel it (checked by the queue)
+    if (callbackData.startsWith("queue_cancel_")) {
+      return null;
+    }
+
+    if (
+      callbackData === "settings_razer_id" ||
+      callbackData === "update_credentials_cancel"
+    ) {
+      return PERMISSIONS.MANAGE_CREDENTIALS;
+    }
+
+    if (
+      callbackData === "settings_backup_codes" ||
+      callbackData.startsWith("account_codes_")
+    ) {
+      return PERMISSIONS.MANAGE_BACKUP_CODES;
+    }
+
+    if (callbackData.startsWith("account_")) {
+      return PERMISSIONS.MANAGE_CREDENTIALS;
+    }
+
+    if (
+      callbackData === "order_schedule" ||
+      callbackData.startsWith("scheduled_cancel_") ||
+      callbackData.startsWith("schedule_")
+    ) {
+      return PERMISSIONS.SCHEDULE;
+    }
+
+    // order_*, cart_*, template_*, watch_*, recovery_* and login all drive purchases on the Razer account
+    return PERMISSIONS.PURCHASE;
   }
 
   /**
    * Returns an exclusive long-running operation that should block all commands except /cancel.
-   * Sources: active order session in processing step, running balance check, running transactions fetch,
+   * Sources: queued order running in the chat, running balance check, running transactions fetch,
    * or explicit user operation lock for these flows.
    */
   getExclusiveOperation(chatId, telegramUserId) {
     const scopeKey = this.getScopeKey(telegramUserId);
-    const orderSession = orderFlowHandler.getSession(chatId);
-    if (
-      orderSession &&
-      (orderSession.step === "processing" ||
-        orderSession.step === "checking_balance" ||
-        orderSession.step === "cancelling")
-    ) {
+    const runningOrder = orderFlowHandler.getRunningOrder(chatId);
+    if (runningOrder) {
       return {
         id: -1,
         type: "purchase",
         cancellable: true,
-        startedAt: orderSession.lastActivity || Date.now(),
+        startedAt: runningOrder.startedAt,
       };
     }
 
@@ -254,6 +385,7 @@ class TelegramBotController {
     return (
       callbackData === "order_cancel" ||
       callbackData === "order_cancel_processing" ||
+      callbackData.startsWith("queue_cancel_") ||
       callbackData.startsWith("scheduled_cancel_")
     );
   }
@@ -263,7 +395,7 @@ class TelegramBotController {
    * Prevents memory leaks from rate limit tracking
    */
   startRateLimitCleanup() {
-    setInterval(() => {
+    this.rateLimitCleanupTimer = setInterval(() => {
       const now = Date.now();
       const timeout = appConfig.bot.rateLimitEntryTtlMs;
 
@@ -275,16 +407,28 @@ class TelegramBotController {
     }, appConfig.bot.rateLimitCleanupIntervalMs);
   }
 
+  /**
+   * Stop rate limit cleanup
+   */
+  stopRateLimitCleanup() {
+    if (this.rateLimitCleanupTimer) {
+      clearInterval(this.rateLimitCleanupTimer);
+      this.rateLimitCleanupTimer = null;
+    }
+  }
+
   /**
    * Initialize the Telegram bot
    * @param {string} token - Telegram Bot API token
+   * @param {Object} options
+   * @param {Object|null} options.client - Pre-built bot client (e.g. tools/fake-telegram for controller tests)
    */
-  initialize(token) {
-    if (!token) {
+  initialize(token, { client = null } = {}) {
+    if (!token && !client) {
       throw new Error("TELEGRAM_BOT_TOKEN is required");
     }
 
-    this.bot = new TelegramBot(token, { polling: true });
+    this.bot = client || new TelegramBot(token, { polling: true });
     this.installTelegramSendFallback();
     logger.bot("Telegram bot initialized");
 
@@ -452,6 +596,46 @@ class TelegramBotController {
     }
   }
 
+  /**
+   * Add order metadata (game, card, Gold cost, order ID) to /transactions pins bought by this bot.
+   * Other pins keep their transaction description as the denomination.
+   * @param {Object} groupedPins - { description: [{pinCode, serialNumber, txnNum, description, purchasedAt}] }
+   * @returns {Promise<Object>} Grouped pins with metadata
+   */
+  async addTransactionPinMetadata(groupedPins) {
+    const db = require("../services/DatabaseService");
+    const entries = Object.entries(groupedPins || {});
+    const transactionIds = entries.flatMap(([, pins]) => pins.map((pin) => pin.txnNum).filter(Boolean));
+
+    let purchasesByTransaction = new Map();
+    try {
+      const purchases = await db.getPurchasesByTransactionIds(transactionIds);
+      purchasesByTransaction = new Map(
+        purchases.map((purchase) => [String(purchase.razer_transaction_id), purchase]),
+      );
+    } catch (err) {
+      logger.warn(`Could not load order details for transaction PINs: ${err.message}`);
+    }
+
+    return Object.fromEntries(
+      entries.map(([description, pins]) => [
+        description,
+        pins.map((pin) => {
+          const purchase = purchasesByTransaction.get(String(pin.txnNum));
+          return purchase
+            ? {
+                ...pin,
+                gameName: purchase.game_name,
+                cardValue: purchase.card_value,
+                unitGold: purchase.unit_gold,
+                orderId: purchase.order_id,
+              }
+            : { ...pin, cardValue: pin.description };
+        }),
+      ]),
+    );
+  }
+
   /**
    * Register all bot event handlers
    */
@@ -467,7 +651,35 @@ class TelegramBotController {
     this.bot.onText(/\/settings/, (msg) => this.handleSettingsCommand(msg));
     this.bot.onText(/\/schedule/, (msg) => this.handleScheduleCommand(msg));
     this.bot.onText(/\/info/, (msg) => this.handleInfoCommand(msg));
+    this.bot.onText(/\/history(?:\s+(.+))?/, (msg, match) =>
+      this.handleHistoryCommand(msg, match),
+    );
     this.bot.onText(/\/cancel/, (msg) => this.handleCancelCommand(msg));
+    this.bot.onText(/\/grant(?:\s+(\S+))?(?:\s+(\S+))?/, (msg, match) =>
+      this.handleGrantCommand(msg, match),
+    );
+    this.bot.onText(/\/revoke(?:\s+(\S+))?/, (msg, match) =>
+      this.handleRevokeCommand(msg, match),
+    );
+    this.bot.onText(/\/users/, (msg) => this.handleUsersCommand(msg));
+    this.bot.onText(/\/limits(?:\s+(\S+))?/, (msg, match) =>
+      this.handleLimitsCommand(msg, match),
+    );
+    this.bot.onText(
+      /\/setlimit(?:\s+(\S+))?(?:\s+(\S+))?(?:\s+(\S+))?(?:\s+(.+))?/,
+      (msg, match) => this.handleSetLimitCommand(msg, match),
+    );
+    this.bot.onText(/\/accounts/, (msg) => this.handleAccountsCommand(msg));
+    this.bot.onText(/\/addaccount(?:\s+(.+))?/, (msg, match) =>
+      this.handleAddAccountCommand(msg, match),
+    );
+    this.bot.onText(/\/catalog(?:\s+(.+))?/, (msg, match) =>
+      this.handleCatalogCommand(msg, match),
+    );
+    this.bot.onText(/\/watch\b/, (msg) => this.handleWatchCommand(msg));
+    this.bot.onText(/\/watches/, (msg) => this.handleWatchesCommand(msg));
+    this.bot.onText(/\/cart/, (msg) => this.handleCartCommand(msg));
+    this.bot.onText(/\/templates/, (msg) => this.handleTemplatesCommand(msg));
 
     // Handle callback queries (button clicks)
     this.bot.on("callback_query", (query) => this.handleCallbackQuery(query));
@@ -499,8 +711,12 @@ class TelegramBotController {
         return this.bot.sendMessage(chatId, "⏳ Login in progress...");
       }
 
-      // Check if user is authorized (whitelist check)
-      const isAuthorized = await this.ensureAuthorized(chatId, telegramUserId);
+      // Check if user is authorized (role check)
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.PURCHASE,
+      );
       if (!isAuthorized) {
         return;
       }
@@ -654,7 +870,11 @@ class TelegramBotController {
     }
 
     try {
-      const isAuthorized = await this.ensureAuthorized(chatId, telegramUserId);
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.VIEW_BALANCE,
+      );
       if (!isAuthorized) {
         return;
       }
@@ -695,16 +915,53 @@ class TelegramBotController {
     }
 
     const purchaseService = require("../services/PurchaseService");
+    const db = require("../services/DatabaseService");
     const rawText = String(msg.text || "").trim();
-    const dateInput = rawText.replace(/^\/transactions\b/i, "").trim();
+    const args = rawText.replace(/^\/transactions\b/i, "").trim();
+    // Optional "#n" picks the Razer account (default: account 1)
+    const accountMatch = args.match(/\s*#(\d+)$/);
+    const dayArgs = accountMatch ? args.slice(0, accountMatch.index).trim() : args;
+    // Optional storefront ID after the day picks the regional history (default: global)
+    const storefrontMatch = dayArgs.match(/\s+([a-z]+)$/i);
+    const storefront =
+      (storefrontMatch && storefronts[storefrontMatch[1].toLowerCase()]) || null;
+    const dateInput = storefront ? dayArgs.slice(0, storefrontMatch.index).trim() : dayArgs;
+    const storefrontLabel = storefront ? ` [${storefront.id}]` : "";
 
     try {
-      const isAuthorized = await this.ensureAuthorized(chatId, telegramUserId);
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.VIEW_TRANSACTIONS,
+      );
       if (!isAuthorized) {
         return;
       }
 
-      if (!(await this.ensureGlobalPoolReadyOrNotify(chatId, telegramUserId))) {
+      let accountUserId = telegramUserId;
+      let accountLabel = "";
+      if (accountMatch) {
+        const account = await razerAccountService.getAccountByNumber(
+          parseInt(accountMatch[1], 10),
+        );
+        if (!account) {
+          return this.bot.sendMessage(
+            chatId,
+            `⚠️ Razer account #${accountMatch[1]} not found. See /accounts.`,
+          );
+        }
+        accountUserId = account.account_user_id;
+        accountLabel = ` (${razerAccountService.formatAccountLabel(account)})`;
+      }
+
+      if (db.getAccountNumber(accountUserId) > 1) {
+        if (!(await razerAccountService.ensureAccountReady(accountUserId))) {
+          return this.bot.sendMessage(
+            chatId,
+            `❌ Razer account${accountLabel} could not log in. Check its credentials in /accounts.`,
+          );
+        }
+      } else if (!(await this.ensureGlobalPoolReadyOrNotify(chatId, telegramUserId))) {
         return;
       }
 
@@ -718,16 +975,20 @@ class TelegramBotController {
       if (!dateInput) {
         return this.bot.sendMessage(
           chatId,
-          "Use /transactions D/M\nExample: /transactions 2/9",
+          `Use /transactions D/M [storefront] [#account]\n` +
+            `Storefronts: ${Object.keys(storefronts).join(", ")} (default ${getDefaultStorefront().id})\n` +
+            "Example: /transactions 2/9, /transactions 2/9 us or /transactions 2/9 #2",
         );
       }
 
       const fetchController = { cancelled: false };
       this.transactionsFetchControllers.set(scopeKey, fetchController);
 
+      // The day runs midnight to midnight in the requesting user's timezone
+      const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
       const loadingMsg = await this.bot.sendMessage(
         chatId,
-        `⏳ Fetching transactions for ${dateInput}...`,
+        `⏳ Fetching transactions for ${dateInput} (${timeZone})${storefrontLabel}${accountLabel}...`,
       );
       let lastProgressText = "";
 
@@ -774,11 +1035,13 @@ class TelegramBotController {
 
       try {
         const result = await purchaseService.fetchTransactionPinsForDate(
-          telegramUserId,
+          accountUserId,
           dateInput,
           {
             checkCancellation: () => fetchController.cancelled === true,
             onProgress,
+            storefront,
+            timeZone,
           },
         );
 
@@ -814,15 +1077,20 @@ class TelegramBotController {
 
         await this.bot.sendMessage(
           chatId,
-          `${result.cancelled ? "🛑 Partial results (cancelled)" : "📦 Transactions"} for ${result.dateLabel}\nMatched: ${result.matchedTransactions.length}\nPINs fetched: ${totalPins}\nFiles: ${groupedEntries.length}`,
+          `${result.cancelled ? "🛑 Partial results (cancelled)" : "📦 Transactions"} for ${result.dateLabel}${storefrontLabel}${accountLabel}\nMatched: ${result.matchedTransactions.length}\nPINs fetched: ${totalPins}\nFiles: ${groupedEntries.length}`,
         );
 
+        const fileFormat = await userPreferencesService.getPinFileFormat(telegramUserId);
         await fileGenerator.sendGroupedPinFiles(
           this.bot,
           chatId,
-          result.groupedPins,
+          fileFormat === "txt"
+            ? result.groupedPins
+            : await this.addTransactionPinMetadata(result.groupedPins),
           {
             dateLabel: result.dateLabel,
+            fileFormat,
+            archive: await userPreferencesService.getPinArchive(telegramUserId),
           },
         );
 
@@ -894,12 +1162,13 @@ class TelegramBotController {
     }
 
     try {
+      // Every role can pick a timezone; the Razer options depend on permissions
       const isAuthorized = await this.ensureAuthorized(chatId, telegramUserId);
       if (!isAuthorized) {
         return;
       }
 
-      await this.handleSettingsMenu(chatId);
+      await this.handleSettingsMenu(chatId, telegramUserId);
     } catch (err) {
       logger.error("Error in /settings command:", err);
       this.bot.sendMessage(chatId, "❌ Error.");
@@ -909,7 +1178,7 @@ class TelegramBotController {
   }
 
   /**
-   * Handle /schedule command
+   * Handle /schedule command - List the user's schedules, or start a new one if there are none
    * @param {object} msg - Telegram message object
    */
   async handleScheduleCommand(msg) {
@@ -926,31 +1195,20 @@ class TelegramBotController {
     }
 
     try {
-      const isAuthorized = await this.ensureAuthorized(chatId, telegramUserId);
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.SCHEDULE,
+      );
       if (!isAuthorized) {
         return;
       }
 
-      if (!(await this.ensureGlobalPoolReadyOrNotify(chatId, telegramUserId))) {
+      if (await this.sendScheduleList(chatId, telegramUserId)) {
         return;
       }
 
-      // Check if user has credentials
-      const db = require("../services/DatabaseService");
-      const credentials = await db.getUserCredentials(telegramUserId);
-
-      if (!credentials || !credentials.email || !credentials.password) {
-        return this.bot.sendMessage(
-          chatId,
-          "⚠️ No credentials. Use /settings to add Razer ID.",
-        );
-      }
-
-      // Initialize order flow and show game selection
-      orderFlowHandler.initSession(chatId);
-      // Mark session as schedule mode
-      orderFlowHandler.updateSession(chatId, { isScheduleMode: true });
-      await orderFlowHandler.showGameSelection(this.bot, chatId);
+      await this.startScheduleFlow(chatId, telegramUserId);
     } catch (err) {
       logger.error("Error in /schedule command:", err);
       this.bot.sendMessage(chatId, "❌ Error.");
@@ -960,205 +1218,1479 @@ class TelegramBotController {
   }
 
   /**
-   * Handle /info command
-   * @param {object} msg - Telegram message object
+   * Start the order flow in schedule mode
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
    */
-  async handleInfoCommand(msg) {
-    const chatId = msg.chat.id.toString();
-    const telegramUserId = msg.from.id.toString();
-    const operation = await this.tryBeginCommandOperation(
-      chatId,
-      telegramUserId,
-      "info",
-      true,
-    );
-    if (!operation) {
+  async startScheduleFlow(chatId, telegramUserId) {
+    if (!(await this.ensureGlobalPoolReadyOrNotify(chatId, telegramUserId))) {
       return;
     }
 
-    try {
-      const isAuthorized = await this.ensureAuthorized(chatId, telegramUserId);
-      if (!isAuthorized) {
-        return;
-      }
-
-      const db = require("../services/DatabaseService");
-
-      // Get email
-      const credentials = await db.getUserCredentials(telegramUserId);
-      const email = credentials?.email || "Not set";
-
-      // Get backup code count
-      const backupCodeCount = await db.getActiveBackupCodeCount(telegramUserId);
+    // Check if user has credentials
+    const db = require("../services/DatabaseService");
+    const credentials = await db.getUserCredentials(telegramUserId);
 
+    if (!credentials || !credentials.email || !credentials.password) {
       await this.bot.sendMessage(
         chatId,
-        `📝 *ACCOUNT INFO*\n📧 ${email}\n🔑 Codes: ${backupCodeCount}/10`,
-        { parse_mode: "Markdown" },
+        "⚠️ No credentials. Use /settings to add Razer ID.",
       );
-    } catch (err) {
-      logger.error("Error in /info command:", err);
-      this.bot.sendMessage(chatId, "❌ Error.");
-    } finally {
-      this.clearUserOperation(telegramUserId, operation.id);
+      return;
     }
+
+    // Initialize order flow and show game selection
+    orderFlowHandler.initSession(chatId);
+    // Mark session as schedule mode
+    orderFlowHandler.updateSession(chatId, { isScheduleMode: true });
+    await orderFlowHandler.showGameSelection(this.bot, chatId);
   }
 
   /**
-   * Handle /cancel command
-   * @param {object} msg - Telegram message object
+   * Summary of a schedule for the /schedule list and edit menu
+   * @param {Object} schedule - Schedule from getUserSchedules
+   * @param {string} timeZone - Timezone of the user times are shown to
+   * @returns {string} Markdown lines
    */
-  async handleCancelCommand(msg) {
-    const chatId = msg.chat.id.toString();
-    const telegramUserId = msg.from.id.toString();
+  formatScheduleSummary(schedule, timeZone) {
+    const runIcons = { completed: "✅", failed: "❌", cancelled: "🚫", skipped: "⏭️", processing: "⏳" };
+    const isPaused = schedule.status === "paused";
+    // A recurrence keeps the wall clock of the timezone it was created in
+    const scheduleTimeZone = schedule.time_zone || getDefaultTimeZone();
+    const recurrenceZone = scheduleTimeZone !== timeZone ? ` (${scheduleTimeZone})` : "";
+    const nextRun = messageFormatter.formatDateTime(schedule.scheduled_time, timeZone);
+
+    let text =
+      `#${schedule.id} ${schedule.recurrence ? `🔁 ${describeRecurrence(schedule.recurrence)}${recurrenceZone}` : "⏰ Once"}\n` +
+      `🎮 ${schedule.game_name} - 💎 ${schedule.card_name} × ${schedule.quantity}\n` +
+      (isPaused
+        ? `⏸️ Paused${schedule.recurrence ? "" : ` (due ${nextRun})`}`
+        : `⏭️ Next: ${nextRun}`);
+
+    if (schedule.last_run_status) {
+      const order = schedule.last_run_order_id ? ` order #${schedule.last_run_order_id}` : "";
+      text +=
+        `\nLast run: ${runIcons[schedule.last_run_status] || ""} ${schedule.last_run_status}${order}` +
+        ` (${messageFormatter.formatDateTime(schedule.last_run_at, timeZone)})`;
+    }
+    return text;
+  }
 
-    try {
-      const activeOperation = this.getActiveOperation(telegramUserId);
-      const credentialsUpdateController =
-        this.credentialsUpdateControllers.get(telegramUserId);
+  /**
+   * Pause or resume button of a schedule
+   * @param {Object} schedule - Schedule from getUserSchedules
+   * @returns {Object} Inline keyboard button
+   */
+  getSchedulePauseButton(schedule) {
+    return schedule.status === "paused"
+      ? { text: `▶️ Resume #${schedule.id}`, callback_data: `schedule_resume_${schedule.id}` }
+      : { text: `⏸️ Pause #${schedule.id}`, callback_data: `schedule_pause_${schedule.id}` };
+  }
 
-      if (
-        activeOperation &&
-        activeOperation.type === "settings" &&
-        !credentialsUpdateController
-      ) {
-        await this.bot.sendMessage(
-          chatId,
-          "⏳ Credentials update is starting. Please wait a moment, then try /cancel again if needed.",
-        );
-        return;
-      }
+  /**
+   * Send a user's pending and paused schedules with next run, last run and
+   * pause/resume, edit and delete buttons
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<boolean>} False if the user has no schedules (nothing sent)
+   */
+  async sendScheduleList(chatId, telegramUserId) {
+    const db = require("../services/DatabaseService");
+    const schedules = await db.getUserSchedules(telegramUserId);
 
-      if (
-        credentialsUpdateController &&
-        activeOperation &&
-        activeOperation.type === "settings"
-      ) {
-        credentialsUpdateController.cancelled = true;
+    if (schedules.length === 0) {
+      return false;
+    }
 
-        const purchaseService = require("../services/PurchaseService");
-        await purchaseService.resetUserBrowsers(telegramUserId);
+    const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+    const lines = schedules.map((schedule) => this.formatScheduleSummary(schedule, timeZone));
 
-        await this.bot.sendMessage(
-          chatId,
-          "🛑 Cancelling credentials update... Browser stopped. Restoring old credentials session now.",
-        );
-        return;
-      }
+    const buttons = schedules.map((schedule) => [
+      this.getSchedulePauseButton(schedule),
+      { text: `✏️ Edit #${schedule.id}`, callback_data: `schedule_edit_${schedule.id}` },
+      { text: `🗑️ Delete #${schedule.id}`, callback_data: `schedule_delete_${schedule.id}` },
+    ]);
+    buttons.push([{ text: "➕ New Schedule", callback_data: "schedule_new" }]);
 
-      if (activeOperation && !activeOperation.cancellable) {
-        await this.bot.sendMessage(
-          chatId,
-          "⏳ Browser launch/login is in progress and cannot be cancelled. Please wait.",
-        );
-        return;
-      }
+    await this.bot.sendMessage(
+      chatId,
+      `📅 *SCHEDULES* (${schedules.length})\n\n${lines.join("\n\n")}\n\n` +
+        `Times are ${messageFormatter.formatTimeZone(timeZone)}.`,
+      { parse_mode: "Markdown", reply_markup: { inline_keyboard: buttons } },
+    );
+    return true;
+  }
 
-      // Check authorization
-      const authResult = await authService.checkAuthorization(telegramUserId);
-      if (!authResult.authorized) {
-        return this.bot.sendMessage(chatId, "⛔ Access denied.");
-      }
+  /**
+   * Send the edit menu of a schedule (time, quantity, card, pause/resume, delete)
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} scheduledOrderId - Scheduled order ID
+   */
+  async sendScheduleEditMenu(chatId, telegramUserId, scheduledOrderId) {
+    const getScheduledOrderService = require("../services/ScheduledOrderService");
+    const schedule = await getScheduledOrderService().getSchedule(scheduledOrderId, telegramUserId);
+    if (!schedule) {
+      await this.bot.sendMessage(chatId, "⚠️ Schedule already ran or was deleted.");
+      return;
+    }
 
-      // Check if there's an active purchase session BEFORE clearing
-      const activeSession = orderFlowHandler.getSession(chatId);
-      const hasActiveSession = !!activeSession;
-      const hasProcessingSession = !!(
-        activeSession &&
-        (activeSession.step === "processing" ||
-          activeSession.step === "checking_balance" ||
-          activeSession.step === "cancelling")
-      );
-      const scopeKey = this.getScopeKey(telegramUserId);
+    const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+    await this.bot.sendMessage(
+      chatId,
+      `✏️ *EDIT SCHEDULE*\n\n${this.formatScheduleSummary(schedule, timeZone)}\n\n` +
+        `Times are ${messageFormatter.formatTimeZone(timeZone)}.`,
+      {
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: "🕐 Time", callback_data: `schedule_time_${schedule.id}` },
+              { text: "🔢 Quantity", callback_data: `schedule_qty_${schedule.id}` },
+              { text: "💎 Card", callback_data: `schedule_card_${schedule.id}` },
+            ],
+            [
+              this.getSchedulePauseButton(schedule),
+              { text: `🗑️ Delete #${schedule.id}`, callback_data: `schedule_delete_${schedule.id}` },
+            ],
+            [{ text: "⬅️ Back to Schedules", callback_data: "schedule_list" }],
+          ],
+        },
+      },
+    );
+  }
 
-      // Cancel any ongoing purchases FIRST (before clearing session)
-      if (
-        hasActiveSession ||
-        (activeOperation && activeOperation.type === "purchase")
-      ) {
-        // Mark as cancelled to stop purchase flow
-        orderFlowHandler.markAsCancelling(chatId);
+  /**
+   * Handle /schedule list and edit menu buttons
+   * (new, list, pause, resume, delete, edit, time, qty, card, setcard)
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} callbackData - Callback data
+   */
+  async handleScheduleCallback(chatId, telegramUserId, callbackData) {
+    if (callbackData === "schedule_new") {
+      await this.startScheduleFlow(chatId, telegramUserId);
+      return;
+    }
 
-        // Force close all active purchase pages/tabs only.
-        const purchaseService = require("../services/PurchaseService");
-        const browsersClosed =
-          await purchaseService.forceCloseUserBrowsers(telegramUserId);
-        if (browsersClosed > 0) {
-          logger.system(
-            `Force closed ${browsersClosed} active purchase page(s) for user ${telegramUserId}`,
-          );
+    const getScheduledOrderService = require("../services/ScheduledOrderService");
+    const scheduledService = getScheduledOrderService();
+    const [, action, idText, cardIndexText] = callbackData.split("_");
+    const scheduledOrderId = parseInt(idText, 10);
+    if (!scheduledService || (action !== "list" && !Number.isInteger(scheduledOrderId))) {
+      return;
+    }
+
+    if (action === "edit") {
+      await this.sendScheduleEditMenu(chatId, telegramUserId, scheduledOrderId);
+      return;
+    } else if (action === "time" || action === "qty") {
+      await this.promptScheduleEdit(chatId, telegramUserId, scheduledOrderId, action);
+      return;
+    } else if (action === "card") {
+      await this.sendScheduleCardMenu(chatId, telegramUserId, scheduledOrderId);
+      return;
+    } else if (action === "setcard") {
+      await this.handleScheduleCardChoice(
+        chatId,
+        telegramUserId,
+        scheduledOrderId,
+        parseInt(cardIndexText, 10),
+      );
+      return;
+    } else if (action === "pause") {
+      if (!(await scheduledService.pauseSchedule(scheduledOrderId, telegramUserId))) {
+        await this.bot.sendMessage(chatId, "⚠️ Schedule is not active.");
+      }
+    } else if (action === "resume") {
+      try {
+        if (!(await scheduledService.resumeSchedule(scheduledOrderId, telegramUserId))) {
+          await this.bot.sendMessage(chatId, "⚠️ Schedule is not paused.");
         }
+      } catch (err) {
+        await this.bot.sendMessage(chatId, `⚠️ ${err.message}`);
+        await this.sendScheduleEditMenu(chatId, telegramUserId, scheduledOrderId);
+        return;
+      }
+    } else if (action === "delete") {
+      if (!(await scheduledService.deleteSchedule(scheduledOrderId, telegramUserId))) {
+        await this.bot.sendMessage(chatId, "⚠️ Schedule already ran or was deleted.");
+      }
+    }
 
-        logger.info(
-          `Cancelled purchase flow and kept persistent browser alive for user ${telegramUserId}`,
-        );
+    if (!(await this.sendScheduleList(chatId, telegramUserId))) {
+      await this.bot.sendMessage(chatId, "📅 No schedules left.\nUse /schedule to create one.");
+    }
+  }
+
+  /**
+   * Ask for a schedule's new time or quantity (answered in handleMessage)
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} field - "time" or "qty"
+   */
+  async promptScheduleEdit(chatId, telegramUserId, scheduledOrderId, field) {
+    const getScheduledOrderService = require("../services/ScheduledOrderService");
+    const schedule = await getScheduledOrderService().getSchedule(scheduledOrderId, telegramUserId);
+    if (!schedule) {
+      await this.bot.sendMessage(chatId, "⚠️ Schedule already ran or was deleted.");
+      return;
+    }
+
+    if (field === "time") {
+      const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+      await this.bot.sendMessage(
+        chatId,
+        `🕐 *NEW TIME* for #${schedule.id}\n\n` +
+          `Once: DD/MM HH:MM (e.g. 20/02 14:30)\n` +
+          `Repeat: \`daily 10:00\`, \`mon,thu 18:30\` or \`cron 0 10 * * 1-5\`\n\n` +
+          `📍 Now in ${messageFormatter.formatTimeZone(timeZone)}: ` +
+          `\`${messageFormatter.formatDateTime(new Date(), timeZone)}\``,
+        { parse_mode: "Markdown" },
+      );
+    } else {
+      await this.bot.sendMessage(
+        chatId,
+        `🔢 *NEW QUANTITY* for #${schedule.id}\n💎 ${schedule.card_name} (now ${schedule.quantity})\n\nEnter 1-500`,
+        { parse_mode: "Markdown" },
+      );
+    }
+
+    if (!sessionManager.getSession(chatId)) {
+      sessionManager.createSession(chatId);
+    }
+    sessionManager.setScheduleEdit(chatId, { scheduledOrderId: schedule.id });
+    sessionManager.updateState(chatId, field === "time" ? "edit_schedule_time" : "edit_schedule_quantity");
+  }
+
+  /**
+   * Handle a schedule's new time or quantity, validated like a new schedule
+   * (future time, 30-day max for one-offs, daily spending limits)
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} text - Input text
+   */
+  async handleScheduleEditInput(chatId, telegramUserId, text) {
+    const session = sessionManager.getSession(chatId);
+    const field = session.state === "edit_schedule_time" ? "time" : "qty";
+    const scheduledOrderId = session.scheduleEdit && session.scheduleEdit.scheduledOrderId;
+
+    const getScheduledOrderService = require("../services/ScheduledOrderService");
+    const scheduledService = getScheduledOrderService();
+    const schedule = scheduledOrderId
+      ? await scheduledService.getSchedule(scheduledOrderId, telegramUserId)
+      : null;
+    if (!schedule) {
+      sessionManager.updateState(chatId, "idle");
+      await this.bot.sendMessage(chatId, "⚠️ Schedule already ran or was deleted.");
+      return;
+    }
+
+    const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+    let changes;
+    if (field === "time") {
+      const parsed = await orderFlowHandler.resolveScheduleInput(this.bot, chatId, text, timeZone);
+      if (!parsed) return; // Told what is wrong - wait for another try
+      changes = { scheduledTime: parsed.scheduledTime, recurrence: parsed.recurrence };
+    } else {
+      const quantity = parseInt(text, 10);
+      if (isNaN(quantity) || quantity < 1 || quantity > 500) {
+        await this.bot.sendMessage(chatId, "⚠️ Invalid. Enter 1-500");
+        return;
       }
+      changes = { quantity };
+    }
 
-      // Cancel any ongoing balance checks
-      if (this.balanceCheckInProgress.has(scopeKey)) {
-        this.balanceCheckInProgress.delete(scopeKey);
+    if (!(await this.checkScheduleEditLimits(chatId, schedule, changes, timeZone))) {
+      return;
+    }
 
-        logger.info(`Cancelled balance check for user ${telegramUserId}`);
+    const updated =
+      field === "time"
+        ? await scheduledService.rescheduleSchedule(schedule.id, telegramUserId, {
+            scheduledTime: changes.scheduledTime,
+            recurrence: changes.recurrence ? changes.recurrence.cron : null,
+            timeZone,
+          })
+        : await scheduledService.updateScheduleQuantity(schedule.id, telegramUserId, changes.quantity);
+
+    sessionManager.updateState(chatId, "idle");
+    if (!updated) {
+      await this.bot.sendMessage(chatId, "⚠️ Schedule already ran or was deleted.");
+      return;
+    }
+
+    await this.bot.sendMessage(chatId, `✅ Schedule #${schedule.id} updated.`);
+    await this.sendScheduleEditMenu(chatId, telegramUserId, schedule.id);
+  }
+
+  /**
+   * Check an edited schedule against the daily spending limits, telling the user if it does not fit
+   * @param {string} chatId - Chat ID
+   * @param {Object} schedule - Schedule being edited
+   * @param {Object} changes - {scheduledTime, quantity, unitGold} (missing = unchanged)
+   * @param {string} timeZone - Timezone of the user
+   * @returns {Promise<boolean>} True if the edit fits
+   */
+  async checkScheduleEditLimits(chatId, schedule, changes, timeZone) {
+    const getScheduledOrderService = require("../services/ScheduledOrderService");
+    const limitCheck = await getScheduledOrderService().checkEditLimits(schedule, changes);
+    if (limitCheck.allowed) {
+      return true;
+    }
+
+    const runAt = changes.scheduledTime || schedule.scheduled_time;
+    const dayLabel = `on ${messageFormatter.formatDateTime(runAt, timeZone).split(" ")[0]}`;
+    await this.bot.sendMessage(
+      chatId,
+      messageFormatter.formatSpendingLimitExceeded(limitCheck, changes.quantity ?? schedule.quantity, dayLabel),
+      { parse_mode: "Markdown" },
+    );
+    return false;
+  }
+
+  /**
+   * Load the cards of a schedule's game and offer them as its new card
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} scheduledOrderId - Scheduled order ID
+   */
+  async sendScheduleCardMenu(chatId, telegramUserId, scheduledOrderId) {
+    const getScheduledOrderService = require("../services/ScheduledOrderService");
+    const schedule = await getScheduledOrderService().getSchedule(scheduledOrderId, telegramUserId);
+    if (!schedule) {
+      await this.bot.sendMessage(chatId, "⚠️ Schedule already ran or was deleted.");
+      return;
+    }
+
+    let cards;
+    try {
+      ({ cards } = await gameCardsService.getCards(telegramUserId, schedule.game_url));
+    } catch (err) {
+      logger.error(`Error loading cards for schedule #${schedule.id}:`, err.message);
+      await this.bot.sendMessage(chatId, "❌ Failed to load available cards. Try again later.");
+      return;
+    }
+
+    // Picked card is applied from the list loaded here
+    if (!sessionManager.getSession(chatId)) {
+      sessionManager.createSession(chatId);
+    }
+    sessionManager.setScheduleEdit(chatId, {
+      scheduledOrderId: schedule.id,
+      cards: cards.map((card) => ({
+        name: card.name,
+        unitGold: orderFlowHandler.getCardUnitGold(card),
+      })),
+    });
+
+    const keyboard = cards.map((card, index) => [
+      {
+        text: card.disabled ? `❌ ${card.name} (Out of Stock)` : `✅ ${card.name}`,
+        callback_data: `schedule_setcard_${schedule.id}_${index}`,
+      },
+    ]);
+    keyboard.push([{ text: "⬅️ Back", callback_data: `schedule_edit_${schedule.id}` }]);
+
+    await this.bot.sendMessage(
+      chatId,
+      `💎 *NEW CARD* for #${schedule.id}\n🎮 ${schedule.game_name} (now ${schedule.card_name})`,
+      { parse_mode: "Markdown", reply_markup: { inline_keyboard: keyboard } },
+    );
+  }
+
+  /**
+   * Apply the card picked in the schedule card menu
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {number} cardIndex - Index in the loaded card list
+   */
+  async handleScheduleCardChoice(chatId, telegramUserId, scheduledOrderId, cardIndex) {
+    const session = sessionManager.getSession(chatId);
+    const edit = session && session.scheduleEdit;
+    const card =
+      edit && edit.scheduledOrderId === scheduledOrderId && edit.cards ? edit.cards[cardIndex] : null;
+    if (!card) {
+      await this.bot.sendMessage(chatId, "⚠️ Card list expired. Tap 💎 Card again.");
+      return;
+    }
+
+    const getScheduledOrderService = require("../services/ScheduledOrderService");
+    const scheduledService = getScheduledOrderService();
+    const schedule = await scheduledService.getSchedule(scheduledOrderId, telegramUserId);
+    if (!schedule) {
+      await this.bot.sendMessage(chatId, "⚠️ Schedule already ran or was deleted.");
+      return;
+    }
+
+    const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+    if (!(await this.checkScheduleEditLimits(chatId, schedule, { unitGold: card.unitGold }, timeZone))) {
+      return;
+    }
+
+    const updated = await scheduledService.updateScheduleCard(schedule.id, telegramUserId, {
+      cardName: card.name,
+      cardValue: card.name,
+      cardIndex,
+      unitGold: card.unitGold,
+    });
+    if (!updated) {
+      await this.bot.sendMessage(chatId, "⚠️ Schedule already ran or was deleted.");
+      return;
+    }
+
+    await this.bot.sendMessage(chatId, `✅ Schedule #${schedule.id} now buys ${card.name}.`);
+    await this.sendScheduleEditMenu(chatId, telegramUserId, schedule.id);
+  }
+
+  /**
+   * Handle /info command
+   * @param {object} msg - Telegram message object
+   */
+  async handleInfoCommand(msg) {
+    const chatId = msg.chat.id.toString();
+    const telegramUserId = msg.from.id.toString();
+    const operation = await this.tryBeginCommandOperation(
+      chatId,
+      telegramUserId,
+      "info",
+      true,
+    );
+    if (!operation) {
+      return;
+    }
+
+    try {
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.VIEW_INFO,
+      );
+      if (!isAuthorized) {
+        return;
       }
 
-      // Cancel any ongoing transactions fetch
-      if (this.transactionsFetchControllers.has(scopeKey)) {
-        const controller = this.transactionsFetchControllers.get(scopeKey);
-        if (controller) {
-          controller.cancelled = true;
+      const db = require("../services/DatabaseService");
+
+      // Get email
+      const credentials = await db.getUserCredentials(telegramUserId);
+      const email = credentials?.email || "Not set";
+
+      // Get backup code count
+      const backupCodeCount = await db.getActiveBackupCodeCount(telegramUserId);
+
+      const role = await authService.getRole(telegramUserId);
+
+      await this.bot.sendMessage(
+        chatId,
+        `📝 *ACCOUNT INFO*\n📧 ${email}\n🔑 Codes: ${backupCodeCount}/10\n👤 Role: ${role}`,
+        { parse_mode: "Markdown" },
+      );
+    } catch (err) {
+      logger.error("Error in /info command:", err);
+      this.bot.sendMessage(chatId, "❌ Error.");
+    } finally {
+      this.clearUserOperation(telegramUserId, operation.id);
+    }
+  }
+
+  /**
+   * Handle /history [query] command - Show persisted orders, newest first
+   * A query (e.g. "pubg date:tuesday min:5") filters them and shows the compact list
+   * @param {object} msg - Telegram message object
+   * @param {Array} match - Regex match: [full, query]
+   */
+  async handleHistoryCommand(msg, match) {
+    const chatId = msg.chat.id.toString();
+    const telegramUserId = msg.from.id.toString();
+    const operation = await this.tryBeginCommandOperation(
+      chatId,
+      telegramUserId,
+      "history",
+      true,
+    );
+    if (!operation) {
+      return;
+    }
+
+    try {
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.VIEW_HISTORY,
+      );
+      if (!isAuthorized) {
+        return;
+      }
+
+      const query = match && match[1] ? match[1].trim() : "";
+      let filters = null;
+      if (query) {
+        const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+        try {
+          filters = parseHistoryQuery(query, timeZone);
+        } catch (parseErr) {
+          await this.bot.sendMessage(
+            chatId,
+            `⚠️ ${parseErr.message}\n\nFilters: ${HISTORY_QUERY_HELP}`,
+          );
+          return;
         }
-        logger.info(`Cancelled transactions fetch for user ${telegramUserId}`);
       }
 
-      // Clear order flow session only after the running order has fully stopped.
+      orderHistoryHandler.reset(chatId);
+      if (filters) {
+        orderHistoryHandler.setFilters(chatId, filters);
+        orderHistoryHandler.setView(chatId, "list");
+      }
+      await orderHistoryHandler.showOrderHistory(
+        this.bot,
+        chatId,
+        telegramUserId,
+      );
+    } catch (err) {
+      logger.error("Error in /history command:", err);
+      this.bot.sendMessage(chatId, "❌ Error.");
+    } finally {
+      this.clearUserOperation(telegramUserId, operation.id);
+    }
+  }
+
+  /**
+   * Handle /cancel command
+   * @param {object} msg - Telegram message object
+   */
+  async handleCancelCommand(msg) {
+    const chatId = msg.chat.id.toString();
+    const telegramUserId = msg.from.id.toString();
+
+    try {
+      const activeOperation = this.getActiveOperation(telegramUserId);
+      const credentialsUpdateController =
+        this.credentialsUpdateControllers.get(telegramUserId);
+
       if (
-        !(
-          hasProcessingSession ||
-          (activeOperation && activeOperation.type === "purchase")
-        )
+        activeOperation &&
+        activeOperation.type === "settings" &&
+        !credentialsUpdateController
       ) {
-        orderFlowHandler.clearSession(chatId);
-        orderFlowHandler.clearCancellation(chatId);
+        await this.bot.sendMessage(
+          chatId,
+          "⏳ Credentials update is starting. Please wait a moment, then try /cancel again if needed.",
+        );
+        return;
       }
 
-      // Clear auxiliary UI/session state only when no purchase is winding down.
       if (
-        !(
-          hasProcessingSession ||
-          (activeOperation && activeOperation.type === "purchase")
-        )
+        credentialsUpdateController &&
+        activeOperation &&
+        activeOperation.type === "settings"
       ) {
-        orderHistoryHandler.reset(chatId);
+        credentialsUpdateController.cancelled = true;
+
+        const purchaseService = require("../services/PurchaseService");
+        await purchaseService.resetUserBrowsers(telegramUserId);
+
+        await this.bot.sendMessage(
+          chatId,
+          "🛑 Cancelling credentials update... Browser stopped. Restoring old credentials session now.",
+        );
+        return;
+      }
+
+      if (activeOperation && !activeOperation.cancellable) {
+        await this.bot.sendMessage(
+          chatId,
+          "⏳ Browser launch/login is in progress and cannot be cancelled. Please wait.",
+        );
+        return;
+      }
+
+      // Check authorization
+      const authResult = await authService.checkAuthorization(telegramUserId);
+      if (!authResult.authorized) {
+        return this.bot.sendMessage(chatId, "⛔ Access denied.");
+      }
+
+      // Check if there's an active purchase session BEFORE clearing
+      const activeSession = orderFlowHandler.getSession(chatId);
+      const hasActiveSession = !!activeSession;
+      const hasRunningOrder = !!orderFlowHandler.getRunningOrder(chatId);
+      const scopeKey = this.getScopeKey(telegramUserId);
+
+      // An order still waiting in the queue just leaves it
+      if (activeSession && activeSession.step === "queued" && activeSession.queueEntryId) {
+        const getOrderQueueService = require("../services/OrderQueueService");
+        await getOrderQueueService(this.bot).cancel(activeSession.queueEntryId, telegramUserId);
+      }
+
+      // Cancel any ongoing purchases FIRST (before clearing session). Only this chat's own
+      // order: the purchase pages may belong to another chat's order from the queue.
+      if (
+        hasRunningOrder ||
+        (activeOperation && activeOperation.type === "purchase")
+      ) {
+        // Mark as cancelled to stop purchase flow
+        orderFlowHandler.markAsCancelling(chatId);
+
+        // Force close all active purchase pages/tabs only.
+        const purchaseService = require("../services/PurchaseService");
+        const browsersClosed =
+          await purchaseService.forceCloseUserBrowsers(telegramUserId);
+        if (browsersClosed > 0) {
+          logger.system(
+            `Force closed ${browsersClosed} active purchase page(s) for user ${telegramUserId}`,
+          );
+        }
+
+        logger.info(
+          `Cancelled purchase flow and kept persistent browser alive for user ${telegramUserId}`,
+        );
+      }
+
+      // Cancel any ongoing balance checks
+      if (this.balanceCheckInProgress.has(scopeKey)) {
+        this.balanceCheckInProgress.delete(scopeKey);
+
+        logger.info(`Cancelled balance check for user ${telegramUserId}`);
+      }
+
+      // Cancel any ongoing transactions fetch
+      if (this.transactionsFetchControllers.has(scopeKey)) {
+        const controller = this.transactionsFetchControllers.get(scopeKey);
+        if (controller) {
+          controller.cancelled = true;
+        }
+        logger.info(`Cancelled transactions fetch for user ${telegramUserId}`);
+      }
+
+      // Clear order flow session only after the running order has fully stopped.
+      if (
+        !(
+          hasRunningOrder ||
+          (activeOperation && activeOperation.type === "purchase")
+        )
+      ) {
+        orderFlowHandler.clearSession(chatId);
+        orderFlowHandler.clearCancellation(chatId);
+      }
+
+      // Clear auxiliary UI/session state only when no purchase is winding down.
+      if (
+        !(
+          hasRunningOrder ||
+          (activeOperation && activeOperation.type === "purchase")
+        )
+      ) {
+        orderHistoryHandler.reset(chatId);
+
+        sessionManager.updateState(chatId, "idle");
+        sessionManager.clearCredentials(chatId);
+      }
+
+      // Only release the user lock immediately if no purchase is winding down.
+      if (
+        !(
+          hasRunningOrder ||
+          (activeOperation && activeOperation.type === "purchase")
+        )
+      ) {
+        this.clearUserOperation(
+          telegramUserId,
+          activeOperation ? activeOperation.id : null,
+        );
+      }
+
+      await this.bot.sendMessage(
+        chatId,
+        hasRunningOrder ||
+          (activeOperation && activeOperation.type === "purchase")
+          ? "🛑 *Cancellation requested*\nThe active order is stopping now."
+          : "✅ *Cancelled*\nUse /start for new order.",
+        { parse_mode: "Markdown" },
+      );
+    } catch (err) {
+      logger.error("Error in /cancel command:", err);
+      this.bot.sendMessage(chatId, "❌ Error.");
+    }
+  }
+
+  /**
+   * Handle /grant <telegram_user_id> <role> command (admin only)
+   * @param {object} msg - Telegram message object
+   * @param {Array} match - Regex match: [full, userId, role]
+   */
+  async handleGrantCommand(msg, match) {
+    const chatId = msg.chat.id.toString();
+    const telegramUserId = msg.from.id.toString();
+    const operation = await this.tryBeginCommandOperation(
+      chatId,
+      telegramUserId,
+      "users",
+      true,
+    );
+    if (!operation) {
+      return;
+    }
+
+    try {
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.MANAGE_USERS,
+      );
+      if (!isAuthorized) {
+        return;
+      }
+
+      const targetUserId = match && match[1];
+      const role = match && match[2] ? match[2].toLowerCase() : null;
+      const roles = Object.values(ROLES);
+
+      if (!targetUserId || !/^\d+$/.test(targetUserId) || !roles.includes(role)) {
+        return this.bot.sendMessage(
+          chatId,
+          `Usage: /grant <telegram_user_id> <role>\nRoles: ${roles.join(", ")}`,
+        );
+      }
+
+      await authService.grantRole(targetUserId, role, telegramUserId);
+      await this.bot.sendMessage(chatId, `✅ ${targetUserId} is now ${role}.`);
+    } catch (err) {
+      logger.error("Error in /grant command:", err);
+      this.bot.sendMessage(chatId, `❌ ${err.message}`);
+    } finally {
+      this.clearUserOperation(telegramUserId, operation.id);
+    }
+  }
+
+  /**
+   * Handle /revoke <telegram_user_id> command (admin only)
+   * @param {object} msg - Telegram message object
+   * @param {Array} match - Regex match: [full, userId]
+   */
+  async handleRevokeCommand(msg, match) {
+    const chatId = msg.chat.id.toString();
+    const telegramUserId = msg.from.id.toString();
+    const operation = await this.tryBeginCommandOperation(
+      chatId,
+      telegramUserId,
+      "users",
+      true,
+    );
+    if (!operation) {
+      return;
+    }
+
+    try {
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.MANAGE_USERS,
+      );
+      if (!isAuthorized) {
+        return;
+      }
+
+      const targetUserId = match && match[1];
+      if (!targetUserId || !/^\d+$/.test(targetUserId)) {
+        return this.bot.sendMessage(chatId, "Usage: /revoke <telegram_user_id>");
+      }
+
+      const removed = await authService.revokeRole(targetUserId);
+      await this.bot.sendMessage(
+        chatId,
+        removed
+          ? `✅ Access revoked for ${targetUserId}.`
+          : `⚠️ ${targetUserId} has no role.`,
+      );
+    } catch (err) {
+      logger.error("Error in /revoke command:", err);
+      this.bot.sendMessage(chatId, `❌ ${err.message}`);
+    } finally {
+      this.clearUserOperation(telegramUserId, operation.id);
+    }
+  }
+
+  /**
+   * Handle /users command - List users and their roles (admin only)
+   * @param {object} msg - Telegram message object
+   */
+  async handleUsersCommand(msg) {
+    const chatId = msg.chat.id.toString();
+    const telegramUserId = msg.from.id.toString();
+    const operation = await this.tryBeginCommandOperation(
+      chatId,
+      telegramUserId,
+      "users",
+      true,
+    );
+    if (!operation) {
+      return;
+    }
+
+    try {
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.MANAGE_USERS,
+      );
+      if (!isAuthorized) {
+        return;
+      }
+
+      const users = await authService.listUsers();
+      if (users.length === 0) {
+        return this.bot.sendMessage(chatId, "No users.");
+      }
+
+      const lines = users.map(
+        (user) =>
+          `• \`${user.telegram_user_id}\` - ${user.role}${user.telegram_user_id === telegramUserId ? " (you)" : ""}`,
+      );
+
+      await this.bot.sendMessage(
+        chatId,
+        `👥 *USERS* (${users.length})\n\n${lines.join("\n")}\n\n/grant <id> <role> · /revoke <id>`,
+        { parse_mode: "Markdown" },
+      );
+    } catch (err) {
+      logger.error("Error in /users command:", err);
+      this.bot.sendMessage(chatId, "❌ Error.");
+    } finally {
+      this.clearUserOperation(telegramUserId, operation.id);
+    }
+  }
+
+  /**
+   * Handle /limits [telegram_user_id] command - Show daily spending limits and today's usage
+   * Any user sees their own limits; admins may pass another user's ID
+   * @param {object} msg - Telegram message object
+   * @param {Array} match - Regex match: [full, userId]
+   */
+  async handleLimitsCommand(msg, match) {
+    const chatId = msg.chat.id.toString();
+    const telegramUserId = msg.from.id.toString();
+    const operation = await this.tryBeginCommandOperation(
+      chatId,
+      telegramUserId,
+      "limits",
+      true,
+    );
+    if (!operation) {
+      return;
+    }
+
+    try {
+      const isAuthorized = await this.ensureAuthorized(chatId, telegramUserId);
+      if (!isAuthorized) {
+        return;
+      }
+
+      let targetUserId = telegramUserId;
+      if (match && match[1] && match[1] !== telegramUserId) {
+        const isAdmin = await authService.hasPermission(
+          telegramUserId,
+          PERMISSIONS.MANAGE_LIMITS,
+        );
+        if (!isAdmin) {
+          return this.bot.sendMessage(chatId, "⛔ You can only view your own limits.");
+        }
+        targetUserId = match[1];
+      }
+
+      const overview = await spendingLimitService.getLimitsOverview(targetUserId);
+      const formatLimit = (maxCards, maxGold) =>
+        `${maxCards ?? "∞"} cards · ${maxGold ?? "∞"} Gold`;
+
+      let text =
+        `📊 *DAILY LIMITS*${targetUserId !== telegramUserId ? ` (${targetUserId})` : ""}\n\n` +
+        `All games: ${formatLimit(overview.all.maxCards, overview.all.maxGold)}\n`;
+
+      for (const game of overview.games) {
+        text += `${game.gameName}: ${formatLimit(game.maxCards, game.maxGold)}\n`;
+      }
+
+      text +=
+        `\nToday: ${overview.used.cards} cards · ${overview.used.gold} Gold\n` +
+        (messageFormatter.formatSpendingAllowance(overview.remaining) || "No limits apply.");
+
+      await this.bot.sendMessage(chatId, text);
+    } catch (err) {
+      logger.error("Error in /limits command:", err);
+      this.bot.sendMessage(chatId, "❌ Error.");
+    } finally {
+      this.clearUserOperation(telegramUserId, operation.id);
+    }
+  }
+
+  /**
+   * Handle /setlimit <telegram_user_id> <cards|gold> <amount|off> [game name] command (admin only)
+   * Without a game name the limit covers all games combined
+   * @param {object} msg - Telegram message object
+   * @param {Array} match - Regex match: [full, userId, kind, amount, gameName]
+   */
+  async handleSetLimitCommand(msg, match) {
+    const chatId = msg.chat.id.toString();
+    const telegramUserId = msg.from.id.toString();
+    const operation = await this.tryBeginCommandOperation(
+      chatId,
+      telegramUserId,
+      "limits",
+      true,
+    );
+    if (!operation) {
+      return;
+    }
+
+    try {
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.MANAGE_LIMITS,
+      );
+      if (!isAuthorized) {
+        return;
+      }
+
+      const targetUserId = match && match[1];
+      const kind = match && match[2] ? match[2].toLowerCase() : null;
+      const amountText = match && match[3] ? match[3].toLowerCase() : null;
+      const gameKey = match && match[4] ? match[4].trim() : spendingLimitService.ALL_GAMES;
+      const amount = amountText === "off" ? null : parseInt(amountText, 10);
+
+      if (
+        !targetUserId ||
+        !/^\d+$/.test(targetUserId) ||
+        !["cards", "gold"].includes(kind) ||
+        (amount !== null && (isNaN(amount) || amount < 0))
+      ) {
+        return this.bot.sendMessage(
+          chatId,
+          "Usage: /setlimit <telegram_user_id> <cards|gold> <amount|off> [game name]\n" +
+            "Example: /setlimit 123456789 cards 50 Free Fire",
+        );
+      }
+
+      const limits = await spendingLimitService.updateLimit(
+        targetUserId,
+        gameKey,
+        kind,
+        amount,
+        telegramUserId,
+      );
+
+      await this.bot.sendMessage(
+        chatId,
+        `✅ Daily limit for ${targetUserId} (${gameKey === spendingLimitService.ALL_GAMES ? "all games" : gameKey}): ` +
+          `${limits.maxCardsPerDay ?? "∞"} cards · ${limits.maxGoldPerDay ?? "∞"} Gold`,
+      );
+    } catch (err) {
+      logger.error("Error in /setlimit command:", err);
+      this.bot.sendMessage(chatId, "❌ Error.");
+    } finally {
+      this.clearUserOperation(telegramUserId, operation.id);
+    }
+  }
+
+  /**
+   * Handle /accounts command - List Razer accounts with codes, balance and today's orders (admin only)
+   * @param {object} msg - Telegram message object
+   */
+  async handleAccountsCommand(msg) {
+    const chatId = msg.chat.id.toString();
+    const telegramUserId = msg.from.id.toString();
+    const operation = await this.tryBeginCommandOperation(
+      chatId,
+      telegramUserId,
+      "accounts",
+      true,
+    );
+    if (!operation) {
+      return;
+    }
+
+    try {
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.MANAGE_CREDENTIALS,
+      );
+      if (!isAuthorized) {
+        return;
+      }
+
+      await this.sendAccountsOverview(chatId);
+    } catch (err) {
+      logger.error("Error in /accounts command:", err);
+      this.bot.sendMessage(chatId, "❌ Error.");
+    } finally {
+      this.clearUserOperation(telegramUserId, operation.id);
+    }
+  }
+
+  /**
+   * Handle /addaccount <label> command - Register another Razer account (admin only)
+   * @param {object} msg - Telegram message object
+   * @param {Array} match - Regex match: [full, label]
+   */
+  async handleAddAccountCommand(msg, match) {
+    const chatId = msg.chat.id.toString();
+    const telegramUserId = msg.from.id.toString();
+    const operation = await this.tryBeginCommandOperation(
+      chatId,
+      telegramUserId,
+      "accounts",
+      true,
+    );
+    if (!operation) {
+      return;
+    }
+
+    try {
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.MANAGE_CREDENTIALS,
+      );
+      if (!isAuthorized) {
+        return;
+      }
+
+      const label = match && match[1] ? match[1].trim() : "";
+      if (!/^[\p{L}\p{N} .-]{1,30}$/u.test(label)) {
+        return this.bot.sendMessage(
+          chatId,
+          "Use /addaccount <name>\nExample: /addaccount Backup\nLetters, digits, spaces, dots and dashes (max 30).",
+        );
+      }
+
+      const account = await razerAccountService.addAccount(label);
+      const accountLabel = razerAccountService.formatAccountLabel(account);
+
+      await this.bot.sendMessage(
+        chatId,
+        `✅ *Account ${accountLabel} added*\nSave its Razer ID and backup codes before orders can use it.`,
+        {
+          parse_mode: "Markdown",
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: "🔐 Razer ID", callback_data: `account_creds_${account.account_number}` },
+                { text: "🔑 Backup Codes", callback_data: `account_codes_${account.account_number}` },
+              ],
+            ],
+          },
+        },
+      );
+    } catch (err) {
+      logger.error("Error in /addaccount command:", err);
+      this.bot.sendMessage(chatId, `❌ ${err.message}`);
+    } finally {
+      this.clearUserOperation(telegramUserId, operation.id);
+    }
+  }
+
+  /**
+   * Send the Razer accounts overview with per-account buttons
+   * @param {string} chatId - Chat ID
+   */
+  async sendAccountsOverview(chatId) {
+    const db = require("../services/DatabaseService");
+    const accounts = await razerAccountService.listAccounts();
+    const { since, until } = spendingLimitService.getDayWindow();
+    const spending = await db.getAccountSpendingBetween(since, until);
+
+    const lines = accounts.map((account) => {
+      const today = spending.find(
+        (row) => row.account_user_id === account.account_user_id,
+      ) || { orders: 0, cards: 0, gold: 0 };
+      const cached = razerAccountService.getCachedBalance(account.account_user_id);
+      const balanceText = cached
+        ? `🥇 ${cached.gold} Gold (${Math.round((Date.now() - cached.at) / 60000)}m ago)`
+        : "🥇 balance unknown";
+
+      return (
+        `*${razerAccountService.formatAccountLabel(account)}* ${account.is_active ? "✅" : "⏸️ disabled"}\n` +
+        `🔐 ${account.has_credentials ? "saved" : "missing"} · 🔑 ${account.active_backup_codes} codes · ${balanceText}\n` +
+        `📦 Today: ${today.orders} orders · ${today.cards} cards · ${today.gold} Gold`
+      );
+    });
+
+    const buttons = accounts.map((account) => [
+      { text: `🔐 #${account.account_number}`, callback_data: `account_creds_${account.account_number}` },
+      { text: `🔑 #${account.account_number}`, callback_data: `account_codes_${account.account_number}` },
+      {
+        text: `${account.is_active ? "⏸️" : "▶️"} #${account.account_number}`,
+        callback_data: `account_toggle_${account.account_number}`,
+      },
+    ]);
+    buttons.push([{ text: "🔄 Balances", callback_data: "account_balances" }]);
+
+    await this.bot.sendMessage(
+      chatId,
+      `🏦 *RAZER ACCOUNTS* (${accounts.length})\n\n${lines.join("\n\n")}\n\n` +
+        "Orders use the first active account with enough Gold and codes.\n/addaccount <name>",
+      { parse_mode: "Markdown", reply_markup: { inline_keyboard: buttons } },
+    );
+  }
+
+  /**
+   * Handle Razer account buttons from /accounts
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} callbackData - account_creds_N | account_codes_N | account_toggle_N | account_balances
+   */
+  async handleAccountCallback(chatId, telegramUserId, callbackData) {
+    if (callbackData === "account_balances") {
+      const accounts = await razerAccountService.listAccounts();
+      for (const account of accounts) {
+        await razerAccountService.readGoldBalance(account.account_user_id, { maxAgeMs: 0 });
+      }
+      await this.sendAccountsOverview(chatId);
+      return;
+    }
+
+    const [, action, number] = callbackData.match(/^account_(creds|codes|toggle)_(\d+)$/) || [];
+    const account = action
+      ? await razerAccountService.getAccountByNumber(parseInt(number, 10))
+      : null;
+    if (!account) {
+      await this.bot.sendMessage(chatId, "⚠️ Account not found. See /accounts.");
+      return;
+    }
+
+    if (action === "creds") {
+      await this.handleUpdateCredentials(chatId, account.account_user_id);
+    } else if (action === "codes") {
+      await this.handleBackupCodesMenu(chatId, telegramUserId, account.account_user_id);
+    } else {
+      await razerAccountService.setAccountActive(account.account_user_id, !account.is_active);
+      await this.sendAccountsOverview(chatId);
+    }
+  }
+
+  /**
+   * Handle /catalog [game] command - Price and stock history of a game's denominations
+   * @param {object} msg - Telegram message object
+   * @param {Array} match - Regex match: [full, game ID or name]
+   */
+  async handleCatalogCommand(msg, match) {
+    const chatId = msg.chat.id.toString();
+    const telegramUserId = msg.from.id.toString();
+    const operation = await this.tryBeginCommandOperation(
+      chatId,
+      telegramUserId,
+      "catalog",
+      true,
+    );
+    if (!operation) {
+      return;
+    }
+
+    try {
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.VIEW_INFO,
+      );
+      if (!isAuthorized) {
+        return;
+      }
+
+      const query = match && match[1] ? match[1].trim() : "";
+      if (!query) {
+        const buttons = getAllGames().map((game) => [
+          { text: game.name, callback_data: `catalog_${game.id}` },
+        ]);
+        await this.bot.sendMessage(chatId, "📈 *CATALOG HISTORY*\nPick a game:", {
+          parse_mode: "Markdown",
+          reply_markup: { inline_keyboard: buttons },
+        });
+        return;
+      }
+
+      const game = getGameById(query) || getGameByName(query);
+      if (!game) {
+        await this.bot.sendMessage(chatId, "⚠️ Game not found. Use /catalog to pick one.");
+        return;
+      }
+
+      await this.sendCatalogHistory(chatId, telegramUserId, game.id);
+    } catch (err) {
+      logger.error("Error in /catalog command:", err);
+      this.bot.sendMessage(chatId, "❌ Error.");
+    } finally {
+      this.clearUserOperation(telegramUserId, operation.id);
+    }
+  }
+
+  /**
+   * Send a game's catalog history
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID (for their timezone)
+   * @param {string} gameId - Game ID from games-catalog
+   */
+  async sendCatalogHistory(chatId, telegramUserId, gameId) {
+    const game = getGameById(gameId);
+    if (!game) {
+      await this.bot.sendMessage(chatId, "⚠️ Game not found. Use /catalog to pick one.");
+      return;
+    }
+
+    const history = await catalogHistoryService.getHistory(game.id);
+    const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+    await this.bot.sendMessage(
+      chatId,
+      messageFormatter.formatCatalogHistory(game, history, timeZone),
+      {
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [[{ text: "🔄 Refresh", callback_data: `catalog_${game.id}` }]],
+        },
+      },
+    );
+  }
+
+  /**
+   * Handle /watch command - Pick a sold-out card to be notified when it is back in stock
+   * @param {object} msg - Telegram message object
+   */
+  async handleWatchCommand(msg) {
+    const chatId = msg.chat.id.toString();
+    const telegramUserId = msg.from.id.toString();
+    const operation = await this.tryBeginCommandOperation(
+      chatId,
+      telegramUserId,
+      "watch",
+      true,
+    );
+    if (!operation) {
+      return;
+    }
+
+    try {
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.PURCHASE,
+      );
+      if (!isAuthorized) {
+        return;
+      }
+
+      // Same game / card pickers as an order, ending in the watch expiry prompt
+      orderFlowHandler.initSession(chatId);
+      orderFlowHandler.updateSession(chatId, { isWatchMode: true });
+      await orderFlowHandler.showGameSelection(this.bot, chatId);
+    } catch (err) {
+      logger.error("Error in /watch command:", err);
+      this.bot.sendMessage(chatId, "❌ Error.");
+    } finally {
+      this.clearUserOperation(telegramUserId, operation.id);
+    }
+  }
+
+  /**
+   * Handle /cart command - Add several lines through the game and card pickers, then buy them as one order
+   * @param {object} msg - Telegram message object
+   */
+  async handleCartCommand(msg) {
+    const chatId = msg.chat.id.toString();
+    const telegramUserId = msg.from.id.toString();
+    const operation = await this.tryBeginCommandOperation(
+      chatId,
+      telegramUserId,
+      "cart",
+      true,
+    );
+    if (!operation) {
+      return;
+    }
+
+    try {
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.PURCHASE,
+      );
+      if (!isAuthorized) {
+        return;
+      }
+
+      if (!(await this.ensureGlobalPoolReadyOrNotify(chatId, telegramUserId))) {
+        return;
+      }
+
+      const db = require("../services/DatabaseService");
+      const credentials = await db.getUserCredentials(telegramUserId);
+      if (!credentials || !credentials.email || !credentials.password) {
+        await this.bot.sendMessage(
+          chatId,
+          "⚠️ No credentials. Use /settings to add Razer ID.",
+        );
+        return;
+      }
+
+      // Same game / card / quantity steps as an order; each line then joins the cart
+      orderFlowHandler.initSession(chatId);
+      orderFlowHandler.updateSession(chatId, {
+        isCartMode: true,
+        cart: [],
+        telegramUserId,
+      });
+      await orderFlowHandler.showGameSelection(this.bot, chatId);
+    } catch (err) {
+      logger.error("Error in /cart command:", err);
+      this.bot.sendMessage(chatId, "❌ Error.");
+    } finally {
+      this.clearUserOperation(telegramUserId, operation.id);
+    }
+  }
+
+  /**
+   * Handle /templates command - List saved order templates to run with one tap
+   * @param {object} msg - Telegram message object
+   */
+  async handleTemplatesCommand(msg) {
+    const chatId = msg.chat.id.toString();
+    const telegramUserId = msg.from.id.toString();
+    const operation = await this.tryBeginCommandOperation(
+      chatId,
+      telegramUserId,
+      "templates",
+      true,
+    );
+    if (!operation) {
+      return;
+    }
+
+    try {
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.PURCHASE,
+      );
+      if (!isAuthorized) {
+        return;
+      }
+
+      await this.sendTemplateList(chatId, telegramUserId);
+    } catch (err) {
+      logger.error("Error in /templates command:", err);
+      this.bot.sendMessage(chatId, "❌ Error.");
+    } finally {
+      this.clearUserOperation(telegramUserId, operation.id);
+    }
+  }
+
+  /**
+   * Send a user's order templates with run / delete buttons
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   */
+  async sendTemplateList(chatId, telegramUserId) {
+    const db = require("../services/DatabaseService");
+    const templates = await db.getUserOrderTemplates(telegramUserId);
+
+    const buttons = templates.map((template) => [
+      { text: `▶️ ${template.name}`, callback_data: `template_run_${template.id}` },
+      { text: "🗑️", callback_data: `template_delete_${template.id}` },
+    ]);
+    buttons.push([{ text: "➕ New Template", callback_data: "template_new" }]);
+
+    if (templates.length === 0) {
+      await this.bot.sendMessage(
+        chatId,
+        "📑 No templates yet.\nSave a game, card and quantity to buy them again with one tap.",
+        { reply_markup: { inline_keyboard: buttons } },
+      );
+      return;
+    }
+
+    const lines = templates.map(
+      (template) =>
+        `📑 ${template.name}\n🎮 ${template.game_name}\n💎 ${template.card_name} × ${template.quantity}`,
+    );
+
+    await this.bot.sendMessage(
+      chatId,
+      `📑 *ORDER TEMPLATES* (${templates.length})\n\n${lines.join("\n\n")}\n\nTap ▶️ to order.`,
+      { parse_mode: "Markdown", reply_markup: { inline_keyboard: buttons } },
+    );
+  }
+
+  /**
+   * Handle /watches command - List the user's active stock watches
+   * @param {object} msg - Telegram message object
+   */
+  async handleWatchesCommand(msg) {
+    const chatId = msg.chat.id.toString();
+    const telegramUserId = msg.from.id.toString();
+    const operation = await this.tryBeginCommandOperation(
+      chatId,
+      telegramUserId,
+      "watch",
+      true,
+    );
+    if (!operation) {
+      return;
+    }
 
-        sessionManager.updateState(chatId, "idle");
-        sessionManager.clearCredentials(chatId);
+    try {
+      const isAuthorized = await this.ensureAuthorized(
+        chatId,
+        telegramUserId,
+        PERMISSIONS.PURCHASE,
+      );
+      if (!isAuthorized) {
+        return;
       }
 
-      // Only release the user lock immediately if no purchase is winding down.
-      if (
-        !(
-          hasProcessingSession ||
-          (activeOperation && activeOperation.type === "purchase")
-        )
-      ) {
-        this.clearUserOperation(
-          telegramUserId,
-          activeOperation ? activeOperation.id : null,
-        );
-      }
+      await this.sendWatchList(chatId, telegramUserId);
+    } catch (err) {
+      logger.error("Error in /watches command:", err);
+      this.bot.sendMessage(chatId, "❌ Error.");
+    } finally {
+      this.clearUserOperation(telegramUserId, operation.id);
+    }
+  }
+
+  /**
+   * Send a user's active stock watches with cancel buttons
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   */
+  async sendWatchList(chatId, telegramUserId) {
+    const db = require("../services/DatabaseService");
+    const watches = await db.getUserStockWatches(telegramUserId);
 
+    if (watches.length === 0) {
       await this.bot.sendMessage(
         chatId,
-        hasProcessingSession ||
-          (activeOperation && activeOperation.type === "purchase")
-          ? "🛑 *Cancellation requested*\nThe active order is stopping now."
-          : "✅ *Cancelled*\nUse /start for new order.",
-        { parse_mode: "Markdown" },
+        "👀 No active watches.\nUse /watch to get notified when a card is back in stock.",
       );
-    } catch (err) {
-      logger.error("Error in /cancel command:", err);
-      this.bot.sendMessage(chatId, "❌ Error.");
+      return;
     }
+
+    const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+    const lines = watches.map(
+      (watch) =>
+        `#${watch.id} ${watch.game_name}\n💎 ${watch.card_name}\n` +
+        `⌛ Until ${messageFormatter.formatDateTime(watch.expires_at, timeZone)}`,
+    );
+    const buttons = watches.map((watch) => [
+      { text: `❌ Cancel #${watch.id} ${watch.card_name}`, callback_data: `watch_cancel_${watch.id}` },
+    ]);
+
+    await this.bot.sendMessage(
+      chatId,
+      `👀 *STOCK WATCHES* (${watches.length})\n\n${lines.join("\n\n")}\n\n` +
+        `Times are ${messageFormatter.formatTimeZone(timeZone)}.`,
+      { parse_mode: "Markdown", reply_markup: { inline_keyboard: buttons } },
+    );
   }
 
   /**
@@ -1208,7 +2740,20 @@ class TelegramBotController {
         return;
       }
 
-      const activeOperation = this.getActiveOperation(telegramUserId);
+      const permission = this.getCallbackPermission(callbackData);
+      if (permission && !authService.roleHasPermission(authResult.role, permission)) {
+        await this.bot.answerCallbackQuery(query.id, {
+          text: `⛔ Not allowed for your role (${authResult.role}).`,
+          show_alert: true,
+        });
+        return;
+      }
+
+      // An order running in this chat keeps its buttons locked (orders run from the queue,
+      // outside any callback, so other chats carry on)
+      const activeOperation =
+        this.getActiveOperation(telegramUserId) ||
+        this.getExclusiveOperation(chatId, telegramUserId);
       if (activeOperation && !isCancelAction) {
         await this.bot.answerCallbackQuery(query.id, {
           text: `⏳ ${this.formatOperationName(activeOperation.type)} in progress`,
@@ -1287,9 +2832,21 @@ class TelegramBotController {
         callbackData.startsWith("order_card_") ||
         callbackData === "order_confirm_continue" ||
         callbackData === "order_buy_now" ||
-        callbackData === "order_schedule";
+        callbackData === "order_buy_affordable" ||
+        callbackData === "order_schedule" ||
+        callbackData === "cart_buy" ||
+        callbackData.startsWith("template_run_") ||
+        callbackData.startsWith("history_reorder_") ||
+        callbackData.startsWith("watch_buy_") ||
+        callbackData.startsWith("recovery_resume_");
+
+      // Picking a card to watch or save as a template only reads the catalog - no logged-in browser needed
+      const orderSession = orderFlowHandler.getSession(chatId);
+      const isWatchPick =
+        Boolean(orderSession && (orderSession.isWatchMode || orderSession.isTemplateMode)) &&
+        (callbackData.startsWith("order_game_") || callbackData.startsWith("order_card_"));
 
-      if (requiresReadyPool) {
+      if (requiresReadyPool && !isWatchPick) {
         const isReady = await this.ensureGlobalPoolReadyOrNotify(
           chatId,
           telegramUserId,
@@ -1345,7 +2902,101 @@ class TelegramBotController {
             const orderId = parseInt(
               callbackData.replace("history_get_pins_", ""),
             );
-            await orderHistoryHandler.handleGetPins(this.bot, chatId, orderId);
+            await orderHistoryHandler.handleGetPins(this.bot, chatId, telegramUserId, orderId);
+          } else if (callbackData.startsWith("history_pins_zip_") || callbackData.startsWith("history_pins_plain_")) {
+            const encrypt = callbackData.startsWith("history_pins_zip_");
+            const orderId = parseInt(callbackData.replace(/^history_pins_(zip|plain)_/, ""), 10);
+            await orderHistoryHandler.handleGetPins(this.bot, chatId, telegramUserId, orderId, encrypt);
+          } else if (callbackData.startsWith("history_f_")) {
+            await orderHistoryHandler.handleFilterCallback(this.bot, chatId, telegramUserId, callbackData);
+          } else if (callbackData.startsWith("history_open_")) {
+            await orderHistoryHandler.handleOpenOrder(
+              this.bot,
+              chatId,
+              telegramUserId,
+              parseInt(callbackData.replace("history_open_", ""), 10),
+            );
+          } else if (callbackData === "history_view_list" || callbackData === "history_view_detail") {
+            await orderHistoryHandler.handleViewChange(
+              this.bot,
+              chatId,
+              telegramUserId,
+              callbackData === "history_view_list" ? "list" : "detail",
+            );
+          } else if (callbackData.startsWith("history_reorder_")) {
+            await orderFlowHandler.handleReorder(
+              this.bot,
+              chatId,
+              telegramUserId,
+              parseInt(callbackData.replace("history_reorder_", ""), 10),
+            );
+          }
+          // Handle Razer account buttons from /accounts
+          else if (callbackData.startsWith("account_")) {
+            await this.handleAccountCallback(chatId, telegramUserId, callbackData);
+          }
+          // Handle /schedule list buttons
+          else if (callbackData.startsWith("schedule_")) {
+            await this.handleScheduleCallback(chatId, telegramUserId, callbackData);
+          }
+          // Handle timezone buttons from /settings
+          else if (callbackData.startsWith("settings_tz")) {
+            await this.handleTimeZoneCallback(chatId, telegramUserId, callbackData);
+          }
+          // Handle PIN file format buttons from /settings
+          else if (callbackData.startsWith("settings_pinfmt")) {
+            await this.handlePinFileFormatCallback(chatId, telegramUserId, callbackData);
+          }
+          // Handle encrypted PIN archive buttons from /settings
+          else if (callbackData.startsWith("settings_pinzip")) {
+            await this.handlePinArchiveCallback(chatId, telegramUserId, callbackData);
+          }
+          // Handle game buttons from /catalog
+          else if (callbackData.startsWith("catalog_")) {
+            await this.sendCatalogHistory(chatId, telegramUserId, callbackData.replace("catalog_", ""));
+          }
+          // Handle stock watch buttons (/watch flow, notifications, /watches)
+          else if (callbackData.startsWith("watch_expiry_")) {
+            await orderFlowHandler.handleWatchExpiry(
+              this.bot,
+              chatId,
+              telegramUserId,
+              parseInt(callbackData.replace("watch_expiry_", ""), 10),
+            );
+          } else if (callbackData.startsWith("watch_buy_")) {
+            await orderFlowHandler.handleWatchBuy(
+              this.bot,
+              chatId,
+              telegramUserId,
+              parseInt(callbackData.replace("watch_buy_", ""), 10),
+            );
+          } else if (callbackData.startsWith("watch_cancel_")) {
+            const db = require("../services/DatabaseService");
+            const watchId = parseInt(callbackData.replace("watch_cancel_", ""), 10);
+            const cancelled = await db.cancelStockWatch(watchId, telegramUserId);
+            if (!cancelled) {
+              await this.bot.sendMessage(chatId, "⚠️ Watch already ended.");
+            }
+            await this.sendWatchList(chatId, telegramUserId);
+          }
+          // Handle interrupted order recovery
+          else if (callbackData.startsWith("recovery_resume_")) {
+            const orderId = parseInt(
+              callbackData.replace("recovery_resume_", ""),
+            );
+            const orderRecoveryService = require("../services/OrderRecoveryService");
+            await orderRecoveryService.resumeOrder(
+              this.bot,
+              chatId,
+              telegramUserId,
+              orderId,
+            );
+          } else if (callbackData.startsWith("recovery_dismiss_")) {
+            const orderId = parseInt(
+              callbackData.replace("recovery_dismiss_", ""),
+            );
+            const orderRecoveryService = require("../services/OrderRecoveryService");
+            await orderRecoveryService.dismissOrder(this.bot, chatId, telegramUserId, orderId);
           }
           // Handle order flow callbacks
           else if (callbackData.startsWith("order_game_")) {
@@ -1384,6 +3035,13 @@ class TelegramBotController {
               chatId,
               telegramUserId,
             );
+          } else if (callbackData.startsWith("queue_cancel_")) {
+            await orderFlowHandler.handleCancelQueued(
+              this.bot,
+              chatId,
+              telegramUserId,
+              parseInt(callbackData.replace("queue_cancel_", ""), 10),
+            );
           } else if (callbackData.startsWith("scheduled_cancel_")) {
             // Handle scheduled order cancellation
             const getScheduledOrderService = require("../services/ScheduledOrderService");
@@ -1402,6 +3060,16 @@ class TelegramBotController {
             await orderFlowHandler.handleBack(this.bot, chatId);
           } else if (callbackData === "order_back_to_cards") {
             await orderFlowHandler.handleBackToCards(this.bot, chatId);
+          } else if (callbackData === "order_toggle_zip") {
+            await orderFlowHandler.handleToggleZip(this.bot, chatId);
+          } else if (callbackData === "order_pick_account") {
+            await orderFlowHandler.handlePickAccount(this.bot, chatId);
+          } else if (callbackData.startsWith("order_account_")) {
+            await orderFlowHandler.handleAccountChoice(
+              this.bot,
+              chatId,
+              callbackData.replace("order_account_", ""),
+            );
           } else if (callbackData === "order_confirm_continue") {
             // User confirmed to continue despite low backup codes
             const session = orderFlowHandler.getSession(chatId);
@@ -1434,8 +3102,44 @@ class TelegramBotController {
               chatId,
               telegramUserId,
             );
+          } else if (callbackData === "order_buy_affordable") {
+            // User accepted buying only what the current balance covers
+            await orderFlowHandler.handleBuyAffordable(
+              this.bot,
+              chatId,
+              telegramUserId,
+            );
           } else if (callbackData === "order_schedule") {
-            await orderFlowHandler.handleScheduleOrder(this.bot, chatId);
+            await orderFlowHandler.handleScheduleOrder(this.bot, chatId, telegramUserId);
+          } else if (callbackData === "cart_add") {
+            await orderFlowHandler.handleCartAdd(this.bot, chatId);
+          } else if (callbackData === "cart_remove_last") {
+            await orderFlowHandler.handleCartRemoveLast(this.bot, chatId);
+          } else if (callbackData === "cart_buy") {
+            await orderFlowHandler.handleBuyCart(this.bot, chatId, telegramUserId);
+          } else if (callbackData === "template_new") {
+            // Same game / card / quantity steps as an order, ending in the template name prompt
+            orderFlowHandler.initSession(chatId);
+            orderFlowHandler.updateSession(chatId, {
+              isTemplateMode: true,
+              telegramUserId,
+            });
+            await orderFlowHandler.showGameSelection(this.bot, chatId);
+          } else if (callbackData.startsWith("template_run_")) {
+            await orderFlowHandler.handleTemplateRun(
+              this.bot,
+              chatId,
+              telegramUserId,
+              parseInt(callbackData.replace("template_run_", ""), 10),
+            );
+          } else if (callbackData.startsWith("template_delete_")) {
+            const db = require("../services/DatabaseService");
+            const templateId = parseInt(callbackData.replace("template_delete_", ""), 10);
+            const deleted = await db.deleteOrderTemplate(templateId, telegramUserId);
+            if (!deleted) {
+              await this.bot.sendMessage(chatId, "⚠️ Template already deleted.");
+            }
+            await this.sendTemplateList(chatId, telegramUserId);
           } else if (callbackData === "login") {
             await this.handleLoginButton(chatId, telegramUserId);
           } else {
@@ -1707,6 +3411,15 @@ class TelegramBotController {
           );
         } else if (session.state === "update_backup_codes") {
           await this.handleBackupCodesInput(chatId, telegramUserId, text);
+        } else if (session.state === "update_timezone") {
+          await this.saveTimeZone(chatId, telegramUserId, text);
+        } else if (session.state === "update_pin_passphrase") {
+          await this.savePinPassphrase(chatId, telegramUserId, text, msg.message_id);
+        } else if (
+          session.state === "edit_schedule_time" ||
+          session.state === "edit_schedule_quantity"
+        ) {
+          await this.handleScheduleEditInput(chatId, telegramUserId, text);
         }
       }
 
@@ -1729,6 +3442,13 @@ class TelegramBotController {
             telegramUserId,
             text,
           );
+        } else if (orderSession.step === "enter_template_name") {
+          await orderFlowHandler.handleTemplateNameInput(
+            this.bot,
+            chatId,
+            telegramUserId,
+            text,
+          );
         }
       }
     } catch (err) {
@@ -1761,14 +3481,27 @@ class TelegramBotController {
   /**
    * Handle Settings menu
    * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
    */
-  async handleSettingsMenu(chatId) {
-    const keyboard = {
-      inline_keyboard: [
-        [{ text: "🔐 Razer ID", callback_data: "settings_razer_id" }],
-        [{ text: "🔑 Backup Codes", callback_data: "settings_backup_codes" }],
-      ],
-    };
+  async handleSettingsMenu(chatId, telegramUserId) {
+    const { role } = await authService.checkAuthorization(telegramUserId);
+    const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+    const pinFileFormat = await userPreferencesService.getPinFileFormat(telegramUserId);
+    const pinArchiveMode = await userPreferencesService.getPinArchiveMode(telegramUserId);
+
+    const rows = [];
+    if (authService.roleHasPermission(role, PERMISSIONS.MANAGE_CREDENTIALS)) {
+      rows.push([{ text: "🔐 Razer ID", callback_data: "settings_razer_id" }]);
+    }
+    if (authService.roleHasPermission(role, PERMISSIONS.MANAGE_BACKUP_CODES)) {
+      rows.push([{ text: "🔑 Backup Codes", callback_data: "settings_backup_codes" }]);
+    }
+    rows.push([{ text: `🌍 Timezone: ${timeZone}`, callback_data: "settings_tz" }]);
+    rows.push([{ text: `📄 PIN files: ${pinFileFormat.toUpperCase()}`, callback_data: "settings_pinfmt" }]);
+    rows.push([
+      { text: `🔒 Encrypted ZIP: ${PIN_ARCHIVE_LABELS[pinArchiveMode]}`, callback_data: "settings_pinzip" },
+    ]);
+    const keyboard = { inline_keyboard: rows };
 
     await this.bot.sendMessage(
       chatId,
@@ -1777,21 +3510,237 @@ class TelegramBotController {
     );
   }
 
+  /**
+   * Handle /settings timezone buttons (menu, preset, reset to default)
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} callbackData - settings_tz, settings_tz_set_<zone> or settings_tz_reset
+   */
+  async handleTimeZoneCallback(chatId, telegramUserId, callbackData) {
+    if (callbackData === "settings_tz_reset") {
+      await this.saveTimeZone(chatId, telegramUserId, null);
+    } else if (callbackData.startsWith("settings_tz_set_")) {
+      await this.saveTimeZone(chatId, telegramUserId, callbackData.replace("settings_tz_set_", ""));
+    } else {
+      await this.handleTimeZoneMenu(chatId, telegramUserId);
+    }
+  }
+
+  /**
+   * Show the timezone picker and wait for a typed IANA name
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   */
+  async handleTimeZoneMenu(chatId, telegramUserId) {
+    const timeZone = await userPreferencesService.getTimeZone(telegramUserId);
+    const defaultTimeZone = getDefaultTimeZone();
+
+    const buttons = [];
+    for (let i = 0; i < TIME_ZONE_PRESETS.length; i += 2) {
+      buttons.push(
+        TIME_ZONE_PRESETS.slice(i, i + 2).map((zone) => ({
+          text: zone === timeZone ? `✅ ${zone}` : zone,
+          callback_data: `settings_tz_set_${zone}`,
+        })),
+      );
+    }
+    buttons.push([{ text: `↩️ Default (${defaultTimeZone})`, callback_data: "settings_tz_reset" }]);
+
+    await this.bot.sendMessage(
+      chatId,
+      `🌍 *TIMEZONE*\n` +
+        `Current: ${messageFormatter.formatTimeZone(timeZone)}\n` +
+        `Now: ${messageFormatter.formatDateTime(new Date(), timeZone)}\n\n` +
+        `Used for /schedule times, /transactions days and every time shown to you.\n` +
+        `Pick one or type an IANA name (e.g. Asia/Kolkata).`,
+      { parse_mode: "Markdown", reply_markup: { inline_keyboard: buttons } },
+    );
+
+    if (!sessionManager.getSession(chatId)) {
+      sessionManager.createSession(chatId);
+    }
+    sessionManager.updateState(chatId, "update_timezone");
+  }
+
+  /**
+   * Save a user's timezone (picked or typed)
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string|null} input - IANA timezone (null = back to the default)
+   */
+  async saveTimeZone(chatId, telegramUserId, input) {
+    let timeZone;
+    try {
+      timeZone = await userPreferencesService.setTimeZone(telegramUserId, input);
+    } catch (err) {
+      await this.bot.sendMessage(chatId, `❌ ${err.message}`);
+      return;
+    }
+
+    if (sessionManager.getSession(chatId)) {
+      sessionManager.updateState(chatId, "idle");
+    }
+
+    await this.bot.sendMessage(
+      chatId,
+      `✅ *Timezone set*\n${messageFormatter.formatTimeZone(timeZone)}\n` +
+        `Now: ${messageFormatter.formatDateTime(new Date(), timeZone)}\n\n` +
+        `New schedules use it; existing ones keep the timezone they were created in.`,
+      { parse_mode: "Markdown" },
+    );
+  }
+
+  /**
+   * Handle /settings PIN file format buttons (menu, or a format to save)
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} callbackData - settings_pinfmt or settings_pinfmt_<format>
+   */
+  async handlePinFileFormatCallback(chatId, telegramUserId, callbackData) {
+    if (callbackData.startsWith("settings_pinfmt_")) {
+      let format;
+      try {
+        format = await userPreferencesService.setPinFileFormat(
+          telegramUserId,
+          callbackData.replace("settings_pinfmt_", ""),
+        );
+      } catch (err) {
+        await this.bot.sendMessage(chatId, `❌ ${err.message}`);
+        return;
+      }
+
+      await this.bot.sendMessage(
+        chatId,
+        `✅ *PIN files: ${format.toUpperCase()}*\nUsed for new orders, /history downloads and /transactions.`,
+        { parse_mode: "Markdown" },
+      );
+      return;
+    }
+
+    const current = await userPreferencesService.getPinFileFormat(telegramUserId);
+    const labels = { txt: "TXT", csv: "CSV", json: "JSON" };
+    const buttons = [
+      Object.entries(labels).map(([format, label]) => ({
+        text: format === current ? `✅ ${label}` : label,
+        callback_data: `settings_pinfmt_${format}`,
+      })),
+    ];
+
+    await this.bot.sendMessage(
+      chatId,
+      `📄 *PIN FILE FORMAT*\n` +
+        `TXT: PINs only, one per line\n` +
+        `CSV / JSON: PIN, serial, transaction ID, game, denomination, Gold cost, purchase time (UTC) and order ID`,
+      { parse_mode: "Markdown", reply_markup: { inline_keyboard: buttons } },
+    );
+  }
+
+  /**
+   * Handle /settings encrypted PIN archive buttons (menu, off, one-time password, passphrase)
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} callbackData - settings_pinzip or settings_pinzip_<mode>
+   */
+  async handlePinArchiveCallback(chatId, telegramUserId, callbackData) {
+    if (callbackData === "settings_pinzip_passphrase") {
+      await this.bot.sendMessage(
+        chatId,
+        "🔑 *ZIP PASSPHRASE*\nSend the passphrase for your PIN archives (8-64 characters).\n" +
+          "Your message is deleted once it is saved.",
+        { parse_mode: "Markdown" },
+      );
+
+      if (!sessionManager.getSession(chatId)) {
+        sessionManager.createSession(chatId);
+      }
+      sessionManager.updateState(chatId, "update_pin_passphrase");
+      return;
+    }
+
+    if (callbackData.startsWith("settings_pinzip_")) {
+      const mode = callbackData.replace("settings_pinzip_", "");
+      try {
+        await userPreferencesService.setPinArchive(telegramUserId, mode);
+      } catch (err) {
+        await this.bot.sendMessage(chatId, `❌ ${err.message}`);
+        return;
+      }
+
+      await this.bot.sendMessage(
+        chatId,
+        mode === "one_time"
+          ? "✅ *Encrypted ZIP: One-time password*\nPIN files come in an encrypted ZIP; its password follows in a separate message."
+          : "✅ *Encrypted ZIP: Off*\nPIN files come as plain documents.",
+        { parse_mode: "Markdown" },
+      );
+      return;
+    }
+
+    const current = await userPreferencesService.getPinArchiveMode(telegramUserId);
+    const buttons = Object.entries(PIN_ARCHIVE_LABELS).map(([mode, label]) => [
+      {
+        text: mode === current ? `✅ ${label}` : label,
+        callback_data: `settings_pinzip_${mode}`,
+      },
+    ]);
+
+    await this.bot.sendMessage(
+      chatId,
+      `🔒 *ENCRYPTED ZIP*\n` +
+        `Packs PIN files (orders, /history, /transactions) into an AES-256 ZIP, so a forwarded file cannot be read.\n\n` +
+        `One-time password: a new password for every ZIP, sent in its own message\n` +
+        `Passphrase: your own, never sent by the bot\n\n` +
+        `Each order can still switch before Buy Now.`,
+      { parse_mode: "Markdown", reply_markup: { inline_keyboard: buttons } },
+    );
+  }
+
+  /**
+   * Save the typed ZIP passphrase and delete the message that holds it
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} passphrase - Passphrase as typed
+   * @param {number} messageId - Message with the passphrase
+   */
+  async savePinPassphrase(chatId, telegramUserId, passphrase, messageId) {
+    await this.bot.deleteMessage(chatId, messageId).catch(() => {
+      logger.debug("Could not delete passphrase message");
+    });
+
+    try {
+      await userPreferencesService.setPinArchive(telegramUserId, "passphrase", passphrase);
+    } catch (err) {
+      await this.bot.sendMessage(chatId, `❌ ${err.message}`);
+      return;
+    }
+
+    sessionManager.updateState(chatId, "idle");
+    await this.bot.sendMessage(
+      chatId,
+      "✅ *Encrypted ZIP: Passphrase*\nPIN files come in an encrypted ZIP that opens with your passphrase.",
+      { parse_mode: "Markdown" },
+    );
+  }
+
   /**
    * Handle Backup Codes menu
    * @param {string} chatId - Chat ID
    * @param {string} telegramUserId - Telegram user ID
+   * @param {string|null} accountUserId - Razer account to update (null = account 1)
    */
-  async handleBackupCodesMenu(chatId, telegramUserId) {
+  async handleBackupCodesMenu(chatId, telegramUserId, accountUserId = null) {
     const db = require("../services/DatabaseService");
 
     try {
       // Get current backup code count
-      const count = await db.getActiveBackupCodeCount(telegramUserId);
+      const count = await db.getActiveBackupCodeCount(accountUserId || telegramUserId);
+      const accountLine = accountUserId
+        ? `🏦 ${await razerAccountService.getAccountLabel(accountUserId)}\n`
+        : "";
 
       await this.bot.sendMessage(
         chatId,
-        `🔑 *BACKUP CODES* (${count}/10)\nEnter 10 codes, one per line\nExample: 12345678\n\u26a0️ Must be 8 digits each`,
+        `🔑 *BACKUP CODES* (${count}/10)\n${accountLine}Enter 10 codes, one per line\nExample: 12345678\n\u26a0️ Must be 8 digits each`,
         { parse_mode: "Markdown" },
       );
 
@@ -1799,6 +3748,7 @@ class TelegramBotController {
       if (!sessionManager.getSession(chatId)) {
         sessionManager.createSession(chatId);
       }
+      sessionManager.setAccount(chatId, accountUserId);
       sessionManager.updateState(chatId, "update_backup_codes");
     } catch (err) {
       logger.error("Error showing backup codes menu:", err);
@@ -1814,6 +3764,8 @@ class TelegramBotController {
    */
   async handleBackupCodesInput(chatId, telegramUserId, text) {
     const db = require("../services/DatabaseService");
+    const session = sessionManager.getSession(chatId);
+    const accountUserId = (session && session.accountUserId) || telegramUserId;
 
     try {
       const result = backupCodeValidator.parseAndValidateBackupCodes(text, {
@@ -1859,7 +3811,7 @@ class TelegramBotController {
       }
 
       // Save to database
-      await db.saveBackupCodes(telegramUserId, result.codes);
+      await db.saveBackupCodes(accountUserId, result.codes);
 
       await this.bot.sendMessage(
         chatId,
@@ -1878,14 +3830,16 @@ class TelegramBotController {
   /**
    * Handle update credentials menu option
    * @param {string} chatId - Chat ID
+   * @param {string|null} accountUserId - Razer account to update (null = account 1)
    */
-  async handleUpdateCredentials(chatId) {
+  async handleUpdateCredentials(chatId, accountUserId = null) {
     // Create session if doesn't exist
     if (!sessionManager.getSession(chatId)) {
       sessionManager.createSession(chatId);
     }
 
     // Update session state to update credentials flow
+    sessionManager.setAccount(chatId, accountUserId);
     sessionManager.updateState(chatId, "update_credentials_email");
 
     // Ask for email with cancel button
@@ -1895,7 +3849,11 @@ class TelegramBotController {
       ],
     };
 
-    this.bot.sendMessage(chatId, "*Email:*", {
+    const accountLine = accountUserId
+      ? `🏦 ${await razerAccountService.getAccountLabel(accountUserId)}\n`
+      : "";
+
+    this.bot.sendMessage(chatId, `${accountLine}*Email:*`, {
       parse_mode: "Markdown",
       reply_markup: keyboard,
     });
@@ -1952,6 +3910,9 @@ class TelegramBotController {
     const session = sessionManager.getSession(chatId);
     const purchaseService = require("../services/PurchaseService");
     const operation = this.beginUserOperation(telegramUserId, "settings", true);
+    // Razer account picked in /accounts (account 1 from /settings)
+    const accountUserId = (session && session.accountUserId) || telegramUserId;
+    const isExtraAccount = db.getAccountNumber(accountUserId) > 1;
 
     if (!operation) {
       await this.sendBusyMessage(
@@ -1969,7 +3930,7 @@ class TelegramBotController {
       // Get email and password from session
       const email = session.email;
       const passwordTrimmed = password.trim();
-      const previousCredentials = await db.getUserCredentials(telegramUserId);
+      const previousCredentials = await db.getUserCredentials(accountUserId);
       const credentialsUpdateController = {
         cancelled: false,
         previousCredentials,
@@ -1995,11 +3956,11 @@ class TelegramBotController {
       throwIfCancelled();
 
       // Credentials changed: restart both global browsers and test new credentials on both.
-      await purchaseService.resetUserBrowsers(telegramUserId);
+      await purchaseService.resetUserBrowsers(accountUserId);
       throwIfCancelled();
 
       const readyResult = await purchaseService.ensureReadyBrowsers(
-        telegramUserId,
+        accountUserId,
         {
           forceRestart: true,
           credentialsOverride: {
@@ -2018,7 +3979,7 @@ class TelegramBotController {
       const emailEncrypted = encryptionService.encrypt(email);
       const passwordEncrypted = encryptionService.encrypt(passwordTrimmed);
       await db.saveUserCredentials(
-        telegramUserId,
+        accountUserId,
         emailEncrypted,
         passwordEncrypted,
       );
@@ -2031,7 +3992,7 @@ class TelegramBotController {
         ).catch(() => {});
 
         purchaseService
-          .ensureReadyBrowsers(telegramUserId, { forceRestart: false })
+          .ensureReadyBrowsers(accountUserId, { forceRestart: false })
           .then((syncResult) => {
             if (syncResult && syncResult.ready) {
               this.safeSendMessage(
@@ -2071,7 +4032,7 @@ class TelegramBotController {
 
       if (cancelledByUser) {
         try {
-          await purchaseService.resetUserBrowsers(telegramUserId);
+          await purchaseService.resetUserBrowsers(accountUserId);
 
           if (
             controller &&
@@ -2079,14 +4040,17 @@ class TelegramBotController {
             controller.previousCredentials.email &&
             controller.previousCredentials.password
           ) {
-            await scraperService.login(
-              telegramUserId,
-              controller.previousCredentials.email,
-              controller.previousCredentials.password,
-            );
+            // Extra accounts have no startup browser; their pool logs in below
+            if (!isExtraAccount) {
+              await scraperService.login(
+                telegramUserId,
+                controller.previousCredentials.email,
+                controller.previousCredentials.password,
+              );
+            }
 
             purchaseService
-              .ensureReadyBrowsers(telegramUserId, { forceRestart: false })
+              .ensureReadyBrowsers(accountUserId, { forceRestart: false })
               .catch((syncErr) => {
                 logger.warn(
                   `Background ready-session sync failed after credentials rollback for user ${telegramUserId}: ${syncErr.message}`,
@@ -2274,6 +4238,7 @@ class TelegramBotController {
    * Stop the bot gracefully
    */
   async stop() {
+    this.stopRateLimitCleanup();
     if (this.bot) {
       await this.bot.stopPolling();
       logger.bot("Telegram bot stopped");
@@ -21,6 +21,10 @@ class Order {
     this.game_name = data.game_name;
     this.completed_purchases = data.completed_purchases || 0;
     this.card_value = data.card_value;
+    this.chat_id = data.chat_id || null;
+    this.game_url = data.game_url || null;
+    this.unit_gold = data.unit_gold ?? null;  // Gold per card (null = unknown, orders before spending limits)
+    this.account_user_id = data.account_user_id ? String(data.account_user_id) : null;  // Razer account that bought it (null = account 1)
   }
 
   /**
@@ -29,6 +33,8 @@ class Order {
   getStatusDisplay() {
     const statuses = {
       'pending': '⏳ Pending',
+      'processing': '🔄 Processing',
+      'interrupted': '⚠️ Interrupted',
       'completed': '✅ Completed',
       'failed': '❌ Failed'
     };
@@ -67,6 +73,7 @@ class Purchase {
     this.serial_number_encrypted = data.serial_number_encrypted;  // Encrypted serial number (AES-256)
     this.game_name = data.game_name;  // Game name
     this.card_value = data.card_value;  // Card value/name
+    this.failure_stage = data.failure_stage || null;  // Purchase stage reached when a card failed
     this.purchased_at = data.purchased_at;  // Purchase timestamp
   }
 
@@ -0,0 +1,254 @@
+/**
+ * AccountMonitorService
+ * Background check of every active Razer account's backup codes and Gold balance.
+ * Alerts admins in Telegram when either drops below its threshold, with a button
+ * to the account's backup-code upload menu. Repeats the alert every realertIntervalMs while low.
+ */
+const logger = require("../utils/logger");
+const db = require("./DatabaseService");
+const authService = require("./AuthorizationService");
+const razerAccountService = require("./RazerAccountService");
+const appConfig = require("../config/app-config");
+
+// Leave the browser alone this long before a scheduled run's pre-warm
+const PREWARM_MARGIN_MS = 2 * 60 * 1000;
+
+class AccountMonitorService {
+  constructor(bot) {
+    this.bot = bot;
+    this.timer = null;
+    this.isChecking = false;
+    this.lastAlerts = new Map(); // alert key -> timestamp of last alert while still low
+  }
+
+  /**
+   * Start periodic checks
+   */
+  start() {
+    if (this.timer) {
+      logger.debug("AccountMonitorService: Already running");
+      return;
+    }
+
+    const { checkIntervalMs, lowBackupCodesThreshold, lowGoldBalanceThreshold } =
+      appConfig.monitor;
+
+    if (!lowBackupCodesThreshold && !lowGoldBalanceThreshold) {
+      logger.info("AccountMonitorService: All thresholds disabled - not started");
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.checkNow();
+    }, checkIntervalMs);
+
+    // First check right away so a low account is reported at startup
+    this.checkNow();
+
+    logger.success(
+      `Account monitor started (codes < ${lowBackupCodesThreshold || "off"}, Gold < ${lowGoldBalanceThreshold || "off"})`,
+    );
+  }
+
+  /**
+   * Stop periodic checks
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info("Account monitor stopped");
+    }
+  }
+
+  /**
+   * Run both checks once (skipped if a check is already running)
+   */
+  async checkNow() {
+    if (this.isChecking) {
+      return;
+    }
+
+    this.isChecking = true;
+    try {
+      await this.checkBackupCodes();
+      await this.checkGoldBalance();
+    } catch (err) {
+      logger.error("AccountMonitorService: Check failed:", err);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Accounts to watch: every active account (account 1 even before it has a row)
+   * @returns {Promise<{accounts: Array<Object>, isMulti: boolean}>}
+   */
+  async getMonitoredAccounts() {
+    const accounts = await razerAccountService.listAccounts();
+    return {
+      accounts: accounts.filter((account) => account.is_active),
+      isMulti: accounts.length > 1,
+    };
+  }
+
+  /**
+   * Alert when an account's active backup codes drop below the threshold
+   */
+  async checkBackupCodes() {
+    const threshold = appConfig.monitor.lowBackupCodesThreshold;
+    if (!threshold) return;
+
+    const { accounts, isMulti } = await this.getMonitoredAccounts();
+    for (const account of accounts) {
+      const count = await db.getActiveBackupCodeCount(account.account_user_id);
+      logger.debug(
+        `AccountMonitorService: ${count} active backup code(s) on account ${account.account_number}`,
+      );
+
+      await this.updateAlert(
+        `backup_codes_${account.account_number}`,
+        count < threshold,
+        () =>
+          `⚠️ *LOW BACKUP CODES*\n` +
+          (isMulti ? `🏦 ${razerAccountService.formatAccountLabel(account)}\n` : "") +
+          `🔑 ${count} left (threshold ${threshold})\n\n` +
+          (count === 0
+            ? "Purchases will fail until new codes are added."
+            : "Add new codes before they run out."),
+        this.getBackupCodesCallback(account),
+      );
+    }
+  }
+
+  /**
+   * Alert when an account's Gold balance drops below the threshold.
+   * Reads the dashboard with the account's ready browser, so it only runs while the browser is idle
+   * and no scheduled run is pre-warmed on its game page (see ScheduledOrderService.prewarm).
+   */
+  async checkGoldBalance() {
+    const threshold = appConfig.monitor.lowGoldBalanceThreshold;
+    if (!threshold) return;
+
+    const browserManager = require("./BrowserManager");
+    const purchaseService = require("./PurchaseService");
+    const scheduledOrderService = require("./ScheduledOrderService")();
+    if (scheduledOrderService && scheduledOrderService.isPrewarmWindowActive(PREWARM_MARGIN_MS)) {
+      logger.debug("AccountMonitorService: Scheduled run pre-warmed or starting soon - balance check skipped");
+      return;
+    }
+    const { accounts, isMulti } = await this.getMonitoredAccounts();
+
+    for (const account of accounts) {
+      if (!browserManager.isBrowserAvailable()) {
+        logger.debug("AccountMonitorService: Browser busy - balance check skipped");
+        return;
+      }
+
+      if (purchaseService.getReadySessions(account.account_user_id).length === 0) {
+        logger.debug(
+          `AccountMonitorService: No ready browser for account ${account.account_number} - balance check skipped`,
+        );
+        continue;
+      }
+
+      const balance = await razerAccountService.readGoldBalance(
+        account.account_user_id,
+        { maxAgeMs: 0 },
+      );
+      if (balance === null) continue;
+
+      await this.updateAlert(
+        `gold_balance_${account.account_number}`,
+        balance < threshold,
+        () =>
+          `⚠️ *LOW GOLD BALANCE*\n` +
+          (isMulti ? `🏦 ${razerAccountService.formatAccountLabel(account)}\n` : "") +
+          `🥇 ${balance} Gold (threshold ${threshold})\n\n` +
+          "Reload the Razer account before the next order.",
+        this.getBackupCodesCallback(account),
+      );
+    }
+  }
+
+  /**
+   * Button callback opening an account's backup-code menu
+   * @param {Object} account - Razer account
+   * @returns {string} Callback data
+   */
+  getBackupCodesCallback(account) {
+    return account.account_number > 1
+      ? `account_codes_${account.account_number}`
+      : "settings_backup_codes";
+  }
+
+  /**
+   * Send an alert when a value is low, at most once per realert interval
+   * @param {string} key - Alert key
+   * @param {boolean} isLow - Whether the value is below its threshold
+   * @param {Function} buildMessage - Returns the alert text
+   * @param {string} callbackData - Backup-code menu button callback
+   */
+  async updateAlert(key, isLow, buildMessage, callbackData) {
+    if (!isLow) {
+      if (this.lastAlerts.delete(key)) {
+        logger.info(`AccountMonitorService: ${key} back above threshold`);
+      }
+      return;
+    }
+
+    const lastAlertAt = this.lastAlerts.get(key);
+    if (lastAlertAt && Date.now() - lastAlertAt < appConfig.monitor.realertIntervalMs) {
+      return;
+    }
+
+    this.lastAlerts.set(key, Date.now());
+    await this.alertAdmins(buildMessage(), callbackData);
+  }
+
+  /**
+   * Send a message to every admin with a shortcut to the backup-code menu
+   * @param {string} text - Markdown message
+   * @param {string} callbackData - Backup-code menu button callback
+   */
+  async alertAdmins(text, callbackData = "settings_backup_codes") {
+    const users = await authService.listUsers();
+    const admins = users.filter((user) => user.role === authService.ROLES.ADMIN);
+
+    for (const admin of admins) {
+      try {
+        await this.bot.sendMessage(admin.telegram_user_id, text, {
+          parse_mode: "Markdown",
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: "🔑 Backup Codes", callback_data: callbackData }],
+            ],
+          },
+        });
+      } catch (err) {
+        logger.warn(
+          `AccountMonitorService: Could not alert admin ${admin.telegram_user_id}: ${err.message}`,
+        );
+      }
+    }
+
+    logger.warn(`AccountMonitorService: Alert sent to ${admins.length} admin(s)`);
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get or create singleton instance
+ * @param {Object} bot - Telegram bot instance (required for first call)
+ * @returns {AccountMonitorService} Service instance
+ */
+function getInstance(bot = null) {
+  if (!instance && bot) {
+    instance = new AccountMonitorService(bot);
+  }
+  return instance;
+}
+
+module.exports = getInstance;
@@ -17,16 +17,18 @@ class AntibanService {
       const hostname = String(parsed.hostname || "").toLowerCase();
       const pathname = String(parsed.pathname || "");
 
+      const goldHostname = new URL(appConfig.razer.goldBaseUrl).hostname;
+
       // Prevent storefront from applying "last purchase" default SKU/payment channel.
       return (
-        hostname === "gold.razer.com" &&
+        hostname === goldHostname &&
         pathname.startsWith("/api/rzusers/gold-catalog/webshop")
       );
     } catch (_) {
       // Fallback for unexpected/invalid URLs.
       const normalized = requestUrl.toLowerCase();
       return normalized.includes(
-        "://gold.razer.com/api/rzusers/gold-catalog/webshop",
+        `${appConfig.razer.goldBaseUrl.toLowerCase()}/api/rzusers/gold-catalog/webshop`,
       );
     }
   }
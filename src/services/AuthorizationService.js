@@ -1,106 +1,280 @@
 /**
  * AuthorizationService
- * 
- * Handles user authorization using .env whitelist
- * Simple check against AUTHORIZED_USER_IDS environment variable
- * 
- * No database, no caching - just whitelist validation
+ *
+ * Handles role-based access control backed by the user_roles table
+ * - Roles: admin, operator, viewer
+ * - Each bot command / callback maps to a permission granted to one or more roles
+ * - AUTHORIZED_USER_IDS from .env only seeds the first admins when no roles exist yet
+ *
+ * Role lookups are cached and invalidated on grant / revoke
  */
 
 const logger = require('../utils/logger');
 
+const ROLES = {
+  ADMIN: 'admin',
+  OPERATOR: 'operator',
+  VIEWER: 'viewer'
+};
+
+const PERMISSIONS = {
+  PURCHASE: 'purchase',
+  SCHEDULE: 'schedule',
+  VIEW_BALANCE: 'view_balance',
+  VIEW_TRANSACTIONS: 'view_transactions',
+  VIEW_HISTORY: 'view_history',
+  VIEW_INFO: 'view_info',
+  MANAGE_CREDENTIALS: 'manage_credentials',
+  MANAGE_BACKUP_CODES: 'manage_backup_codes',
+  MANAGE_USERS: 'manage_users',
+  MANAGE_LIMITS: 'manage_limits'
+};
+
+// permission -> roles allowed to use it
+const ROLE_PERMISSIONS = {
+  [PERMISSIONS.PURCHASE]: [ROLES.ADMIN, ROLES.OPERATOR],
+  [PERMISSIONS.SCHEDULE]: [ROLES.ADMIN, ROLES.OPERATOR],
+  [PERMISSIONS.VIEW_BALANCE]: [ROLES.ADMIN, ROLES.OPERATOR, ROLES.VIEWER],
+  [PERMISSIONS.VIEW_TRANSACTIONS]: [ROLES.ADMIN, ROLES.OPERATOR, ROLES.VIEWER],
+  [PERMISSIONS.VIEW_HISTORY]: [ROLES.ADMIN, ROLES.OPERATOR, ROLES.VIEWER],
+  [PERMISSIONS.VIEW_INFO]: [ROLES.ADMIN, ROLES.OPERATOR, ROLES.VIEWER],
+  [PERMISSIONS.MANAGE_CREDENTIALS]: [ROLES.ADMIN],
+  [PERMISSIONS.MANAGE_BACKUP_CODES]: [ROLES.ADMIN, ROLES.OPERATOR],
+  [PERMISSIONS.MANAGE_USERS]: [ROLES.ADMIN],
+  [PERMISSIONS.MANAGE_LIMITS]: [ROLES.ADMIN]
+};
+
 class AuthorizationService {
   constructor() {
-    this.authorizedUserIds = new Set();
-    // OPTIMIZATION: Cache authorization checks (small Set, fast lookup)
-    this.authCache = new Map(); // userId -> boolean
-    this.loadAuthorizedUsers();
+    // OPTIMIZATION: Cache role lookups (userId -> role | null), invalidated on grant/revoke
+    this.roleCache = new Map();
   }
 
   /**
-   * Load authorized user IDs from environment
+   * Parse seed admin IDs from environment
+   * @returns {Array<string>} Telegram user IDs
    */
-  loadAuthorizedUsers() {
+  loadSeedAdminIds() {
     const userIdsString = process.env.AUTHORIZED_USER_IDS || '';
 
-    if (!userIdsString) {
-      logger.warn('WARNING: No AUTHORIZED_USER_IDS set in .env file!');
-      logger.warn('No users will be able to access the bot.');
-      return;
-    }
-
     // Parse comma-separated list of Telegram IDs
-    const userIds = userIdsString.split(',').map(id => id.trim()).filter(id => id.length > 0);
-
-    this.authorizedUserIds = new Set(userIds);
-    logger.success(`Loaded ${this.authorizedUserIds.size} authorized user(s) from .env`);
+    return userIdsString.split(',').map(id => id.trim()).filter(id => id.length > 0);
   }
 
   /**
-   * Initialize the authorization service (no-op for compatibility)
+   * Initialize the authorization service
+   * Seeds AUTHORIZED_USER_IDS as admins when the user_roles table is empty
    */
   async initialize() {
-    logger.system('Authorization service initialized with whitelist');
+    try {
+      const db = require('./DatabaseService');
+      const existingRoles = await db.getAllUserRoles();
+
+      if (existingRoles.length > 0) {
+        logger.system(`Authorization service initialized with ${existingRoles.length} user role(s)`);
+        return;
+      }
+
+      const seedAdminIds = this.loadSeedAdminIds();
+      if (seedAdminIds.length === 0) {
+        logger.warn('WARNING: No user roles in database and no AUTHORIZED_USER_IDS set in .env file!');
+        logger.warn('No users will be able to access the bot.');
+        return;
+      }
+
+      for (const userId of seedAdminIds) {
+        await db.setUserRole(userId, ROLES.ADMIN, null);
+      }
+
+      this.roleCache.clear();
+      logger.success(`Seeded ${seedAdminIds.length} admin(s) from AUTHORIZED_USER_IDS`);
+    } catch (err) {
+      logger.error('Error initializing authorization service:', err);
+      throw err;
+    }
   }
 
   /**
-   * Checks if a user is authorized to use the bot
-   * 
-   * @param {string} telegramUserId - Telegram user ID to check
-   * @returns {Promise<{authorized: boolean, reason: string}>}
+   * Get a user's role
+   *
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<string|null>} Role or null if the user has no access
    */
-  async checkAuthorization(telegramUserId) {
+  async getRole(telegramUserId) {
     const userIdStr = telegramUserId.toString();
 
-    // OPTIMIZATION: Check cache first (avoid repeated Set lookups)
-    if (this.authCache.has(userIdStr)) {
-      const isAuthorized = this.authCache.get(userIdStr);
-      return {
-        authorized: isAuthorized,
-        reason: isAuthorized ? 'Authorized' : 'User not in authorized list'
-      };
+    // OPTIMIZATION: Check cache first (avoid a DB round trip per update)
+    if (this.roleCache.has(userIdStr)) {
+      return this.roleCache.get(userIdStr);
     }
 
-    // First-time check
-    const isAuthorized = this.authorizedUserIds.has(userIdStr);
+    const db = require('./DatabaseService');
+    const userRole = await db.getUserRole(userIdStr);
+    const role = userRole ? userRole.role : null;
 
-    // Cache result
-    this.authCache.set(userIdStr, isAuthorized);
+    this.roleCache.set(userIdStr, role);
+    return role;
+  }
+
+  /**
+   * Checks if a user is authorized to use the bot
+   *
+   * @param {string} telegramUserId - Telegram user ID to check
+   * @returns {Promise<{authorized: boolean, role: string|null, reason: string}>}
+   */
+  async checkAuthorization(telegramUserId) {
+    try {
+      const role = await this.getRole(telegramUserId);
+
+      if (role) {
+        logger.debug(`Authorization check for ${telegramUserId}: ALLOWED (${role})`);
+        return {
+          authorized: true,
+          role,
+          reason: 'Authorized'
+        };
+      }
 
-    if (isAuthorized) {
-      logger.debug(`Authorization check for ${telegramUserId}: ALLOWED`);
+      logger.warn(`Authorization check for ${telegramUserId}: DENIED (no role)`);
       return {
-        authorized: true,
-        reason: 'Authorized'
+        authorized: false,
+        role: null,
+        reason: 'User has no role'
       };
-    } else {
-      logger.warn(`Authorization check for ${telegramUserId}: DENIED (not in whitelist)`);
+    } catch (err) {
+      logger.error('Error checking authorization:', err);
       return {
         authorized: false,
-        reason: 'User not in authorized list'
+        role: null,
+        reason: 'Authorization check failed'
       };
     }
   }
 
   /**
    * Check if user is authorized (simple boolean check)
-   * 
+   *
    * @param {string} telegramUserId - Telegram user ID
-   * @returns {boolean} True if authorized
+   * @returns {Promise<boolean>} True if authorized
+   */
+  async isAuthorized(telegramUserId) {
+    const result = await this.checkAuthorization(telegramUserId);
+    return result.authorized;
+  }
+
+  /**
+   * Check if a role grants a permission
+   *
+   * @param {string|null} role - Role
+   * @param {string} permission - Permission from PERMISSIONS
+   * @returns {boolean} True if allowed
    */
-  isAuthorized(telegramUserId) {
+  roleHasPermission(role, permission) {
+    const allowedRoles = ROLE_PERMISSIONS[permission];
+    return Boolean(role && allowedRoles && allowedRoles.includes(role));
+  }
+
+  /**
+   * Check if a user has a permission
+   *
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} permission - Permission from PERMISSIONS
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async hasPermission(telegramUserId, permission) {
+    const { role } = await this.checkAuthorization(telegramUserId);
+    return this.roleHasPermission(role, permission);
+  }
+
+  /**
+   * Grant (or change) a user's role
+   *
+   * @param {string} telegramUserId - Telegram user ID receiving the role
+   * @param {string} role - admin | operator | viewer
+   * @param {string} grantedBy - Telegram user ID of the admin granting it
+   * @returns {Promise<Object>} Stored role row
+   */
+  async grantRole(telegramUserId, role, grantedBy) {
+    const userIdStr = telegramUserId.toString();
+
+    if (!Object.values(ROLES).includes(role)) {
+      throw new Error(`Unknown role "${role}". Use one of: ${Object.values(ROLES).join(', ')}`);
+    }
+
+    try {
+      const db = require('./DatabaseService');
+
+      if (role !== ROLES.ADMIN) {
+        await this.assertNotLastAdmin(userIdStr);
+      }
+
+      const userRole = await db.setUserRole(userIdStr, role, grantedBy ? grantedBy.toString() : null);
+      this.roleCache.delete(userIdStr);
+
+      logger.success(`Role ${role} granted to ${userIdStr} by ${grantedBy}`);
+      return userRole;
+    } catch (err) {
+      logger.error('Error granting role:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Revoke a user's access
+   *
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<boolean>} True if a role was removed
+   */
+  async revokeRole(telegramUserId) {
     const userIdStr = telegramUserId.toString();
 
-    // OPTIMIZATION: Use cache if available
-    if (this.authCache.has(userIdStr)) {
-      return this.authCache.get(userIdStr);
+    try {
+      const db = require('./DatabaseService');
+
+      await this.assertNotLastAdmin(userIdStr);
+
+      const removed = await db.deleteUserRole(userIdStr);
+      this.roleCache.delete(userIdStr);
+
+      if (removed) {
+        logger.success(`Role revoked from ${userIdStr}`);
+      }
+      return removed;
+    } catch (err) {
+      logger.error('Error revoking role:', err);
+      throw err;
     }
+  }
+
+  /**
+   * List every user with a role
+   *
+   * @returns {Promise<Array<Object>>} Role rows
+   */
+  async listUsers() {
+    const db = require('./DatabaseService');
+    return db.getAllUserRoles();
+  }
+
+  /**
+   * Refuse to demote or remove the only remaining admin
+   *
+   * @param {string} telegramUserId - Telegram user ID being changed
+   */
+  async assertNotLastAdmin(telegramUserId) {
+    const db = require('./DatabaseService');
+    const userRoles = await db.getAllUserRoles();
+    const admins = userRoles.filter(userRole => userRole.role === ROLES.ADMIN);
 
-    const isAuthorized = this.authorizedUserIds.has(userIdStr);
-    this.authCache.set(userIdStr, isAuthorized);
-    return isAuthorized;
+    if (admins.length === 1 && admins[0].telegram_user_id === telegramUserId) {
+      throw new Error('Cannot remove the last admin');
+    }
   }
 }
 
 // Export a single instance (Singleton pattern)
-module.exports = new AuthorizationService();
\ No newline at end of file
+const authorizationService = new AuthorizationService();
+authorizationService.ROLES = ROLES;
+authorizationService.PERMISSIONS = PERMISSIONS;
+
+module.exports = authorizationService;
@@ -9,6 +9,7 @@
 
 const logger = require("../utils/logger");
 const appConfig = require("../config/app-config");
+const { getStorefrontUrls } = require("../config/storefronts");
 const AntibanService = require("./AntibanService");
 const RazerLoginService = require("./RazerLoginService");
 
@@ -91,6 +92,11 @@ class BrowserManager {
       return key;
     }
 
+    // Browsers of extra Razer accounts (see PurchaseService.getBrowserKeyForSlot)
+    if (this.isAccountBrowserKey(key)) {
+      return key;
+    }
+
     // If userId is a numeric index (1, 2, 3...), map to corresponding slot
     const slotIndex = parseInt(userId, 10);
     if (
@@ -112,6 +118,15 @@ class BrowserManager {
     return this.GLOBAL_BROWSER_SLOTS[0];
   }
 
+  /**
+   * Whether a browser key belongs to a Razer account other than account 1
+   * @param {string} browserKey - Browser key
+   * @returns {boolean}
+   */
+  isAccountBrowserKey(browserKey) {
+    return String(browserKey).startsWith("__ACCOUNT_");
+  }
+
   /**
    * Get or create browser for user
    * @param {number} userId - User ID
@@ -239,6 +254,13 @@ class BrowserManager {
       }
 
       this.userBrowsers.delete(browserKey);
+
+      // Extra Razer account pools are re-opened (and logged in) on their next order
+      if (this.isAccountBrowserKey(browserKey)) {
+        logger.warn(`Browser disconnected for key ${browserKey}. It will re-open on demand.`);
+        return;
+      }
+
       logger.warn(
         `Browser disconnected for key ${browserKey}. Re-launching session...`,
       );
@@ -253,7 +275,7 @@ class BrowserManager {
         if (!isExplicitGlobalSlotKey) {
           await this.autoRelogin(userId, page);
         }
-        await page.goto("https://gold.razer.com/global/en", {
+        await page.goto(getStorefrontUrls().homeUrl, {
           waitUntil: "domcontentloaded",
           timeout: 30000,
         });
@@ -770,7 +792,7 @@ class BrowserManager {
       submitLabel: "Submitting login...",
     });
 
-    await page.goto("https://gold.razer.com/global/en", {
+    await page.goto(getStorefrontUrls().homeUrl, {
       waitUntil: "domcontentloaded",
       timeout: 30000,
     });
@@ -806,7 +828,7 @@ class BrowserManager {
 
     try {
       await withRetry(async () => {
-        await page.goto("https://razerid.razer.com/dashboard", {
+        await page.goto(`${appConfig.razer.razerIdBaseUrl}/dashboard`, {
           waitUntil: "domcontentloaded",
           timeout: 30000,
         });
@@ -879,6 +901,15 @@ class BrowserManager {
     return !this.isBrowserBusy;
   }
 
+  /**
+   * Check whether a lock ID is the current browser lock
+   * @param {number|null|undefined} lockId - Lock ID from markBrowserBusy
+   * @returns {boolean}
+   */
+  holdsBrowserLock(lockId) {
+    return Boolean(lockId) && this.isBrowserBusy && lockId === this.busyLockId;
+  }
+
   async restartBrowser() {
     if (this.isBrowserBusy) {
       throw new BrowserBusyError(this.busyReason || "unknown");
@@ -899,7 +930,11 @@ class BrowserManager {
         throw new Error("No credentials found for browser restart relogin");
       }
 
-      for (const slotKey of this.GLOBAL_BROWSER_SLOTS) {
+      // Browsers of other Razer accounts are closed too; they log in again on their next order
+      const accountBrowserKeys = Array.from(this.userBrowsers.keys()).filter((key) =>
+        this.isAccountBrowserKey(key),
+      );
+      for (const slotKey of [...this.GLOBAL_BROWSER_SLOTS, ...accountBrowserKeys]) {
         try {
           await this.closeBrowser(slotKey);
         } catch (err) {
@@ -925,7 +960,7 @@ class BrowserManager {
         },
       );
 
-      await page.goto("https://gold.razer.com/global/en", {
+      await page.goto(getStorefrontUrls().homeUrl, {
         waitUntil: "domcontentloaded",
         timeout: 30000,
       });
@@ -951,7 +986,7 @@ class BrowserManager {
               submitLabel: `Submitting restart relogin slot ${i}...`,
             },
           );
-          await slotPage.goto("https://gold.razer.com/global/en", {
+          await slotPage.goto(getStorefrontUrls().homeUrl, {
             waitUntil: "domcontentloaded",
             timeout: 30000,
           });
@@ -1093,7 +1128,7 @@ class BrowserManager {
         },
       );
 
-      await page.goto("https://gold.razer.com/global/en", {
+      await page.goto(getStorefrontUrls().homeUrl, {
         waitUntil: "domcontentloaded",
         timeout: 30000,
       });
@@ -0,0 +1,249 @@
+/**
+ * CatalogHistoryService
+ * Periodic snapshots of every catalog game's denominations (price and stock) from the
+ * catalog API. Each snapshot is compared with the stored state, and changes are recorded
+ * as events: added, removed, in_stock, out_of_stock, price_changed.
+ * Catalog loads in the order flow are recorded too, so restocks between snapshots are not missed.
+ */
+const logger = require("../utils/logger");
+const db = require("./DatabaseService");
+const { getAllGames } = require("../config/games-catalog");
+const appConfig = require("../config/app-config");
+
+const EVENT_TYPES = {
+  ADDED: "added",
+  REMOVED: "removed",
+  IN_STOCK: "in_stock",
+  OUT_OF_STOCK: "out_of_stock",
+  PRICE_CHANGED: "price_changed",
+};
+
+class CatalogHistoryService {
+  constructor() {
+    this.EVENT_TYPES = EVENT_TYPES;
+    this.timer = null;
+    this.isSnapshotting = false;
+    this.recordQueue = Promise.resolve(); // Serializes recordSnapshot so diffs never interleave
+  }
+
+  /**
+   * Start periodic snapshots
+   */
+  start() {
+    if (this.timer) {
+      logger.debug("CatalogHistoryService: Already running");
+      return;
+    }
+
+    const { snapshotIntervalMs } = appConfig.catalogHistory;
+    if (!snapshotIntervalMs) {
+      logger.info("CatalogHistoryService: Snapshots disabled - not started");
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.snapshotAll();
+    }, snapshotIntervalMs);
+
+    // First snapshot right away so /catalog has data after a restart
+    this.snapshotAll();
+
+    logger.success(
+      `Catalog history started (every ${Math.round(snapshotIntervalMs / 60000)} min)`,
+    );
+  }
+
+  /**
+   * Stop periodic snapshots
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info("Catalog history stopped");
+    }
+  }
+
+  /**
+   * Snapshot every catalog game once (skipped if a snapshot is already running).
+   * A game whose catalog cannot be loaded is skipped, so its SKUs are not reported as removed.
+   */
+  async snapshotAll() {
+    if (this.isSnapshotting) {
+      return;
+    }
+
+    this.isSnapshotting = true;
+    try {
+      // Lazy: GameCardsService pulls in the browser stack
+      const gameCardsService = require("./GameCardsService");
+
+      for (const game of getAllGames()) {
+        try {
+          const cards = await gameCardsService.fetchCardsFromApi(game.link, game.regionId);
+          await this.recordSnapshot(game, cards);
+        } catch (err) {
+          logger.warn(`CatalogHistoryService: Snapshot of ${game.id} failed: ${err.message}`);
+        }
+      }
+    } finally {
+      this.isSnapshotting = false;
+    }
+  }
+
+  /**
+   * Record cards loaded for a game URL, if it belongs to a catalog game
+   * @param {string} gameUrl - Game URL the cards were loaded from
+   * @param {Array<Object>} cards - Cards from GameCardsService.fetchCardsFromApi
+   */
+  async recordCardsForUrl(gameUrl, cards) {
+    const game = getAllGames().find((catalogGame) => catalogGame.link === gameUrl);
+    if (!game) return;
+
+    try {
+      await this.recordSnapshot(game, cards);
+    } catch (err) {
+      logger.warn(`CatalogHistoryService: Could not record ${game.id}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Compare a game's cards with its stored SKUs, save the new state and record changes.
+   * The first snapshot of a game only sets the baseline (no "added" events).
+   * @param {Object} game - Game from games-catalog
+   * @param {Array<Object>} cards - Cards ({name, disabled, productId, unitGold})
+   * @param {Date} capturedAt - Snapshot time
+   * @returns {Promise<Array<Object>>} Recorded events
+   */
+  recordSnapshot(game, cards, capturedAt = new Date()) {
+    const run = this.recordQueue.then(() => this.applySnapshot(game, cards, capturedAt));
+    this.recordQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Diff and save one snapshot (use recordSnapshot, which serializes calls)
+   */
+  async applySnapshot(game, cards, capturedAt) {
+    try {
+      const storedSkus = await db.getCatalogSkus(game.id);
+      const storedByKey = new Map(storedSkus.map((sku) => [sku.sku_key, sku]));
+      const isBaseline = storedSkus.length === 0;
+      const seenKeys = new Set();
+      const events = [];
+
+      for (const card of cards) {
+        const skuKey = this.getSkuKey(card);
+        if (!skuKey || seenKeys.has(skuKey)) continue;
+        seenKeys.add(skuKey);
+
+        const stored = storedByKey.get(skuKey);
+        const hasStock = !card.disabled;
+        const unitGold = Number.isFinite(card.unitGold) ? card.unitGold : null;
+        const event = (eventType, extra = {}) => ({
+          skuKey,
+          skuName: card.name,
+          eventType,
+          createdAt: capturedAt,
+          ...extra,
+        });
+
+        if (!stored || stored.removed_at) {
+          if (!isBaseline) {
+            events.push(event(EVENT_TYPES.ADDED, { newUnitGold: unitGold }));
+          }
+        } else {
+          if (stored.has_stock !== hasStock) {
+            events.push(event(hasStock ? EVENT_TYPES.IN_STOCK : EVENT_TYPES.OUT_OF_STOCK));
+          }
+          if (unitGold !== null && stored.unit_gold !== null && stored.unit_gold !== unitGold) {
+            events.push(
+              event(EVENT_TYPES.PRICE_CHANGED, {
+                oldUnitGold: stored.unit_gold,
+                newUnitGold: unitGold,
+              }),
+            );
+          }
+        }
+
+        await db.saveCatalogSku(game.id, {
+          skuKey,
+          skuName: card.name,
+          productId: card.productId ?? null,
+          unitGold: unitGold ?? (stored ? stored.unit_gold : null),
+          hasStock,
+          firstSeenAt: stored ? stored.first_seen_at : capturedAt,
+          lastSeenAt: capturedAt,
+          lastInStockAt: hasStock ? capturedAt : stored?.last_in_stock_at || null,
+          lastOutOfStockAt: hasStock ? stored?.last_out_of_stock_at || null : capturedAt,
+          removedAt: null,
+        });
+      }
+
+      for (const stored of storedSkus) {
+        if (seenKeys.has(stored.sku_key) || stored.removed_at) continue;
+
+        events.push({
+          skuKey: stored.sku_key,
+          skuName: stored.sku_name,
+          eventType: EVENT_TYPES.REMOVED,
+          oldUnitGold: stored.unit_gold,
+          createdAt: capturedAt,
+        });
+        await db.saveCatalogSku(game.id, {
+          skuKey: stored.sku_key,
+          skuName: stored.sku_name,
+          productId: stored.product_id,
+          unitGold: stored.unit_gold,
+          hasStock: false,
+          firstSeenAt: stored.first_seen_at,
+          lastSeenAt: stored.last_seen_at,
+          lastInStockAt: stored.last_in_stock_at,
+          lastOutOfStockAt: stored.last_out_of_stock_at,
+          removedAt: capturedAt,
+        });
+      }
+
+      if (events.length > 0) {
+        await db.addCatalogEvents(game.id, events);
+        logger.info(`CatalogHistoryService: ${events.length} change(s) in ${game.id}`);
+      }
+
+      return events;
+    } catch (err) {
+      logger.error(`CatalogHistoryService: Error recording snapshot of ${game.id}:`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Stable key of a card: Razer product ID, or its name when the API gives none
+   * @param {Object} card - Card
+   * @returns {string|null}
+   */
+  getSkuKey(card) {
+    if (card.productId !== null && card.productId !== undefined) {
+      return String(card.productId);
+    }
+    return card.name ? `name:${card.name}` : null;
+  }
+
+  /**
+   * Stored history of a game for display
+   * @param {string} gameId - Game ID from games-catalog
+   * @returns {Promise<{skus: Array<Object>, events: Array<Object>, lastSnapshotAt: Date|null}>}
+   */
+  async getHistory(gameId) {
+    const skus = await db.getCatalogSkus(gameId);
+    const events = await db.getCatalogEvents(gameId, appConfig.catalogHistory.eventsShown);
+    const lastSnapshotAt = skus.reduce(
+      (latest, sku) => (!latest || sku.last_seen_at > latest ? sku.last_seen_at : latest),
+      null,
+    );
+
+    return { skus, events, lastSnapshotAt };
+  }
+}
+
+// Export singleton instance
+module.exports = new CatalogHistoryService();
@@ -1,10 +1,13 @@
+const http = require('http');
 const https = require('https');
 const logger = require('../utils/logger');
+const appConfig = require('../config/app-config');
+const { getDefaultStorefront, resolveStorefrontFromUrl } = require('../config/storefronts');
 const purchaseService = require('./PurchaseService');
 
 class GameCardsService {
   constructor() {
-    this.DEFAULT_REGION_ID = 2;
+    this.DEFAULT_REGION_ID = getDefaultStorefront().regionId;
     this.API_TIMEOUT_MS = 5000;
   }
 
@@ -72,7 +75,7 @@ class GameCardsService {
 
   fetchCatalogByPermalink(permalink, refererUrl, regionId = this.DEFAULT_REGION_ID) {
     const safeRegionId = Number.isInteger(regionId) && regionId > 0 ? regionId : this.DEFAULT_REGION_ID;
-    const url = `https://gold.razer.com/api/v2/content/gold/catalogs/${safeRegionId}/${encodeURIComponent(permalink)}`;
+    const url = `${appConfig.razer.goldBaseUrl}/api/v2/content/gold/catalogs/${safeRegionId}/${encodeURIComponent(permalink)}`;
 
     const headers = {
       accept: 'application/json, text/plain, */*',
@@ -81,7 +84,9 @@ class GameCardsService {
     };
 
     return new Promise((resolve, reject) => {
-      const req = https.get(url, { headers }, (res) => {
+      // Plain http only when pointed at the local mock storefront
+      const client = url.startsWith('http://') ? http : https;
+      const req = client.get(url, { headers }, (res) => {
         const chunks = [];
 
         res.on('data', (chunk) => chunks.push(chunk));
@@ -127,10 +132,28 @@ class GameCardsService {
     return cards;
   }
 
-  async getCards(telegramUserId, gameUrl, regionId = this.DEFAULT_REGION_ID) {
+  // Find a saved card again in a fresh card list: by product ID, else by name
+  // (its position changes whenever the catalog adds or removes denominations)
+  findCard(cards, { productId = null, cardName }) {
+    if (productId !== null && productId !== undefined) {
+      const byProduct = cards.find(card => card.productId === productId);
+      if (byProduct) return byProduct;
+    }
+
+    const name = String(cardName || '').trim().toLowerCase();
+    return cards.find(card => card.name.trim().toLowerCase() === name) || null;
+  }
+
+  async getCards(telegramUserId, gameUrl, regionId = null) {
+    // Without an explicit region, use the storefront the game URL belongs to
+    regionId = regionId || resolveStorefrontFromUrl(gameUrl).regionId;
+
     try {
       const cards = await this.fetchCardsFromApi(gameUrl, regionId);
       logger.success(`Loaded ${cards.length} card(s) from catalog API`);
+
+      // Fire-and-forget: keep catalog history current between snapshots
+      require('./CatalogHistoryService').recordCardsForUrl(gameUrl, cards);
       return { cards, source: 'api', apiError: null };
     } catch (apiErr) {
       logger.warn(`Catalog API failed for ${gameUrl} (region ${regionId}): ${apiErr.message}. Falling back to page scraping.`);
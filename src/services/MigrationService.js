@@ -0,0 +1,92 @@
+/**
+ * Migration Service
+ *
+ * Applies versioned schema migrations at startup.
+ * - Migrations live in storage/migrations as NNN_name.js
+ * - Each exports { description, mssql: [...], sqlite: [...] } statement lists
+ * - Applied versions are recorded in the schema_version table
+ */
+
+const fs = require("fs");
+const path = require("path");
+const db = require("./DatabaseService");
+const logger = require("../utils/logger");
+
+const MIGRATIONS_DIR = path.join(__dirname, "storage", "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+class MigrationService {
+  /**
+   * Load all migration files for the active storage dialect, ordered by version
+   * @returns {Array<{version: number, name: string, description: string, statements: string[]}>}
+   */
+  loadMigrations() {
+    const migrations = fs
+      .readdirSync(MIGRATIONS_DIR)
+      .map((file) => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const definition = require(path.join(MIGRATIONS_DIR, file));
+        const statements = definition[db.dialect];
+
+        if (!Array.isArray(statements)) {
+          throw new Error(
+            `Migration ${file} has no statements for ${db.dialect}`,
+          );
+        }
+
+        return {
+          version: parseInt(match[1], 10),
+          name: match[2],
+          description: definition.description || match[2],
+          statements,
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`Duplicate migration version ${migrations[i].version}`);
+      }
+    }
+
+    return migrations;
+  }
+
+  /**
+   * Apply every migration newer than the recorded schema version
+   * @returns {Promise<number>} Schema version after migrating
+   */
+  async applyPendingMigrations() {
+    try {
+      const currentVersion = await db.getSchemaVersion();
+      const pending = this.loadMigrations().filter(
+        (migration) => migration.version > currentVersion,
+      );
+
+      if (pending.length === 0) {
+        logger.database(`Database schema up to date (version ${currentVersion})`);
+        return currentVersion;
+      }
+
+      for (const migration of pending) {
+        logger.database(
+          `Applying migration ${migration.version}: ${migration.description}`,
+        );
+        await db.applyMigration(migration);
+      }
+
+      const latestVersion = pending[pending.length - 1].version;
+      logger.success(
+        `Database schema migrated ${currentVersion} -> ${latestVersion}`,
+      );
+      return latestVersion;
+    } catch (err) {
+      logger.error("Database migration failed:", err);
+      throw err;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new MigrationService();
@@ -0,0 +1,542 @@
+/**
+ * OrderQueueService
+ * Orders wait their turn for the browser instead of being turned away while another one runs.
+ * One order runs at a time (p-queue, concurrency 1): higher priority first, then FIFO; scheduled
+ * orders get a higher priority when appConfig.queue.prioritizeScheduled is on.
+ * Entries are stored in order_queue, so queued Buy Now orders come back after a restart.
+ * Users see their place in line with an ETA and can cancel while still queued.
+ * A cart order takes a single place in line and buys its lines one after another.
+ */
+const logger = require("../utils/logger");
+const db = require("./DatabaseService");
+const browserManager = require("./BrowserManager");
+const purchaseService = require("./PurchaseService");
+const razerAccountService = require("./RazerAccountService");
+const spendingLimitService = require("./SpendingLimitService");
+const orderFlowHandler = require("../controllers/OrderFlowHandler");
+const messageFormatter = require("../utils/MessageFormatter");
+const appConfig = require("../config/app-config");
+const { sleep } = require("./purchase/timing");
+const { InsufficientBalanceError } = require("./purchase/errors");
+
+const SCHEDULED_PRIORITY = 1;
+const BROWSER_POLL_MS = 1000;
+
+class OrderQueueService {
+  constructor(bot) {
+    this.bot = bot;
+    this.queue = null; // p-queue instance (ESM-only, loaded on first use)
+    this.queueLoading = null;
+    this.waiting = []; // Queued entries in run order (mirrors p-queue)
+    this.running = null; // {entry, startedAt}
+    this.isStarted = false;
+    this.msPerCard = appConfig.queue.estimatedMsPerCard; // Refined by every completed order
+  }
+
+  /**
+   * Load the queue (paused until start())
+   * @returns {Promise<Object>} p-queue instance
+   */
+  getQueue() {
+    if (!this.queueLoading) {
+      this.queueLoading = import("p-queue").then(({ default: PQueue }) => {
+        this.queue = new PQueue({ concurrency: 1, autoStart: false });
+        return this.queue;
+      });
+    }
+    return this.queueLoading;
+  }
+
+  /**
+   * Start running queued orders (once the startup browser is ready). Buy Now orders still
+   * queued when the bot stopped join the queue again; runs cut off by the restart are closed.
+   */
+  async start() {
+    const queue = await this.getQueue();
+    await this.restore();
+
+    queue.start();
+    this.isStarted = true;
+    logger.success("Order queue started");
+    await this.refreshPositions();
+  }
+
+  /**
+   * Stop taking orders off the queue (bot shutdown)
+   */
+  stop() {
+    if (this.queue) {
+      this.queue.pause();
+    }
+    this.isStarted = false;
+  }
+
+  /**
+   * Reload open entries left by the previous run of the bot
+   */
+  async restore() {
+    try {
+      const rows = await db.getOpenQueuedOrders();
+      let restored = 0;
+
+      for (const row of rows) {
+        if (this.waiting.some((entry) => entry.id === row.id)) continue;
+
+        if (row.status === "queued" && !row.scheduled_order_id) {
+          this.add(this.toEntry(row));
+          restored++;
+          continue;
+        }
+
+        // Cut off mid-run (order recovery offers to resume the order itself), or a scheduled
+        // run, which is not retried: its schedule has moved on
+        await db.finishQueuedOrder(row.id, "interrupted", null, "Interrupted by a bot restart");
+        if (row.scheduled_order_id) {
+          const scheduledOrderService = require("./ScheduledOrderService")();
+          if (scheduledOrderService) {
+            await scheduledOrderService.failInterruptedRun(this.toEntry(row));
+          }
+        }
+      }
+
+      if (restored > 0) {
+        logger.info(`Order queue: ${restored} queued order(s) restored after restart`);
+      }
+    } catch (err) {
+      logger.error("Error restoring order queue:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Queue an order. It starts right away if nothing is ahead of it.
+   * @param {Object} order - {telegramUserId (owner), chatId, accountUserId, gameName, gameUrl, cardName,
+   *                         cardIndex, quantity, unitGold, scheduledOrderId, scheduledRunId,
+   *                         items (cart lines; quantity is then the cart's total),
+   *                         encryptPins (true / false, null = the owner's PIN archive setting)}
+   * @returns {Promise<{id: number, position: number, result: Promise<Object>}>} result settles with
+   *          the order result (rejects if the order fails or is cancelled while queued)
+   */
+  async enqueue(order) {
+    try {
+      await this.getQueue();
+
+      const priority =
+        order.scheduledOrderId && appConfig.queue.prioritizeScheduled ? SCHEDULED_PRIORITY : 0;
+      const cartItems = order.items ? JSON.stringify(order.items) : null;
+      const id = await db.createQueuedOrder({ ...order, priority, cartItems });
+      const entry = this.toEntry({
+        id,
+        telegram_user_id: order.telegramUserId,
+        chat_id: order.chatId,
+        account_user_id: order.accountUserId,
+        game_name: order.gameName,
+        game_url: order.gameUrl,
+        card_name: order.cardName,
+        card_index: order.cardIndex,
+        quantity: order.quantity,
+        unit_gold: order.unitGold,
+        scheduled_order_id: order.scheduledOrderId,
+        scheduled_run_id: order.scheduledRunId,
+        priority,
+        cart_items: cartItems,
+        encrypt_pins: typeof order.encryptPins === "boolean" ? order.encryptPins : null,
+      });
+
+      this.add(entry);
+      const position = this.getPosition(id);
+      logger.info(
+        `Order queue: #${id} queued for ${entry.telegram_user_id} (${entry.game_name} x${entry.quantity}, position ${position})`,
+      );
+
+      await this.refreshPositions();
+      return { id, position, result: entry.result };
+    } catch (err) {
+      logger.error("Error queueing order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Cancel an order still waiting in the queue
+   * @param {number} entryId - Queue entry ID
+   * @param {string} telegramUserId - Telegram user who placed it
+   * @returns {Promise<boolean>} True if cancelled (false if it already started or is not theirs)
+   */
+  async cancel(entryId, telegramUserId) {
+    const entry = this.waiting.find((other) => other.id === entryId);
+    if (!entry || entry.telegram_user_id !== String(telegramUserId)) {
+      return false;
+    }
+
+    // Off the line before any await, so the worker can no longer pick it up
+    entry.cancelled = true;
+    this.waiting = this.waiting.filter((other) => other !== entry);
+
+    await db.cancelQueuedOrder(entryId, telegramUserId);
+    await this.deletePositionMessage(entry);
+    entry.reject(new Error("Order cancelled by user while queued"));
+    logger.info(`Order queue: #${entryId} cancelled by ${telegramUserId}`);
+
+    await this.refreshPositions();
+    return true;
+  }
+
+  /**
+   * Queue entry from an order_queue row
+   * @param {Object} row - order_queue row
+   * @returns {Object} Entry (IDs as strings, items = cart lines or null, encrypt_pins = boolean or null)
+   */
+  toEntry(row) {
+    return {
+      ...row,
+      telegram_user_id: String(row.telegram_user_id),
+      chat_id: String(row.chat_id),
+      account_user_id: row.account_user_id ? String(row.account_user_id) : null,
+      priority: row.priority || 0,
+      items: row.cart_items ? JSON.parse(row.cart_items) : null,
+      encrypt_pins: row.encrypt_pins === null || row.encrypt_pins === undefined ? null : Boolean(row.encrypt_pins),
+      messageId: null,
+    };
+  }
+
+  /**
+   * Put an entry in line
+   * @param {Object} entry - Queue entry
+   */
+  add(entry) {
+    entry.result = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    // Buy Now orders are not awaited by anyone
+    entry.result.catch(() => {});
+
+    const index = this.waiting.findIndex((other) => other.priority < entry.priority);
+    this.waiting.splice(index === -1 ? this.waiting.length : index, 0, entry);
+    this.queue.add(() => this.run(entry), { priority: entry.priority });
+  }
+
+  /**
+   * Place of an order in line (1 = running or next)
+   * @param {number} entryId - Queue entry ID
+   * @returns {number} Position, or 0 if not in the queue
+   */
+  getPosition(entryId) {
+    const line = this.running ? [this.running.entry, ...this.waiting] : this.waiting;
+    return line.findIndex((entry) => entry.id === entryId) + 1;
+  }
+
+  /**
+   * Estimated wait until an order starts: what is left of the running order plus every order ahead
+   * @param {number} entryId - Queue entry ID
+   * @returns {number} Milliseconds
+   */
+  estimateWaitMs(entryId) {
+    let waitMs = 0;
+    if (this.running) {
+      const runningMs = this.running.entry.quantity * this.msPerCard;
+      waitMs += Math.max(runningMs - (Date.now() - this.running.startedAt), 0);
+    }
+
+    for (const entry of this.waiting) {
+      if (entry.id === entryId) break;
+      waitMs += entry.quantity * this.msPerCard;
+    }
+    return waitMs;
+  }
+
+  /**
+   * Send or update the place-in-line message of every order waiting behind another one
+   */
+  async refreshPositions() {
+    for (const entry of [...this.waiting]) {
+      const position = this.getPosition(entry.id);
+      if (position < 2 && !entry.messageId && this.isStarted) continue;
+
+      const text = messageFormatter.formatQueuePosition(entry, position, this.estimateWaitMs(entry.id));
+      const options = {
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [[{ text: "❌ Cancel", callback_data: `queue_cancel_${entry.id}` }]],
+        },
+      };
+
+      try {
+        if (entry.messageId) {
+          if (text === entry.messageText) continue;
+          await this.bot.editMessageText(text, {
+            chat_id: entry.chat_id,
+            message_id: entry.messageId,
+            ...options,
+          });
+        } else {
+          const message = await this.bot.sendMessage(entry.chat_id, text, options);
+          entry.messageId = message.message_id;
+        }
+        entry.messageText = text;
+      } catch (err) {
+        logger.debug(`Could not update queue position of #${entry.id}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Remove an entry's place-in-line message
+   * @param {Object} entry - Queue entry
+   */
+  async deletePositionMessage(entry) {
+    if (!entry.messageId) return;
+
+    try {
+      await this.bot.deleteMessage(entry.chat_id, entry.messageId);
+    } catch (err) {
+      logger.debug("Could not delete queue position message");
+    }
+    entry.messageId = null;
+  }
+
+  /**
+   * Worker: run the entry at the head of the queue and settle its result
+   * @param {Object} entry - Queue entry
+   */
+  async run(entry) {
+    this.waiting = this.waiting.filter((other) => other !== entry);
+    if (entry.cancelled) return;
+
+    const startedAt = Date.now();
+    this.running = { entry, startedAt };
+
+    try {
+      await this.deletePositionMessage(entry);
+      await this.refreshPositions();
+      await db.startQueuedOrder(entry.id);
+
+      const result = await this.execute(entry);
+      // A cart is several orders; its queue entry keeps none of them
+      await db.finishQueuedOrder(entry.id, "completed", result.order ? result.order.id : null);
+
+      // Running average, so ETAs follow how fast orders actually go
+      const msPerCard = (Date.now() - startedAt) / Math.max(entry.quantity, 1);
+      this.msPerCard = Math.round(this.msPerCard * 0.7 + msPerCard * 0.3);
+      entry.resolve(result);
+    } catch (err) {
+      const cancelled = Boolean(err.message && err.message.includes("cancelled by user"));
+      try {
+        await db.finishQueuedOrder(
+          entry.id,
+          cancelled ? "cancelled" : "failed",
+          err.partialOrder?.order?.id || null,
+          err.message,
+        );
+      } catch (dbErr) {
+        logger.error(`Order queue: could not close #${entry.id}:`, dbErr);
+      }
+      entry.reject(err);
+    } finally {
+      this.running = null;
+    }
+  }
+
+  /**
+   * Buy a queued order once the browser is free
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<Object>} Order result
+   * @throws {Error} If the order could not start (the user has been told) or failed
+   */
+  async execute(entry) {
+    const isScheduled = Boolean(entry.scheduled_order_id);
+    const chatId = entry.chat_id;
+    const accountUserId = entry.account_user_id || entry.telegram_user_id;
+    const failedTitle = isScheduled
+      ? `❌ *Scheduled Order Failed*\n🆔 #${entry.scheduled_order_id}`
+      : "❌ *Order Failed*";
+
+    // Balance checks, /transactions and card lists also use the browser
+    while (!browserManager.isBrowserAvailable()) {
+      await sleep(BROWSER_POLL_MS);
+    }
+
+    // Take the browser right away (no await since the check above) and keep it for the
+    // whole job, so the account monitor or a prewarm cannot grab it before the purchase
+    return purchaseService.runWithBrowserLock("queued-order", () =>
+      this.executeWithBrowser(entry, { isScheduled, chatId, accountUserId, failedTitle }),
+    );
+  }
+
+  /**
+   * Check limits, log in and buy a queued order (the caller holds the browser lock)
+   * @param {Object} entry - Queue entry
+   * @param {Object} context - {isScheduled, chatId, accountUserId, failedTitle}
+   * @returns {Promise<Object>} Order result
+   */
+  async executeWithBrowser(entry, { isScheduled, chatId, accountUserId, failedTitle }) {
+    // Orders that ran while this one waited may have used up the daily allowance
+    // (scheduled runs are re-checked just before they are queued)
+    if (entry.items) {
+      const cartCheck = await spendingLimitService.checkCart({
+        telegramUserId: entry.telegram_user_id,
+        items: entry.items,
+      });
+      if (!cartCheck.allowed) {
+        await this.notify(
+          chatId,
+          `${failedTitle}\n\n🎮 ${cartCheck.item.gameName} - 💎 ${cartCheck.item.cardName}\n` +
+            messageFormatter.formatSpendingLimitExceeded(cartCheck.check, cartCheck.item.quantity),
+        );
+        throw new Error("Daily spending limit exceeded");
+      }
+    } else if (!isScheduled) {
+      const limitCheck = await spendingLimitService.checkOrder({
+        telegramUserId: entry.telegram_user_id,
+        gameName: entry.game_name,
+        quantity: entry.quantity,
+        unitGold: entry.unit_gold,
+      });
+      if (!limitCheck.allowed) {
+        await this.notify(
+          chatId,
+          `${failedTitle}\n\n${messageFormatter.formatSpendingLimitExceeded(limitCheck, entry.quantity)}`,
+        );
+        throw new Error("Daily spending limit exceeded");
+      }
+    }
+
+    // Account 1 keeps its pool from /start; other accounts log in when their order starts
+    if (
+      purchaseService.getExtraAccountNumber(accountUserId) &&
+      purchaseService.getReadySessions(accountUserId).length === 0
+    ) {
+      const accountLabel = await razerAccountService.getAccountLabel(accountUserId);
+      await this.notify(chatId, `⏳ Logging in Razer account ${accountLabel}...`);
+      if (!(await razerAccountService.ensureAccountReady(accountUserId))) {
+        await this.notify(
+          chatId,
+          `${failedTitle}\n\nRazer account ${accountLabel} could not log in. Check its credentials in /accounts.`,
+        );
+        throw new Error("Razer account login failed");
+      }
+    }
+
+    if (purchaseService.getReadySessions(accountUserId).length === 0) {
+      await this.notify(
+        chatId,
+        `${failedTitle}\n\n⚠️ No ready browser pool found.\nSend /start first to prepare browsers.`,
+      );
+      throw new Error("No ready browser pool");
+    }
+
+    // Orders that ran while this one waited may have spent the Gold it was checked against
+    await this.ensureAffordable(entry, { chatId, accountUserId, failedTitle });
+
+    // A Buy Now order holds its chat like before: commands wait, /cancel stops it. It runs
+    // outside the chat's order session, so a flow started while it waited is left alone.
+    if (!isScheduled) {
+      orderFlowHandler.beginRunningOrder(chatId, entry.telegram_user_id, entry.id);
+    }
+
+    try {
+      if (entry.items) {
+        return await orderFlowHandler._executeCart({
+          bot: this.bot,
+          chatId,
+          telegramUserId: accountUserId,
+          items: entry.items,
+          orderOwnerId: entry.telegram_user_id,
+          encryptPins: entry.encrypt_pins,
+        });
+      }
+
+      return await orderFlowHandler._executeOrder({
+        bot: this.bot,
+        chatId,
+        telegramUserId: accountUserId,
+        gameName: entry.game_name,
+        gameUrl: entry.game_url,
+        cardName: entry.card_name,
+        cardIndex: entry.card_index,
+        quantity: entry.quantity,
+        unitGold: entry.unit_gold,
+        orderOwnerId: entry.telegram_user_id,
+        isScheduled,
+        scheduledOrderId: entry.scheduled_order_id || null,
+        encryptPins: entry.encrypt_pins,
+      });
+    } finally {
+      if (!isScheduled) {
+        orderFlowHandler.endRunningOrder(chatId);
+      }
+    }
+  }
+
+  /**
+   * Re-check the Gold balance of a queued order's account (the caller holds the browser lock)
+   * @param {Object} entry - Queue entry
+   * @param {Object} context - {chatId, accountUserId, failedTitle}
+   * @throws {InsufficientBalanceError} If the balance no longer covers the order (the user has been told)
+   */
+  async ensureAffordable(entry, { chatId, accountUserId, failedTitle }) {
+    if (entry.items) {
+      // Cart lines without a price (scraped cards) cannot be checked
+      if (entry.items.some((item) => item.unitGold === null || item.unitGold === undefined)) return;
+
+      const cost = entry.items.reduce((total, item) => total + item.unitGold * item.quantity, 0);
+      const balance = await orderFlowHandler.readGoldBalance(accountUserId);
+      if (balance === null || cost <= balance) return;
+
+      await this.notify(
+        chatId,
+        `${failedTitle}\n\n⚠️ *INSUFFICIENT BALANCE*\n` +
+          `💰 Cart: ${messageFormatter.formatGold(cost)} Gold\n` +
+          `🥇 Balance: ${messageFormatter.formatGold(balance)} Gold\n\n` +
+          `Reload the account, then order again.`,
+      );
+      throw new InsufficientBalanceError("Insufficient Razer Gold balance for the queued cart");
+    }
+
+    const affordability = await orderFlowHandler.checkAffordability(accountUserId, {
+      unitGold: entry.unit_gold,
+      quantity: entry.quantity,
+    });
+    if (!affordability || affordability.balance === null || affordability.cost <= affordability.balance) {
+      return;
+    }
+
+    await this.notify(
+      chatId,
+      `${failedTitle}\n\n${messageFormatter.formatInsufficientBalance(affordability)}` +
+        (affordability.affordable > 0 ? `\nOrder again with that quantity.` : ""),
+    );
+    throw new InsufficientBalanceError("Insufficient Razer Gold balance for the queued order");
+  }
+
+  /**
+   * Send a message to the chat of a queued order
+   * @param {string} chatId - Chat ID
+   * @param {string} text - Markdown message
+   */
+  async notify(chatId, text) {
+    try {
+      await this.bot.sendMessage(chatId, text, { parse_mode: "Markdown" });
+    } catch (err) {
+      logger.error(`Could not send queue notification to chat ${chatId}`);
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get or create singleton instance
+ * @param {Object} bot - Telegram bot instance (required for first call)
+ * @returns {OrderQueueService} Service instance
+ */
+function getInstance(bot = null) {
+  if (!instance && bot) {
+    instance = new OrderQueueService(bot);
+  }
+  return instance;
+}
+
+module.exports = getInstance;
@@ -0,0 +1,379 @@
+/**
+ * Order Recovery Service
+ *
+ * Recovers bulk orders that were interrupted by a crash or restart.
+ * - Finds orders still marked as processing at startup
+ * - Matches them against the Razer transactions history from the order start time
+ *   (of the Razer account that bought the order)
+ * - Delivers recovered PINs to the original chat
+ * - Offers to resume the remaining quantity
+ */
+
+const db = require("./DatabaseService");
+const purchaseService = require("./PurchaseService");
+const userPreferencesService = require("./UserPreferencesService");
+const encryptionService = require("../utils/encryption");
+const fileGenerator = require("../utils/FileGenerator");
+const logger = require("../utils/logger");
+const appConfig = require("../config/app-config");
+const { resolveStorefrontFromUrl } = require("../config/storefronts");
+
+class OrderRecoveryService {
+  constructor() {
+    // Site timestamps and DB timestamps can drift slightly, so widen the window start.
+    this.WINDOW_GRACE_MS = appConfig.recovery.transactionWindowGraceMs;
+  }
+
+  /**
+   * Recover every order left in the processing state.
+   * Never throws - recovery must not block startup.
+   * @param {Object} bot - Telegram bot instance
+   */
+  async recoverInterruptedOrders(bot) {
+    let orders;
+    try {
+      orders = await db.getOrdersByStatus("processing");
+    } catch (err) {
+      logger.error("Recovery: could not load interrupted orders:", err.message);
+      return;
+    }
+
+    if (orders.length === 0) {
+      logger.info("Recovery: no interrupted orders found");
+      return;
+    }
+
+    logger.system(`Recovery: ${orders.length} interrupted order(s) found`);
+
+    const razerAccountService = require("./RazerAccountService");
+
+    for (let i = 0; i < orders.length; i++) {
+      const order = orders[i];
+      const accountUserId = this.getOrderAccountUserId(order);
+      // Each account has its own transactions history, so the window ends at that account's next order
+      const nextOrder =
+        orders.slice(i + 1).find((o) => this.getOrderAccountUserId(o) === accountUserId) || null;
+
+      let hasSession = purchaseService.getReadySessions(accountUserId).length > 0;
+      if (!hasSession && db.getAccountNumber(accountUserId) > 1) {
+        hasSession = await razerAccountService.ensureAccountReady(accountUserId);
+      }
+      if (!hasSession) {
+        logger.warn(
+          `Recovery: no ready browser session for account ${accountUserId} - order ${order.id} will be checked on next startup`,
+        );
+        continue;
+      }
+
+      try {
+        await this.recoverOrder(bot, order, nextOrder);
+      } catch (err) {
+        logger.error(`Recovery: failed to recover order ${order.id}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Razer account an order was bought with
+   * @param {Order} order - Order
+   * @returns {string} Account operator ID (account 1 for orders placed before multiple accounts)
+   */
+  getOrderAccountUserId(order) {
+    return db.normalizeSharedOperatorId(order.account_user_id);
+  }
+
+  /**
+   * Check whether a user placed an order
+   * @param {Order} order - Order
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {boolean}
+   */
+  isOrderOwner(order, telegramUserId) {
+    return String(order.telegram_user_id) === String(telegramUserId);
+  }
+
+  /**
+   * Check whether a Razer transaction description is the order's game and card
+   * Descriptions read "<product> <card>", e.g. "PUBG Mobile 60 UC".
+   * The card must appear as whole words ("60 UC" is not "660 UC") and the game by
+   * one of its name words (emoji and region suffixes such as "(Global)" are ignored).
+   * @param {Order} order - Order
+   * @param {string} description - Transaction description
+   * @returns {boolean}
+   */
+  matchesOrderProduct(order, description) {
+    const normalize = (text) =>
+      String(text || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+
+    const text = ` ${normalize(description)} `;
+    const card = normalize(order.card_value);
+    if (!card || !text.includes(` ${card} `)) {
+      return false;
+    }
+
+    const gameWords = normalize(String(order.game_name || "").replace(/\([^)]*\)/g, " "))
+      .split(" ")
+      .filter((word) => word.length >= 3);
+    return gameWords.length === 0 || gameWords.some((word) => text.includes(` ${word} `));
+  }
+
+  /**
+   * Recover a single interrupted order.
+   * @param {Object} bot - Telegram bot instance
+   * @param {Order} order - Interrupted order
+   * @param {Order|null} nextOrder - Next interrupted order (bounds the transaction window)
+   */
+  async recoverOrder(bot, order, nextOrder) {
+    const chatId = String(order.chat_id || order.telegram_user_id);
+    const purchases = await db.getOrderPurchases(order.id);
+
+    const since = new Date(new Date(order.created_at).getTime() - this.WINDOW_GRACE_MS);
+    const until = nextOrder ? new Date(nextOrder.created_at) : null;
+
+    // Cards saved without PIN (API replay before enrichment) plus cards never saved
+    // may exist on Razer's side only.
+    const pendingPurchases = purchases.filter((p) => p.status === "pending");
+    const unrecordedCount = Math.max(0, order.cards_count - purchases.length);
+    const lookupCount = pendingPurchases.length + unrecordedCount;
+
+    let recovered = [];
+    if (lookupCount > 0) {
+      const knownTransactionIds = await db.getTransactionIdsSince(since);
+      const result = await purchaseService.fetchTransactionsSince(
+        this.getOrderAccountUserId(order),
+        since,
+        {
+          until,
+          excludeTransactionIds: knownTransactionIds,
+          limit: lookupCount,
+          storefront: order.game_url ? resolveStorefrontFromUrl(order.game_url) : null,
+          // Other purchases on the account in the window (another game, a manual buy) are not this order's
+          matchesProduct: (description) => this.matchesOrderProduct(order, description),
+        },
+      );
+      recovered = result.transactions;
+    }
+
+    // Fill pending purchases first, then record the rest as new cards.
+    let nextCardNumber =
+      purchases.reduce((max, p) => Math.max(max, p.card_number || 0), 0) + 1;
+
+    for (let i = 0; i < recovered.length; i++) {
+      const transaction = recovered[i];
+      const pending = pendingPurchases[i];
+
+      if (pending) {
+        await db.updatePurchaseDetails(pending.id, {
+          transactionId: transaction.transactionId,
+          pinCode: transaction.pinCode,
+          serialNumber: transaction.serialNumber,
+          status: "success",
+        });
+      } else {
+        await db.createPurchaseWithEncryptedPin({
+          orderId: order.id,
+          transactionId: transaction.transactionId,
+          cardNumber: nextCardNumber++,
+          status: "success",
+          pinCode: transaction.pinCode,
+          serialNumber: transaction.serialNumber,
+          gameName: order.game_name,
+          cardValue: order.card_value,
+        });
+      }
+    }
+
+    const finalPurchases = await db.getOrderPurchases(order.id);
+    const pins = this.decryptSuccessfulPins(finalPurchases);
+    const remaining = Math.max(0, order.cards_count - pins.length);
+    const status = remaining > 0 ? "interrupted" : "completed";
+
+    await db.updateOrderStatusWithCount(order.id, status, finalPurchases.length);
+
+    logger.success(
+      `Recovery: order ${order.id} -> ${pins.length}/${order.cards_count} cards (${recovered.length} recovered from history)`,
+    );
+
+    await this.notifyRecoveredOrder(bot, chatId, order, pins, recovered.length, remaining);
+  }
+
+  /**
+   * Decrypt PINs of successful purchases.
+   * @param {Purchase[]} purchases - Order purchases
+   * @returns {Array<{pinCode: string, serialNumber: string, transactionId: string, purchasedAt: Date}>}
+   */
+  decryptSuccessfulPins(purchases) {
+    const pins = [];
+
+    for (const purchase of purchases) {
+      if (purchase.status !== "success" || !purchase.pin_encrypted) {
+        continue;
+      }
+
+      try {
+        pins.push({
+          pinCode: encryptionService.decrypt(purchase.pin_encrypted),
+          serialNumber: purchase.serial_number_encrypted
+            ? encryptionService.decrypt(purchase.serial_number_encrypted)
+            : "",
+          transactionId: purchase.razer_transaction_id,
+          purchasedAt: purchase.purchased_at,
+        });
+      } catch (err) {
+        logger.error(`Recovery: failed to decrypt PIN for purchase ${purchase.id}:`, err.message);
+      }
+    }
+
+    return pins;
+  }
+
+  /**
+   * Tell the original chat what was recovered and offer to resume.
+   * @param {Object} bot - Telegram bot instance
+   * @param {string} chatId - Chat ID
+   * @param {Order} order - Recovered order
+   * @param {Array} pins - Decrypted pins
+   * @param {number} recoveredCount - Cards found in transactions history
+   * @param {number} remaining - Cards still missing
+   */
+  async notifyRecoveredOrder(bot, chatId, order, pins, recoveredCount, remaining) {
+    try {
+      let message =
+        `♻️ *Order Recovered* #${order.id}\n` +
+        `⚠️ Bot restarted while this order was running.\n\n` +
+        `🎮 ${order.game_name}\n` +
+        `💎 ${order.card_value}\n` +
+        `✅ ${pins.length}/${order.cards_count} cards` +
+        (recoveredCount > 0 ? ` (${recoveredCount} from history)` : "");
+
+      const buttons = [];
+      if (remaining > 0) {
+        message += `\n⏳ ${remaining} not processed`;
+        buttons.push([
+          { text: `▶️ Resume ${remaining}`, callback_data: `recovery_resume_${order.id}` },
+          { text: "✖️ Dismiss", callback_data: `recovery_dismiss_${order.id}` },
+        ]);
+      }
+
+      await bot.sendMessage(chatId, message, {
+        parse_mode: "Markdown",
+        reply_markup: buttons.length > 0 ? { inline_keyboard: buttons } : undefined,
+      });
+
+      if (pins.length > 0) {
+        await fileGenerator.sendPinFiles(bot, chatId, order.id, pins, {
+          isPartial: remaining > 0,
+          fileFormat: await userPreferencesService.getPinFileFormat(order.telegram_user_id),
+          order,
+          archive: await userPreferencesService.getPinArchive(order.telegram_user_id),
+        });
+      }
+    } catch (err) {
+      logger.error(`Recovery: could not notify chat ${chatId} for order ${order.id}:`, err.message);
+    }
+  }
+
+  /**
+   * Resume the remaining quantity of an interrupted order.
+   * Re-resolves the card by name because card positions can change between runs.
+   * Only the order's owner can resume it.
+   * @param {Object} bot - Telegram bot instance
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} orderId - Interrupted order ID
+   */
+  async resumeOrder(bot, chatId, telegramUserId, orderId) {
+    const { getGameByName, getAllGames } = require("../config/games-catalog");
+    const gameCardsService = require("./GameCardsService");
+    const orderFlowHandler = require("../controllers/OrderFlowHandler");
+
+    const order = await db.getOrderById(orderId);
+    if (!order || !this.isOrderOwner(order, telegramUserId) || order.status !== "interrupted") {
+      await bot.sendMessage(chatId, "⚠️ This order can no longer be resumed.");
+      return;
+    }
+
+    const purchases = await db.getOrderPurchases(order.id);
+    const successCount = purchases.filter((p) => p.status === "success").length;
+    const remaining = Math.max(0, order.cards_count - successCount);
+    if (remaining === 0) {
+      await db.updateOrderStatus(order.id, "completed");
+      await bot.sendMessage(chatId, "✅ Nothing left to resume.");
+      return;
+    }
+
+    const catalogGame = order.game_url
+      ? getAllGames().find((game) => game.link === order.game_url) || null
+      : getGameByName(order.game_name);
+    const gameUrl = order.game_url || (catalogGame && catalogGame.link);
+
+    if (!gameUrl) {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ Game link for order #${order.id} is unknown.\nUse /start to order the remaining ${remaining} card(s).`,
+      );
+      return;
+    }
+
+    const { cards } = await gameCardsService.getCards(
+      telegramUserId,
+      gameUrl,
+      catalogGame ? catalogGame.regionId : null,
+    );
+    const cardIndex = cards.findIndex((c) => c.name === order.card_value);
+    if (cardIndex === -1) {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ Card *${order.card_value}* is no longer listed.\nUse /start to pick another card.`,
+        { parse_mode: "Markdown" },
+      );
+      return;
+    }
+
+    // The remainder runs as a new order. The original one is closed once that order is queued,
+    // so it can still be resumed if a limit, the balance check or an error stops it.
+    logger.order(`Resuming order ${order.id}: ${remaining} card(s) remaining`);
+
+    orderFlowHandler.initSession(chatId);
+    orderFlowHandler.updateSession(chatId, {
+      gameName: order.game_name,
+      gameUrl,
+      cardName: order.card_value,
+      cardIndex,
+      quantity: remaining,
+      telegramUserId,
+      // Resume on the account that bought the first part
+      accountUserId: this.getOrderAccountUserId(order),
+      resumedOrderId: order.id,
+    });
+    await orderFlowHandler.handleBuyNow(bot, chatId, telegramUserId);
+  }
+
+  /**
+   * Dismiss an interrupted order without resuming it.
+   * Only the order's owner can dismiss it.
+   * @param {Object} bot - Telegram bot instance
+   * @param {string} chatId - Chat ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} orderId - Interrupted order ID
+   */
+  async dismissOrder(bot, chatId, telegramUserId, orderId) {
+    const order = await db.getOrderById(orderId);
+    if (!order || !this.isOrderOwner(order, telegramUserId)) {
+      await bot.sendMessage(chatId, "⚠️ Order not found.");
+      return;
+    }
+
+    if (order.status === "interrupted") {
+      await db.updateOrderStatus(order.id, "completed");
+    }
+
+    await bot.sendMessage(chatId, "✅ Dismissed. Use /start for a new order.");
+  }
+}
+
+// Export singleton instance
+module.exports = new OrderRecoveryService();
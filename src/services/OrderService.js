@@ -6,15 +6,15 @@
  */
 
 const purchaseService = require("./PurchaseService");
+const databaseService = require("./DatabaseService");
 const logger = require("../utils/logger");
 const appConfig = require("../config/app-config");
 
 class OrderService {
   constructor() {
-    // In-memory storage for pins (not saved to database)
+    // In-memory copy of pins for delivery (orders/purchases are also persisted to the database)
     this.orderPins = new Map(); // orderId -> {pins: [...], timestamp: Date.now()}
     this.ORDER_PIN_TTL = appConfig.order.pinTtlMs;
-    this.nextOrderId = Date.now();
 
     // CONCURRENCY FIX: Track active orders to prevent cleanup during processing
     this.activeOrders = new Set(); // Set of order IDs currently being processed
@@ -23,16 +23,6 @@ class OrderService {
     this.cleanupInterval = null;
   }
 
-  /**
-   * Generate an in-memory order ID.
-   * Orders are no longer persisted in the database.
-   * @returns {number}
-   */
-  generateOrderId() {
-    this.nextOrderId += 1;
-    return this.nextOrderId;
-  }
-
   /**
    * Start automatic cleanup of old pins
    * Runs every 30 minutes to remove pins older than 2 hours
@@ -90,24 +80,36 @@ class OrderService {
   }
 
   /**
-   * Create new in-memory order for telegram users.
+   * Create new order for telegram users.
+   * The order row is persisted immediately and marked as processing so that
+   * interrupted orders can be found later.
    * @param {Object} orderData - Order data
    * @returns {Promise<Object>} Created order
    */
-  async createOrderSimple({ telegramUserId, gameName, cardName, cardsCount }) {
+  async createOrderSimple({
+    telegramUserId,
+    chatId,
+    gameName,
+    gameUrl,
+    cardName,
+    cardsCount,
+    unitGold = null,
+    accountUserId = null,
+  }) {
     try {
-      logger.order("Creating in-memory order...");
-
-      const order = {
-        id: this.generateOrderId(),
-        telegram_user_id: telegramUserId,
-        cards_count: cardsCount,
-        card_value: cardName,
-        game_name: gameName,
-        status: "pending",
-        completed_purchases: 0,
-        created_at: new Date().toISOString(),
-      };
+      logger.order("Creating order...");
+
+      const created = await databaseService.createOrder(
+        telegramUserId,
+        cardsCount,
+        cardName,
+        gameName,
+        { chatId, gameUrl, unitGold, accountUserId },
+      );
+      const order = await databaseService.updateOrderStatus(
+        created.id,
+        "processing",
+      );
 
       // Initialize empty pins array for this order WITH TIMESTAMP
       this.orderPins.set(order.id, {
@@ -115,7 +117,7 @@ class OrderService {
         timestamp: Date.now(),
       });
 
-      logger.success(`In-memory order created: ID ${order.id}`);
+      logger.success(`Order created: ID ${order.id}`);
       return order;
     } catch (err) {
       logger.error("Error creating order:", err);
@@ -123,18 +125,64 @@ class OrderService {
     }
   }
 
+  /**
+   * Persist a single card result as a purchase row.
+   * API replay cards have no PIN yet, so they are stored as pending until enrichment.
+   * @param {Object} order - Order being processed
+   * @param {Object} purchaseResult - Card result from PurchaseService
+   * @param {number} cardNumber - Card number in order (1-based)
+   * @returns {Promise<number|null>} Purchase ID, or null if it could not be saved
+   */
+  async persistCardResult(order, purchaseResult, cardNumber) {
+    const isSuccess = purchaseResult.success === true;
+    const hasPin =
+      purchaseResult.pinCode &&
+      purchaseResult.pinCode !== "PENDING" &&
+      purchaseResult.pinCode !== "FAILED";
+
+    let status = "failed";
+    if (isSuccess) {
+      status = hasPin ? "success" : "pending";
+    }
+
+    try {
+      const purchase = await databaseService.createPurchaseWithEncryptedPin({
+        orderId: order.id,
+        transactionId: purchaseResult.transactionId || null,
+        cardNumber,
+        status,
+        pinCode: hasPin ? purchaseResult.pinCode : null,
+        serialNumber: hasPin ? purchaseResult.serialNumber : null,
+        gameName: order.game_name,
+        cardValue: order.card_value,
+        failureStage: isSuccess ? null : purchaseResult.stage || null,
+      });
+      await databaseService.incrementOrderProgress(order.id);
+      return purchase.id;
+    } catch (err) {
+      logger.error(
+        `Failed to save card ${cardNumber} of order ${order.id}:`,
+        err.message,
+      );
+      return null;
+    }
+  }
+
   /**
    * Process complete order with purchases
    * @param {Object} params - Order parameters
    * @returns {Promise<Object>} Order result with pins
    */
   async processOrder({
-    telegramUserId, // Changed from userId to telegramUserId
+    telegramUserId, // Razer account operator ID that buys the cards (any other ID buys with account 1)
+    chatId, // Chat that receives the PINs (used for crash recovery)
     gameName,
     gameUrl,
     cardName,
     cardIndex,
     quantity,
+    unitGold = null, // Gold per card, recorded for spending limits
+    orderOwnerId = null, // Real user to record the order under (defaults to telegramUserId)
     onProgress, // UX FIX #16: Progress callback
     checkCancellation, // Cancellation check callback
   }) {
@@ -143,10 +191,14 @@ class OrderService {
     try {
       // Step 1: Create order (with telegramUserId directly)
       order = await this.createOrderSimple({
-        telegramUserId,
+        telegramUserId: orderOwnerId || telegramUserId,
+        chatId,
         gameName,
+        gameUrl,
         cardName,
         cardsCount: quantity,
+        unitGold,
+        accountUserId: databaseService.normalizeSharedOperatorId(telegramUserId),
       });
 
       // CONCURRENCY FIX: Mark order as active to prevent cleanup
@@ -167,7 +219,7 @@ class OrderService {
       logger.order(`   Quantity: ${quantity}`);
       logger.order(`${"=".repeat(60)}\n`);
 
-      // Step 2: Process purchases and keep per-card details in memory only.
+      // Step 2: Process purchases, saving each card to the database as it completes.
       const purchases = await purchaseService.processBulkPurchases({
         telegramUserId,
         gameUrl,
@@ -183,16 +235,29 @@ class OrderService {
             // Determine if this is a true success or a confirmed-but-failed purchase
             const isSuccess = purchaseResult.success === true;
 
-            // Keep aggregate progress in memory only.
+            const purchaseId = await this.persistCardResult(
+              order,
+              purchaseResult,
+              cardNumber,
+            );
+            // Only a saved card is in /history and can be recovered after a restart
+            purchaseResult.savedToDb = purchaseId !== null;
+            if (!purchaseResult.savedToDb) {
+              logger.warn(
+                `Card ${cardNumber} of order ${order.id} is not in the database - its PIN is only in this chat's file`,
+              );
+            }
+
             order.completed_purchases += 1;
             logger.order(
               `   Order progress: ${order.completed_purchases}/${order.cards_count}`,
             );
 
-            // Store card details in memory for sending PIN files at the end.
+            // Keep card details in memory for sending PIN files at the end.
             const orderData = this.orderPins.get(order.id);
             if (orderData && orderData.pins) {
               orderData.pins.push({
+                purchaseId,
                 pinCode: purchaseResult.pinCode,
                 serialNumber: purchaseResult.serialNumber,
                 transactionId: purchaseResult.transactionId,
@@ -200,10 +265,14 @@ class OrderService {
                 requiresManualCheck:
                   purchaseResult.requiresManualCheck || !isSuccess,
                 error: purchaseResult.error || null,
+                stage: isSuccess ? null : purchaseResult.stage || null,
                 gameName: gameName,
                 cardValue: cardName,
+                purchasedAt: new Date(),
+                savedToDb: purchaseResult.savedToDb,
               });
             }
+            purchaseResult.tracked = true;
           } catch (trackErr) {
             logger.error(
               `Failed to track card ${cardNumber} result:`,
@@ -219,8 +288,8 @@ class OrderService {
       for (const purchase of purchases) {
         if (purchase.success === false) {
           failedCardsCount++;
-          // Skip entries already tracked in memory by onCardCompleted.
-          if (purchase.savedToDb) {
+          // Skip entries already tracked by onCardCompleted.
+          if (purchase.tracked) {
             continue;
           }
 
@@ -267,12 +336,32 @@ class OrderService {
             logger.debug(
               `Synced enriched pin for card ${i + 1}: ${purchase.pinCode.substring(0, 4)}...`,
             );
+
+            if (storedPin.purchaseId && purchase.source === "api-replay") {
+              try {
+                await databaseService.updatePurchaseDetails(
+                  storedPin.purchaseId,
+                  {
+                    transactionId: purchase.transactionId,
+                    pinCode: purchase.pinCode,
+                    serialNumber: purchase.serialNumber,
+                    status: "success",
+                  },
+                );
+              } catch (syncErr) {
+                logger.error(
+                  `Failed to save enriched pin for card ${i + 1}:`,
+                  syncErr.message,
+                );
+              }
+            }
           }
         }
       }
 
-      // Step 4: Mark order as completed in memory.
+      // Step 4: Mark order as completed.
       order.status = "completed";
+      await this.saveOrderStatus(order);
 
       logger.success(`Order #${order.id} completed successfully!`);
       logger.order(
@@ -313,10 +402,11 @@ class OrderService {
         logger.order("Processing cancellation - returning partial order...");
 
         if (order && err.purchases && err.purchases.length > 0) {
-          // Results are already tracked in memory via onCardCompleted.
+          // Results are already saved via onCardCompleted.
 
-          // Mark partial order as completed in memory.
+          // Mark partial order as completed.
           order.status = "completed";
+          await this.saveOrderStatus(order);
 
           logger.success(
             `Partial order saved: ${order.completed_purchases}/${order.cards_count} cards`,
@@ -333,6 +423,7 @@ class OrderService {
         } else if (order) {
           // No purchases completed, just mark as failed
           order.status = "failed";
+          await this.saveOrderStatus(order);
           logger.order(
             `Order #${order.id} cancelled with no completed purchases`,
           );
@@ -344,12 +435,28 @@ class OrderService {
       // Mark order as failed if it was created (for non-cancellation errors)
       if (order) {
         order.status = "failed";
+        await this.saveOrderStatus(order);
       }
 
       throw err;
     }
   }
 
+  /**
+   * Persist final order status without masking the original processing outcome.
+   * @param {Object} order - Order with updated status
+   */
+  async saveOrderStatus(order) {
+    try {
+      await databaseService.updateOrderStatus(order.id, order.status);
+    } catch (err) {
+      logger.error(
+        `Failed to save status ${order.status} for order ${order.id}:`,
+        err.message,
+      );
+    }
+  }
+
   /**
    * Format pins message (plain format)
    * Shows only PIN codes, one per line
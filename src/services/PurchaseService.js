@@ -9,9 +9,12 @@
  * - Uses BrowserManager for persistent browser sessions
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
 const browserManager = require('./BrowserManager');
 const logger = require('../utils/logger');
 const appConfig = require('../config/app-config');
+const { getStorefrontUrls, resolveStorefrontFromUrl } = require('../config/storefronts');
+const { getDefaultTimeZone, getZonedParts } = require('../utils/timezone');
 const PurchaseStages = require('./purchase/stages');
 const {
   InsufficientBalanceError,
@@ -36,8 +39,8 @@ const humanDelay = AntibanService.humanDelay;
 class PurchaseService {
   constructor() {
     this.DEFAULT_TIMEOUT = appConfig.browser.defaultTimeoutMs;
-    this.RELOAD_CHECK_INTERVAL = appConfig.browser.reloadCheckIntervalMs;
-    this.MAX_RELOAD_ATTEMPTS = appConfig.browser.maxReloadAttempts;
+    this.RESTOCK_POLL_INTERVAL_MS = appConfig.purchase.restockPollIntervalMs;
+    this.RESTOCK_WAIT_WINDOW_MS = appConfig.purchase.restockWaitWindowMs;
 
     // Track active purchase pages for each user (for cancellation)
     // Map of telegramUserId -> Array of page instances
@@ -49,6 +52,7 @@ class PurchaseService {
     this.twoFactorLocks = new Map(); // userId -> Promise chain lock
     this.twoFactorWindowByUser = new Map(); // userId -> last successful 2FA timestamp
     this.actionLocks = new Map(); // userId -> Promise chain lock for page actions
+    this.browserLockContext = new AsyncLocalStorage(); // browser lock ID held by the running job
     this.intentionalReadyCloseUsers = new Set();
     this.MAX_READY_BROWSERS = appConfig.purchase.maxReadyBrowsers ?? 1;
     this.PAGES_PER_BROWSER = appConfig.purchase.pagesPerBrowser ?? [1];
@@ -82,9 +86,7 @@ class PurchaseService {
     this.TWO_FACTOR_LOCK_HUMAN_DELAY_MIN_MS = appConfig.purchase.twoFactorLockHumanDelayMinMs ?? 120;
     this.TWO_FACTOR_LOCK_HUMAN_DELAY_MAX_MS = appConfig.purchase.twoFactorLockHumanDelayMaxMs ?? 260;
     this.TWO_FACTOR_WINDOW_MS = appConfig.purchase.twoFactorWindowMs ?? (15 * 60 * 1000);
-    this.TRANSACTIONS_PAGE_URL = 'https://gold.razer.com/global/en/transactions';
-    this.TRANSACTION_DETAIL_URL_PREFIX = 'https://gold.razer.com/global/en/transaction/purchase/';
-    this.READY_BROWSER_HOME_URL = 'https://gold.razer.com/global/en';
+    this.READY_BROWSER_HOME_URL = getStorefrontUrls().homeUrl;
     this.CHECKOUT_API_PATH = '/api/webshop/checkout/gold';
     this.API_REPLAY_DELAY_MIN_MS = appConfig.purchase.apiReplayDelayMinMs ?? 1500;
     this.API_REPLAY_DELAY_MAX_MS = appConfig.purchase.apiReplayDelayMaxMs ?? 4500;
@@ -93,6 +95,9 @@ class PurchaseService {
     this.STAGES = PurchaseStages;
 
     this.GLOBAL_SCOPE_KEY = '__GLOBAL_BOT_SCOPE__';
+
+    // Razer accounts other than account 1 get their own pool of this size (one browser keeps memory low).
+    this.EXTRA_ACCOUNT_READY_BROWSERS = 1;
   }
 
   async registerStartupBrowser() {
@@ -153,10 +158,31 @@ class PurchaseService {
     }
   }
 
+  /**
+   * Check whether the running task holds the browser lock (see runWithBrowserLock)
+   * @returns {boolean}
+   */
+  holdsBrowserLock() {
+    return browserManager.holdsBrowserLock(this.browserLockContext.getStore());
+  }
+
+  /**
+   * Run a task holding the browser lock.
+   * Calls made from inside a task that already holds it (a queued order logging in,
+   * loading cards and buying) run under that lock instead of failing as busy.
+   * @param {string} reason - Busy reason shown to other users
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   * @throws {BrowserBusyError} If another task holds the browser
+   */
   async runWithBrowserLock(reason, task) {
+    if (this.holdsBrowserLock()) {
+      return task();
+    }
+
     const lockId = browserManager.markBrowserBusy(reason);
     try {
-      return await task();
+      return await this.browserLockContext.run(lockId, task);
     } finally {
       browserManager.markBrowserFree(lockId);
     }
@@ -166,6 +192,56 @@ class PurchaseService {
     return this.GLOBAL_SCOPE_KEY;
   }
 
+  /**
+   * Number of a Razer account other than account 1, or null.
+   * Real Telegram user IDs resolve to null, so they keep using the global pool.
+   * @param {string} telegramUserId - Razer account operator ID or Telegram user ID
+   * @returns {number|null}
+   */
+  getExtraAccountNumber(telegramUserId) {
+    const db = require('./DatabaseService');
+    const accountNumber = db.getAccountNumber(telegramUserId);
+    return accountNumber && accountNumber > 1 ? accountNumber : null;
+  }
+
+  /**
+   * Ready-pool scope of a Razer account (scope keys are returned as-is).
+   * @param {string} telegramUserId - Razer account operator ID, Telegram user ID or scope key
+   * @returns {string} Scope key
+   */
+  getScopeKey(telegramUserId) {
+    if (String(telegramUserId).startsWith('__')) {
+      return String(telegramUserId);
+    }
+
+    const accountNumber = this.getExtraAccountNumber(telegramUserId);
+    return accountNumber ? `__ACCOUNT_${accountNumber}_SCOPE__` : this.getGlobalScopeKey();
+  }
+
+  /**
+   * Managed browser key of a pool slot for a Razer account
+   * @param {string} telegramUserId - Razer account operator ID or Telegram user ID
+   * @param {number} slot - Slot number (1, 2, 3, ...)
+   * @returns {string} Browser key
+   */
+  getBrowserKeyForSlot(telegramUserId, slot) {
+    const accountNumber = this.getExtraAccountNumber(telegramUserId);
+    return accountNumber
+      ? `__ACCOUNT_${accountNumber}_BROWSER_SLOT_${slot}__`
+      : this.getGlobalBrowserKeyForSlot(slot);
+  }
+
+  /**
+   * Number of ready browsers kept for a Razer account
+   * @param {string} telegramUserId - Razer account operator ID or Telegram user ID
+   * @returns {number}
+   */
+  getReadyTarget(telegramUserId) {
+    return this.getExtraAccountNumber(telegramUserId)
+      ? this.EXTRA_ACCOUNT_READY_BROWSERS
+      : this.MAX_READY_BROWSERS;
+  }
+
   /**
    * Get browser key for a specific slot number
    * Generates keys dynamically: slot 1 → __GLOBAL_BROWSER_SLOT_1__, etc.
@@ -211,7 +287,7 @@ class PurchaseService {
    * @returns {Array<{browser: Object, page: Object, slot: number}>}
    */
   getReadySessions(telegramUserId) {
-    const scopeKey = this.getGlobalScopeKey();
+    const scopeKey = this.getScopeKey(telegramUserId);
     const sessionMap = this.readyBrowsersByUser.get(scopeKey);
     if (!sessionMap || !(sessionMap instanceof Map) || sessionMap.size === 0) {
       return [];
@@ -245,7 +321,7 @@ class PurchaseService {
    */
   markTwoFactorSuccessNow(telegramUserId, reason = '2FA success') {
     const ts = Date.now();
-    this.twoFactorWindowByUser.set(telegramUserId, ts);
+    this.twoFactorWindowByUser.set(this.getScopeKey(telegramUserId), ts);
     logger.debug(`2FA window updated for user ${telegramUserId} (${reason}) at ${new Date(ts).toISOString()}`);
   }
 
@@ -255,14 +331,15 @@ class PurchaseService {
    * @returns {boolean}
    */
   isTwoFactorWindowActive(telegramUserId) {
-    const lastTwoFactorTs = this.twoFactorWindowByUser.get(telegramUserId);
+    const scopeKey = this.getScopeKey(telegramUserId);
+    const lastTwoFactorTs = this.twoFactorWindowByUser.get(scopeKey);
     if (!lastTwoFactorTs) {
       return false;
     }
 
     const ageMs = Date.now() - lastTwoFactorTs;
     if (ageMs >= this.TWO_FACTOR_WINDOW_MS) {
-      this.twoFactorWindowByUser.delete(telegramUserId);
+      this.twoFactorWindowByUser.delete(scopeKey);
       return false;
     }
 
@@ -274,7 +351,7 @@ class PurchaseService {
    * @param {string} telegramUserId
    */
   clearTwoFactorWindowState(telegramUserId) {
-    this.twoFactorWindowByUser.delete(telegramUserId);
+    this.twoFactorWindowByUser.delete(this.getScopeKey(telegramUserId));
   }
 
   /**
@@ -285,7 +362,7 @@ class PurchaseService {
    * @returns {Promise<any>}
    */
   async runWithUserLock(telegramUserId, task) {
-    const scopeKey = this.getGlobalScopeKey();
+    const scopeKey = this.getScopeKey(telegramUserId);
     const previous = this.twoFactorLocks.get(scopeKey) || Promise.resolve();
     let release;
     const current = new Promise(resolve => {
@@ -324,7 +401,7 @@ class PurchaseService {
       taskLabel = 'browser action'
     } = {}
   ) {
-    const scopeKey = lockScopeKey || this.getGlobalScopeKey();
+    const scopeKey = lockScopeKey || this.getScopeKey(telegramUserId);
     let release = null;
     let current = null;
 
@@ -381,7 +458,7 @@ class PurchaseService {
    * @param {Object} page - Puppeteer page
    */
   trackPurchasePage(telegramUserId, page) {
-    const scopeKey = this.getGlobalScopeKey();
+    const scopeKey = this.getScopeKey(telegramUserId);
     if (!this.activePurchasePages.has(scopeKey)) {
       this.activePurchasePages.set(scopeKey, []);
     }
@@ -394,7 +471,7 @@ class PurchaseService {
    * @param {Object} page - Puppeteer page
    */
   untrackPurchasePage(telegramUserId, page) {
-    const scopeKey = this.getGlobalScopeKey();
+    const scopeKey = this.getScopeKey(telegramUserId);
     if (!this.activePurchasePages.has(scopeKey)) return;
     const pages = this.activePurchasePages.get(scopeKey);
     const index = pages.indexOf(page);
@@ -416,7 +493,7 @@ class PurchaseService {
    */
   async ensureReadyBrowsers(telegramUserId, { forceRestart = false, onProgress = null, credentialsOverride = null } = {}) {
     return this.runWithBrowserLock('ready-browser-init', async () => {
-    const scopeKey = this.getGlobalScopeKey();
+    const scopeKey = this.getScopeKey(telegramUserId);
     if (this.readyInitLocks.has(scopeKey)) {
       return this.readyInitLocks.get(scopeKey);
     }
@@ -435,7 +512,8 @@ class PurchaseService {
       }
 
       const sessions = this.getReadySessions(telegramUserId);
-      const target = this.MAX_READY_BROWSERS;
+      const target = this.getReadyTarget(telegramUserId);
+      const poolLabel = scopeKey === this.getGlobalScopeKey() ? 'Global' : `Account ${this.getExtraAccountNumber(telegramUserId)}`;
 
       if (onProgress) {
         try {
@@ -456,7 +534,7 @@ class PurchaseService {
         return { ready: true, count: sessions.length, target };
       }
 
-      logger.system(`Preparing ${target} global ready browser(s) shared by all users...`);
+      logger.system(`Preparing ${target} ready browser(s) for ${poolLabel.toLowerCase()} pool...`);
       const sessionMap = new Map();
 
       let readyCount = 0;
@@ -474,7 +552,7 @@ class PurchaseService {
             await this.sleep(startDelay);
           }
 
-          const browserKey = this.getGlobalBrowserKeyForSlot(slot);
+          const browserKey = this.getBrowserKeyForSlot(telegramUserId, slot);
           const session = await this.launchReadyBrowserWithRetry(telegramUserId, credentials, slot, {
             browserKey,
             logPrefix: `[Ready ${slot}]`
@@ -506,9 +584,9 @@ class PurchaseService {
       }
 
       if (sessionMap.size >= target) {
-        logger.success(`Global ready browser pool initialized: ${sessionMap.size}/${target}`);
+        logger.success(`${poolLabel} ready browser pool initialized: ${sessionMap.size}/${target}`);
       } else {
-        logger.warn(`Global ready browser pool is partial: ${sessionMap.size}/${target}`);
+        logger.warn(`${poolLabel} ready browser pool is partial: ${sessionMap.size}/${target}`);
       }
 
       if (onProgress) {
@@ -550,9 +628,9 @@ class PurchaseService {
       keepPoolAtMaxOnDisconnect = true,
       headless = true,
       logPrefix = `[Ready ${slot}]`,
-      browserKey = this.getGlobalBrowserKeyForSlot(slot)
+      browserKey = this.getBrowserKeyForSlot(telegramUserId, slot)
     } = options;
-    const scopeKey = this.getGlobalScopeKey();
+    const scopeKey = this.getScopeKey(telegramUserId);
 
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       let browser = null;
@@ -591,7 +669,7 @@ class PurchaseService {
         }
 
         await withRetry(async () => {
-          await page.goto('https://gold.razer.com/global/en', { waitUntil: 'domcontentloaded', timeout: 30000 });
+          await page.goto(this.READY_BROWSER_HOME_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
           if (await isBanned(page)) throw new Error('rate limited');
         });
 
@@ -655,7 +733,7 @@ class PurchaseService {
    * @returns {Promise<number>} Number of browsers closed
    */
   async closeReadyBrowsersForUser(telegramUserId) {
-    const scopeKey = this.getGlobalScopeKey();
+    const scopeKey = this.getScopeKey(telegramUserId);
     const sessionMap = this.readyBrowsersByUser.get(scopeKey);
     this.intentionalReadyCloseUsers.add(scopeKey);
     this.clearTwoFactorWindowState(scopeKey);
@@ -681,8 +759,8 @@ class PurchaseService {
 
     this.readyBrowsersByUser.delete(scopeKey);
 
-    for (let slot = 1; slot <= this.MAX_READY_BROWSERS; slot++) {
-      const browserKey = this.getGlobalBrowserKeyForSlot(slot);
+    for (let slot = 1; slot <= this.getReadyTarget(telegramUserId); slot++) {
+      const browserKey = this.getBrowserKeyForSlot(telegramUserId, slot);
       try {
         await browserManager.closeBrowser(browserKey);
       } catch (err) {
@@ -691,7 +769,7 @@ class PurchaseService {
     }
 
     setTimeout(() => this.intentionalReadyCloseUsers.delete(scopeKey), 4500);
-    logger.system(`Closed global ready browser pool (${closedCount} browser(s))`);
+    logger.system(`Closed ready browser pool ${scopeKey} (${closedCount} browser(s))`);
     return closedCount;
   }
 
@@ -704,6 +782,57 @@ class PurchaseService {
     await this.closeReadyBrowsersForUser(telegramUserId);
   }
 
+  /**
+   * Pre-warm the ready browser a scheduled purchase will use: make sure it is logged in
+   * (logging in again if the session expired) and already on the game page, so the
+   * purchase starts without a login or page load when its time comes.
+   * @param {string} telegramUserId - Razer account operator ID or Telegram user ID
+   * @param {string} gameUrl - Game catalog URL
+   * @returns {Promise<{ready: boolean, reason?: string}>}
+   */
+  async prewarmForPurchase(telegramUserId, gameUrl) {
+    if (this.getReadySessions(telegramUserId).length === 0) {
+      const init = await this.ensureReadyBrowsers(telegramUserId);
+      if (!init.ready) {
+        return { ready: false, reason: init.reason || 'no ready browser' };
+      }
+    }
+
+    return this.runWithBrowserLock('scheduled-prewarm', async () => {
+      const readySession = this.getReadySessions(telegramUserId)[0];
+      if (!readySession) {
+        return { ready: false, reason: 'no ready browser' };
+      }
+
+      const browserKey = this.getBrowserKeyForSlot(telegramUserId, readySession.slot);
+      let loggedIn = await browserManager.verifyAuthenticatedSession(browserKey);
+      if (!loggedIn) {
+        const db = require('./DatabaseService');
+        const credentials = await db.getUserCredentials(telegramUserId);
+        if (!credentials || !credentials.email || !credentials.password) {
+          return { ready: false, reason: 'no_credentials' };
+        }
+
+        this.clearTwoFactorWindowState(this.getScopeKey(telegramUserId));
+        logger.system(`[Ready ${readySession.slot}] Session expired before scheduled purchase, logging in again...`);
+        await browserManager.login(browserKey, credentials.email, credentials.password);
+        loggedIn = await browserManager.verifyAuthenticatedSession(browserKey);
+        if (!loggedIn) {
+          return { ready: false, reason: 'login failed' };
+        }
+      }
+
+      const page = readySession.page;
+      await withRetry(async () => {
+        await page.goto(gameUrl, { waitUntil: 'load', timeout: 60000 });
+        if (await isBanned(page)) throw new Error('rate limited');
+      });
+
+      logger.success(`[Ready ${readySession.slot}] Pre-warmed for scheduled purchase: logged in on ${gameUrl}`);
+      return { ready: true };
+    });
+  }
+
   /**
    * Get available cards from game page
    * @param {number|string} telegramUserId - Telegram User ID (for browser management)
@@ -1010,66 +1139,109 @@ class PurchaseService {
   }
 
   /**
-   * Wait for card to be in stock (with retries)
+   * Wait for card to be in stock.
+   * Polls the catalog API for the SKU's hasStock flag (much lighter than reloading the
+   * storefront) and reloads the page only once stock is confirmed. Falls back to a page
+   * reload check when the catalog API is unavailable.
    * @param {Page} page - Puppeteer page
    * @param {number} cardIndex - Index of card to check
    * @param {Function} checkCancellation - Function to check if order was cancelled
+   * @param {Function} onProgress - Receives {phase: 'waiting_for_restock', cardNumber, attempt, elapsedMs, waitWindowMs}
+   * @param {number} cardNumber - Card number in the order (for progress)
+   * @param {Object} options - {gameUrl, cardName, productId} used to find the SKU in the catalog
    * @returns {Promise<boolean>} True if in stock
+   * @throws {Error} If the catalog no longer lists the card (by product ID or name) at cardIndex
    */
-  async waitForCardInStock(page, cardIndex, checkCancellation, onProgress = null, cardNumber = 1) {
+  async waitForCardInStock(page, cardIndex, checkCancellation, onProgress = null, cardNumber = 1, { gameUrl = null, cardName = null, productId = null } = {}) {
     // ANTI-BAN
     await setupPage(page);
-    let attempts = 0;
+    const gameCardsService = require('./GameCardsService');
     const cardSelector = "input[type='radio'][name='paymentAmountItem'], #webshop_step_sku input[type='radio']";
+    const catalogUrl = gameUrl || page.url();
+    const regionId = resolveStorefrontFromUrl(catalogUrl).regionId;
+    const startedAt = Date.now();
+    let attempts = 0;
+
+    const isInStockOnPage = () => page.evaluate(({ index, selector }) => {
+      const radioInputs = document.querySelectorAll(selector);
+      return radioInputs[index] ? !radioInputs[index].disabled : false;
+    }, { index: cardIndex, selector: cardSelector });
 
-    while (attempts < this.MAX_RELOAD_ATTEMPTS) {
+    const reloadPage = async () => {
+      await page.reload({ waitUntil: 'domcontentloaded', timeout: 15000 });
+      // Wait until card inputs are present (returns early when ready).
+      await page.waitForSelector(cardSelector, { timeout: 5000 }).catch(() => { });
+    };
+
+    while (Date.now() - startedAt < this.RESTOCK_WAIT_WINDOW_MS) {
       // Check if order was cancelled
       if (checkCancellation && checkCancellation()) {
         logger.warn('Stock check cancelled by user');
         throw new Error('Order cancelled by user');
       }
 
-      logger.debug(`Checking stock status... (Attempt ${attempts + 1}/${this.MAX_RELOAD_ATTEMPTS})`);
+      attempts++;
+      logger.debug(`Checking stock status via catalog API... (attempt ${attempts})`);
 
-      const isInStock = await page.evaluate(({ index, selector }) => {
-        const radioInputs = document.querySelectorAll(selector);
-        return radioInputs[index] ? !radioInputs[index].disabled : false;
-      }, { index: cardIndex, selector: cardSelector });
+      let catalogInStock = null; // null = catalog API unavailable
+      let cards = null;
+      try {
+        cards = await gameCardsService.fetchCardsFromApi(catalogUrl, regionId);
+      } catch (apiErr) {
+        logger.debug(`Catalog stock check failed (${apiErr.message}) - checking the page instead`);
+      }
+
+      if (cards) {
+        // Never fall back to the position alone: a reordered catalog would mean another SKU
+        const card = gameCardsService.findCard(cards, { productId, cardName });
+        if (!card) {
+          throw new Error(`Card "${cardName}" is no longer in the catalog - stopped waiting for restock`);
+        }
+        if (card.index !== cardIndex) {
+          throw new Error(`Card "${cardName}" moved in the catalog - stopped waiting for restock, order it again`);
+        }
+        catalogInStock = !card.disabled;
+      }
+
+      if (catalogInStock !== false) {
+        if (checkCancellation && checkCancellation()) {
+          logger.warn('Stock check cancelled before page reload');
+          throw new Error('Order cancelled by user');
+        }
 
-      if (isInStock) {
-        logger.success('Card is IN STOCK!');
-        return true;
+        await reloadPage();
+        if (await isInStockOnPage()) {
+          logger.success('Card is IN STOCK!');
+          return true;
+        }
+
+        if (catalogInStock) {
+          logger.warn('Catalog reports stock but the page still shows the card out of stock - waiting');
+        }
       }
 
       if (onProgress) {
         try {
-          await onProgress({ phase: 'waiting_for_restock', cardNumber, attempt: attempts + 1, maxAttempts: this.MAX_RELOAD_ATTEMPTS });
+          await onProgress({
+            phase: 'waiting_for_restock',
+            cardNumber,
+            attempt: attempts,
+            elapsedMs: Date.now() - startedAt,
+            waitWindowMs: this.RESTOCK_WAIT_WINDOW_MS
+          });
         } catch (progressErr) {
           logger.debug(`Restock progress callback error: ${progressErr.message}`);
         }
       }
 
-      logger.debug('Out of stock, waiting 0.5 seconds before retry...');
-      const cancelledDuringDelay = await this.sleepCancellable(this.RELOAD_CHECK_INTERVAL, checkCancellation);
+      const cancelledDuringDelay = await this.sleepCancellable(this.RESTOCK_POLL_INTERVAL_MS, checkCancellation);
       if (cancelledDuringDelay) {
         logger.warn('Stock check cancelled during delay');
         throw new Error('Order cancelled by user');
       }
-
-      if (checkCancellation && checkCancellation()) {
-        logger.warn('Stock check cancelled before page reload');
-        throw new Error('Order cancelled by user');
-      }
-
-      // Reload page
-      await page.reload({ waitUntil: 'domcontentloaded', timeout: 15000 });
-      // Wait until card inputs are present (returns early when ready).
-      await page.waitForSelector(cardSelector, { timeout: 1800 }).catch(() => { });
-
-      attempts++;
     }
 
-    throw new Error('Card remained out of stock after maximum retries');
+    throw new Error(`Card remained out of stock for ${Math.round(this.RESTOCK_WAIT_WINDOW_MS / 60000)} minutes`);
   }
 
   /**
@@ -1077,7 +1249,7 @@ class PurchaseService {
    * @param {Object} params - Purchase parameters {userId, page, gameUrl, cardIndex, backupCode, checkCancellation, orderId, cardNumber}
    * @returns {Promise<Object>} Purchase data
    */
-  async completePurchase({ telegramUserId, page, gameUrl, cardIndex, backupCode, backupCodeId, checkCancellation, cardNumber = 1, gameName, cardName, label = '', onTwoFactorStart = null, onTwoFactorEnd = null, waitForTwoFactorPause = null, resumeFromTwoFactor = false, resumeFromCheckout = false, stopBeforeCheckout = false, preferExistingSelection = false, actionScopeKey = null, onProgress = null }) {
+  async completePurchase({ telegramUserId, page, gameUrl, cardIndex, backupCode, backupCodeId, checkCancellation, cardNumber = 1, gameName, cardName, productId = null, label = '', onTwoFactorStart = null, onTwoFactorEnd = null, waitForTwoFactorPause = null, resumeFromTwoFactor = false, resumeFromCheckout = false, stopBeforeCheckout = false, preferExistingSelection = false, actionScopeKey = null, onProgress = null }) {
     // ANTI-BAN
     await setupPage(page);
     let currentStage = this.STAGES.IDLE;
@@ -1365,7 +1537,7 @@ class PurchaseService {
       if (!isInStock) {
         log.warn('Card is OUT OF STOCK, waiting for restock...');
         currentStage = this.STAGES.WAITING_FOR_RESTOCK;
-        await this.waitForCardInStock(page, cardIndex, checkCancellation, onProgress, cardNumber);
+        await this.waitForCardInStock(page, cardIndex, checkCancellation, onProgress, cardNumber, { gameUrl, cardName, productId });
         currentStage = this.STAGES.SELECTING_CARD;
       }
 
@@ -1784,7 +1956,7 @@ class PurchaseService {
       log.debug('URL after checkout:', urlAfterCheckout);
 
       // Check if redirected to reload page (insufficient balance)
-      if (urlAfterCheckout.includes('/gold/reload') || urlAfterCheckout.includes('gold.razer.com/global/en/gold/reload')) {
+      if (urlAfterCheckout.includes('/gold/reload')) {
         log.error('Redirected to reload page - insufficient Razer Gold balance');
         throw new InsufficientBalanceError('Insufficient Razer Gold balance. Please reload your account and try again.');
       }
@@ -2575,8 +2747,9 @@ class PurchaseService {
    * @param {Object} page
    * @param {Set<string>} knownTransactionIds
    * @param {Function|null} checkCancellation
+   * @param {Object|null} storefront - Storefront of the purchased game (default storefront if omitted)
    */
-  async waitForNewTransactionDetailAfterCheckout(page, knownTransactionIds, checkCancellation = null) {
+  async waitForNewTransactionDetailAfterCheckout(page, knownTransactionIds, checkCancellation = null, storefront = null) {
     const maxAttempts = 8;
     const delayMs = 1300;
 
@@ -2585,7 +2758,7 @@ class PurchaseService {
         throw new Error('Order cancelled by user');
       }
 
-      const historyResult = await this.fetchTransactionsHistoryPayload(page);
+      const historyResult = await this.fetchTransactionsHistoryPayload(page, storefront);
       const allTransactions = Array.isArray(historyResult && historyResult.payload && historyResult.payload.Transactions)
         ? historyResult.payload.Transactions
         : [];
@@ -2601,7 +2774,7 @@ class PurchaseService {
         try {
           detail = await this.fetchTransactionDetailViaApi(page, txnNum, historyResult.apiHeaders || {});
         } catch (apiErr) {
-          detail = await this.fetchTransactionDetail(page, txnNum);
+          detail = await this.fetchTransactionDetail(page, txnNum, storefront);
         }
 
         return {
@@ -2628,7 +2801,7 @@ class PurchaseService {
    * Flow: first card via scraper (2FA-safe), then API replay for remaining cards,
    * with automatic fallback to scraper when API fails.
    */
-  async processBulkPurchases({ telegramUserId, gameUrl, cardIndex, cardName, gameName, quantity, onProgress, onCardCompleted, checkCancellation }) {
+  async processBulkPurchases({ telegramUserId, gameUrl, cardIndex, cardName, productId = null, gameName, quantity, onProgress, onCardCompleted, checkCancellation }) {
     return this.runWithBrowserLock('purchase', async () => {
     const db = require('./DatabaseService');
 
@@ -2648,6 +2821,7 @@ class PurchaseService {
     }
 
     const page = mainSession.page;
+    const storefront = resolveStorefrontFromUrl(gameUrl);
     const purchases = [];
     const knownTransactionIds = new Set();
     const apiPurchasesNeedingDetails = []; // Track API purchases that need transaction detail enrichment
@@ -2686,6 +2860,7 @@ class PurchaseService {
             cardNumber,
             gameName,
             cardName,
+            productId,
             label,
             resumeFromTwoFactor,
             onProgress: emitProgress
@@ -2846,7 +3021,8 @@ class PurchaseService {
             apiPurchasesNeedingDetails,
             purchaseStartTime,
             checkCancellation,
-            onProgress
+            onProgress,
+            storefront
           );
         } catch (enrichErr) {
           logger.warn(`⚠️ Could not fully enrich transaction details: ${enrichErr.message}`);
@@ -2872,9 +3048,10 @@ class PurchaseService {
    * @param {Date} purchaseStartTime - Time when purchases started
    * @param {Function} checkCancellation - Cancellation check function
    * @param {Function} onProgress - Progress callback for UI updates
+   * @param {Object|null} storefront - Storefront the purchases were made on
    * @returns {Promise<void>}
    */
-  async enrichApiPurchasesWithTransactionDetails(page, purchases, apiPurchasesNeedingDetails, purchaseStartTime, checkCancellation, onProgress = null) {
+  async enrichApiPurchasesWithTransactionDetails(page, purchases, apiPurchasesNeedingDetails, purchaseStartTime, checkCancellation, onProgress = null, storefront = null) {
     const emitProgress = async (data) => {
       if (!onProgress) return;
       try {
@@ -2891,7 +3068,7 @@ class PurchaseService {
       await emitProgress({ phase: 'loading_history', processed: 0, total: 0, matched: 0, failures: 0, cancelled: false });
 
       // Fetch all transactions history once
-      const historyResult = await this.fetchTransactionsHistoryPayload(page);
+      const historyResult = await this.fetchTransactionsHistoryPayload(page, storefront);
       const allTransactions = Array.isArray(historyResult && historyResult.payload && historyResult.payload.Transactions)
         ? historyResult.payload.Transactions
         : [];
@@ -2997,7 +3174,7 @@ class PurchaseService {
             detail = await this.fetchTransactionDetailViaApi(page, txnNum, historyResult.apiHeaders || {});
           } catch (apiErr) {
             logger.debug(`API detail fetch failed for txn ${txnNum}, falling back to page scrape`);
-            detail = await this.fetchTransactionDetail(page, txnNum);
+            detail = await this.fetchTransactionDetail(page, txnNum, storefront);
           }
 
           // Enrich the purchase at the correct index
@@ -3048,18 +3225,22 @@ class PurchaseService {
 
   /**
    * Forcefully close all active purchase pages for a user (for cancellation)
-   * @param {string} telegramUserId - Telegram user ID
+   * A Razer account ID closes that account's pages; a Telegram user ID closes pages of every account.
+   * @param {string} telegramUserId - Telegram user ID or Razer account operator ID
    * @returns {Promise<number>} Number of pages closed
    */
   async forceCloseUserBrowsers(telegramUserId) {
-    const scopeKey = this.getGlobalScopeKey();
-    const pages = this.activePurchasePages.get(scopeKey);
-    if (!pages || pages.length === 0) {
-      logger.debug('No active purchase pages to close in global scope');
+    const db = require('./DatabaseService');
+    const scopeKeys = db.isAccountUserId(telegramUserId)
+      ? [this.getScopeKey(telegramUserId)]
+      : Array.from(this.activePurchasePages.keys());
+    const pages = scopeKeys.flatMap(scopeKey => this.activePurchasePages.get(scopeKey) || []);
+    if (pages.length === 0) {
+      logger.debug('No active purchase pages to close');
       return 0;
     }
 
-    logger.system(`Force closing ${pages.length} active purchase pages in global scope...`);
+    logger.system(`Force closing ${pages.length} active purchase pages...`);
 
     const closePromises = pages.map(async (page) => {
       try {
@@ -3075,9 +3256,9 @@ class PurchaseService {
     });
 
     await Promise.all(closePromises);
-    this.activePurchasePages.delete(scopeKey);
+    scopeKeys.forEach(scopeKey => this.activePurchasePages.delete(scopeKey));
 
-    logger.success(`Closed ${pages.length} purchase pages in global scope`);
+    logger.success(`Closed ${pages.length} purchase pages`);
     return pages.length;
   }
 
@@ -3085,9 +3266,10 @@ class PurchaseService {
    * Parse user date input for /transactions command.
    * Supported format: D/M or DD/MM
    * @param {string} input
-   * @returns {{day: number, month: number, label: string}}
+   * @param {string} timeZone - IANA timezone the day is in
+   * @returns {{day: number, month: number, label: string, timeZone: string}}
    */
-  parseTransactionsDateInput(input) {
+  parseTransactionsDateInput(input, timeZone = getDefaultTimeZone()) {
     const match = String(input || '').trim().match(/^(\d{1,2})\/(\d{1,2})$/);
     if (!match) {
       throw new Error('Invalid date format. Use /transactions D/M or DD/MM.');
@@ -3100,13 +3282,13 @@ class PurchaseService {
       throw new Error('Invalid date. Day must be 1-31 and month must be 1-12.');
     }
 
-    return { day, month, label: `${day}/${month}` };
+    return { day, month, label: `${day}/${month}`, timeZone };
   }
 
   /**
-   * Check whether a transaction matches the requested UTC day/month.
+   * Check whether a transaction matches the requested day/month in the target's timezone.
    * @param {Object} transaction
-   * @param {{day: number, month: number}} targetDate
+   * @param {{day: number, month: number, timeZone: string}} targetDate
    * @returns {boolean}
    */
   matchesTransactionDate(transaction, targetDate) {
@@ -3115,8 +3297,8 @@ class PurchaseService {
       return false;
     }
 
-    return parsedDate.getUTCDate() === targetDate.day
-      && (parsedDate.getUTCMonth() + 1) === targetDate.month;
+    const local = getZonedParts(parsedDate, targetDate.timeZone);
+    return local.day === targetDate.day && local.month === targetDate.month;
   }
 
   /**
@@ -3171,9 +3353,10 @@ class PurchaseService {
   /**
    * Fetch the transactions history payload from the site using an already logged in page.
    * @param {Object} page
+   * @param {Object|null} storefront - Storefront whose transactions page is loaded (default storefront if omitted)
    * @returns {Promise<Object>}
    */
-  async fetchTransactionsHistoryPayload(page) {
+  async fetchTransactionsHistoryPayload(page, storefront = null) {
     // ANTI-BAN
     await setupPage(page);
     const historyResponsePromise = page.waitForResponse(
@@ -3182,7 +3365,7 @@ class PurchaseService {
     );
 
     const navigationPromise = withRetry(async () => {
-      await page.goto(this.TRANSACTIONS_PAGE_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      await page.goto(getStorefrontUrls(storefront).transactionsUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
       if (await isBanned(page)) throw new Error('rate limited');
     });
 
@@ -3244,10 +3427,11 @@ class PurchaseService {
    * Fetch pin and serial details for a single transaction number.
    * @param {Object} page
    * @param {string} txnNum
+   * @param {Object|null} storefront - Storefront the transaction was made on (default storefront if omitted)
    * @returns {Promise<{pinCode: string, serialNumber: string, productName: string, transactionId: string}>}
    */
-  async fetchTransactionDetail(page, txnNum) {
-    const detailUrl = `${this.TRANSACTION_DETAIL_URL_PREFIX}${txnNum}`;
+  async fetchTransactionDetail(page, txnNum, storefront = null) {
+    const detailUrl = `${getStorefrontUrls(storefront).transactionDetailUrlPrefix}${txnNum}`;
     // ANTI-BAN
     await setupPage(page);
     // ANTI-BAN
@@ -3397,11 +3581,14 @@ class PurchaseService {
    * Uses the ready browser pool only.
    * @param {string} telegramUserId
    * @param {string} dateInput
+   * @param {Object} options
+   * @param {Object|null} options.storefront - Storefront used for history and detail pages (default storefront if omitted)
+   * @param {string} options.timeZone - IANA timezone the day runs in (DEFAULT_TIMEZONE if omitted)
    * @returns {Promise<{dateLabel: string, totalTransactions: number, matchedTransactions: Array, groupedPins: Object, failures: Array}>}
    */
-  async fetchTransactionPinsForDate(telegramUserId, dateInput, { checkCancellation = null, onProgress = null } = {}) {
+  async fetchTransactionPinsForDate(telegramUserId, dateInput, { checkCancellation = null, onProgress = null, storefront = null, timeZone = getDefaultTimeZone() } = {}) {
     return this.runWithBrowserLock('transaction-fetch', async () => {
-    const targetDate = this.parseTransactionsDateInput(dateInput);
+    const targetDate = this.parseTransactionsDateInput(dateInput, timeZone);
     const readySessions = this.getReadySessions(telegramUserId);
 
     const emitProgress = async (data) => {
@@ -3439,7 +3626,7 @@ class PurchaseService {
 
       await emitProgress({ phase: 'loading_history', processed: 0, total: 0, matched: 0, failures: 0, cancelled: false });
 
-      const historyResult = await this.fetchTransactionsHistoryPayload(usableSessions[0].page);
+      const historyResult = await this.fetchTransactionsHistoryPayload(usableSessions[0].page, storefront);
       const allTransactions = Array.isArray(historyResult && historyResult.payload && historyResult.payload.Transactions)
         ? historyResult.payload.Transactions
         : [];
@@ -3535,7 +3722,7 @@ class PurchaseService {
               return await this.fetchTransactionDetailViaApi(primarySession.page, transaction.txnNum, historyResult.apiHeaders || {});
             } catch (apiErr) {
               logger.debug(`API detail fetch fallback for ${transaction.txnNum}: ${apiErr.message}`);
-              return this.fetchTransactionDetail(primarySession.page, transaction.txnNum);
+              return this.fetchTransactionDetail(primarySession.page, transaction.txnNum, storefront);
             }
           });
 
@@ -3559,7 +3746,8 @@ class PurchaseService {
             pinCode: detail.pinCode,
             serialNumber: detail.serialNumber,
             txnNum: transaction.txnNum,
-            description
+            description,
+            purchasedAt: transaction.txnDate
           });
         } catch (err) {
           logger.warn(`Failed to fetch transaction detail for ${transaction.txnNum}: ${err.message}`);
@@ -3615,6 +3803,90 @@ class PurchaseService {
     }
     });
   }
+
+  /**
+   * Fetch successful webshop transactions made inside a time window, oldest first.
+   * Used to recover cards bought by orders that were interrupted before delivery.
+   * @param {string} telegramUserId
+   * @param {Date} since - Inclusive window start
+   * @param {Object} options
+   * @param {Date|null} options.until - Exclusive window end (defaults to now)
+   * @param {Set<string>} options.excludeTransactionIds - Transactions already accounted for
+   * @param {number} options.limit - Maximum number of transactions to resolve
+   * @param {Object|null} options.storefront - Storefront the order was placed on (default storefront if omitted)
+   * @param {Function|null} options.matchesProduct - (description) => boolean; skips purchases of other products
+   * @returns {Promise<{transactions: Array<{transactionId: string, pinCode: string, serialNumber: string, productName: string, txnDate: string}>, failures: Array}>}
+   */
+  async fetchTransactionsSince(telegramUserId, since, { until = null, excludeTransactionIds = new Set(), limit = Infinity, storefront = null, matchesProduct = null } = {}) {
+    return this.runWithBrowserLock('order-recovery', async () => {
+    const readySessions = this.getReadySessions(telegramUserId);
+    if (readySessions.length === 0) {
+      throw new Error('No ready browser session available. Please run /start first.');
+    }
+
+    const usableSessions = readySessions.slice(0, 1);
+    const page = usableSessions[0].page;
+    const transactions = [];
+    const failures = [];
+
+    try {
+      const historyResult = await this.fetchTransactionsHistoryPayload(page, storefront);
+      const allTransactions = Array.isArray(historyResult && historyResult.payload && historyResult.payload.Transactions)
+        ? historyResult.payload.Transactions
+        : [];
+
+      const candidates = allTransactions
+        .filter(tx => {
+          if (!tx.txnDate || !this.isSuccessfulWebshopTransaction(tx)) return false;
+          if (excludeTransactionIds.has(String(tx.txnNum || ''))) return false;
+          if (matchesProduct && !matchesProduct(this.normalizeTransactionDescription(tx.description))) return false;
+
+          const txDate = new Date(tx.txnDate);
+          if (Number.isNaN(txDate.getTime())) return false;
+          return txDate >= since && (!until || txDate < until);
+        })
+        .sort((left, right) => new Date(left.txnDate) - new Date(right.txnDate))
+        .slice(0, limit);
+
+      logger.info(`Recovery: ${candidates.length} transaction(s) found since ${since.toISOString()}`);
+
+      for (let i = 0; i < candidates.length; i++) {
+        const transaction = candidates[i];
+        const txnNum = String(transaction.txnNum);
+
+        try {
+          let detail;
+          try {
+            detail = await this.fetchTransactionDetailViaApi(page, txnNum, historyResult.apiHeaders || {});
+          } catch (apiErr) {
+            logger.debug(`API detail fetch fallback for ${txnNum}: ${apiErr.message}`);
+            detail = await this.fetchTransactionDetail(page, txnNum, storefront);
+          }
+
+          transactions.push({
+            transactionId: detail.transactionId || txnNum,
+            pinCode: detail.pinCode,
+            serialNumber: detail.serialNumber,
+            productName: this.normalizeTransactionDescription(transaction.description || detail.productName),
+            txnDate: transaction.txnDate
+          });
+        } catch (err) {
+          logger.warn(`Failed to fetch transaction detail for ${txnNum}: ${err.message}`);
+          failures.push({ txnNum, error: err.message });
+        }
+
+        // ANTI-BAN
+        if (i < candidates.length - 1) {
+          await this.sleep(this.TRANSACTION_API_RATE_DELAY_MS);
+        }
+      }
+
+      return { transactions, failures };
+    } finally {
+      await this.restoreReadySessionPages(usableSessions);
+    }
+    });
+  }
 }
 
 // Export singleton instance
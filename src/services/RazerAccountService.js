@@ -0,0 +1,280 @@
+/**
+ * RazerAccountService
+ *
+ * Manages the Razer accounts orders are bought with.
+ * - Account 1 is the shared operator account every install already has
+ * - Extra accounts get their own credentials, backup codes, browser pool and balance
+ * - Orders route to the operator's pick, or to an active account with credentials,
+ *   backup codes and enough Gold (balances are cached for accounts.balanceCacheMs)
+ */
+
+const logger = require("../utils/logger");
+const appConfig = require("../config/app-config");
+const db = require("./DatabaseService");
+
+class RazerAccountService {
+  constructor() {
+    this.balances = new Map(); // accountUserId -> {gold, at}
+  }
+
+  /**
+   * All Razer accounts, account 1 first (listed even before it has credentials)
+   * @returns {Promise<Array<Object>>} Accounts (see StorageBackend.mapRazerAccount)
+   */
+  async listAccounts() {
+    const accounts = await db.getRazerAccounts();
+    const sharedOperatorUserId = db.getSharedOperatorUserId();
+
+    if (!accounts.some((account) => account.account_user_id === sharedOperatorUserId)) {
+      accounts.unshift(
+        db.mapRazerAccount({ telegram_user_id: sharedOperatorUserId }),
+      );
+    }
+
+    return accounts;
+  }
+
+  /**
+   * Find an account by operator ID
+   * @param {string} accountUserId - Account operator ID
+   * @returns {Promise<Object|null>} Account or null
+   */
+  async getAccount(accountUserId) {
+    const accounts = await this.listAccounts();
+    return (
+      accounts.find((account) => account.account_user_id === String(accountUserId)) ||
+      null
+    );
+  }
+
+  /**
+   * Find an account by number
+   * @param {number} accountNumber - Account number (1, 2, ...)
+   * @returns {Promise<Object|null>} Account or null
+   */
+  async getAccountByNumber(accountNumber) {
+    const accounts = await this.listAccounts();
+    return accounts.find((account) => account.account_number === accountNumber) || null;
+  }
+
+  /**
+   * Register a new Razer account (credentials and codes are added afterwards)
+   * @param {string} label - Display name
+   * @returns {Promise<Object>} Created account
+   */
+  async addAccount(label) {
+    try {
+      const accounts = await this.listAccounts();
+      const nextNumber =
+        Math.max(...accounts.map((account) => account.account_number)) + 1;
+
+      if (nextNumber > db.MAX_RAZER_ACCOUNTS) {
+        throw new Error(`Cannot add more than ${db.MAX_RAZER_ACCOUNTS} Razer accounts`);
+      }
+
+      const accountUserId = db.getAccountUserId(nextNumber);
+      await db.saveRazerAccount(accountUserId, label);
+
+      logger.success(`Razer account #${nextNumber} (${label}) added`);
+      return this.getAccount(accountUserId);
+    } catch (err) {
+      logger.error("Error adding Razer account:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Include or exclude an account from automatic order routing
+   * @param {string} accountUserId - Account operator ID
+   * @param {boolean} isActive - Whether orders may route to it
+   * @returns {Promise<boolean>} True if the account exists
+   */
+  async setAccountActive(accountUserId, isActive) {
+    try {
+      if (accountUserId === db.getSharedOperatorUserId()) {
+        // Account 1 may not have a user_accounts row yet
+        const account = await this.getAccount(accountUserId);
+        await db.saveRazerAccount(accountUserId, account.label);
+      }
+
+      const updated = await db.setRazerAccountActive(accountUserId, isActive);
+      logger.info(
+        `Razer account ${accountUserId} ${isActive ? "enabled" : "disabled"} for routing`,
+      );
+      return updated;
+    } catch (err) {
+      logger.error("Error updating Razer account:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Short display name of an account
+   * @param {Object|null} account - Account (null = account 1)
+   * @returns {string} e.g. "#2 Backup"
+   */
+  formatAccountLabel(account) {
+    if (!account) {
+      return "#1";
+    }
+    return account.label
+      ? `#${account.account_number} ${account.label}`
+      : `#${account.account_number}`;
+  }
+
+  /**
+   * Display name of the account behind an operator ID
+   * @param {string|null} accountUserId - Account operator ID (null = account 1)
+   * @returns {Promise<string>}
+   */
+  async getAccountLabel(accountUserId) {
+    const account = await this.getAccount(
+      db.normalizeSharedOperatorId(accountUserId),
+    );
+    return this.formatAccountLabel(account);
+  }
+
+  /**
+   * Last Gold balance read for an account
+   * @param {string} accountUserId - Account operator ID
+   * @returns {{gold: number, at: number}|null}
+   */
+  getCachedBalance(accountUserId) {
+    return this.balances.get(String(accountUserId)) || null;
+  }
+
+  /**
+   * Remember a Gold balance read elsewhere (order flow, /balance, monitor)
+   * @param {string} accountUserId - Account operator ID
+   * @param {number|null} gold - Gold balance
+   */
+  recordBalance(accountUserId, gold) {
+    if (gold === null || gold === undefined) return;
+    this.balances.set(db.normalizeSharedOperatorId(accountUserId), {
+      gold,
+      at: Date.now(),
+    });
+  }
+
+  /**
+   * Read an account's Gold balance with its ready browser, or use a recent cached value
+   * @param {string} accountUserId - Account operator ID
+   * @param {Object} options - {maxAgeMs: accept a cached balance this old}
+   * @returns {Promise<number|null>} Gold balance, or null if unknown
+   */
+  async readGoldBalance(accountUserId, { maxAgeMs = appConfig.accounts.balanceCacheMs } = {}) {
+    const cached = this.getCachedBalance(accountUserId);
+    if (cached && Date.now() - cached.at < maxAgeMs) {
+      return cached.gold;
+    }
+
+    const purchaseService = require("./PurchaseService");
+    const scraperService = require("./RazerScraperService");
+    const readySessions = purchaseService.getReadySessions(accountUserId);
+    if (readySessions.length === 0) {
+      return cached ? cached.gold : null;
+    }
+
+    try {
+      const gold = await scraperService.getGoldBalance(
+        accountUserId,
+        readySessions[0].page,
+      );
+      this.recordBalance(accountUserId, gold);
+      return gold;
+    } catch (err) {
+      logger.warn(`Could not read Gold balance of account ${accountUserId}: ${err.message}`);
+      return cached ? cached.gold : null;
+    }
+  }
+
+  /**
+   * Whether an account can take orders (active, credentials saved, backup codes left)
+   * @param {Object} account - Account
+   * @returns {boolean}
+   */
+  isRoutable(account) {
+    return account.is_active && account.has_credentials && account.active_backup_codes > 0;
+  }
+
+  /**
+   * Choose the account an order is bought with.
+   * With a single account every order uses it, as before multiple accounts existed.
+   * @param {Object} params - Parameters
+   * @param {number} params.quantity - Cards requested
+   * @param {number|null} params.unitGold - Gold price per card (null if unknown)
+   * @param {string|null} params.preferredAccountUserId - Account picked by the operator
+   * @returns {Promise<Object|null>} Account, or null if no account can take the order
+   */
+  async pickAccount({ quantity, unitGold = null, preferredAccountUserId = null }) {
+    const accounts = await this.listAccounts();
+
+    if (preferredAccountUserId) {
+      const preferred = accounts.find(
+        (account) => account.account_user_id === String(preferredAccountUserId),
+      );
+      if (preferred) return preferred;
+    }
+
+    if (accounts.length === 1) {
+      return accounts[0];
+    }
+
+    const candidates = accounts.filter((account) => this.isRoutable(account));
+    if (candidates.length === 0) {
+      logger.warn("No Razer account can take orders (inactive, no credentials or no backup codes)");
+      return null;
+    }
+
+    const hasPrice = Number.isFinite(unitGold) && unitGold >= 0;
+    if (!hasPrice) {
+      return candidates[0];
+    }
+
+    // First account known to cover the order, then one with an unknown balance,
+    // then the richest one (the order flow offers the affordable quantity)
+    const cost = unitGold * quantity;
+    let unknownBalance = null;
+    let richest = null;
+
+    for (const account of candidates) {
+      const gold = await this.readGoldBalance(account.account_user_id);
+      if (gold === null) {
+        unknownBalance = unknownBalance || account;
+        continue;
+      }
+      if (gold >= cost) {
+        logger.info(`Order of ${cost} Gold routed to Razer account ${this.formatAccountLabel(account)}`);
+        return account;
+      }
+      if (!richest || gold > richest.gold) {
+        richest = { account, gold };
+      }
+    }
+
+    return unknownBalance || richest.account;
+  }
+
+  /**
+   * Open and log in an account's browser pool if it has none
+   * @param {string} accountUserId - Account operator ID
+   * @returns {Promise<boolean>} True if the account has a ready browser
+   */
+  async ensureAccountReady(accountUserId) {
+    const purchaseService = require("./PurchaseService");
+    if (purchaseService.getReadySessions(accountUserId).length > 0) {
+      return true;
+    }
+
+    try {
+      const result = await purchaseService.ensureReadyBrowsers(accountUserId);
+      return Boolean(result && result.ready);
+    } catch (err) {
+      logger.error(`Could not prepare browser for account ${accountUserId}:`, err);
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new RazerAccountService();
@@ -1,6 +1,7 @@
 const logger = require("../utils/logger");
+const appConfig = require("../config/app-config");
 
-const LOGIN_URL = "https://razerid.razer.com";
+const LOGIN_URL = appConfig.razer.razerIdBaseUrl;
 
 class RazerLoginService {
   static async setInputExact(page, selector, value) {
@@ -112,8 +113,7 @@ class RazerLoginService {
 
     const currentUrl = page.url();
     const stillOnLoginRoot =
-      currentUrl === "https://razerid.razer.com" ||
-      currentUrl === "https://razerid.razer.com/";
+      currentUrl === LOGIN_URL || currentUrl === `${LOGIN_URL}/`;
     if (stillOnLoginRoot) {
       throw new Error("Login failed");
     }
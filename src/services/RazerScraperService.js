@@ -4,7 +4,7 @@ const appConfig = require('../config/app-config');
 
 class RazerScraperService {
   constructor() {
-    this.DASHBOARD_URL = 'https://razerid.razer.com/dashboard';
+    this.DASHBOARD_URL = `${appConfig.razer.razerIdBaseUrl}/dashboard`;
     this.DEFAULT_TIMEOUT = appConfig.browser.defaultTimeoutMs;
   }
 
@@ -45,6 +45,18 @@ class RazerScraperService {
     }
   }
 
+  /**
+   * Read the Gold balance as a number (same dashboard read as getBalance)
+   * @param {string} userId - Telegram user ID
+   * @param {Object} page - Logged-in Puppeteer page
+   * @returns {Promise<number|null>} Gold balance, or null if it could not be parsed
+   */
+  async getGoldBalance(userId, page) {
+    const balance = await this.getBalance(userId, page);
+    const gold = parseFloat(String(balance.gold).replace(/[^0-9.]/g, ''));
+    return Number.isFinite(gold) ? gold : null;
+  }
+
   async closeBrowser(userId) {
     await browserManager.closeBrowser(userId);
   }
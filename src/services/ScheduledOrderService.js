@@ -1,18 +1,36 @@
 /**
  * ScheduledOrderService
- * Cron job to check and execute scheduled orders
+ * Runs scheduled orders at their exact scheduled_time: one timer is armed for the next
+ * due order and re-armed after every change, run and restart. Ahead of each order its
+ * ready browser is pre-warmed (logged in and on the game page).
+ * One-off schedules run once; recurring schedules (cron expression in the timezone they
+ * were entered in) stay pending and move to their next run each time. Every run gets a scheduled_order_runs record.
  */
-const cron = require("node-cron");
 const logger = require("../utils/logger");
 const db = require("./DatabaseService");
 const orderFlowHandler = require("../controllers/OrderFlowHandler");
+const spendingLimitService = require("./SpendingLimitService");
+const razerAccountService = require("./RazerAccountService");
+const messageFormatter = require("../utils/MessageFormatter");
+const appConfig = require("../config/app-config");
+const userPreferencesService = require("./UserPreferencesService");
+const getOrderQueueService = require("./OrderQueueService");
+const { getNextRun } = require("../utils/recurrence");
+const { getDefaultTimeZone, normalizeTimeZone } = require("../utils/timezone");
 
 const errorHandler = require("../utils/ErrorHandler");
 
+// Longest single timer: schedules further ahead are re-read and armed as they get closer
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
 class ScheduledOrderService {
   constructor(bot) {
     this.bot = bot;
-    this.cronJob = null;
+    this.runTimer = null; // Fires at the next scheduled_time
+    this.prewarmTimers = new Map(); // scheduledOrderId -> {timer, prewarmAt} pending pre-warm
+    this.prewarmedRuns = new Map(); // scheduledOrderId -> scheduled_time (ms) already pre-warmed
+    this.prewarms = new Map(); // scheduledOrderId -> pre-warm in progress
+    this.armQueue = Promise.resolve(); // Serializes re-arming
     this.isMonitoring = false; // Track if monitoring is active
     this.processingOrders = new Set(); // Track currently processing orders to avoid duplicates
 
@@ -21,68 +39,192 @@ class ScheduledOrderService {
   }
 
   /**
-   * Start the cron job (runs every minute)
+   * Arm the timers for the pending orders: the run timer at the next scheduled_time and a
+   * pre-warm timer for each order starting within the hour
+   * @returns {Promise<boolean>} True if any order is pending
    */
-  start() {
-    if (this.cronJob) {
-      logger.debug("ScheduledOrderService: Cron job already running");
+  async arm() {
+    this.clearTimers();
+
+    const hasPendingOrders = await db.hasAnyPendingScheduledOrders();
+    if (!hasPendingOrders) {
+      return false;
+    }
+
+    const now = Date.now();
+    const prewarmMs = appConfig.schedule.prewarmMs;
+    const upcomingOrders = (await db.getPendingScheduledOrders(new Date(now + MAX_TIMER_MS + prewarmMs)))
+      // A due order already running is still 'pending' until its run is recorded
+      .filter((order) => !(this.processingOrders.has(order.id) && new Date(order.scheduled_time).getTime() <= now));
+
+    const nextOrder = upcomingOrders[0];
+    const delay = nextOrder
+      ? Math.min(Math.max(new Date(nextOrder.scheduled_time).getTime() - now, 0), MAX_TIMER_MS)
+      : MAX_TIMER_MS;
+    this.runTimer = setTimeout(() => this.onRunTimer(), delay);
+    if (nextOrder) {
+      logger.debug(
+        `ScheduledOrderService: Next order #${nextOrder.id} at ${new Date(nextOrder.scheduled_time).toISOString()}`,
+      );
+    }
+
+    for (const order of upcomingOrders) {
+      this.armPrewarm(order, now);
+    }
+    return true;
+  }
+
+  /**
+   * Arm the pre-warm of an order's run, once per run
+   * @param {Object} scheduledOrder - Scheduled order from database
+   * @param {number} now - Current time (ms)
+   */
+  armPrewarm(scheduledOrder, now) {
+    const prewarmMs = appConfig.schedule.prewarmMs;
+    const runAt = new Date(scheduledOrder.scheduled_time).getTime();
+    if (!prewarmMs || runAt <= now || this.prewarmedRuns.get(scheduledOrder.id) === runAt) {
       return;
     }
 
-    // Run every 5 minutes: "*/5 * * * *" means:
-    // minute hour day month day-of-week (optimized for low-resource environment)
-    this.cronJob = cron.schedule("*/5 * * * *", async () => {
-      await this.checkAndExecuteScheduledOrders();
+    const delay = Math.max(runAt - prewarmMs - now, 0);
+    if (delay > MAX_TIMER_MS) return;
+
+    this.prewarmTimers.set(scheduledOrder.id, {
+      timer: setTimeout(() => this.prewarm(scheduledOrder, runAt), delay),
+      prewarmAt: now + delay,
     });
+  }
 
-    this.isMonitoring = true;
-    logger.success(
-      "✅ Scheduled order monitoring started (checks every minute)",
-    );
-    logger.info(`   Current server time: ${new Date().toISOString()}`);
+  /**
+   * Whether a run is pre-warming, waits pre-warmed on its game page, or pre-warms within
+   * withinMs. Other browser work in that window would move the page off the game.
+   * @param {number} withinMs - Look-ahead for pre-warms not started yet (ms)
+   * @returns {boolean}
+   */
+  isPrewarmWindowActive(withinMs = 0) {
+    const now = Date.now();
+    if (this.prewarms.size > 0) return true;
+
+    // A run forgets its pre-warm when it starts; deleted schedules drop out once their time passes
+    for (const runAt of this.prewarmedRuns.values()) {
+      if (runAt > now) return true;
+    }
+
+    for (const { prewarmAt } of this.prewarmTimers.values()) {
+      if (prewarmAt <= now + withinMs) return true;
+    }
+    return false;
   }
 
   /**
-   * Stop the cron job
+   * Stop all timers
    */
-  stop() {
-    if (this.cronJob) {
-      this.cronJob.stop();
-      this.cronJob = null;
-      this.isMonitoring = false;
-      logger.info("⏸️ Scheduled order monitoring stopped (no pending orders)");
+  clearTimers() {
+    if (this.runTimer) {
+      clearTimeout(this.runTimer);
+      this.runTimer = null;
+    }
+    for (const { timer } of this.prewarmTimers.values()) {
+      clearTimeout(timer);
     }
+    this.prewarmTimers.clear();
   }
 
   /**
-   * Ensure monitoring is active if there are pending orders
-   * Called when a new scheduled order is created or on bot startup
+   * Run timer fired: execute the due orders and arm the next one
    */
-  async ensureMonitoring() {
-    // If already monitoring, do nothing
+  async onRunTimer() {
+    this.runTimer = null;
+    await this.checkAndExecuteScheduledOrders();
+    await this.ensureMonitoring();
+  }
+
+  /**
+   * Stop monitoring (bot shutdown)
+   */
+  stop() {
+    this.clearTimers();
     if (this.isMonitoring) {
-      logger.debug("ScheduledOrderService: Already monitoring");
-      return;
+      this.isMonitoring = false;
+      logger.info("⏸️ Scheduled order monitoring stopped");
     }
+  }
 
-    // Check if there are any pending orders (regardless of scheduled time)
-    try {
-      const hasPendingOrders = await db.hasAnyPendingScheduledOrders();
-      if (hasPendingOrders) {
-        logger.info(
-          `📋 ScheduledOrderService: Pending order(s) found - starting monitoring`,
-        );
-        this.start();
-      } else {
-        logger.info(
-          "📋 ScheduledOrderService: No pending orders - monitoring remains idle",
+  /**
+   * Ensure timers are armed for the pending orders, and idle if there are none
+   * Called on bot startup, after every run and whenever a scheduled order is created, edited, paused, resumed or deleted
+   * @returns {Promise<void>}
+   */
+  ensureMonitoring() {
+    this.armQueue = this.armQueue.then(async () => {
+      try {
+        const hasPendingOrders = await this.arm();
+
+        if (hasPendingOrders && !this.isMonitoring) {
+          this.isMonitoring = true;
+          logger.info(
+            `📋 ScheduledOrderService: Pending order(s) found - timers armed`,
+          );
+          logger.info(`   Current server time: ${new Date().toISOString()}`);
+        } else if (!hasPendingOrders && this.isMonitoring) {
+          // Last pending schedule ran, was paused or deleted - nothing left to watch
+          this.isMonitoring = false;
+          logger.info("⏸️ Scheduled order monitoring stopped (no pending orders)");
+        } else if (!hasPendingOrders) {
+          logger.info(
+            "📋 ScheduledOrderService: No pending orders - monitoring remains idle",
+          );
+        }
+      } catch (err) {
+        logger.error(
+          "ScheduledOrderService: Error checking for pending orders:",
+          err,
         );
       }
-    } catch (err) {
-      logger.error(
-        "ScheduledOrderService: Error checking for pending orders:",
-        err,
-      );
+    });
+    return this.armQueue;
+  }
+
+  /**
+   * Pre-warm the browser of an upcoming run: the account it will buy from is logged in
+   * and on the game page when the run starts. Failures only warn; the run still tries.
+   * @param {Object} scheduledOrder - Scheduled order from database
+   * @param {number} runAt - Scheduled time of the run (ms)
+   */
+  async prewarm(scheduledOrder, runAt) {
+    const { id, quantity, unit_gold, account_user_id, telegram_user_id, game_url } = scheduledOrder;
+    this.prewarmTimers.delete(id);
+    this.prewarmedRuns.set(id, runAt);
+
+    const task = (async () => {
+      try {
+        const account = await razerAccountService.pickAccount({
+          quantity,
+          unitGold: unit_gold,
+          preferredAccountUserId: account_user_id ? String(account_user_id) : null,
+        });
+        const accountUserId = account ? account.account_user_id : telegram_user_id;
+
+        logger.info(`ScheduledOrderService: Pre-warming browser for scheduled order ${id}`);
+        const purchaseService = require("./PurchaseService");
+        const result = await purchaseService.prewarmForPurchase(accountUserId, game_url);
+        if (!result.ready) {
+          logger.warn(`ScheduledOrderService: Scheduled order ${id} not pre-warmed: ${result.reason}`);
+          await this.notifyUser(
+            scheduledOrder,
+            `⚠️ Schedule #${id} starts soon but its browser is not ready (${result.reason}).\nSend /start to prepare browsers.`,
+          );
+        }
+      } catch (err) {
+        // Busy browser (another order or command) is logged in already
+        logger.warn(`ScheduledOrderService: Pre-warm of scheduled order ${id} failed: ${err.message}`);
+      }
+    })();
+
+    this.prewarms.set(id, task);
+    await task;
+    if (this.prewarms.get(id) === task) {
+      this.prewarms.delete(id);
     }
   }
 
@@ -96,8 +238,145 @@ class ScheduledOrderService {
   }
 
   /**
-   * Check for pending scheduled orders and execute them
-   * Stops monitoring if no pending orders remain
+   * A pending or paused schedule of a user
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it
+   * @returns {Promise<Object|null>} Schedule (with its last run), or null if not found or already run
+   */
+  async getSchedule(scheduledOrderId, telegramUserId) {
+    const schedules = await db.getUserSchedules(telegramUserId);
+    return schedules.find((row) => row.id === scheduledOrderId) || null;
+  }
+
+  /**
+   * Pause a schedule (a one-off does not run, a recurring one skips its runs, until resumed)
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it
+   * @returns {Promise<boolean>} True if paused
+   */
+  async pauseSchedule(scheduledOrderId, telegramUserId) {
+    const paused = await db.pauseScheduledOrder(scheduledOrderId, telegramUserId);
+    if (paused) {
+      logger.info(`Scheduled order ${scheduledOrderId} paused by ${telegramUserId}`);
+      await this.ensureMonitoring();
+    }
+    return paused;
+  }
+
+  /**
+   * Resume a paused schedule: a recurring one from its next run after now (missed runs are
+   * not caught up), a one-off at its time if that is still ahead
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it
+   * @returns {Promise<Date|null>} Next run, or null if the schedule is not paused
+   * @throws {Error} If a one-off's time has passed while it was paused
+   */
+  async resumeSchedule(scheduledOrderId, telegramUserId) {
+    const schedule = await this.getSchedule(scheduledOrderId, telegramUserId);
+    if (!schedule || schedule.status !== "paused") return null;
+
+    const nextRun = schedule.recurrence
+      ? getNextRun(schedule.recurrence, new Date(), this.getScheduleTimeZone(schedule))
+      : new Date(schedule.scheduled_time);
+    if (!schedule.recurrence && nextRun <= new Date()) {
+      throw new Error("Its time has passed while paused. Set a new time first.");
+    }
+    if (!nextRun || !(await db.resumeScheduledOrder(scheduledOrderId, telegramUserId, nextRun))) {
+      return null;
+    }
+
+    logger.info(
+      `Scheduled order ${scheduledOrderId} resumed by ${telegramUserId}, next run ${nextRun.toISOString()}`,
+    );
+    await this.ensureMonitoring();
+    return nextRun;
+  }
+
+  /**
+   * Delete a pending or paused schedule (no further runs; run history is kept)
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteSchedule(scheduledOrderId, telegramUserId) {
+    const deleted = await db.cancelScheduledOrder(scheduledOrderId, telegramUserId);
+    if (deleted) {
+      logger.info(`Scheduled order ${scheduledOrderId} deleted by ${telegramUserId}`);
+      await this.ensureMonitoring();
+    }
+    return deleted;
+  }
+
+  /**
+   * Check an edited schedule against the spending limits of the day it runs on
+   * (other pending schedules count, the schedule's own current values do not)
+   * @param {Object} schedule - Schedule being edited
+   * @param {Object} changes - {scheduledTime, quantity, unitGold} (missing = unchanged)
+   * @returns {Promise<Object>} Result of SpendingLimitService.checkOrder
+   */
+  async checkEditLimits(schedule, changes) {
+    return spendingLimitService.checkOrder({
+      telegramUserId: schedule.requested_by || schedule.telegram_user_id,
+      gameName: schedule.game_name,
+      quantity: changes.quantity ?? schedule.quantity,
+      unitGold: changes.unitGold !== undefined ? changes.unitGold : schedule.unit_gold,
+      at: changes.scheduledTime || new Date(schedule.scheduled_time),
+      includeScheduled: true,
+      excludeScheduledOrderId: schedule.id,
+    });
+  }
+
+  /**
+   * Move a schedule to a new time or recurrence (a paused schedule stays paused)
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it
+   * @param {Object} schedule - {scheduledTime, recurrence: cron or null, timeZone}
+   * @returns {Promise<boolean>} True if updated
+   */
+  async rescheduleSchedule(scheduledOrderId, telegramUserId, schedule) {
+    const updated = await db.rescheduleScheduledOrder(scheduledOrderId, telegramUserId, schedule);
+    if (updated) {
+      logger.info(
+        `Scheduled order ${scheduledOrderId} moved by ${telegramUserId} to ${schedule.scheduledTime.toISOString()}` +
+          (schedule.recurrence ? `, repeating "${schedule.recurrence}" in ${schedule.timeZone}` : ""),
+      );
+      await this.ensureMonitoring();
+    }
+    return updated;
+  }
+
+  /**
+   * Change the quantity of a schedule
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it
+   * @param {number} quantity - New quantity
+   * @returns {Promise<boolean>} True if updated
+   */
+  async updateScheduleQuantity(scheduledOrderId, telegramUserId, quantity) {
+    const updated = await db.updateScheduledOrderQuantity(scheduledOrderId, telegramUserId, quantity);
+    if (updated) {
+      logger.info(`Scheduled order ${scheduledOrderId} quantity set to ${quantity} by ${telegramUserId}`);
+    }
+    return updated;
+  }
+
+  /**
+   * Change the card of a schedule (same game)
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it
+   * @param {Object} card - {cardName, cardValue, cardIndex, unitGold}
+   * @returns {Promise<boolean>} True if updated
+   */
+  async updateScheduleCard(scheduledOrderId, telegramUserId, card) {
+    const updated = await db.updateScheduledOrderCard(scheduledOrderId, telegramUserId, card);
+    if (updated) {
+      logger.info(`Scheduled order ${scheduledOrderId} card set to ${card.cardName} by ${telegramUserId}`);
+    }
+    return updated;
+  }
+
+  /**
+   * Execute the pending scheduled orders that are due
    */
   async checkAndExecuteScheduledOrders() {
     try {
@@ -110,14 +389,6 @@ class ScheduledOrderService {
 
       if (pendingOrders.length === 0) {
         logger.debug("ScheduledOrderService: No orders due right now");
-
-        // Check if there are any pending orders at all (including future ones)
-        const hasAnyPending = await db.hasAnyPendingScheduledOrders();
-
-        if (!hasAnyPending && this.isMonitoring) {
-          // No pending orders at all - stop monitoring
-          this.stop();
-        }
         return;
       }
 
@@ -159,6 +430,119 @@ class ScheduledOrderService {
     }
   }
 
+  /**
+   * Record a run of a schedule and take it off the due list: a one-off schedule becomes
+   * 'processing', a recurring one moves to its next run (or completes if it has none)
+   * @param {Object} scheduledOrder - Scheduled order from database (next_run is set on it)
+   * @returns {Promise<number>} Run ID
+   */
+  async startRun(scheduledOrder) {
+    const { id, recurrence, scheduled_time } = scheduledOrder;
+    const runId = await db.createScheduledOrderRun(id, scheduled_time);
+
+    if (!recurrence) {
+      await db.updateScheduledOrderStatus(id, "processing");
+      return runId;
+    }
+
+    const after = new Date(Math.max(Date.now(), new Date(scheduled_time).getTime()));
+    scheduledOrder.next_run = getNextRun(recurrence, after, this.getScheduleTimeZone(scheduledOrder));
+    if (scheduledOrder.next_run) {
+      await db.updateScheduledOrderTime(id, scheduledOrder.next_run);
+    } else {
+      await db.updateScheduledOrderStatus(id, "completed");
+    }
+    return runId;
+  }
+
+  /**
+   * Record the outcome of a run (a one-off schedule takes the run's status)
+   * @param {Object} scheduledOrder - Scheduled order from database
+   * @param {number} runId - Run ID
+   * @param {string} status - completed, failed, cancelled or skipped
+   * @param {number} orderId - Order ID (optional)
+   * @param {string} errorMessage - Error message (optional)
+   */
+  async finishRun(scheduledOrder, runId, status, orderId = null, errorMessage = null) {
+    await db.finishScheduledOrderRun(runId, status, orderId, errorMessage);
+
+    if (!scheduledOrder.recurrence) {
+      await db.updateScheduledOrderStatus(scheduledOrder.id, status, orderId, errorMessage);
+      return;
+    }
+
+    if (scheduledOrder.next_run) {
+      const timeZone = await this.getUserTimeZone(scheduledOrder);
+      await this.notifyUser(
+        scheduledOrder,
+        `🔁 Schedule #${scheduledOrder.id} - next run ${messageFormatter.formatDateTime(scheduledOrder.next_run, timeZone)} (${timeZone})`,
+      );
+    }
+  }
+
+  /**
+   * Record a run cut off by a bot restart while it was queued or buying (the queue does not retry it)
+   * @param {Object} entry - Queue entry of the run
+   */
+  async failInterruptedRun(entry) {
+    const scheduledOrder = await db.getScheduledOrder(entry.scheduled_order_id);
+    if (!scheduledOrder || !entry.scheduled_run_id) return;
+
+    await this.finishRun(scheduledOrder, entry.scheduled_run_id, "failed", null, "Interrupted by a bot restart");
+    await this.notifyUser(
+      scheduledOrder,
+      `⚠️ *Scheduled Run Interrupted*\n🆔 #${scheduledOrder.id}\n\nThe bot restarted before this run finished.`,
+    );
+    logger.warn(`ScheduledOrderService: Run ${entry.scheduled_run_id} of scheduled order ${scheduledOrder.id} interrupted by restart`);
+  }
+
+  /**
+   * Timezone a schedule's recurrence is evaluated in (the one it was entered in)
+   * @param {Object} scheduledOrder - Scheduled order from database
+   * @returns {string} IANA timezone
+   */
+  getScheduleTimeZone(scheduledOrder) {
+    return normalizeTimeZone(scheduledOrder.time_zone) || getDefaultTimeZone();
+  }
+
+  /**
+   * Timezone times are shown in to the user who scheduled an order
+   * @param {Object} scheduledOrder - Scheduled order from database
+   * @returns {Promise<string>} IANA timezone
+   */
+  getUserTimeZone(scheduledOrder) {
+    return userPreferencesService.getTimeZone(
+      scheduledOrder.requested_by || scheduledOrder.telegram_user_id,
+    );
+  }
+
+  /**
+   * Whether a recurring run is too late to still be useful (e.g. the bot was offline).
+   * One-off schedules always run, however late.
+   * @param {Object} scheduledOrder - Scheduled order from database
+   * @returns {boolean}
+   */
+  isMissedRun(scheduledOrder) {
+    if (!scheduledOrder.recurrence) return false;
+    const lateMs = Date.now() - new Date(scheduledOrder.scheduled_time).getTime();
+    return lateMs > appConfig.schedule.missedRunGraceMs;
+  }
+
+  /**
+   * Send a message to the chat a schedule belongs to
+   * @param {Object} scheduledOrder - Scheduled order from database
+   * @param {string} text - Markdown message
+   */
+  async notifyUser(scheduledOrder, text) {
+    try {
+      await this.bot.sendMessage(scheduledOrder.chat_id, text, { parse_mode: "Markdown" });
+    } catch (err) {
+      logger.error(
+        `Could not send notification to user ${scheduledOrder.telegram_user_id}`,
+      );
+    }
+  }
+
   /**
    * Execute a single scheduled order
    * @param {Object} scheduledOrder - Scheduled order from database
@@ -173,29 +557,58 @@ class ScheduledOrderService {
       card_name,
       card_index,
       quantity,
+      unit_gold,
+      requested_by,
+      account_user_id,
     } = scheduledOrder;
 
+    let runId = null;
     try {
       logger.info(
         `ScheduledOrderService: Executing scheduled order ${id} for user ${telegram_user_id}`,
       );
 
-      // Update status to 'processing'
-      await db.updateScheduledOrderStatus(id, "processing");
+      // A pre-warm still on the browser would make the purchase find it busy
+      await Promise.all(this.prewarms.values());
+      this.prewarmedRuns.delete(id);
 
-      // Scheduled flow must use prewarmed browsers from /start.
-      const purchaseService = require("./PurchaseService");
-      const readySessions = purchaseService.getReadySessions(telegram_user_id);
-      if (readySessions.length === 0) {
-        logger.error(
-          `ScheduledOrderService: No prewarmed browsers for user ${telegram_user_id}`,
+      // Record the run and mark the schedule 'processing' (recurring: move it to its next run)
+      runId = await this.startRun(scheduledOrder);
+      if (scheduledOrder.recurrence) {
+        await this.ensureMonitoring();
+      }
+
+      if (this.isMissedRun(scheduledOrder)) {
+        const timeZone = await this.getUserTimeZone(scheduledOrder);
+        await this.notifyUser(
+          scheduledOrder,
+          `⏭️ *Scheduled Run Skipped*\n🆔 #${id}\n\nDue ${messageFormatter.formatDateTime(scheduledOrder.scheduled_time, timeZone)} (${timeZone}) while the bot was offline.`,
+        );
+        await this.finishRun(scheduledOrder, runId, "skipped", null, "Missed while the bot was offline");
+        return;
+      }
+
+      // Re-check daily spending limits: other orders may have used the allowance since scheduling
+      const limitCheck = await spendingLimitService.checkOrder({
+        telegramUserId: requested_by || telegram_user_id,
+        gameName: game_name,
+        quantity,
+        unitGold: unit_gold,
+      });
+      if (!limitCheck.allowed) {
+        await this.finishRun(
+          scheduledOrder,
+          runId,
+          "failed",
+          null,
+          "Daily spending limit exceeded",
         );
-        await db.updateScheduledOrderStatus(id, "failed");
 
         try {
           await this.bot.sendMessage(
             chat_id,
-            `❌ *Scheduled Order Failed*\n🆔 #${id}\n\n⚠️ No ready browser pool found.\nSend /start first to prepare browsers.`,
+            `❌ *Scheduled Order Failed*\n🆔 #${id}\n\n` +
+              messageFormatter.formatSpendingLimitExceeded(limitCheck, quantity),
             { parse_mode: "Markdown" },
           );
         } catch (notifyErr) {
@@ -206,6 +619,14 @@ class ScheduledOrderService {
         return;
       }
 
+      // Razer account picked when scheduling, or routed now by balance and codes
+      const account = await razerAccountService.pickAccount({
+        quantity,
+        unitGold: unit_gold,
+        preferredAccountUserId: account_user_id ? String(account_user_id) : null,
+      });
+      const accountUserId = account ? account.account_user_id : telegram_user_id;
+
       // Delete initial notification if it exists
       const processingMsgId = this.processingMessageIds.get(chat_id);
       if (processingMsgId) {
@@ -217,23 +638,27 @@ class ScheduledOrderService {
         }
       }
 
-      // Execute order using unified method (REFACTORED: eliminates duplicate code)
+      // Queue the run: it waits for the order using the browser (and goes ahead of queued Buy Now
+      // orders when prioritized). The queue checks the prewarmed browsers from /start (other
+      // accounts log in on demand) and executes it with the unified method.
       try {
-        const result = await orderFlowHandler._executeOrder({
-          bot: this.bot,
+        const queued = await getOrderQueueService(this.bot).enqueue({
+          telegramUserId: requested_by || telegram_user_id,
           chatId: chat_id,
-          telegramUserId: telegram_user_id,
+          accountUserId,
           gameName: game_name,
           gameUrl: game_url,
           cardName: card_name,
           cardIndex: card_index,
-          quantity: quantity,
-          isScheduled: true,
+          quantity,
+          unitGold: unit_gold,
           scheduledOrderId: id,
+          scheduledRunId: runId,
         });
+        const result = await queued.result;
 
         // Update status to 'completed' with order_id
-        await db.updateScheduledOrderStatus(id, "completed", result.order.id);
+        await this.finishRun(scheduledOrder, runId, "completed", result.order.id);
         logger.info(
           `ScheduledOrderService: Successfully completed scheduled order ${id}`,
         );
@@ -248,8 +673,9 @@ class ScheduledOrderService {
       } catch (err) {
         // Unified method handles UI/messages - just update database status
         if (err.message && err.message.includes("cancelled by user")) {
-          await db.updateScheduledOrderStatus(
-            id,
+          await this.finishRun(
+            scheduledOrder,
+            runId,
             "cancelled",
             err.partialOrder?.order?.id || null,
             "Cancelled by user",
@@ -258,7 +684,7 @@ class ScheduledOrderService {
             `ScheduledOrderService: Scheduled order ${id} cancelled by user`,
           );
         } else {
-          await db.updateScheduledOrderStatus(id, "failed");
+          await this.finishRun(scheduledOrder, runId, "failed", null, err.message);
           logger.error(
             `ScheduledOrderService: Scheduled order ${id} failed:`,
             err.message,
@@ -281,7 +707,11 @@ class ScheduledOrderService {
       );
 
       // Update status to 'failed'
-      await db.updateScheduledOrderStatus(id, "failed");
+      if (runId) {
+        await this.finishRun(scheduledOrder, runId, "failed", null, err.message);
+      } else {
+        await db.updateScheduledOrderStatus(id, "failed");
+      }
 
       // Send error notification to user
       try {
@@ -29,7 +29,7 @@ class SessionManager {
    * Prevents memory leaks from inactive users
    */
   startSessionCleanup() {
-    setInterval(() => {
+    this.sessionCleanupTimer = setInterval(() => {
       const now = Date.now();
       let cleaned = 0;
 
@@ -53,6 +53,16 @@ class SessionManager {
     }, appConfig.session.cleanupIntervalMs);
   }
 
+  /**
+   * Stop automatic session cleanup
+   */
+  stopSessionCleanup() {
+    if (this.sessionCleanupTimer) {
+      clearInterval(this.sessionCleanupTimer);
+      this.sessionCleanupTimer = null;
+    }
+  }
+
   /**
    * Creates or resets a session for a user
    * 
@@ -116,6 +126,32 @@ class SessionManager {
     }
   }
 
+  /**
+   * Stores the Razer account a credentials / backup codes update applies to
+   * 
+   * @param {string} chatId - Telegram chat ID
+   * @param {string|null} accountUserId - Account operator ID (null = account 1)
+   */
+  setAccount(chatId, accountUserId) {
+    if (this.sessions[chatId]) {
+      this.sessions[chatId].accountUserId = accountUserId;
+      logger.debug(`Razer account ${accountUserId || 'default'} selected for ${chatId}`);
+    }
+  }
+
+  /**
+   * Stores the scheduled order being edited from /schedule (and the cards offered for it)
+   * 
+   * @param {string} chatId - Telegram chat ID
+   * @param {object} scheduleEdit - {scheduledOrderId, cards?: [{name, unitGold}]}
+   */
+  setScheduleEdit(chatId, scheduleEdit) {
+    if (this.sessions[chatId]) {
+      this.sessions[chatId].scheduleEdit = scheduleEdit;
+      logger.debug(`Editing scheduled order ${scheduleEdit.scheduledOrderId} in ${chatId}`);
+    }
+  }
+
   /**
    * Clear sensitive credentials from session (SECURITY FIX #8)
    * 
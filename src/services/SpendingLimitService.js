@@ -0,0 +1,317 @@
+/**
+ * SpendingLimitService
+ *
+ * Daily spending limits per user and per game, measured in cards and Razer Gold
+ * - Defaults for every user come from DAILY_CARD_LIMIT / DAILY_GOLD_LIMIT (0 = unlimited)
+ * - Admins override them per user for all games ('*') or for a single game
+ * - A day runs midnight to midnight in DEFAULT_TIMEZONE (DST-aware), the same for every user
+ */
+
+const logger = require("../utils/logger");
+const appConfig = require("../config/app-config");
+const db = require("./DatabaseService");
+const { getZonedDayWindow } = require("../utils/timezone");
+
+const ALL_GAMES = "*";
+
+class SpendingLimitService {
+  constructor() {
+    this.ALL_GAMES = ALL_GAMES;
+  }
+
+  /**
+   * Limit day (in DEFAULT_TIMEZONE) containing a moment
+   * @param {Date} at - Moment inside the day
+   * @returns {{since: Date, until: Date}} Day window in UTC
+   */
+  getDayWindow(at = new Date()) {
+    return getZonedDayWindow(at);
+  }
+
+  /**
+   * Limits that apply to a user for a game
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} gameName - Game name
+   * @returns {Promise<{all: {maxCards: number|null, maxGold: number|null}, game: {maxCards: number|null, maxGold: number|null}}>}
+   *          null = unlimited
+   */
+  async getEffectiveLimits(telegramUserId, gameName) {
+    const rows = await db.getSpendingLimits(telegramUserId);
+    const allGamesRow = rows.find((row) => row.game_key === ALL_GAMES);
+    const gameRow = rows.find((row) => this.isSameGame(row.game_key, gameName));
+
+    const all = allGamesRow
+      ? {
+          maxCards: allGamesRow.max_cards_per_day,
+          maxGold: allGamesRow.max_gold_per_day,
+        }
+      : {
+          maxCards: appConfig.limits.dailyCardLimit || null,
+          maxGold: appConfig.limits.dailyGoldLimit || null,
+        };
+
+    const game = {
+      maxCards: gameRow ? gameRow.max_cards_per_day : null,
+      maxGold: gameRow ? gameRow.max_gold_per_day : null,
+    };
+
+    return { all, game };
+  }
+
+  /**
+   * Remaining allowance of a user for a game on a given day
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} gameName - Game name
+   * @param {Object} options - {at: Date in the day, includeScheduled: count pending scheduled orders,
+   *                             excludeScheduledOrderId: schedule not counted (the one being edited),
+   *                             pending: extra spending rows {game_name, cards, gold} (earlier cart lines)}
+   * @returns {Promise<{limits: Object, used: Object, remaining: {cards: number|null, gold: number|null}}>}
+   */
+  async getAllowance(
+    telegramUserId,
+    gameName,
+    { at = new Date(), includeScheduled = false, excludeScheduledOrderId = null, pending = [] } = {},
+  ) {
+    const { since, until } = this.getDayWindow(at);
+    const limits = await this.getEffectiveLimits(telegramUserId, gameName);
+
+    const rows = await db.getUserSpendingBetween(telegramUserId, since, until);
+    if (includeScheduled) {
+      rows.push(
+        ...(await db.getUserScheduledSpendingBetween(telegramUserId, since, until, excludeScheduledOrderId)),
+      );
+    }
+    rows.push(...pending);
+
+    const used = {
+      all: { cards: 0, gold: 0 },
+      game: { cards: 0, gold: 0 },
+    };
+
+    for (const row of rows) {
+      const cards = Number(row.cards) || 0;
+      const gold = Number(row.gold) || 0;
+      used.all.cards += cards;
+      used.all.gold += gold;
+      if (this.isSameGame(row.game_name, gameName)) {
+        used.game.cards += cards;
+        used.game.gold += gold;
+      }
+    }
+
+    const remaining = {
+      cards: this.minRemaining([
+        [limits.all.maxCards, used.all.cards],
+        [limits.game.maxCards, used.game.cards],
+      ]),
+      gold: this.minRemaining([
+        [limits.all.maxGold, used.all.gold],
+        [limits.game.maxGold, used.game.gold],
+      ]),
+    };
+
+    return { limits, used, remaining };
+  }
+
+  /**
+   * Check whether an order fits in the user's allowance
+   * @param {Object} params - Parameters
+   * @param {string} params.telegramUserId - Telegram user ID (real user, not the shared operator)
+   * @param {string} params.gameName - Game name
+   * @param {number} params.quantity - Cards requested
+   * @param {number|null} params.unitGold - Gold price per card (null if unknown)
+   * @param {Date} params.at - Day the order runs on
+   * @param {boolean} params.includeScheduled - Count pending scheduled orders of that day
+   * @param {number|null} params.excludeScheduledOrderId - Scheduled order not counted (when editing it)
+   * @param {Array<Object>} params.pending - Spending not recorded yet (earlier lines of a cart)
+   * @returns {Promise<{allowed: boolean, maxQuantity: number|null, remaining: Object, unknownPrice: boolean}>}
+   *          maxQuantity null = unlimited
+   */
+  async checkOrder({
+    telegramUserId,
+    gameName,
+    quantity,
+    unitGold = null,
+    at = new Date(),
+    includeScheduled = false,
+    excludeScheduledOrderId = null,
+    pending = [],
+  }) {
+    try {
+      const { remaining } = await this.getAllowance(telegramUserId, gameName, {
+        at,
+        includeScheduled,
+        excludeScheduledOrderId,
+        pending,
+      });
+
+      const hasPrice = Number.isFinite(unitGold) && unitGold >= 0;
+      // A Gold limit cannot be checked without the card price
+      const unknownPrice = remaining.gold !== null && !hasPrice;
+
+      let maxQuantity = remaining.cards;
+      if (remaining.gold !== null && hasPrice && unitGold > 0) {
+        const goldQuantity = Math.floor(remaining.gold / unitGold);
+        maxQuantity =
+          maxQuantity === null ? goldQuantity : Math.min(maxQuantity, goldQuantity);
+      }
+      if (unknownPrice) {
+        maxQuantity = 0;
+      }
+
+      const allowed = maxQuantity === null || quantity <= maxQuantity;
+      if (!allowed) {
+        logger.warn(
+          `Spending limit: user ${telegramUserId} requested ${quantity} x ${gameName}, allowed ${maxQuantity}`,
+        );
+      }
+
+      return { allowed, maxQuantity, remaining, unknownPrice };
+    } catch (err) {
+      logger.error("Error checking spending limit:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Check a cart order line by line, each line counting the lines before it
+   * @param {Object} params - Parameters
+   * @param {string} params.telegramUserId - Telegram user ID (real user, not the shared operator)
+   * @param {Array<Object>} params.items - Cart lines {gameName, quantity, unitGold}
+   * @returns {Promise<{allowed: boolean, item: Object|null, check: Object|null}>} First line over the
+   *          limit with its checkOrder result (null when the whole cart fits)
+   */
+  async checkCart({ telegramUserId, items }) {
+    for (const [index, item] of items.entries()) {
+      const check = await this.checkOrder({
+        telegramUserId,
+        gameName: item.gameName,
+        quantity: item.quantity,
+        unitGold: item.unitGold,
+        pending: this.getCartSpending(items.slice(0, index)),
+      });
+      if (!check.allowed) {
+        return { allowed: false, item, check };
+      }
+    }
+
+    return { allowed: true, item: null, check: null };
+  }
+
+  /**
+   * Spending rows of cart lines, in the shape of recorded spending
+   * @param {Array<Object>} items - Cart lines {gameName, quantity, unitGold}
+   * @returns {Array<{game_name: string, cards: number, gold: number}>} Rows for getAllowance's pending option
+   */
+  getCartSpending(items) {
+    return items.map((item) => ({
+      game_name: item.gameName,
+      cards: item.quantity,
+      gold: (item.unitGold || 0) * item.quantity,
+    }));
+  }
+
+  /**
+   * Change one daily limit of a user, keeping the other one
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} gameKey - '*' (all games) or game name
+   * @param {string} kind - 'cards' | 'gold'
+   * @param {number|null} amount - New limit (null = unlimited)
+   * @param {string} updatedBy - Admin Telegram user ID
+   * @returns {Promise<{maxCardsPerDay: number|null, maxGoldPerDay: number|null}>} Limits now in effect
+   */
+  async updateLimit(telegramUserId, gameKey, kind, amount, updatedBy) {
+    try {
+      const rows = await db.getSpendingLimits(telegramUserId);
+      const existing = rows.find((row) =>
+        gameKey === ALL_GAMES ? row.game_key === ALL_GAMES : this.isSameGame(row.game_key, gameKey),
+      );
+
+      // Without a stored '*' row the .env defaults are in effect
+      const limits = existing
+        ? {
+            maxCardsPerDay: existing.max_cards_per_day,
+            maxGoldPerDay: existing.max_gold_per_day,
+          }
+        : {
+            maxCardsPerDay: gameKey === ALL_GAMES ? appConfig.limits.dailyCardLimit || null : null,
+            maxGoldPerDay: gameKey === ALL_GAMES ? appConfig.limits.dailyGoldLimit || null : null,
+          };
+
+      if (kind === "cards") {
+        limits.maxCardsPerDay = amount;
+      } else {
+        limits.maxGoldPerDay = amount;
+      }
+
+      const storedGameKey = existing ? existing.game_key : gameKey;
+      if (
+        storedGameKey !== ALL_GAMES &&
+        limits.maxCardsPerDay === null &&
+        limits.maxGoldPerDay === null
+      ) {
+        await db.deleteSpendingLimit(telegramUserId, storedGameKey);
+      } else {
+        await db.setSpendingLimit(telegramUserId, storedGameKey, limits, updatedBy);
+      }
+
+      logger.info(
+        `Spending limit for ${telegramUserId} (${storedGameKey}) set by ${updatedBy}: ` +
+          `${limits.maxCardsPerDay ?? "unlimited"} cards, ${limits.maxGoldPerDay ?? "unlimited"} Gold`,
+      );
+      return limits;
+    } catch (err) {
+      logger.error("Error updating spending limit:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * All limits of a user plus today's totals, for display
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<{all: Object, games: Array<Object>, used: {cards: number, gold: number}, remaining: Object}>}
+   */
+  async getLimitsOverview(telegramUserId) {
+    const rows = await db.getSpendingLimits(telegramUserId);
+    const { limits, used, remaining } = await this.getAllowance(telegramUserId, ALL_GAMES);
+
+    return {
+      all: limits.all,
+      games: rows
+        .filter((row) => row.game_key !== ALL_GAMES)
+        .map((row) => ({
+          gameName: row.game_key,
+          maxCards: row.max_cards_per_day,
+          maxGold: row.max_gold_per_day,
+        })),
+      used: used.all,
+      remaining,
+    };
+  }
+
+  /**
+   * Smallest (limit - used) among the limits that are set
+   * @param {Array<[number|null, number]>} pairs - [limit, used] pairs
+   * @returns {number|null} Remaining amount, or null if no limit applies
+   */
+  minRemaining(pairs) {
+    let result = null;
+    for (const [limit, used] of pairs) {
+      if (limit === null || limit === undefined) continue;
+      const remaining = Math.max(0, limit - used);
+      result = result === null ? remaining : Math.min(result, remaining);
+    }
+    return result;
+  }
+
+  isSameGame(a, b) {
+    return (
+      typeof a === "string" &&
+      typeof b === "string" &&
+      a.trim().toLowerCase() === b.trim().toLowerCase()
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new SpendingLimitService();
@@ -0,0 +1,229 @@
+/**
+ * StockWatchService
+ * Restock notifications for /watch: polls the catalog API for every game with an active
+ * watch and tells the user, with a Buy now button, when the watched card is back in stock.
+ * Watches end when notified, cancelled or expired. Polling only runs while watches are active.
+ */
+const logger = require("../utils/logger");
+const db = require("./DatabaseService");
+const messageFormatter = require("../utils/MessageFormatter");
+const appConfig = require("../config/app-config");
+
+class StockWatchService {
+  constructor(bot) {
+    this.bot = bot;
+    this.timer = null;
+    this.isChecking = false;
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.timer) {
+      logger.debug("StockWatchService: Already running");
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.checkNow();
+    }, appConfig.watch.pollIntervalMs);
+
+    logger.success(
+      `Stock watch polling started (every ${Math.round(appConfig.watch.pollIntervalMs / 1000)}s)`,
+    );
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info("Stock watch polling stopped");
+    }
+  }
+
+  /**
+   * Start polling if any watch is active (on startup and after a watch is created)
+   */
+  async ensureMonitoring() {
+    if (this.timer) return;
+
+    try {
+      const watches = await db.getActiveStockWatches();
+      if (watches.length > 0) {
+        logger.info(`StockWatchService: ${watches.length} active watch(es) - starting polling`);
+        this.start();
+      }
+    } catch (err) {
+      logger.error("StockWatchService: Error checking for active watches:", err);
+    }
+  }
+
+  /**
+   * Watch a card for restock
+   * @param {Object} params - {telegramUserId, chatId, gameId, gameName, gameUrl, regionId,
+   *                          cardName, productId, expiryHours}
+   * @returns {Promise<{id: number, expiresAt: Date}>} Created watch
+   */
+  async createWatch({ expiryHours, ...watchData }) {
+    try {
+      const activeWatches = await db.getUserStockWatches(watchData.telegramUserId);
+      const { maxActivePerUser } = appConfig.watch;
+      if (activeWatches.length >= maxActivePerUser) {
+        throw new Error(
+          `You can watch up to ${maxActivePerUser} cards at a time. Cancel one in /watches first.`,
+        );
+      }
+
+      const expiresAt = new Date(Date.now() + expiryHours * 60 * 60 * 1000);
+      const id = await db.createStockWatch({ ...watchData, expiresAt });
+
+      logger.info(
+        `Stock watch #${id} created by ${watchData.telegramUserId}: ${watchData.gameName} / ${watchData.cardName}`,
+      );
+      await this.ensureMonitoring();
+      return { id, expiresAt };
+    } catch (err) {
+      logger.error("Error creating stock watch:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Check every active watch once (skipped if a check is already running).
+   * Each game is fetched once, however many watches it has.
+   */
+  async checkNow() {
+    if (this.isChecking) {
+      return;
+    }
+
+    this.isChecking = true;
+    try {
+      const watches = await db.getActiveStockWatches();
+      if (watches.length === 0) {
+        this.stop();
+        return;
+      }
+
+      const watchesByGame = new Map(); // game_url|region_id -> watches
+      for (const watch of watches) {
+        if (new Date(watch.expires_at).getTime() <= Date.now()) {
+          if (await db.closeStockWatch(watch.id, "expired")) {
+            await this.notifyExpired(watch);
+          }
+          continue;
+        }
+
+        const key = `${watch.game_url}|${watch.region_id}`;
+        if (!watchesByGame.has(key)) watchesByGame.set(key, []);
+        watchesByGame.get(key).push(watch);
+      }
+
+      // Lazy: GameCardsService pulls in the browser stack
+      const gameCardsService = require("./GameCardsService");
+      const catalogHistoryService = require("./CatalogHistoryService");
+
+      for (const gameWatches of watchesByGame.values()) {
+        const { game_url: gameUrl, region_id: regionId } = gameWatches[0];
+
+        let cards;
+        try {
+          cards = await gameCardsService.fetchCardsFromApi(gameUrl, regionId ?? undefined);
+        } catch (err) {
+          logger.warn(`StockWatchService: Catalog check failed for ${gameUrl}: ${err.message}`);
+          continue;
+        }
+        catalogHistoryService.recordCardsForUrl(gameUrl, cards);
+
+        for (const watch of gameWatches) {
+          const card = this.findCard(cards, watch);
+          if (card && !card.disabled && (await db.closeStockWatch(watch.id, "notified"))) {
+            await this.notifyRestock(watch, card);
+          }
+        }
+      }
+    } catch (err) {
+      logger.error("StockWatchService: Check failed:", err);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Find the watched card in a catalog response (by product ID, else by name)
+   * @param {Array<Object>} cards - Cards from GameCardsService.fetchCardsFromApi
+   * @param {Object} watch - stock_watches row
+   * @returns {Object|null} Card
+   */
+  findCard(cards, watch) {
+    const gameCardsService = require("./GameCardsService");
+    return gameCardsService.findCard(cards, {
+      productId: watch.product_id,
+      cardName: watch.card_name,
+    });
+  }
+
+  /**
+   * Tell the user a watched card is back, with a shortcut into the order flow
+   * @param {Object} watch - stock_watches row
+   * @param {Object} card - Card now in stock
+   */
+  async notifyRestock(watch, card) {
+    const price = Number.isFinite(card.unitGold)
+      ? ` - ${messageFormatter.formatGold(card.unitGold)} Gold`
+      : "";
+
+    try {
+      await this.bot.sendMessage(
+        watch.chat_id,
+        `🔔 *BACK IN STOCK*\n🎮 ${watch.game_name}\n💎 ${card.name}${price}`,
+        {
+          parse_mode: "Markdown",
+          reply_markup: {
+            inline_keyboard: [[{ text: "🚀 Buy now", callback_data: `watch_buy_${watch.id}` }]],
+          },
+        },
+      );
+      logger.success(`Stock watch #${watch.id}: ${card.name} back in stock - user notified`);
+    } catch (err) {
+      logger.warn(`StockWatchService: Could not notify chat ${watch.chat_id}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Tell the user a watch ended without a restock
+   * @param {Object} watch - stock_watches row
+   */
+  async notifyExpired(watch) {
+    try {
+      await this.bot.sendMessage(
+        watch.chat_id,
+        `⌛ *WATCH EXPIRED*\n🎮 ${watch.game_name}\n💎 ${watch.card_name}\n\nStill out of stock. Use /watch to watch it again.`,
+        { parse_mode: "Markdown" },
+      );
+    } catch (err) {
+      logger.warn(`StockWatchService: Could not notify chat ${watch.chat_id}: ${err.message}`);
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get or create singleton instance
+ * @param {Object} bot - Telegram bot instance (required for first call)
+ * @returns {StockWatchService} Service instance
+ */
+function getInstance(bot = null) {
+  if (!instance && bot) {
+    instance = new StockWatchService(bot);
+  }
+  return instance;
+}
+
+module.exports = getInstance;
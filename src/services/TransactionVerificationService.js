@@ -1,6 +1,7 @@
 const BrowserManager = require('./BrowserManager');
 const logger = require('../utils/logger');
 const AntibanService = require('./AntibanService');
+const { getStorefrontUrls } = require('../config/storefronts');
 
 const humanDelay = AntibanService.humanDelay;
 const setupPage = AntibanService.setupPage;
@@ -12,8 +13,8 @@ class TransactionVerificationService {
     this.browserManager = BrowserManager;
   }
 
-  async verifyTransaction(transactionId, page) {
-    const url = `https://gold.razer.com/global/en/transaction/purchase/${transactionId}`;
+  async verifyTransaction(transactionId, page, storefront = null) {
+    const url = `${getStorefrontUrls(storefront).transactionDetailUrlPrefix}${transactionId}`;
 
     await setupPage(page, { blockedResourceTypes: ['image', 'media', 'font', 'stylesheet'] });
     logger.http(`Verifying transaction: ${transactionId}`);
@@ -112,7 +113,7 @@ class TransactionVerificationService {
     }
   }
 
-  async verifyMultipleTransactions(purchases, page, onProgress = null, checkCancellation = null) {
+  async verifyMultipleTransactions(purchases, page, onProgress = null, checkCancellation = null, storefront = null) {
     const lockId = this.browserManager.markBrowserBusy('verify-batch');
     try {
       const results = [];
@@ -146,7 +147,7 @@ class TransactionVerificationService {
             error: 'No transaction ID - purchase failed before reaching transaction page'
           });
         } else {
-          const result = await this.verifyTransaction(purchase.razer_transaction_id, page);
+          const result = await this.verifyTransaction(purchase.razer_transaction_id, page, storefront);
           results.push({
             purchaseId: purchase.id,
             cardNumber: purchase.card_number,
@@ -0,0 +1,198 @@
+/**
+ * UserPreferencesService
+ * Per-user settings picked in /settings (cached in memory, invalidated on change).
+ * - Timezone: IANA name used for schedule input/output, /transactions days and every
+ *   timestamp shown to the user (DEFAULT_TIMEZONE until the user picks one)
+ * - PIN file format: txt, csv or json for order delivery, /history downloads and /transactions
+ * - PIN archive: plain files, or an AES-encrypted ZIP with the user's passphrase or a one-time
+ *   password sent separately (an order can override it before Buy Now)
+ */
+const logger = require("../utils/logger");
+const db = require("./DatabaseService");
+const { getDefaultTimeZone, normalizeTimeZone } = require("../utils/timezone");
+const encryptionService = require("../utils/encryption");
+const fileGenerator = require("../utils/FileGenerator");
+const { PIN_FILE_FORMATS } = fileGenerator;
+
+// Encrypted archive modes (no mode saved = plain files)
+const PIN_ARCHIVE_MODES = ["passphrase", "one_time"];
+const PASSPHRASE_MIN_LENGTH = 8;
+const PASSPHRASE_MAX_LENGTH = 64;
+
+class UserPreferencesService {
+  constructor() {
+    this.cache = new Map(); // telegramUserId -> user_preferences row (null = none saved)
+  }
+
+  /**
+   * Saved preferences of a user
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<Object|null>} user_preferences row
+   */
+  async getPreferences(telegramUserId) {
+    const key = String(telegramUserId);
+    if (!this.cache.has(key)) {
+      this.cache.set(key, await db.getUserPreferences(key));
+    }
+    return this.cache.get(key);
+  }
+
+  /**
+   * Timezone of a user (falls back to the default if none saved or the saved one is unknown)
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<string>} IANA timezone
+   */
+  async getTimeZone(telegramUserId) {
+    try {
+      const preferences = await this.getPreferences(telegramUserId);
+      return normalizeTimeZone(preferences && preferences.time_zone) || getDefaultTimeZone();
+    } catch (err) {
+      logger.warn(`Could not load timezone of ${telegramUserId}: ${err.message}`);
+      return getDefaultTimeZone();
+    }
+  }
+
+  /**
+   * Save a user's timezone
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string|null} input - IANA timezone as typed (null = back to the default)
+   * @returns {Promise<string>} Timezone now in effect
+   * @throws {Error} If the timezone is unknown
+   */
+  async setTimeZone(telegramUserId, input) {
+    const timeZone = input === null ? null : normalizeTimeZone(input);
+    if (input !== null && !timeZone) {
+      throw new Error(`Unknown timezone "${input}". Use an IANA name like Africa/Cairo or Europe/London.`);
+    }
+
+    try {
+      await db.setUserTimeZone(String(telegramUserId), timeZone);
+      this.cache.delete(String(telegramUserId));
+      logger.info(`Timezone of ${telegramUserId} set to ${timeZone || "default"}`);
+      return timeZone || getDefaultTimeZone();
+    } catch (err) {
+      logger.error("Error saving timezone:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * PIN file format of a user (txt if none saved)
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<string>} txt, csv or json
+   */
+  async getPinFileFormat(telegramUserId) {
+    try {
+      const preferences = await this.getPreferences(telegramUserId);
+      const format = preferences && preferences.pin_file_format;
+      return PIN_FILE_FORMATS.includes(format) ? format : "txt";
+    } catch (err) {
+      logger.warn(`Could not load PIN file format of ${telegramUserId}: ${err.message}`);
+      return "txt";
+    }
+  }
+
+  /**
+   * Save a user's PIN file format
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} format - txt, csv or json
+   * @returns {Promise<string>} Format now in effect
+   * @throws {Error} If the format is unknown
+   */
+  async setPinFileFormat(telegramUserId, format) {
+    if (!PIN_FILE_FORMATS.includes(format)) {
+      throw new Error(`Unknown PIN file format "${format}". Use ${PIN_FILE_FORMATS.join(", ")}.`);
+    }
+
+    try {
+      await db.setUserPinFileFormat(String(telegramUserId), format === "txt" ? null : format);
+      this.cache.delete(String(telegramUserId));
+      logger.info(`PIN file format of ${telegramUserId} set to ${format}`);
+      return format;
+    } catch (err) {
+      logger.error("Error saving PIN file format:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * How a user gets PIN files
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<string>} off, passphrase or one_time
+   */
+  async getPinArchiveMode(telegramUserId) {
+    try {
+      const preferences = await this.getPreferences(telegramUserId);
+      const mode = preferences && preferences.pin_archive;
+      return PIN_ARCHIVE_MODES.includes(mode) ? mode : "off";
+    } catch (err) {
+      logger.warn(`Could not load PIN archive setting of ${telegramUserId}: ${err.message}`);
+      return "off";
+    }
+  }
+
+  /**
+   * Encrypted archive to deliver a user's PIN files in
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {boolean|null} encrypt - Per-order choice (null = the user's setting)
+   * @returns {Promise<{password: string, oneTime: boolean}|null>} null = plain files
+   */
+  async getPinArchive(telegramUserId, encrypt = null) {
+    if (encrypt === false) {
+      return null;
+    }
+
+    const mode = await this.getPinArchiveMode(telegramUserId);
+    if (mode === "off" && !encrypt) {
+      return null;
+    }
+
+    if (mode === "passphrase") {
+      try {
+        const preferences = await this.getPreferences(telegramUserId);
+        return {
+          password: encryptionService.decrypt(preferences.pin_archive_passphrase_encrypted),
+          oneTime: false,
+        };
+      } catch (err) {
+        // Still encrypted, with a password the user gets in the chat
+        logger.error(`Could not decrypt PIN archive passphrase of ${telegramUserId}:`, err.message);
+      }
+    }
+
+    return { password: fileGenerator.generateOneTimePassword(), oneTime: true };
+  }
+
+  /**
+   * Save how a user gets PIN files
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} mode - off, passphrase or one_time
+   * @param {string|null} passphrase - ZIP passphrase (passphrase mode)
+   * @returns {Promise<string>} Mode now in effect
+   * @throws {Error} If the mode is unknown or the passphrase too short / long
+   */
+  async setPinArchive(telegramUserId, mode, passphrase = null) {
+    if (mode !== "off" && !PIN_ARCHIVE_MODES.includes(mode)) {
+      throw new Error(`Unknown PIN archive mode "${mode}".`);
+    }
+    if (
+      mode === "passphrase" &&
+      (!passphrase || passphrase.length < PASSPHRASE_MIN_LENGTH || passphrase.length > PASSPHRASE_MAX_LENGTH)
+    ) {
+      throw new Error(`The passphrase must be ${PASSPHRASE_MIN_LENGTH}-${PASSPHRASE_MAX_LENGTH} characters.`);
+    }
+
+    try {
+      await db.setUserPinArchive(String(telegramUserId), mode === "off" ? null : mode, passphrase);
+      this.cache.delete(String(telegramUserId));
+      logger.info(`PIN archive of ${telegramUserId} set to ${mode}`);
+      return mode;
+    } catch (err) {
+      logger.error("Error saving PIN archive setting:", err);
+      throw err;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new UserPreferencesService();
@@ -0,0 +1,2661 @@
+/**
+ * MSSQL Storage
+ *
+ * Storage backend for Azure SQL (MSSQL).
+ * Selected with STORAGE_BACKEND=mssql (default).
+ *
+ * Simplified version - no user management
+ * Stores orders and purchases with encrypted PINs
+ */
+
+const sql = require("mssql");
+const StorageBackend = require("./StorageBackend");
+const { Order, Purchase } = require("../../models/DatabaseModels");
+const encryptionService = require("../../utils/encryption");
+const logger = require("../../utils/logger");
+
+class MssqlStorage extends StorageBackend {
+  constructor() {
+    super();
+    this.dialect = "mssql";
+    this.pool = null;
+    this.parsedConfig = null; // OPTIMIZATION: Pre-parse config once
+
+    // OPTIMIZATION: Configure connection pool for concurrent users
+    // MonsterASP free tier - configured for 50 max connections
+    // Using direct connection string with pool options
+    this.config = process.env.DB_CONNECTION_STRING;
+
+    this.poolConfig = {
+      max: 3, // Max 3 connections (for 1-2 users)
+      min: 1, // Keep 1 connection alive
+      idleTimeoutMillis: 30000, // Close idle connections after 30s
+      acquireTimeoutMillis: 30000, // Wait max 30s for connection
+    };
+
+    // OPTIMIZATION: Retry configuration for transient failures
+    this.MAX_RETRIES = 3;
+    this.RETRY_DELAY = 1000; // 1 second
+
+    // OPTIMIZATION: Pre-parse connection string once
+    this.parseConnectionString();
+
+    logger.database("Database pool configured: 2-10 connections");
+  }
+
+  /**
+   * Pre-parse connection string once for performance
+   */
+  parseConnectionString() {
+    if (!this.config) return;
+
+    const config = {};
+    const parts = this.config.split(";").filter((p) => p.trim());
+
+    for (const part of parts) {
+      const [key, value] = part.split("=").map((s) => s.trim());
+      if (key && value) {
+        const lowerKey = key.toLowerCase();
+        if (lowerKey === "server" || lowerKey === "data source") {
+          config.server = value;
+        } else if (lowerKey === "database" || lowerKey === "initial catalog") {
+          config.database = value;
+        } else if (lowerKey === "user id" || lowerKey === "uid") {
+          config.user = value;
+        } else if (lowerKey === "password" || lowerKey === "pwd") {
+          config.password = value;
+        } else if (lowerKey === "encrypt") {
+          config.encrypt = value.toLowerCase() === "true";
+        } else if (lowerKey === "trustservercertificate") {
+          config.trustServerCertificate = value.toLowerCase() === "true";
+        }
+      }
+    }
+
+    // Add pool configuration
+    config.pool = this.poolConfig;
+
+    // Add default options
+    config.options = {
+      encrypt: config.encrypt !== false,
+      trustServerCertificate: config.trustServerCertificate || false,
+      requestTimeout: 30000,
+      connectionTimeout: 15000,
+      enableArithAbort: true,
+    };
+
+    this.parsedConfig = config;
+  }
+
+  /**
+   * Initialize database connection pool
+   */
+  async connect() {
+    try {
+      if (!this.pool || !this.pool.connected) {
+        logger.database("Connecting to SQL Database (MonsterASP)...");
+
+        // OPTIMIZATION: Use pre-parsed config
+        if (!this.parsedConfig) {
+          throw new Error("Database configuration not parsed");
+        }
+
+        // Create pool with pre-parsed config
+        this.pool = new sql.ConnectionPool(this.parsedConfig);
+
+        // Monitor pool health
+        this.pool.on("error", (err) => {
+          logger.error("Database pool error:", err);
+          // Reset pool on critical errors
+          if (err.code === "ECONNRESET" || err.code === "ETIMEDOUT") {
+            logger.database("Resetting connection pool...");
+            this.pool = null;
+          }
+        });
+
+        await this.pool.connect();
+        logger.success("Database connected (pool: 2-10 connections)");
+      }
+      return this.pool;
+    } catch (err) {
+      logger.error("Database connection failed:", err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Execute query with automatic retry on transient failures
+   * OPTIMIZATION: Handles network hiccups gracefully
+   * @param {Function} queryFn - Query function to execute
+   * @param {number} retries - Retry attempts remaining
+   * @returns {Promise} Query result
+   */
+  async executeWithRetry(queryFn, retries = this.MAX_RETRIES) {
+    try {
+      await this.connect();
+      return await queryFn();
+    } catch (err) {
+      // Transient errors that should be retried
+      const isTransient =
+        err.code === "ECONNRESET" ||
+        err.code === "ETIMEDOUT" ||
+        err.code === "ESOCKET" ||
+        err.message?.includes("timeout") ||
+        err.message?.includes("Connection is closed");
+
+      if (isTransient && retries > 0) {
+        logger.warn(`Transient DB error, retrying... (${retries} left)`);
+        await new Promise((resolve) => setTimeout(resolve, this.RETRY_DELAY));
+        return this.executeWithRetry(queryFn, retries - 1);
+      }
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // SCHEMA MIGRATIONS
+  // ============================================================================
+
+  /**
+   * Get the applied schema version (creates the schema_version table on first run)
+   * @returns {Promise<number>} Highest applied migration version (0 if none)
+   */
+  async getSchemaVersion() {
+    try {
+      await this.connect();
+
+      await this.pool.request().query(`
+        IF OBJECT_ID('dbo.schema_version', 'U') IS NULL
+        CREATE TABLE dbo.schema_version (
+          version INT NOT NULL PRIMARY KEY,
+          name NVARCHAR(200) NOT NULL,
+          applied_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+        )
+      `);
+
+      const result = await this.pool
+        .request()
+        .query("SELECT ISNULL(MAX(version), 0) AS version FROM dbo.schema_version");
+
+      return result.recordset[0].version;
+    } catch (err) {
+      logger.error("Error getting schema version:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Apply one migration in a transaction and record its version.
+   * Each statement runs as its own batch (no GO separators).
+   * @param {{version: number, name: string, statements: string[]}} migration - Migration to apply
+   */
+  async applyMigration(migration) {
+    try {
+      await this.connect();
+
+      const transaction = new sql.Transaction(this.pool);
+      await transaction.begin();
+
+      try {
+        for (const statement of migration.statements) {
+          await new sql.Request(transaction).query(statement);
+        }
+
+        await new sql.Request(transaction)
+          .input("version", sql.Int, migration.version)
+          .input("name", sql.NVarChar(200), migration.name)
+          .query(
+            "INSERT INTO dbo.schema_version (version, name) VALUES (@version, @name)",
+          );
+
+        await transaction.commit();
+      } catch (err) {
+        await transaction.rollback().catch(() => {});
+        throw err;
+      }
+    } catch (err) {
+      logger.error(`Error applying migration ${migration.version}:`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Create new order
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} cardsCount - Number of cards to purchase
+   * @param {string} cardValue - Card value/name (NVARCHAR)
+   * @param {string} gameName - Game name (NVARCHAR)
+   * @param {Object} context - Optional {chatId, gameUrl} used to resume interrupted orders,
+   *                           {accountUserId} Razer account that buys the cards
+   * @returns {Promise<Order>} Created order
+   */
+  async createOrder(telegramUserId, cardsCount, cardValue, gameName, context = {}) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .input("cards_count", sql.Int, cardsCount)
+        .input("card_value", sql.NVarChar(100), cardValue)
+        .input("game_name", sql.NVarChar(100), gameName)
+        .input("chat_id", sql.BigInt, context.chatId || null)
+        .input("game_url", sql.NVarChar(500), context.gameUrl || null)
+        .input("unit_gold", sql.Int, context.unitGold ?? null)
+        .input("account_user_id", sql.BigInt, context.accountUserId || null).query(`
+          INSERT INTO orders (telegram_user_id, cards_count, card_value, game_name, status, completed_purchases, chat_id, game_url, unit_gold, account_user_id)
+          OUTPUT INSERTED.*
+          VALUES (@telegram_user_id, @cards_count, @card_value, @game_name, 'pending', 0, @chat_id, @game_url, @unit_gold, @account_user_id)
+        `);
+
+      return new Order(result.recordset[0]);
+    } catch (err) {
+      logger.error("Error creating order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get order by ID
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Order|null>} Order or null if not found
+   */
+  async getOrderById(orderId) {
+    try {
+      await this.connect();
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, orderId)
+        .query("SELECT * FROM orders WHERE id = @id");
+
+      return result.recordset.length > 0
+        ? new Order(result.recordset[0])
+        : null;
+    } catch (err) {
+      logger.error("Error getting order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Add a user's order history filters to a request
+   * @param {Object} request - mssql request
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {Object} filters - {since, until (exclusive), gameName (contains), cardValue (exact), cardSearch (contains), status, minQuantity}
+   * @returns {string} WHERE conditions using the added inputs
+   */
+  applyOrderFilters(request, telegramUserId, filters = {}) {
+    const conditions = ["telegram_user_id = @telegram_user_id"];
+    request.input("telegram_user_id", sql.BigInt, telegramUserId);
+
+    if (filters.since) {
+      conditions.push("created_at >= @since");
+      request.input("since", sql.DateTime2, filters.since);
+    }
+    if (filters.until) {
+      conditions.push("created_at < @until");
+      request.input("until", sql.DateTime2, filters.until);
+    }
+    if (filters.gameName) {
+      conditions.push("game_name LIKE @game_name ESCAPE '\\'");
+      request.input("game_name", sql.NVarChar(200), this.toContainsPattern(filters.gameName));
+    }
+    if (filters.cardValue) {
+      conditions.push("card_value = @card_value");
+      request.input("card_value", sql.NVarChar(100), filters.cardValue);
+    }
+    if (filters.cardSearch) {
+      conditions.push("card_value LIKE @card_search ESCAPE '\\'");
+      request.input("card_search", sql.NVarChar(200), this.toContainsPattern(filters.cardSearch));
+    }
+    if (filters.status) {
+      conditions.push("status = @status");
+      request.input("status", sql.NVarChar(20), filters.status);
+    }
+    if (filters.minQuantity) {
+      conditions.push("cards_count >= @min_quantity");
+      request.input("min_quantity", sql.Int, filters.minQuantity);
+    }
+
+    return conditions.join(" AND ");
+  }
+
+  /**
+   * Get user's orders paginated (for order history)
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} limit - Number of orders per page
+   * @param {number} offset - Offset (page * limit)
+   * @param {Object} filters - Order history filters (see applyOrderFilters)
+   * @returns {Promise<Order[]>} Array of orders
+   */
+  async getUserOrdersPaginated(telegramUserId, limit, offset, filters = {}) {
+    try {
+      await this.connect();
+      const request = this.pool.request();
+      const where = this.applyOrderFilters(request, telegramUserId, filters);
+      const result = await request
+        .input("limit", sql.Int, limit)
+        .input("offset", sql.Int, offset).query(`
+          SELECT * FROM orders 
+          WHERE ${where}
+          ORDER BY created_at DESC, id DESC
+          OFFSET @offset ROWS
+          FETCH NEXT @limit ROWS ONLY
+        `);
+
+      return result.recordset.map((row) => new Order(row));
+    } catch (err) {
+      logger.error("Error getting paginated orders:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get total order count for user
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {Object} filters - Order history filters (see applyOrderFilters)
+   * @returns {Promise<number>} Total order count
+   */
+  async getUserOrderCount(telegramUserId, filters = {}) {
+    try {
+      await this.connect();
+      const request = this.pool.request();
+      const where = this.applyOrderFilters(request, telegramUserId, filters);
+      const result = await request.query(
+        `SELECT COUNT(*) as count FROM orders WHERE ${where}`,
+      );
+
+      return result.recordset[0].count;
+    } catch (err) {
+      logger.error("Error getting order count:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get the games and cards a user has ordered (order history filter buttons)
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<Array<{game_name: string, card_value: string, order_count: number}>>} Most recently ordered first
+   */
+  async getUserOrderGameCards(telegramUserId) {
+    try {
+      await this.connect();
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId).query(`
+          SELECT game_name, card_value, COUNT(*) AS order_count FROM orders
+          WHERE telegram_user_id = @telegram_user_id
+          GROUP BY game_name, card_value
+          ORDER BY MAX(created_at) DESC
+        `);
+
+      return result.recordset;
+    } catch (err) {
+      logger.error("Error getting ordered games and cards:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get all orders with a given status, oldest first
+   * @param {string} status - Order status (e.g. 'processing')
+   * @returns {Promise<Order[]>} Array of orders
+   */
+  async getOrdersByStatus(status) {
+    try {
+      await this.connect();
+      const result = await this.pool
+        .request()
+        .input("status", sql.NVarChar(50), status)
+        .query(
+          "SELECT * FROM orders WHERE status = @status ORDER BY created_at ASC",
+        );
+
+      return result.recordset.map((row) => new Order(row));
+    } catch (err) {
+      logger.error("Error getting orders by status:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Update order status and purchase count in one query
+   * @param {number} orderId - Order ID
+   * @param {string} status - New status
+   * @param {number} purchaseCount - Number of successful purchases
+   * @returns {Promise<Order>} Updated order
+   */
+  async updateOrderStatusWithCount(orderId, status, purchaseCount) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, orderId)
+        .input("status", sql.NVarChar(50), status)
+        .input("count", sql.Int, purchaseCount).query(`
+          UPDATE orders 
+          SET status = @status, completed_purchases = @count
+          OUTPUT INSERTED.*
+          WHERE id = @id
+        `);
+
+      return new Order(result.recordset[0]);
+    } catch (err) {
+      logger.error("Error updating order status with count:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Update order status only (without purchase count)
+   * @param {number} orderId - Order ID
+   * @param {string} status - New status
+   * @returns {Promise<Order>} Updated order
+   */
+  async updateOrderStatus(orderId, status) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, orderId)
+        .input("status", sql.NVarChar(50), status).query(`
+          UPDATE orders 
+          SET status = @status
+          OUTPUT INSERTED.*
+          WHERE id = @id
+        `);
+
+      return new Order(result.recordset[0]);
+    } catch (err) {
+      logger.error("Error updating order status:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Increment order progress by 1 (for immediate updates after each card)
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Order>} Updated order
+   */
+  async incrementOrderProgress(orderId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool.request().input("id", sql.Int, orderId)
+        .query(`
+          UPDATE orders 
+          SET completed_purchases = completed_purchases + 1
+          OUTPUT INSERTED.*
+          WHERE id = @id
+        `);
+
+      return new Order(result.recordset[0]);
+    } catch (err) {
+      logger.error("Error incrementing order progress:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get purchases for an order
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Purchase[]>} Array of purchases
+   */
+  async getOrderPurchases(orderId) {
+    try {
+      await this.connect();
+      const result = await this.pool
+        .request()
+        .input("order_id", sql.Int, orderId)
+        .query(
+          "SELECT * FROM purchases WHERE order_id = @order_id ORDER BY card_number ASC",
+        );
+
+      return result.recordset.map((row) => new Purchase(row));
+    } catch (err) {
+      logger.error("Error getting order purchases:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Create purchase record with encrypted PIN and game/card info
+   * @param {Object} purchaseData - {orderId, transactionId, cardNumber, status, pinCode, serialNumber, gameName, cardValue, failureStage}
+   * @returns {Promise<Purchase>} Created purchase
+   */
+  async createPurchaseWithEncryptedPin({
+    orderId,
+    transactionId,
+    cardNumber,
+    status = "pending",
+    pinCode,
+    serialNumber,
+    gameName,
+    cardValue,
+    failureStage = null,
+  }) {
+    try {
+      await this.connect();
+
+      // Encrypt PIN and serial number if provided
+      const encryptedPin = pinCode ? encryptionService.encrypt(pinCode) : null;
+      const encryptedSerial = serialNumber
+        ? encryptionService.encrypt(serialNumber)
+        : null;
+
+      const result = await this.pool
+        .request()
+        .input("order_id", sql.Int, orderId)
+        .input("razer_transaction_id", sql.NVarChar(100), transactionId)
+        .input("card_number", sql.Int, cardNumber)
+        .input("status", sql.NVarChar(20), status)
+        .input("pin_encrypted", sql.NVarChar(500), encryptedPin)
+        .input("serial_number_encrypted", sql.NVarChar(500), encryptedSerial)
+        .input("game_name", sql.NVarChar(100), gameName)
+        .input("card_value", sql.NVarChar(100), cardValue)
+        .input("failure_stage", sql.NVarChar(50), failureStage).query(`
+          INSERT INTO purchases (order_id, razer_transaction_id, card_number, status, pin_encrypted, serial_number_encrypted, game_name, card_value, failure_stage, purchased_at)
+          OUTPUT INSERTED.*
+          VALUES (@order_id, @razer_transaction_id, @card_number, @status, @pin_encrypted, @serial_number_encrypted, @game_name, @card_value, @failure_stage, SYSUTCDATETIME())
+        `);
+
+      return new Purchase(result.recordset[0]);
+    } catch (err) {
+      logger.error("Error creating purchase with encrypted PIN:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Update a purchase with details resolved after it was created
+   * (API replay purchases are saved before their PIN is fetched from history).
+   * @param {number} purchaseId - Purchase ID
+   * @param {Object} details - {transactionId, pinCode, serialNumber, status}
+   * @returns {Promise<Purchase>} Updated purchase
+   */
+  async updatePurchaseDetails(
+    purchaseId,
+    { transactionId, pinCode, serialNumber, status = "success" },
+  ) {
+    try {
+      await this.connect();
+
+      const encryptedPin = pinCode ? encryptionService.encrypt(pinCode) : null;
+      const encryptedSerial = serialNumber
+        ? encryptionService.encrypt(serialNumber)
+        : null;
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, purchaseId)
+        .input("razer_transaction_id", sql.NVarChar(100), transactionId || null)
+        .input("status", sql.NVarChar(20), status)
+        .input("pin_encrypted", sql.NVarChar(500), encryptedPin)
+        .input("serial_number_encrypted", sql.NVarChar(500), encryptedSerial)
+        .query(`
+          UPDATE purchases
+          SET razer_transaction_id = COALESCE(@razer_transaction_id, razer_transaction_id),
+              status = @status,
+              pin_encrypted = COALESCE(@pin_encrypted, pin_encrypted),
+              serial_number_encrypted = COALESCE(@serial_number_encrypted, serial_number_encrypted)
+          OUTPUT INSERTED.*
+          WHERE id = @id
+        `);
+
+      return new Purchase(result.recordset[0]);
+    } catch (err) {
+      logger.error("Error updating purchase details:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get Razer transaction IDs already recorded since a given time
+   * @param {Date} since - Window start
+   * @returns {Promise<Set<string>>} Known transaction IDs
+   */
+  async getTransactionIdsSince(since) {
+    try {
+      await this.connect();
+      const result = await this.pool
+        .request()
+        .input("since", sql.DateTime2, since).query(`
+          SELECT razer_transaction_id FROM purchases
+          WHERE purchased_at >= @since AND razer_transaction_id IS NOT NULL
+        `);
+
+      return new Set(
+        result.recordset.map((row) => String(row.razer_transaction_id)),
+      );
+    } catch (err) {
+      logger.error("Error getting recorded transaction IDs:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get the purchases recorded for Razer transaction IDs (PIN file metadata for /transactions)
+   * @param {string[]} transactionIds - Razer transaction IDs
+   * @returns {Promise<Object[]>} purchases rows with their order's unit_gold
+   */
+  async getPurchasesByTransactionIds(transactionIds) {
+    if (!transactionIds || transactionIds.length === 0) {
+      return [];
+    }
+
+    try {
+      await this.connect();
+      const request = this.pool.request();
+      const params = transactionIds.map((transactionId, index) => {
+        request.input(`txn${index}`, sql.NVarChar(100), String(transactionId));
+        return `@txn${index}`;
+      });
+
+      const result = await request.query(`
+        SELECT p.*, o.unit_gold FROM purchases p
+        JOIN orders o ON o.id = p.order_id
+        WHERE p.razer_transaction_id IN (${params.join(", ")})
+      `);
+
+      return result.recordset;
+    } catch (err) {
+      logger.error("Error getting purchases by transaction IDs:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Update purchase status
+   * @param {number} purchaseId - Purchase ID
+   * @param {string} status - New status (pending, success, failed)
+   * @returns {Promise<Purchase>} Updated purchase
+   */
+  async updatePurchaseStatus(purchaseId, status) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, purchaseId)
+        .input("status", sql.NVarChar(20), status).query(`
+          UPDATE purchases 
+          SET status = @status
+          OUTPUT INSERTED.*
+          WHERE id = @id
+        `);
+
+      return new Purchase(result.recordset[0]);
+    } catch (err) {
+      logger.error("Error updating purchase status:", err);
+      throw err;
+    }
+  }
+  // ============================================================================
+  // USER OPERATIONS (for storing encrypted credentials)
+  // ============================================================================
+
+  /**
+   * Get user by telegram ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<User|null>} User or null if not found
+   */
+  async getUserByTelegramId(telegramUserId) {
+    try {
+      await this.connect();
+      const { User } = require("../../models/DatabaseModels");
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, scopedUserId)
+        .query(
+          "SELECT * FROM user_accounts WHERE telegram_user_id = @telegram_user_id",
+        );
+
+      return result.recordset.length > 0 ? new User(result.recordset[0]) : null;
+    } catch (err) {
+      logger.error("Error getting user:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Ensure user account exists, create if not
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<void>}
+   */
+  async ensureUserExists(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      // Check if user exists
+      const existing = await this.getUserByTelegramId(scopedUserId);
+      if (existing) return;
+
+      // Create user account with username based on telegram_user_id
+      const username = `user_${scopedUserId}`;
+
+      await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, scopedUserId)
+        .input("username", sql.NVarChar(50), username).query(`
+          INSERT INTO user_accounts (telegram_user_id, username, created_at)
+          VALUES (@telegram_user_id, @username, GETDATE())
+        `);
+
+      logger.info(`Created shared operator user account: ${scopedUserId}`);
+    } catch (err) {
+      logger.error("Error ensuring user exists:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Create or update user with encrypted credentials
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} emailEncrypted - Encrypted email
+   * @param {string} passwordEncrypted - Encrypted password
+   * @returns {Promise<User>} Created or updated user
+   */
+  async saveUserCredentials(telegramUserId, emailEncrypted, passwordEncrypted) {
+    try {
+      await this.connect();
+      const { User } = require("../../models/DatabaseModels");
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      // Check if user exists
+      const existingUser = await this.getUserByTelegramId(scopedUserId);
+
+      if (existingUser) {
+        // Update existing user
+        const result = await this.pool
+          .request()
+          .input("telegram_user_id", sql.BigInt, scopedUserId)
+          .input("email_encrypted", sql.NVarChar(500), emailEncrypted)
+          .input("password_encrypted", sql.NVarChar(500), passwordEncrypted)
+          .query(`
+            UPDATE user_accounts 
+            SET email_encrypted = @email_encrypted, 
+                password_encrypted = @password_encrypted
+            OUTPUT INSERTED.*
+            WHERE telegram_user_id = @telegram_user_id
+          `);
+
+        return new User(result.recordset[0]);
+      } else {
+        // Create user account first
+        await this.ensureUserExists(scopedUserId);
+
+        // Now update with credentials
+        const result = await this.pool
+          .request()
+          .input("telegram_user_id", sql.BigInt, scopedUserId)
+          .input("email_encrypted", sql.NVarChar(500), emailEncrypted)
+          .input("password_encrypted", sql.NVarChar(500), passwordEncrypted)
+          .query(`
+            UPDATE user_accounts 
+            SET email_encrypted = @email_encrypted, 
+                password_encrypted = @password_encrypted
+            OUTPUT INSERTED.*
+            WHERE telegram_user_id = @telegram_user_id
+          `);
+
+        return new User(result.recordset[0]);
+      }
+    } catch (err) {
+      logger.error("Error saving user credentials:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Delete user credentials (sets them to NULL)
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteUserCredentials(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, scopedUserId).query(`
+          UPDATE user_accounts 
+          SET email_encrypted = NULL, password_encrypted = NULL 
+          WHERE telegram_user_id = @telegram_user_id
+        `);
+
+      return true;
+    } catch (err) {
+      logger.error("Error deleting user credentials:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // RAZER ACCOUNT OPERATIONS (user_accounts rows keyed by operator ID)
+  // ============================================================================
+
+  /**
+   * Get every Razer account with its active backup code count
+   * @returns {Promise<Array<Object>>} Accounts (see StorageBackend.mapRazerAccount), account 1 first
+   */
+  async getRazerAccounts() {
+    try {
+      await this.connect();
+
+      const result = await this.pool.request().query(`
+          SELECT ua.*,
+            (SELECT COUNT(*) FROM backup_codes bc
+             WHERE bc.telegram_user_id = ua.telegram_user_id AND bc.status = 'active') AS active_backup_codes
+          FROM user_accounts ua
+        `);
+
+      return result.recordset
+        .filter((row) => this.isAccountUserId(row.telegram_user_id))
+        .map((row) => this.mapRazerAccount(row))
+        .sort((a, b) => a.account_number - b.account_number);
+    } catch (err) {
+      logger.error("Error getting Razer accounts:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Create a Razer account (or rename it)
+   * @param {string} accountUserId - Account operator ID
+   * @param {string} label - Display name
+   * @returns {Promise<void>}
+   */
+  async saveRazerAccount(accountUserId, label) {
+    try {
+      await this.connect();
+      await this.ensureUserExists(accountUserId);
+
+      await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, accountUserId)
+        .input("label", sql.NVarChar(50), label).query(`
+          UPDATE user_accounts SET label = @label
+          WHERE telegram_user_id = @telegram_user_id
+        `);
+    } catch (err) {
+      logger.error("Error saving Razer account:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Enable or disable a Razer account for order routing
+   * @param {string} accountUserId - Account operator ID
+   * @param {boolean} isActive - New state
+   * @returns {Promise<boolean>} True if the account exists
+   */
+  async setRazerAccountActive(accountUserId, isActive) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, accountUserId)
+        .input("is_active", sql.Bit, isActive ? 1 : 0).query(`
+          UPDATE user_accounts SET is_active = @is_active
+          WHERE telegram_user_id = @telegram_user_id
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error updating Razer account:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Orders, cards and Gold bought per Razer account in a time window
+   * (orders from before accounts existed count for account 1)
+   * @param {Date} since - Window start (inclusive)
+   * @param {Date} until - Window end (exclusive)
+   * @returns {Promise<Array<{account_user_id: string, orders: number, cards: number, gold: number}>>}
+   */
+  async getAccountSpendingBetween(since, until) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("shared_user_id", sql.BigInt, this.getSharedOperatorUserId())
+        .input("since", sql.DateTime2, since)
+        .input("until", sql.DateTime2, until).query(`
+          SELECT account_user_id, COUNT(*) AS orders, SUM(cards) AS cards, SUM(cards * COALESCE(unit_gold, 0)) AS gold
+          FROM (
+            SELECT COALESCE(o.account_user_id, @shared_user_id) AS account_user_id, o.unit_gold,
+              (
+                SELECT COUNT(*) FROM dbo.purchases p
+                WHERE p.order_id = o.id AND p.status IN ('success', 'pending')
+              ) AS cards
+            FROM dbo.orders o
+            WHERE o.created_at >= @since AND o.created_at < @until
+          ) spent
+          GROUP BY account_user_id
+        `);
+
+      return result.recordset.map((row) => ({
+        ...row,
+        account_user_id: String(row.account_user_id),
+      }));
+    } catch (err) {
+      logger.error("Error getting account spending:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // USER ROLE OPERATIONS (access control - keyed by real Telegram ID, not shared)
+  // ============================================================================
+
+  /**
+   * Get the role assigned to a Telegram user
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<{telegram_user_id: string, role: string, granted_by: string|null, created_at: Date, updated_at: Date}|null>}
+   */
+  async getUserRole(telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .query(
+          "SELECT * FROM dbo.user_roles WHERE telegram_user_id = @telegram_user_id",
+        );
+
+      return result.recordset.length > 0
+        ? this.mapUserRole(result.recordset[0])
+        : null;
+    } catch (err) {
+      logger.error("Error getting user role:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Assign a role to a Telegram user (insert or update)
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} role - admin | operator | viewer
+   * @param {string|null} grantedBy - Telegram user ID of the admin granting it
+   * @returns {Promise<Object>} Stored role row
+   */
+  async setUserRole(telegramUserId, role, grantedBy = null) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .input("role", sql.NVarChar(20), role)
+        .input("granted_by", sql.BigInt, grantedBy).query(`
+          UPDATE dbo.user_roles
+          SET role = @role, granted_by = @granted_by, updated_at = SYSUTCDATETIME()
+          WHERE telegram_user_id = @telegram_user_id;
+
+          IF @@ROWCOUNT = 0
+            INSERT INTO dbo.user_roles (telegram_user_id, role, granted_by)
+            VALUES (@telegram_user_id, @role, @granted_by);
+
+          SELECT * FROM dbo.user_roles WHERE telegram_user_id = @telegram_user_id;
+        `);
+
+      return this.mapUserRole(result.recordset[0]);
+    } catch (err) {
+      logger.error("Error setting user role:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Remove a Telegram user's role (revokes access)
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<boolean>} True if a role was removed
+   */
+  async deleteUserRole(telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .query(
+          "DELETE FROM dbo.user_roles WHERE telegram_user_id = @telegram_user_id",
+        );
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error deleting user role:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get every user with a role
+   * @returns {Promise<Array<Object>>} Role rows ordered by role, then grant time
+   */
+  async getAllUserRoles() {
+    try {
+      await this.connect();
+
+      const result = await this.pool.request().query(`
+        SELECT * FROM dbo.user_roles
+        ORDER BY CASE role WHEN 'admin' THEN 0 WHEN 'operator' THEN 1 ELSE 2 END, created_at ASC
+      `);
+
+      return result.recordset.map((row) => this.mapUserRole(row));
+    } catch (err) {
+      logger.error("Error getting user roles:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Normalize BIGINT IDs of a user_roles row to strings
+   * @param {Object} row - Raw row
+   * @returns {Object} Role row
+   */
+  mapUserRole(row) {
+    return {
+      ...row,
+      telegram_user_id: String(row.telegram_user_id),
+      granted_by: row.granted_by !== null ? String(row.granted_by) : null,
+    };
+  }
+
+  // ============================================================================
+  // SPENDING LIMIT OPERATIONS (keyed by real Telegram ID, not shared)
+  // ============================================================================
+
+  /**
+   * Get a user's spending limits
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<Array<{game_key: string, max_cards_per_day: number|null, max_gold_per_day: number|null}>>}
+   *          game_key '*' applies to all games combined
+   */
+  async getSpendingLimits(telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .query(
+          "SELECT * FROM dbo.spending_limits WHERE telegram_user_id = @telegram_user_id",
+        );
+
+      return result.recordset;
+    } catch (err) {
+      logger.error("Error getting spending limits:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Set a user's daily limits for all games ('*') or one game (insert or update)
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} gameKey - '*' or game name
+   * @param {Object} limits - {maxCardsPerDay, maxGoldPerDay} (null = unlimited)
+   * @param {string|null} updatedBy - Telegram user ID of the admin
+   * @returns {Promise<Object>} Stored limit row
+   */
+  async setSpendingLimit(telegramUserId, gameKey, limits, updatedBy = null) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .input("game_key", sql.NVarChar(100), gameKey)
+        .input("max_cards_per_day", sql.Int, limits.maxCardsPerDay ?? null)
+        .input("max_gold_per_day", sql.Int, limits.maxGoldPerDay ?? null)
+        .input("updated_by", sql.BigInt, updatedBy).query(`
+          UPDATE dbo.spending_limits
+          SET max_cards_per_day = @max_cards_per_day,
+              max_gold_per_day = @max_gold_per_day,
+              updated_by = @updated_by,
+              updated_at = SYSUTCDATETIME()
+          WHERE telegram_user_id = @telegram_user_id AND game_key = @game_key;
+
+          IF @@ROWCOUNT = 0
+            INSERT INTO dbo.spending_limits (telegram_user_id, game_key, max_cards_per_day, max_gold_per_day, updated_by)
+            VALUES (@telegram_user_id, @game_key, @max_cards_per_day, @max_gold_per_day, @updated_by);
+
+          SELECT * FROM dbo.spending_limits
+          WHERE telegram_user_id = @telegram_user_id AND game_key = @game_key;
+        `);
+
+      return result.recordset[0];
+    } catch (err) {
+      logger.error("Error setting spending limit:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Remove a user's limits for all games ('*') or one game
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} gameKey - '*' or game name
+   * @returns {Promise<boolean>} True if a limit was removed
+   */
+  async deleteSpendingLimit(telegramUserId, gameKey) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .input("game_key", sql.NVarChar(100), gameKey)
+        .query(
+          "DELETE FROM dbo.spending_limits WHERE telegram_user_id = @telegram_user_id AND game_key = @game_key",
+        );
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error deleting spending limit:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Cards and Gold a user spent per game in a time window.
+   * Orders still pending/processing count in full; finished orders count purchased cards only.
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {Date} since - Window start (inclusive)
+   * @param {Date} until - Window end (exclusive)
+   * @returns {Promise<Array<{game_name: string, cards: number, gold: number}>>}
+   */
+  async getUserSpendingBetween(telegramUserId, since, until) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .input("since", sql.DateTime2, since)
+        .input("until", sql.DateTime2, until).query(`
+          SELECT game_name, SUM(cards) AS cards, SUM(cards * COALESCE(unit_gold, 0)) AS gold
+          FROM (
+            SELECT o.game_name, o.unit_gold,
+              CASE
+                WHEN o.status IN ('pending', 'processing') THEN o.cards_count
+                ELSE (
+                  SELECT COUNT(*) FROM dbo.purchases p
+                  WHERE p.order_id = o.id AND p.status IN ('success', 'pending')
+                )
+              END AS cards
+            FROM dbo.orders o
+            WHERE o.telegram_user_id = @telegram_user_id AND o.created_at >= @since AND o.created_at < @until
+          ) spent
+          GROUP BY game_name
+        `);
+
+      return result.recordset;
+    } catch (err) {
+      logger.error("Error getting user spending:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Cards and Gold a user has in pending scheduled orders per game in a time window
+   * @param {string} telegramUserId - Telegram user ID (requested_by)
+   * @param {Date} since - Window start (inclusive)
+   * @param {Date} until - Window end (exclusive)
+   * @param {number|null} excludeScheduledOrderId - Schedule left out (the one being edited)
+   * @returns {Promise<Array<{game_name: string, cards: number, gold: number}>>}
+   */
+  async getUserScheduledSpendingBetween(telegramUserId, since, until, excludeScheduledOrderId = null) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .input("since", sql.DateTime2, since)
+        .input("until", sql.DateTime2, until)
+        .input("exclude_id", sql.Int, excludeScheduledOrderId ?? 0).query(`
+          SELECT game_name, SUM(quantity) AS cards, SUM(quantity * COALESCE(unit_gold, 0)) AS gold
+          FROM dbo.scheduled_orders
+          WHERE requested_by = @telegram_user_id AND status = 'pending'
+            AND scheduled_time >= @since AND scheduled_time < @until
+            AND id <> @exclude_id
+          GROUP BY game_name
+        `);
+
+      return result.recordset;
+    } catch (err) {
+      logger.error("Error getting user scheduled spending:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // BACKUP CODE OPERATIONS
+  // ============================================================================
+
+  /**
+   * Save multiple backup codes for a user (expires the previous active set)
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {Array<string>} codes - Array of backup codes (unencrypted)
+   * @returns {Promise<number>} Number of codes saved
+   */
+  async saveBackupCodes(telegramUserId, codes) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      // Ensure user account exists
+      await this.ensureUserExists(scopedUserId);
+
+      // First, deactivate all existing active codes
+      await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, scopedUserId).query(`
+          UPDATE dbo.backup_codes
+          SET status = 'expired'
+          WHERE telegram_user_id = @telegram_user_id AND status = 'active'
+        `);
+
+      // Insert new codes as active
+      for (const code of codes) {
+        const codeEncrypted = encryptionService.encrypt(code);
+
+        await this.pool
+          .request()
+          .input("telegram_user_id", sql.BigInt, scopedUserId)
+          .input("code_encrypted", sql.NVarChar(500), codeEncrypted).query(`
+            INSERT INTO dbo.backup_codes (telegram_user_id, code_encrypted, status)
+            VALUES (@telegram_user_id, @code_encrypted, 'active')
+          `);
+      }
+
+      logger.database(
+        `Saved ${codes.length} backup codes for shared operator ${scopedUserId}`,
+      );
+      return codes.length;
+    } catch (err) {
+      logger.error("Error saving backup codes:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get next available backup code for a user
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<string|null>} Decrypted backup code or null if none available
+   */
+  async getNextBackupCode(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, scopedUserId).query(`
+          SELECT TOP 1 id, code_encrypted
+          FROM dbo.backup_codes
+          WHERE telegram_user_id = @telegram_user_id AND status = 'active'
+          ORDER BY id ASC
+        `);
+
+      if (result.recordset.length === 0) {
+        return null;
+      }
+
+      const codeEncrypted = result.recordset[0].code_encrypted;
+      return encryptionService.decrypt(codeEncrypted);
+    } catch (err) {
+      logger.error("Error getting backup code:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Atomically reserve and consume the next active backup code.
+   * Prevents duplicate assignment when multiple pages request a code concurrently.
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<{id: number, code: string} | null>} Reserved code payload or null
+   */
+  async reserveNextBackupCode(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, scopedUserId).query(`
+          ;WITH next_code AS (
+            SELECT TOP (1) id, code_encrypted, status, used_at
+            FROM dbo.backup_codes WITH (UPDLOCK, READPAST, ROWLOCK)
+            WHERE telegram_user_id = @telegram_user_id AND status = 'active'
+            ORDER BY id ASC
+          )
+          UPDATE next_code
+          SET status = 'used', used_at = SYSUTCDATETIME()
+          OUTPUT inserted.id, inserted.code_encrypted;
+        `);
+
+      if (!result.recordset || result.recordset.length === 0) {
+        return null;
+      }
+
+      const row = result.recordset[0];
+      return {
+        id: row.id,
+        code: encryptionService.decrypt(row.code_encrypted),
+      };
+    } catch (err) {
+      logger.error("Error reserving backup code:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Mark a backup code as used
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<boolean>} True if marked
+   */
+  async markBackupCodeAsUsed(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      // Mark the oldest active code as used
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, scopedUserId).query(`
+          UPDATE TOP (1) dbo.backup_codes
+          SET status = 'used', used_at = SYSUTCDATETIME()
+          WHERE telegram_user_id = @telegram_user_id AND status = 'active'
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error marking backup code as used:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get ALL active backup codes for a user (decrypted)
+   * Used to distribute 1 code per browser before purchase starts
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<Array<{id: number, code: string}>>} Array of {id, decrypted_code}
+   */
+  async getAllActiveBackupCodes(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, scopedUserId).query(`
+          SELECT id, code_encrypted
+          FROM dbo.backup_codes
+          WHERE telegram_user_id = @telegram_user_id AND status = 'active'
+          ORDER BY id ASC
+        `);
+
+      return result.recordset.map((row) => ({
+        id: row.id,
+        code: encryptionService.decrypt(row.code_encrypted),
+      }));
+    } catch (err) {
+      logger.error("Error getting all active backup codes:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Mark specific backup codes as used by their IDs
+   * Used when distributing codes to browsers at purchase start
+   * @param {Array<number>} codeIds - Array of backup code IDs to mark as used
+   * @returns {Promise<number>} Number of codes marked
+   */
+  async markBackupCodesAsUsedByIds(codeIds) {
+    try {
+      await this.connect();
+      if (!codeIds || codeIds.length === 0) return 0;
+
+      // Safe: IDs are integers from our own database
+      const idList = codeIds.map((id) => parseInt(id)).join(",");
+
+      const result = await this.pool.request().query(`
+          UPDATE dbo.backup_codes
+          SET status = 'used', used_at = SYSUTCDATETIME()
+          WHERE id IN (${idList})
+        `);
+
+      logger.database(
+        `Marked ${result.rowsAffected[0]} backup codes as used (IDs: ${idList})`,
+      );
+      return result.rowsAffected[0];
+    } catch (err) {
+      logger.error("Error marking backup codes as used by IDs:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get count of active backup codes
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<number>} Count of active codes
+   */
+  async getActiveBackupCodeCount(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, scopedUserId).query(`
+          SELECT COUNT(*) as count
+          FROM dbo.backup_codes
+          WHERE telegram_user_id = @telegram_user_id AND status = 'active'
+        `);
+
+      return result.recordset[0].count;
+    } catch (err) {
+      logger.error("Error getting backup code count:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Delete all backup codes for a user
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteAllBackupCodes(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, scopedUserId).query(`
+          DELETE FROM dbo.backup_codes 
+          WHERE telegram_user_id = @telegram_user_id
+        `);
+
+      return true;
+    } catch (err) {
+      logger.error("Error deleting backup codes:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // SCHEDULED ORDER OPERATIONS
+  // ============================================================================
+
+  /**
+   * Create a scheduled order
+   * @param {Object} orderData - Order data
+   * @returns {Promise<number>} Scheduled order ID
+   */
+  async createScheduledOrder(orderData) {
+    try {
+      await this.connect();
+
+      // Ensure user account exists
+      const scopedUserId = this.normalizeSharedOperatorId();
+      await this.ensureUserExists(orderData.telegramUserId);
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, scopedUserId)
+        .input("chat_id", sql.BigInt, orderData.chatId)
+        .input("game_name", sql.NVarChar(100), orderData.gameName)
+        .input("game_url", sql.NVarChar(500), orderData.gameUrl)
+        .input("card_name", sql.NVarChar(100), orderData.cardName)
+        .input("card_value", sql.NVarChar(100), orderData.cardValue)
+        .input("card_index", sql.Int, orderData.cardIndex)
+        .input("quantity", sql.Int, orderData.quantity)
+        .input("scheduled_time", sql.DateTime2, orderData.scheduledTime)
+        .input("unit_gold", sql.Int, orderData.unitGold ?? null)
+        .input("requested_by", sql.BigInt, orderData.telegramUserId)
+        .input("account_user_id", sql.BigInt, orderData.accountUserId || null)
+        .input("recurrence", sql.NVarChar(100), orderData.recurrence || null)
+        .input("time_zone", sql.NVarChar(64), orderData.timeZone || null).query(`
+          INSERT INTO scheduled_orders 
+          (telegram_user_id, chat_id, game_name, game_url, card_name, card_value, card_index, quantity, scheduled_time, unit_gold, requested_by, account_user_id, recurrence, time_zone)
+          OUTPUT INSERTED.id
+          VALUES (@telegram_user_id, @chat_id, @game_name, @game_url, @card_name, @card_value, @card_index, @quantity, @scheduled_time, @unit_gold, @requested_by, @account_user_id, @recurrence, @time_zone)
+        `);
+
+      return result.recordset[0].id;
+    } catch (err) {
+      logger.error("Error creating scheduled order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get pending scheduled orders due by a moment (now = the ones that should be executed now)
+   * @param {Date} dueBy - Latest scheduled time to include (default now)
+   * @returns {Promise<Array>} Array of scheduled orders, earliest first
+   */
+  async getPendingScheduledOrders(dueBy = new Date()) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("due_by", sql.DateTime2, dueBy)
+        .query(`
+          SELECT * FROM scheduled_orders 
+          WHERE status = 'pending' AND scheduled_time <= @due_by
+          ORDER BY scheduled_time ASC
+        `);
+
+      logger.debug(
+        `getPendingScheduledOrders: Found ${result.recordset.length} pending orders`,
+      );
+      if (result.recordset.length > 0) {
+        result.recordset.forEach((order) => {
+          logger.debug(
+            `  Order #${order.id}: scheduled for ${order.scheduled_time}, status: ${order.status}`,
+          );
+        });
+      }
+
+      return result.recordset;
+    } catch (err) {
+      logger.error("Error getting pending scheduled orders:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Check if there are any pending scheduled orders (regardless of time)
+   * Used to determine if monitoring should be active
+   * @returns {Promise<boolean>} True if there are pending orders
+   */
+  async hasAnyPendingScheduledOrders() {
+    try {
+      await this.connect();
+
+      const result = await this.pool.request().query(`
+          SELECT COUNT(*) as count FROM scheduled_orders 
+          WHERE status = 'pending'
+        `);
+
+      const count = result.recordset[0].count;
+      logger.debug(
+        `hasAnyPendingScheduledOrders: Found ${count} pending orders (all times)`,
+      );
+      return count > 0;
+    } catch (err) {
+      logger.error("Error checking for any pending scheduled orders:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Update scheduled order status
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} status - New status
+   * @param {number} orderId - Order ID (optional)
+   * @param {string} errorMessage - Error message (optional)
+   * @returns {Promise<boolean>} True if updated
+   */
+  async updateScheduledOrderStatus(
+    scheduledOrderId,
+    status,
+    orderId = null,
+    errorMessage = null,
+  ) {
+    try {
+      await this.connect();
+
+      const request = this.pool
+        .request()
+        .input("id", sql.Int, scheduledOrderId)
+        .input("status", sql.NVarChar(20), status);
+
+      let query = "UPDATE scheduled_orders SET status = @status";
+
+      if (orderId) {
+        request.input("order_id", sql.Int, orderId);
+        query += ", order_id = @order_id";
+      }
+
+      if (errorMessage) {
+        request.input("error_message", sql.NVarChar(sql.MAX), errorMessage);
+        query += ", error_message = @error_message";
+      }
+
+      if (status === "completed" || status === "failed") {
+        query += ", executed_at = SYSUTCDATETIME()";
+      }
+
+      query += " WHERE id = @id";
+
+      await request.query(query);
+      return true;
+    } catch (err) {
+      logger.error("Error updating scheduled order status:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get user's scheduled orders
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<Array>} Array of scheduled orders
+   */
+  async getUserScheduledOrders(telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId).query(`
+          SELECT * FROM scheduled_orders 
+          WHERE telegram_user_id = @telegram_user_id 
+          ORDER BY scheduled_time DESC
+        `);
+
+      return result.recordset;
+    } catch (err) {
+      logger.error("Error getting user scheduled orders:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Cancel a pending or paused scheduled order (a recurring one stops for good)
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it (for authorization)
+   * @returns {Promise<boolean>} True if cancelled
+   */
+  async cancelScheduledOrder(scheduledOrderId, telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, scheduledOrderId)
+        .input("telegram_user_id", sql.BigInt, telegramUserId).query(`
+          UPDATE scheduled_orders 
+          SET status = 'cancelled' 
+          WHERE id = @id AND COALESCE(requested_by, telegram_user_id) = @telegram_user_id
+            AND status IN ('pending', 'paused')
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error cancelling scheduled order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Pending and paused schedules of a user, next run first, with their last run
+   * @param {string} telegramUserId - Telegram user who scheduled them
+   * @returns {Promise<Array>} scheduled_orders rows plus last_run_status, last_run_order_id, last_run_at
+   */
+  async getUserSchedules(telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId).query(`
+          SELECT s.*, r.status AS last_run_status, r.order_id AS last_run_order_id,
+            r.started_at AS last_run_at
+          FROM scheduled_orders s
+          OUTER APPLY (
+            SELECT TOP 1 status, order_id, started_at
+            FROM scheduled_order_runs
+            WHERE scheduled_order_id = s.id
+            ORDER BY started_at DESC, id DESC
+          ) r
+          WHERE COALESCE(s.requested_by, s.telegram_user_id) = @telegram_user_id
+            AND s.status IN ('pending', 'paused')
+          ORDER BY s.scheduled_time ASC
+        `);
+
+      return result.recordset;
+    } catch (err) {
+      logger.error("Error getting user schedules:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Pause a pending schedule (it is skipped until resumed)
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it (for authorization)
+   * @returns {Promise<boolean>} True if paused
+   */
+  async pauseScheduledOrder(scheduledOrderId, telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, scheduledOrderId)
+        .input("telegram_user_id", sql.BigInt, telegramUserId).query(`
+          UPDATE scheduled_orders
+          SET status = 'paused'
+          WHERE id = @id AND COALESCE(requested_by, telegram_user_id) = @telegram_user_id
+            AND status = 'pending'
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error pausing scheduled order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Resume a paused schedule at its next run
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it (for authorization)
+   * @param {Date} scheduledTime - Next run
+   * @returns {Promise<boolean>} True if resumed
+   */
+  async resumeScheduledOrder(scheduledOrderId, telegramUserId, scheduledTime) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, scheduledOrderId)
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .input("scheduled_time", sql.DateTime2, scheduledTime).query(`
+          UPDATE scheduled_orders
+          SET status = 'pending', scheduled_time = @scheduled_time
+          WHERE id = @id AND COALESCE(requested_by, telegram_user_id) = @telegram_user_id
+            AND status = 'paused'
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error resuming scheduled order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Move a schedule to another time (a recurring schedule to its next run)
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {Date} scheduledTime - New time
+   * @returns {Promise<boolean>} True if updated
+   */
+  async updateScheduledOrderTime(scheduledOrderId, scheduledTime) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, scheduledOrderId)
+        .input("scheduled_time", sql.DateTime2, scheduledTime).query(`
+          UPDATE scheduled_orders SET scheduled_time = @scheduled_time WHERE id = @id
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error updating scheduled order time:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Move a pending or paused schedule to a new time and recurrence (a paused one stays paused)
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it (for authorization)
+   * @param {Object} schedule - {scheduledTime: next run, recurrence: cron or null for one-off, timeZone}
+   * @returns {Promise<boolean>} True if updated
+   */
+  async rescheduleScheduledOrder(scheduledOrderId, telegramUserId, { scheduledTime, recurrence, timeZone }) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, scheduledOrderId)
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .input("scheduled_time", sql.DateTime2, scheduledTime)
+        .input("recurrence", sql.NVarChar(100), recurrence || null)
+        .input("time_zone", sql.NVarChar(64), timeZone || null).query(`
+          UPDATE scheduled_orders
+          SET scheduled_time = @scheduled_time, recurrence = @recurrence, time_zone = @time_zone
+          WHERE id = @id AND COALESCE(requested_by, telegram_user_id) = @telegram_user_id
+            AND status IN ('pending', 'paused')
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error rescheduling scheduled order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Change the quantity of a pending or paused schedule
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it (for authorization)
+   * @param {number} quantity - New quantity
+   * @returns {Promise<boolean>} True if updated
+   */
+  async updateScheduledOrderQuantity(scheduledOrderId, telegramUserId, quantity) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, scheduledOrderId)
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .input("quantity", sql.Int, quantity).query(`
+          UPDATE scheduled_orders
+          SET quantity = @quantity
+          WHERE id = @id AND COALESCE(requested_by, telegram_user_id) = @telegram_user_id
+            AND status IN ('pending', 'paused')
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error updating scheduled order quantity:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Change the card of a pending or paused schedule (same game)
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it (for authorization)
+   * @param {Object} card - {cardName, cardValue, cardIndex, unitGold}
+   * @returns {Promise<boolean>} True if updated
+   */
+  async updateScheduledOrderCard(scheduledOrderId, telegramUserId, { cardName, cardValue, cardIndex, unitGold }) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, scheduledOrderId)
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .input("card_name", sql.NVarChar(100), cardName)
+        .input("card_value", sql.NVarChar(100), cardValue)
+        .input("card_index", sql.Int, cardIndex)
+        .input("unit_gold", sql.Int, unitGold ?? null).query(`
+          UPDATE scheduled_orders
+          SET card_name = @card_name, card_value = @card_value, card_index = @card_index, unit_gold = @unit_gold
+          WHERE id = @id AND COALESCE(requested_by, telegram_user_id) = @telegram_user_id
+            AND status IN ('pending', 'paused')
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error updating scheduled order card:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Record the start of a schedule run
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {Date} scheduledFor - Time the run was due
+   * @returns {Promise<number>} Run ID
+   */
+  async createScheduledOrderRun(scheduledOrderId, scheduledFor) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("scheduled_order_id", sql.Int, scheduledOrderId)
+        .input("scheduled_for", sql.DateTime2, scheduledFor).query(`
+          INSERT INTO scheduled_order_runs (scheduled_order_id, scheduled_for)
+          OUTPUT INSERTED.id
+          VALUES (@scheduled_order_id, @scheduled_for)
+        `);
+
+      return result.recordset[0].id;
+    } catch (err) {
+      logger.error("Error creating scheduled order run:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Record the outcome of a schedule run
+   * @param {number} runId - Run ID
+   * @param {string} status - completed, failed, cancelled or skipped
+   * @param {number} orderId - Order ID (optional)
+   * @param {string} errorMessage - Error message (optional)
+   * @returns {Promise<boolean>} True if updated
+   */
+  async finishScheduledOrderRun(runId, status, orderId = null, errorMessage = null) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, runId)
+        .input("status", sql.NVarChar(20), status)
+        .input("order_id", sql.Int, orderId || null)
+        .input("error_message", sql.NVarChar(sql.MAX), errorMessage || null).query(`
+          UPDATE scheduled_order_runs
+          SET status = @status, order_id = @order_id, error_message = @error_message,
+            finished_at = SYSUTCDATETIME()
+          WHERE id = @id
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error finishing scheduled order run:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get a scheduled order by ID
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @returns {Promise<Object|null>} scheduled_orders row
+   */
+  async getScheduledOrder(scheduledOrderId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, scheduledOrderId)
+        .query("SELECT * FROM scheduled_orders WHERE id = @id");
+
+      return result.recordset[0] || null;
+    } catch (err) {
+      logger.error("Error getting scheduled order:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // CATALOG HISTORY OPERATIONS
+  // ============================================================================
+
+  /**
+   * Known SKUs of a game (removed ones included, see removed_at)
+   * @param {string} gameId - Game ID from games-catalog
+   * @returns {Promise<Array<Object>>} catalog_skus rows
+   */
+  async getCatalogSkus(gameId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("game_id", sql.NVarChar(50), gameId)
+        .query(
+          "SELECT * FROM dbo.catalog_skus WHERE game_id = @game_id ORDER BY unit_gold, sku_name",
+        );
+
+      return result.recordset;
+    } catch (err) {
+      logger.error("Error getting catalog SKUs:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Insert or update one SKU's state
+   * @param {string} gameId - Game ID from games-catalog
+   * @param {Object} sku - {skuKey, skuName, productId, unitGold, hasStock, firstSeenAt,
+   *                       lastSeenAt, lastInStockAt, lastOutOfStockAt, removedAt}
+   */
+  async saveCatalogSku(gameId, sku) {
+    try {
+      await this.connect();
+
+      await this.pool
+        .request()
+        .input("game_id", sql.NVarChar(50), gameId)
+        .input("sku_key", sql.NVarChar(100), sku.skuKey)
+        .input("sku_name", sql.NVarChar(100), sku.skuName)
+        .input("product_id", sql.Int, sku.productId ?? null)
+        .input("unit_gold", sql.Int, sku.unitGold ?? null)
+        .input("has_stock", sql.Bit, sku.hasStock ? 1 : 0)
+        .input("first_seen_at", sql.DateTime2, sku.firstSeenAt)
+        .input("last_seen_at", sql.DateTime2, sku.lastSeenAt)
+        .input("last_in_stock_at", sql.DateTime2, sku.lastInStockAt || null)
+        .input("last_out_of_stock_at", sql.DateTime2, sku.lastOutOfStockAt || null)
+        .input("removed_at", sql.DateTime2, sku.removedAt || null).query(`
+          UPDATE dbo.catalog_skus
+          SET sku_name = @sku_name,
+              product_id = @product_id,
+              unit_gold = @unit_gold,
+              has_stock = @has_stock,
+              first_seen_at = @first_seen_at,
+              last_seen_at = @last_seen_at,
+              last_in_stock_at = @last_in_stock_at,
+              last_out_of_stock_at = @last_out_of_stock_at,
+              removed_at = @removed_at
+          WHERE game_id = @game_id AND sku_key = @sku_key;
+
+          IF @@ROWCOUNT = 0
+            INSERT INTO dbo.catalog_skus
+            (game_id, sku_key, sku_name, product_id, unit_gold, has_stock, first_seen_at, last_seen_at, last_in_stock_at, last_out_of_stock_at, removed_at)
+            VALUES (@game_id, @sku_key, @sku_name, @product_id, @unit_gold, @has_stock, @first_seen_at, @last_seen_at, @last_in_stock_at, @last_out_of_stock_at, @removed_at);
+        `);
+    } catch (err) {
+      logger.error("Error saving catalog SKU:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Record catalog changes of one snapshot
+   * @param {string} gameId - Game ID from games-catalog
+   * @param {Array<Object>} events - {skuKey, skuName, eventType, oldUnitGold, newUnitGold, createdAt}
+   */
+  async addCatalogEvents(gameId, events) {
+    try {
+      await this.connect();
+
+      for (const event of events) {
+        await this.pool
+          .request()
+          .input("game_id", sql.NVarChar(50), gameId)
+          .input("sku_key", sql.NVarChar(100), event.skuKey)
+          .input("sku_name", sql.NVarChar(100), event.skuName)
+          .input("event_type", sql.NVarChar(20), event.eventType)
+          .input("old_unit_gold", sql.Int, event.oldUnitGold ?? null)
+          .input("new_unit_gold", sql.Int, event.newUnitGold ?? null)
+          .input("created_at", sql.DateTime2, event.createdAt || new Date()).query(`
+            INSERT INTO dbo.catalog_events (game_id, sku_key, sku_name, event_type, old_unit_gold, new_unit_gold, created_at)
+            VALUES (@game_id, @sku_key, @sku_name, @event_type, @old_unit_gold, @new_unit_gold, @created_at)
+          `);
+      }
+    } catch (err) {
+      logger.error("Error adding catalog events:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Latest catalog changes of a game
+   * @param {string} gameId - Game ID from games-catalog
+   * @param {number} limit - Maximum events
+   * @returns {Promise<Array<Object>>} catalog_events rows, newest first
+   */
+  async getCatalogEvents(gameId, limit = 20) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("game_id", sql.NVarChar(50), gameId)
+        .input("limit", sql.Int, limit).query(`
+          SELECT TOP (@limit) * FROM dbo.catalog_events
+          WHERE game_id = @game_id
+          ORDER BY created_at DESC, id DESC
+        `);
+
+      return result.recordset;
+    } catch (err) {
+      logger.error("Error getting catalog events:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // STOCK WATCH OPERATIONS
+  // ============================================================================
+
+  /**
+   * Create a stock watch
+   * @param {Object} watchData - {telegramUserId, chatId, gameId, gameName, gameUrl, regionId,
+   *                             cardName, productId, expiresAt}
+   * @returns {Promise<number>} Stock watch ID
+   */
+  async createStockWatch(watchData) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, watchData.telegramUserId)
+        .input("chat_id", sql.BigInt, watchData.chatId)
+        .input("game_id", sql.NVarChar(50), watchData.gameId || null)
+        .input("game_name", sql.NVarChar(100), watchData.gameName)
+        .input("game_url", sql.NVarChar(500), watchData.gameUrl)
+        .input("region_id", sql.Int, watchData.regionId ?? null)
+        .input("card_name", sql.NVarChar(100), watchData.cardName)
+        .input("product_id", sql.Int, watchData.productId ?? null)
+        .input("expires_at", sql.DateTime2, watchData.expiresAt).query(`
+          INSERT INTO dbo.stock_watches
+          (telegram_user_id, chat_id, game_id, game_name, game_url, region_id, card_name, product_id, expires_at)
+          OUTPUT INSERTED.id
+          VALUES (@telegram_user_id, @chat_id, @game_id, @game_name, @game_url, @region_id, @card_name, @product_id, @expires_at)
+        `);
+
+      return result.recordset[0].id;
+    } catch (err) {
+      logger.error("Error creating stock watch:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get active stock watches of every user
+   * @returns {Promise<Array<Object>>} stock_watches rows
+   */
+  async getActiveStockWatches() {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .query("SELECT * FROM dbo.stock_watches WHERE status = 'active' ORDER BY id");
+
+      return result.recordset;
+    } catch (err) {
+      logger.error("Error getting active stock watches:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get a user's active stock watches
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<Array<Object>>} stock_watches rows, soonest expiry first
+   */
+  async getUserStockWatches(telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId).query(`
+          SELECT * FROM dbo.stock_watches
+          WHERE telegram_user_id = @telegram_user_id AND status = 'active'
+          ORDER BY expires_at ASC
+        `);
+
+      return result.recordset;
+    } catch (err) {
+      logger.error("Error getting user stock watches:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get a stock watch by ID
+   * @param {number} watchId - Stock watch ID
+   * @returns {Promise<Object|null>} stock_watches row
+   */
+  async getStockWatch(watchId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, watchId)
+        .query("SELECT * FROM dbo.stock_watches WHERE id = @id");
+
+      return result.recordset[0] || null;
+    } catch (err) {
+      logger.error("Error getting stock watch:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Move an active stock watch to a final status
+   * @param {number} watchId - Stock watch ID
+   * @param {string} status - 'notified' | 'expired'
+   * @returns {Promise<boolean>} True if the watch was still active
+   */
+  async closeStockWatch(watchId, status) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, watchId)
+        .input("status", sql.NVarChar(20), status).query(`
+          UPDATE dbo.stock_watches
+          SET status = @status, closed_at = SYSUTCDATETIME()
+          WHERE id = @id AND status = 'active'
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error closing stock watch:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Cancel a user's active stock watch
+   * @param {number} watchId - Stock watch ID
+   * @param {string} telegramUserId - Telegram user ID (owner)
+   * @returns {Promise<boolean>} True if cancelled
+   */
+  async cancelStockWatch(watchId, telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, watchId)
+        .input("telegram_user_id", sql.BigInt, telegramUserId).query(`
+          UPDATE dbo.stock_watches
+          SET status = 'cancelled', closed_at = SYSUTCDATETIME()
+          WHERE id = @id AND telegram_user_id = @telegram_user_id AND status = 'active'
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error cancelling stock watch:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // ORDER QUEUE OPERATIONS
+  // ============================================================================
+
+  /**
+   * Add an order to the queue
+   * @param {Object} entryData - {telegramUserId, chatId, accountUserId, gameName, gameUrl, cardName,
+   *                             cardIndex, quantity, unitGold, scheduledOrderId, scheduledRunId, priority,
+   *                             cartItems (JSON lines of a cart order),
+   *                             encryptPins (true / false, null = the user's PIN archive setting)}
+   * @returns {Promise<number>} Queue entry ID
+   */
+  async createQueuedOrder(entryData) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, entryData.telegramUserId)
+        .input("chat_id", sql.BigInt, entryData.chatId)
+        .input("account_user_id", sql.BigInt, entryData.accountUserId || null)
+        .input("game_name", sql.NVarChar(100), entryData.gameName)
+        .input("game_url", sql.NVarChar(500), entryData.gameUrl)
+        .input("card_name", sql.NVarChar(100), entryData.cardName)
+        .input("card_index", sql.Int, entryData.cardIndex ?? null)
+        .input("quantity", sql.Int, entryData.quantity)
+        .input("unit_gold", sql.Int, entryData.unitGold ?? null)
+        .input("scheduled_order_id", sql.Int, entryData.scheduledOrderId || null)
+        .input("scheduled_run_id", sql.Int, entryData.scheduledRunId || null)
+        .input("priority", sql.Int, entryData.priority || 0)
+        .input("cart_items", sql.NVarChar(sql.MAX), entryData.cartItems || null)
+        .input(
+          "encrypt_pins",
+          sql.Bit,
+          typeof entryData.encryptPins === "boolean" ? entryData.encryptPins : null,
+        ).query(`
+          INSERT INTO dbo.order_queue
+          (telegram_user_id, chat_id, account_user_id, game_name, game_url, card_name, card_index, quantity,
+            unit_gold, scheduled_order_id, scheduled_run_id, priority, cart_items, encrypt_pins)
+          OUTPUT INSERTED.id
+          VALUES (@telegram_user_id, @chat_id, @account_user_id, @game_name, @game_url, @card_name, @card_index, @quantity,
+            @unit_gold, @scheduled_order_id, @scheduled_run_id, @priority, @cart_items, @encrypt_pins)
+        `);
+
+      return result.recordset[0].id;
+    } catch (err) {
+      logger.error("Error queueing order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get queue entries still queued or processing, in the order they run
+   * @returns {Promise<Array<Object>>} order_queue rows (highest priority first, then FIFO)
+   */
+  async getOpenQueuedOrders() {
+    try {
+      await this.connect();
+
+      const result = await this.pool.request().query(`
+          SELECT * FROM dbo.order_queue
+          WHERE status IN ('queued', 'processing')
+          ORDER BY priority DESC, id ASC
+        `);
+
+      return result.recordset;
+    } catch (err) {
+      logger.error("Error getting queued orders:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Mark a queued order as processing
+   * @param {number} entryId - Queue entry ID
+   * @returns {Promise<boolean>} True if it was still queued
+   */
+  async startQueuedOrder(entryId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, entryId).query(`
+          UPDATE dbo.order_queue
+          SET status = 'processing', started_at = SYSUTCDATETIME()
+          WHERE id = @id AND status = 'queued'
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error starting queued order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Move a queue entry to a final status
+   * @param {number} entryId - Queue entry ID
+   * @param {string} status - completed, failed, cancelled or interrupted
+   * @param {number} orderId - Order ID (optional)
+   * @param {string} errorMessage - Error message (optional)
+   * @returns {Promise<boolean>} True if it was still queued or processing
+   */
+  async finishQueuedOrder(entryId, status, orderId = null, errorMessage = null) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, entryId)
+        .input("status", sql.NVarChar(20), status)
+        .input("order_id", sql.Int, orderId || null)
+        .input("error_message", sql.NVarChar(sql.MAX), errorMessage || null).query(`
+          UPDATE dbo.order_queue
+          SET status = @status, order_id = @order_id, error_message = @error_message,
+            finished_at = SYSUTCDATETIME()
+          WHERE id = @id AND status IN ('queued', 'processing')
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error finishing queued order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Cancel a user's order while it is still queued
+   * @param {number} entryId - Queue entry ID
+   * @param {string} telegramUserId - Telegram user ID (owner)
+   * @returns {Promise<boolean>} True if cancelled
+   */
+  async cancelQueuedOrder(entryId, telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, entryId)
+        .input("telegram_user_id", sql.BigInt, telegramUserId).query(`
+          UPDATE dbo.order_queue
+          SET status = 'cancelled', finished_at = SYSUTCDATETIME()
+          WHERE id = @id AND telegram_user_id = @telegram_user_id AND status = 'queued'
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error cancelling queued order:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // ORDER TEMPLATE OPERATIONS
+  // ============================================================================
+
+  /**
+   * Save an order template
+   * @param {Object} templateData - {telegramUserId, name, gameId, gameName, gameUrl, regionId,
+   *                                cardName, productId, quantity, accountUserId}
+   * @returns {Promise<number>} Order template ID
+   */
+  async createOrderTemplate(templateData) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, templateData.telegramUserId)
+        .input("name", sql.NVarChar(50), templateData.name)
+        .input("game_id", sql.NVarChar(50), templateData.gameId || null)
+        .input("game_name", sql.NVarChar(100), templateData.gameName)
+        .input("game_url", sql.NVarChar(500), templateData.gameUrl)
+        .input("region_id", sql.Int, templateData.regionId ?? null)
+        .input("card_name", sql.NVarChar(100), templateData.cardName)
+        .input("product_id", sql.Int, templateData.productId ?? null)
+        .input("quantity", sql.Int, templateData.quantity)
+        .input("account_user_id", sql.BigInt, templateData.accountUserId || null).query(`
+          INSERT INTO dbo.order_templates
+          (telegram_user_id, name, game_id, game_name, game_url, region_id, card_name, product_id, quantity, account_user_id)
+          OUTPUT INSERTED.id
+          VALUES (@telegram_user_id, @name, @game_id, @game_name, @game_url, @region_id, @card_name, @product_id, @quantity,
+            @account_user_id)
+        `);
+
+      return result.recordset[0].id;
+    } catch (err) {
+      logger.error("Error creating order template:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get a user's order templates
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<Array<Object>>} order_templates rows, by name
+   */
+  async getUserOrderTemplates(telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId).query(`
+          SELECT * FROM dbo.order_templates
+          WHERE telegram_user_id = @telegram_user_id
+          ORDER BY name, id
+        `);
+
+      return result.recordset;
+    } catch (err) {
+      logger.error("Error getting order templates:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get one of a user's order templates
+   * @param {number} templateId - Order template ID
+   * @param {string} telegramUserId - Telegram user ID (owner)
+   * @returns {Promise<Object|null>} order_templates row, or null if not theirs
+   */
+  async getOrderTemplate(templateId, telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, templateId)
+        .input("telegram_user_id", sql.BigInt, telegramUserId).query(`
+          SELECT * FROM dbo.order_templates WHERE id = @id AND telegram_user_id = @telegram_user_id
+        `);
+
+      return result.recordset[0] || null;
+    } catch (err) {
+      logger.error("Error getting order template:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Delete one of a user's order templates
+   * @param {number} templateId - Order template ID
+   * @param {string} telegramUserId - Telegram user ID (owner)
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteOrderTemplate(templateId, telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("id", sql.Int, templateId)
+        .input("telegram_user_id", sql.BigInt, telegramUserId).query(`
+          DELETE FROM dbo.order_templates WHERE id = @id AND telegram_user_id = @telegram_user_id
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (err) {
+      logger.error("Error deleting order template:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // USER PREFERENCE OPERATIONS (keyed by real Telegram ID, not the shared operator)
+  // ============================================================================
+
+  /**
+   * Preferences a Telegram user picked in /settings
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<Object|null>} user_preferences row, or null if none saved
+   */
+  async getUserPreferences(telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId).query(`
+          SELECT * FROM dbo.user_preferences WHERE telegram_user_id = @telegram_user_id
+        `);
+
+      const row = result.recordset[0];
+      return row ? { ...row, telegram_user_id: String(row.telegram_user_id) } : null;
+    } catch (err) {
+      logger.error("Error getting user preferences:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Save a user's timezone
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string|null} timeZone - IANA timezone (null = default)
+   */
+  async setUserTimeZone(telegramUserId, timeZone) {
+    try {
+      await this.connect();
+
+      await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .input("time_zone", sql.NVarChar(64), timeZone).query(`
+          UPDATE dbo.user_preferences
+          SET time_zone = @time_zone, updated_at = SYSUTCDATETIME()
+          WHERE telegram_user_id = @telegram_user_id;
+
+          IF @@ROWCOUNT = 0
+            INSERT INTO dbo.user_preferences (telegram_user_id, time_zone)
+            VALUES (@telegram_user_id, @time_zone);
+        `);
+    } catch (err) {
+      logger.error("Error saving user timezone:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Save a user's PIN file format
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string|null} format - txt, csv or json (null = txt)
+   */
+  async setUserPinFileFormat(telegramUserId, format) {
+    try {
+      await this.connect();
+
+      await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .input("pin_file_format", sql.NVarChar(10), format).query(`
+          UPDATE dbo.user_preferences
+          SET pin_file_format = @pin_file_format, updated_at = SYSUTCDATETIME()
+          WHERE telegram_user_id = @telegram_user_id;
+
+          IF @@ROWCOUNT = 0
+            INSERT INTO dbo.user_preferences (telegram_user_id, pin_file_format)
+            VALUES (@telegram_user_id, @pin_file_format);
+        `);
+    } catch (err) {
+      logger.error("Error saving user PIN file format:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Save how a user gets PIN files
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string|null} mode - passphrase or one_time (null = plain files)
+   * @param {string|null} passphrase - ZIP passphrase (stored encrypted; only kept for passphrase mode)
+   */
+  async setUserPinArchive(telegramUserId, mode, passphrase = null) {
+    try {
+      await this.connect();
+
+      const passphraseEncrypted =
+        mode === "passphrase" && passphrase ? encryptionService.encrypt(passphrase) : null;
+
+      await this.pool
+        .request()
+        .input("telegram_user_id", sql.BigInt, telegramUserId)
+        .input("pin_archive", sql.NVarChar(20), mode)
+        .input("pin_archive_passphrase_encrypted", sql.NVarChar(sql.MAX), passphraseEncrypted).query(`
+          UPDATE dbo.user_preferences
+          SET pin_archive = @pin_archive,
+            pin_archive_passphrase_encrypted = @pin_archive_passphrase_encrypted,
+            updated_at = SYSUTCDATETIME()
+          WHERE telegram_user_id = @telegram_user_id;
+
+          IF @@ROWCOUNT = 0
+            INSERT INTO dbo.user_preferences (telegram_user_id, pin_archive, pin_archive_passphrase_encrypted)
+            VALUES (@telegram_user_id, @pin_archive, @pin_archive_passphrase_encrypted);
+        `);
+    } catch (err) {
+      logger.error("Error saving user PIN archive setting:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Close database connection pool
+   */
+  async close() {
+    if (this.pool) {
+      await this.pool.close();
+      this.pool = null;
+      logger.database("Database connection closed");
+    }
+  }
+}
+
+module.exports = MssqlStorage;
@@ -0,0 +1,2520 @@
+/**
+ * SQLite Storage
+ *
+ * Embedded storage backend backed by a single SQLite file (better-sqlite3).
+ * Selected with STORAGE_BACKEND=sqlite - no database server required.
+ *
+ * Notes:
+ * - Telegram IDs are stored as TEXT (they exceed 2^53 in shared-operator mode)
+ * - Timestamps are stored as ISO-8601 UTC strings and returned as Date objects
+ * - Schema is managed by migrations (see storage/migrations)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const StorageBackend = require("./StorageBackend");
+const { Order, Purchase } = require("../../models/DatabaseModels");
+const encryptionService = require("../../utils/encryption");
+const logger = require("../../utils/logger");
+
+// Columns converted back to Date objects when rows are read
+const DATE_COLUMNS = [
+  "created_at",
+  "purchased_at",
+  "scheduled_time",
+  "executed_at",
+  "used_at",
+  "updated_at",
+  "first_seen_at",
+  "last_seen_at",
+  "last_in_stock_at",
+  "last_out_of_stock_at",
+  "removed_at",
+  "expires_at",
+  "closed_at",
+  "scheduled_for",
+  "started_at",
+  "finished_at",
+  "last_run_at",
+];
+
+class SqliteStorage extends StorageBackend {
+  /**
+   * @param {string} filePath - Database file path (relative to the working directory)
+   */
+  constructor(filePath) {
+    super();
+    this.dialect = "sqlite";
+    this.db = null;
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * Open the database file (tables are created by migrations)
+   */
+  async connect() {
+    try {
+      if (!this.db) {
+        // Loaded lazily so MSSQL-only deployments do not need the native module
+        const Database = require("better-sqlite3");
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        logger.database(`Opening SQLite database: ${this.filePath}`);
+
+        const db = new Database(this.filePath);
+        db.pragma("journal_mode = WAL");
+        db.pragma("foreign_keys = ON");
+
+        this.db = db;
+        logger.success("Database connected (SQLite)");
+      }
+      return this.db;
+    } catch (err) {
+      logger.error("Database connection failed:", err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Convert a JS value to an ISO timestamp string for storage
+   * @param {Date|string|number|null} value - Timestamp
+   * @returns {string|null} ISO string
+   */
+  toTimestamp(value) {
+    if (value === null || value === undefined) return null;
+    return new Date(value).toISOString();
+  }
+
+  /**
+   * Convert stored timestamp columns back to Date objects
+   * @param {Object|undefined} row - Raw row
+   * @returns {Object|null} Row with Date columns
+   */
+  mapRow(row) {
+    if (!row) return null;
+
+    for (const column of DATE_COLUMNS) {
+      if (row[column]) {
+        row[column] = new Date(row[column]);
+      }
+    }
+    return row;
+  }
+
+  // ============================================================================
+  // SCHEMA MIGRATIONS
+  // ============================================================================
+
+  /**
+   * Get the applied schema version (creates the schema_version table on first run)
+   * @returns {Promise<number>} Highest applied migration version (0 if none)
+   */
+  async getSchemaVersion() {
+    try {
+      await this.connect();
+
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        )
+      `);
+
+      return this.db
+        .prepare("SELECT COALESCE(MAX(version), 0) AS version FROM schema_version")
+        .get().version;
+    } catch (err) {
+      logger.error("Error getting schema version:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Apply one migration in a transaction and record its version
+   * @param {{version: number, name: string, statements: string[]}} migration - Migration to apply
+   */
+  async applyMigration(migration) {
+    try {
+      await this.connect();
+
+      const record = this.db.prepare(
+        "INSERT INTO schema_version (version, name) VALUES (?, ?)",
+      );
+
+      this.db.transaction(() => {
+        for (const statement of migration.statements) {
+          this.db.exec(statement);
+        }
+        record.run(migration.version, migration.name);
+      })();
+    } catch (err) {
+      logger.error(`Error applying migration ${migration.version}:`, err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // ORDER OPERATIONS
+  // ============================================================================
+
+  /**
+   * Create new order
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} cardsCount - Number of cards to purchase
+   * @param {string} cardValue - Card value/name
+   * @param {string} gameName - Game name
+   * @param {Object} context - Optional {chatId, gameUrl} used to resume interrupted orders, {unitGold} card price,
+   *                           {accountUserId} Razer account that buys the cards
+   * @returns {Promise<Order>} Created order
+   */
+  async createOrder(telegramUserId, cardsCount, cardValue, gameName, context = {}) {
+    try {
+      await this.connect();
+
+      const row = this.db
+        .prepare(
+          `
+          INSERT INTO orders (telegram_user_id, cards_count, card_value, game_name, status, completed_purchases, chat_id, game_url, unit_gold, account_user_id)
+          VALUES (@telegram_user_id, @cards_count, @card_value, @game_name, 'pending', 0, @chat_id, @game_url, @unit_gold, @account_user_id)
+          RETURNING *
+        `,
+        )
+        .get({
+          telegram_user_id: String(telegramUserId),
+          cards_count: cardsCount,
+          card_value: cardValue,
+          game_name: gameName,
+          chat_id: context.chatId ? String(context.chatId) : null,
+          game_url: context.gameUrl || null,
+          unit_gold: context.unitGold ?? null,
+          account_user_id: context.accountUserId ? String(context.accountUserId) : null,
+        });
+
+      return new Order(this.mapRow(row));
+    } catch (err) {
+      logger.error("Error creating order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get order by ID
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Order|null>} Order or null if not found
+   */
+  async getOrderById(orderId) {
+    try {
+      await this.connect();
+      const row = this.db
+        .prepare("SELECT * FROM orders WHERE id = ?")
+        .get(orderId);
+
+      return row ? new Order(this.mapRow(row)) : null;
+    } catch (err) {
+      logger.error("Error getting order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * WHERE clause for a user's orders narrowed by order history filters
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {Object} filters - {since, until (exclusive), gameName (contains), cardValue (exact), cardSearch (contains), status, minQuantity}
+   * @returns {{where: string, params: Array}} Conditions and their parameters
+   */
+  buildOrderFilterClause(telegramUserId, filters = {}) {
+    const conditions = ["telegram_user_id = ?"];
+    const params = [String(telegramUserId)];
+
+    if (filters.since) {
+      conditions.push("created_at >= ?");
+      params.push(this.toTimestamp(filters.since));
+    }
+    if (filters.until) {
+      conditions.push("created_at < ?");
+      params.push(this.toTimestamp(filters.until));
+    }
+    if (filters.gameName) {
+      conditions.push("game_name LIKE ? ESCAPE '\\'");
+      params.push(this.toContainsPattern(filters.gameName));
+    }
+    if (filters.cardValue) {
+      conditions.push("card_value = ? COLLATE NOCASE");
+      params.push(filters.cardValue);
+    }
+    if (filters.cardSearch) {
+      conditions.push("card_value LIKE ? ESCAPE '\\'");
+      params.push(this.toContainsPattern(filters.cardSearch));
+    }
+    if (filters.status) {
+      conditions.push("status = ?");
+      params.push(filters.status);
+    }
+    if (filters.minQuantity) {
+      conditions.push("cards_count >= ?");
+      params.push(filters.minQuantity);
+    }
+
+    return { where: conditions.join(" AND "), params };
+  }
+
+  /**
+   * Get user's orders paginated (for order history)
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {number} limit - Number of orders per page
+   * @param {number} offset - Offset (page * limit)
+   * @param {Object} filters - Order history filters (see buildOrderFilterClause)
+   * @returns {Promise<Order[]>} Array of orders
+   */
+  async getUserOrdersPaginated(telegramUserId, limit, offset, filters = {}) {
+    try {
+      await this.connect();
+      const { where, params } = this.buildOrderFilterClause(telegramUserId, filters);
+      const rows = this.db
+        .prepare(
+          `
+          SELECT * FROM orders
+          WHERE ${where}
+          ORDER BY created_at DESC, id DESC
+          LIMIT ? OFFSET ?
+        `,
+        )
+        .all(...params, limit, offset);
+
+      return rows.map((row) => new Order(this.mapRow(row)));
+    } catch (err) {
+      logger.error("Error getting paginated orders:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get total order count for user
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {Object} filters - Order history filters (see buildOrderFilterClause)
+   * @returns {Promise<number>} Total order count
+   */
+  async getUserOrderCount(telegramUserId, filters = {}) {
+    try {
+      await this.connect();
+      const { where, params } = this.buildOrderFilterClause(telegramUserId, filters);
+      const row = this.db
+        .prepare(`SELECT COUNT(*) as count FROM orders WHERE ${where}`)
+        .get(...params);
+
+      return row.count;
+    } catch (err) {
+      logger.error("Error getting order count:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get the games and cards a user has ordered (order history filter buttons)
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<Array<{game_name: string, card_value: string, order_count: number}>>} Most recently ordered first
+   */
+  async getUserOrderGameCards(telegramUserId) {
+    try {
+      await this.connect();
+      return this.db
+        .prepare(
+          `
+          SELECT game_name, card_value, COUNT(*) AS order_count FROM orders
+          WHERE telegram_user_id = ?
+          GROUP BY game_name, card_value
+          ORDER BY MAX(created_at) DESC
+        `,
+        )
+        .all(String(telegramUserId));
+    } catch (err) {
+      logger.error("Error getting ordered games and cards:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get all orders with a given status, oldest first
+   * @param {string} status - Order status (e.g. 'processing')
+   * @returns {Promise<Order[]>} Array of orders
+   */
+  async getOrdersByStatus(status) {
+    try {
+      await this.connect();
+      const rows = this.db
+        .prepare(
+          "SELECT * FROM orders WHERE status = ? ORDER BY created_at ASC, id ASC",
+        )
+        .all(status);
+
+      return rows.map((row) => new Order(this.mapRow(row)));
+    } catch (err) {
+      logger.error("Error getting orders by status:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Update order status and purchase count in one query
+   * @param {number} orderId - Order ID
+   * @param {string} status - New status
+   * @param {number} purchaseCount - Number of successful purchases
+   * @returns {Promise<Order>} Updated order
+   */
+  async updateOrderStatusWithCount(orderId, status, purchaseCount) {
+    try {
+      await this.connect();
+      const row = this.db
+        .prepare(
+          "UPDATE orders SET status = ?, completed_purchases = ? WHERE id = ? RETURNING *",
+        )
+        .get(status, purchaseCount, orderId);
+
+      return new Order(this.mapRow(row));
+    } catch (err) {
+      logger.error("Error updating order status with count:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Update order status only (without purchase count)
+   * @param {number} orderId - Order ID
+   * @param {string} status - New status
+   * @returns {Promise<Order>} Updated order
+   */
+  async updateOrderStatus(orderId, status) {
+    try {
+      await this.connect();
+      const row = this.db
+        .prepare("UPDATE orders SET status = ? WHERE id = ? RETURNING *")
+        .get(status, orderId);
+
+      return new Order(this.mapRow(row));
+    } catch (err) {
+      logger.error("Error updating order status:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Increment order progress by 1 (for immediate updates after each card)
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Order>} Updated order
+   */
+  async incrementOrderProgress(orderId) {
+    try {
+      await this.connect();
+      const row = this.db
+        .prepare(
+          "UPDATE orders SET completed_purchases = completed_purchases + 1 WHERE id = ? RETURNING *",
+        )
+        .get(orderId);
+
+      return new Order(this.mapRow(row));
+    } catch (err) {
+      logger.error("Error incrementing order progress:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // PURCHASE OPERATIONS
+  // ============================================================================
+
+  /**
+   * Get purchases for an order
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Purchase[]>} Array of purchases
+   */
+  async getOrderPurchases(orderId) {
+    try {
+      await this.connect();
+      const rows = this.db
+        .prepare(
+          "SELECT * FROM purchases WHERE order_id = ? ORDER BY card_number ASC",
+        )
+        .all(orderId);
+
+      return rows.map((row) => new Purchase(this.mapRow(row)));
+    } catch (err) {
+      logger.error("Error getting order purchases:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Create purchase record with encrypted PIN and game/card info
+   * @param {Object} purchaseData - {orderId, transactionId, cardNumber, status, pinCode, serialNumber, gameName, cardValue, failureStage}
+   * @returns {Promise<Purchase>} Created purchase
+   */
+  async createPurchaseWithEncryptedPin({
+    orderId,
+    transactionId,
+    cardNumber,
+    status = "pending",
+    pinCode,
+    serialNumber,
+    gameName,
+    cardValue,
+    failureStage = null,
+  }) {
+    try {
+      await this.connect();
+
+      const row = this.db
+        .prepare(
+          `
+          INSERT INTO purchases (order_id, razer_transaction_id, card_number, status, pin_encrypted, serial_number_encrypted, game_name, card_value, failure_stage, purchased_at)
+          VALUES (@order_id, @razer_transaction_id, @card_number, @status, @pin_encrypted, @serial_number_encrypted, @game_name, @card_value, @failure_stage, @purchased_at)
+          RETURNING *
+        `,
+        )
+        .get({
+          order_id: orderId,
+          razer_transaction_id: transactionId ? String(transactionId) : null,
+          card_number: cardNumber,
+          status,
+          pin_encrypted: pinCode ? encryptionService.encrypt(pinCode) : null,
+          serial_number_encrypted: serialNumber
+            ? encryptionService.encrypt(serialNumber)
+            : null,
+          game_name: gameName || null,
+          card_value: cardValue || null,
+          failure_stage: failureStage,
+          purchased_at: this.toTimestamp(new Date()),
+        });
+
+      return new Purchase(this.mapRow(row));
+    } catch (err) {
+      logger.error("Error creating purchase with encrypted PIN:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Update a purchase with details resolved after it was created
+   * (API replay purchases are saved before their PIN is fetched from history).
+   * @param {number} purchaseId - Purchase ID
+   * @param {Object} details - {transactionId, pinCode, serialNumber, status}
+   * @returns {Promise<Purchase>} Updated purchase
+   */
+  async updatePurchaseDetails(
+    purchaseId,
+    { transactionId, pinCode, serialNumber, status = "success" },
+  ) {
+    try {
+      await this.connect();
+
+      const row = this.db
+        .prepare(
+          `
+          UPDATE purchases
+          SET razer_transaction_id = COALESCE(@razer_transaction_id, razer_transaction_id),
+              status = @status,
+              pin_encrypted = COALESCE(@pin_encrypted, pin_encrypted),
+              serial_number_encrypted = COALESCE(@serial_number_encrypted, serial_number_encrypted)
+          WHERE id = @id
+          RETURNING *
+        `,
+        )
+        .get({
+          id: purchaseId,
+          razer_transaction_id: transactionId ? String(transactionId) : null,
+          status,
+          pin_encrypted: pinCode ? encryptionService.encrypt(pinCode) : null,
+          serial_number_encrypted: serialNumber
+            ? encryptionService.encrypt(serialNumber)
+            : null,
+        });
+
+      return new Purchase(this.mapRow(row));
+    } catch (err) {
+      logger.error("Error updating purchase details:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get Razer transaction IDs already recorded since a given time
+   * @param {Date} since - Window start
+   * @returns {Promise<Set<string>>} Known transaction IDs
+   */
+  async getTransactionIdsSince(since) {
+    try {
+      await this.connect();
+      const rows = this.db
+        .prepare(
+          `
+          SELECT razer_transaction_id FROM purchases
+          WHERE purchased_at >= ? AND razer_transaction_id IS NOT NULL
+        `,
+        )
+        .all(this.toTimestamp(since));
+
+      return new Set(rows.map((row) => String(row.razer_transaction_id)));
+    } catch (err) {
+      logger.error("Error getting recorded transaction IDs:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get the purchases recorded for Razer transaction IDs (PIN file metadata for /transactions)
+   * @param {string[]} transactionIds - Razer transaction IDs
+   * @returns {Promise<Object[]>} purchases rows with their order's unit_gold
+   */
+  async getPurchasesByTransactionIds(transactionIds) {
+    if (!transactionIds || transactionIds.length === 0) {
+      return [];
+    }
+
+    try {
+      await this.connect();
+      const placeholders = transactionIds.map(() => "?").join(", ");
+      const rows = this.db
+        .prepare(
+          `
+          SELECT p.*, o.unit_gold FROM purchases p
+          JOIN orders o ON o.id = p.order_id
+          WHERE p.razer_transaction_id IN (${placeholders})
+        `,
+        )
+        .all(...transactionIds.map(String));
+
+      return rows.map((row) => this.mapRow(row));
+    } catch (err) {
+      logger.error("Error getting purchases by transaction IDs:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Update purchase status
+   * @param {number} purchaseId - Purchase ID
+   * @param {string} status - New status (pending, success, failed)
+   * @returns {Promise<Purchase>} Updated purchase
+   */
+  async updatePurchaseStatus(purchaseId, status) {
+    try {
+      await this.connect();
+      const row = this.db
+        .prepare("UPDATE purchases SET status = ? WHERE id = ? RETURNING *")
+        .get(status, purchaseId);
+
+      return new Purchase(this.mapRow(row));
+    } catch (err) {
+      logger.error("Error updating purchase status:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // USER OPERATIONS (for storing encrypted credentials)
+  // ============================================================================
+
+  /**
+   * Get user by telegram ID
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<User|null>} User or null if not found
+   */
+  async getUserByTelegramId(telegramUserId) {
+    try {
+      await this.connect();
+      const { User } = require("../../models/DatabaseModels");
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      const row = this.db
+        .prepare("SELECT * FROM user_accounts WHERE telegram_user_id = ?")
+        .get(scopedUserId);
+
+      return row ? new User(this.mapRow(row)) : null;
+    } catch (err) {
+      logger.error("Error getting user:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Ensure user account exists, create if not
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<void>}
+   */
+  async ensureUserExists(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      const result = this.db
+        .prepare(
+          `
+          INSERT INTO user_accounts (telegram_user_id, username)
+          VALUES (?, ?)
+          ON CONFLICT (telegram_user_id) DO NOTHING
+        `,
+        )
+        .run(scopedUserId, `user_${scopedUserId}`);
+
+      if (result.changes > 0) {
+        logger.info(`Created shared operator user account: ${scopedUserId}`);
+      }
+    } catch (err) {
+      logger.error("Error ensuring user exists:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Create or update user with encrypted credentials
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} emailEncrypted - Encrypted email
+   * @param {string} passwordEncrypted - Encrypted password
+   * @returns {Promise<User>} Created or updated user
+   */
+  async saveUserCredentials(telegramUserId, emailEncrypted, passwordEncrypted) {
+    try {
+      await this.connect();
+      const { User } = require("../../models/DatabaseModels");
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      await this.ensureUserExists(scopedUserId);
+
+      const row = this.db
+        .prepare(
+          `
+          UPDATE user_accounts
+          SET email_encrypted = ?, password_encrypted = ?
+          WHERE telegram_user_id = ?
+          RETURNING *
+        `,
+        )
+        .get(emailEncrypted, passwordEncrypted, scopedUserId);
+
+      return new User(this.mapRow(row));
+    } catch (err) {
+      logger.error("Error saving user credentials:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Delete user credentials (sets them to NULL)
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteUserCredentials(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      this.db
+        .prepare(
+          `
+          UPDATE user_accounts
+          SET email_encrypted = NULL, password_encrypted = NULL
+          WHERE telegram_user_id = ?
+        `,
+        )
+        .run(scopedUserId);
+
+      return true;
+    } catch (err) {
+      logger.error("Error deleting user credentials:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // RAZER ACCOUNT OPERATIONS (user_accounts rows keyed by operator ID)
+  // ============================================================================
+
+  /**
+   * Get every Razer account with its active backup code count
+   * @returns {Promise<Array<Object>>} Accounts (see StorageBackend.mapRazerAccount), account 1 first
+   */
+  async getRazerAccounts() {
+    try {
+      await this.connect();
+
+      const rows = this.db
+        .prepare(
+          `
+          SELECT ua.*,
+            (SELECT COUNT(*) FROM backup_codes bc
+             WHERE bc.telegram_user_id = ua.telegram_user_id AND bc.status = 'active') AS active_backup_codes
+          FROM user_accounts ua
+        `,
+        )
+        .all();
+
+      return rows
+        .filter((row) => this.isAccountUserId(row.telegram_user_id))
+        .map((row) => this.mapRazerAccount(row))
+        .sort((a, b) => a.account_number - b.account_number);
+    } catch (err) {
+      logger.error("Error getting Razer accounts:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Create a Razer account (or rename it)
+   * @param {string} accountUserId - Account operator ID
+   * @param {string} label - Display name
+   * @returns {Promise<void>}
+   */
+  async saveRazerAccount(accountUserId, label) {
+    try {
+      await this.connect();
+      await this.ensureUserExists(accountUserId);
+
+      this.db
+        .prepare("UPDATE user_accounts SET label = ? WHERE telegram_user_id = ?")
+        .run(label, String(accountUserId));
+    } catch (err) {
+      logger.error("Error saving Razer account:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Enable or disable a Razer account for order routing
+   * @param {string} accountUserId - Account operator ID
+   * @param {boolean} isActive - New state
+   * @returns {Promise<boolean>} True if the account exists
+   */
+  async setRazerAccountActive(accountUserId, isActive) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare("UPDATE user_accounts SET is_active = ? WHERE telegram_user_id = ?")
+        .run(isActive ? 1 : 0, String(accountUserId));
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error updating Razer account:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Orders, cards and Gold bought per Razer account in a time window
+   * (orders from before accounts existed count for account 1)
+   * @param {Date} since - Window start (inclusive)
+   * @param {Date} until - Window end (exclusive)
+   * @returns {Promise<Array<{account_user_id: string, orders: number, cards: number, gold: number}>>}
+   */
+  async getAccountSpendingBetween(since, until) {
+    try {
+      await this.connect();
+
+      return this.db
+        .prepare(
+          `
+          SELECT account_user_id, COUNT(*) AS orders, SUM(cards) AS cards, SUM(cards * COALESCE(unit_gold, 0)) AS gold
+          FROM (
+            SELECT COALESCE(o.account_user_id, @shared_user_id) AS account_user_id, o.unit_gold,
+              (
+                SELECT COUNT(*) FROM purchases p
+                WHERE p.order_id = o.id AND p.status IN ('success', 'pending')
+              ) AS cards
+            FROM orders o
+            WHERE o.created_at >= @since AND o.created_at < @until
+          ) spent
+          GROUP BY account_user_id
+        `,
+        )
+        .all({
+          shared_user_id: this.getSharedOperatorUserId(),
+          since: this.toTimestamp(since),
+          until: this.toTimestamp(until),
+        });
+    } catch (err) {
+      logger.error("Error getting account spending:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // USER ROLE OPERATIONS (access control - keyed by real Telegram ID, not shared)
+  // ============================================================================
+
+  /**
+   * Get the role assigned to a Telegram user
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<{telegram_user_id: string, role: string, granted_by: string|null, created_at: Date, updated_at: Date}|null>}
+   */
+  async getUserRole(telegramUserId) {
+    try {
+      await this.connect();
+
+      const row = this.db
+        .prepare("SELECT * FROM user_roles WHERE telegram_user_id = ?")
+        .get(String(telegramUserId));
+
+      return this.mapRow(row);
+    } catch (err) {
+      logger.error("Error getting user role:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Assign a role to a Telegram user (insert or update)
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} role - admin | operator | viewer
+   * @param {string|null} grantedBy - Telegram user ID of the admin granting it
+   * @returns {Promise<Object>} Stored role row
+   */
+  async setUserRole(telegramUserId, role, grantedBy = null) {
+    try {
+      await this.connect();
+
+      const row = this.db
+        .prepare(
+          `
+          INSERT INTO user_roles (telegram_user_id, role, granted_by)
+          VALUES (?, ?, ?)
+          ON CONFLICT (telegram_user_id) DO UPDATE SET
+            role = excluded.role,
+            granted_by = excluded.granted_by,
+            updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+          RETURNING *
+        `,
+        )
+        .get(
+          String(telegramUserId),
+          role,
+          grantedBy !== null ? String(grantedBy) : null,
+        );
+
+      return this.mapRow(row);
+    } catch (err) {
+      logger.error("Error setting user role:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Remove a Telegram user's role (revokes access)
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<boolean>} True if a role was removed
+   */
+  async deleteUserRole(telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare("DELETE FROM user_roles WHERE telegram_user_id = ?")
+        .run(String(telegramUserId));
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error deleting user role:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get every user with a role
+   * @returns {Promise<Array<Object>>} Role rows ordered by role, then grant time
+   */
+  async getAllUserRoles() {
+    try {
+      await this.connect();
+
+      return this.db
+        .prepare(
+          `
+          SELECT * FROM user_roles
+          ORDER BY CASE role WHEN 'admin' THEN 0 WHEN 'operator' THEN 1 ELSE 2 END, created_at ASC
+        `,
+        )
+        .all()
+        .map((row) => this.mapRow(row));
+    } catch (err) {
+      logger.error("Error getting user roles:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // SPENDING LIMIT OPERATIONS (keyed by real Telegram ID, not shared)
+  // ============================================================================
+
+  /**
+   * Get a user's spending limits
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<Array<{game_key: string, max_cards_per_day: number|null, max_gold_per_day: number|null}>>}
+   *          game_key '*' applies to all games combined
+   */
+  async getSpendingLimits(telegramUserId) {
+    try {
+      await this.connect();
+
+      return this.db
+        .prepare("SELECT * FROM spending_limits WHERE telegram_user_id = ?")
+        .all(String(telegramUserId))
+        .map((row) => this.mapRow(row));
+    } catch (err) {
+      logger.error("Error getting spending limits:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Set a user's daily limits for all games ('*') or one game (insert or update)
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} gameKey - '*' or game name
+   * @param {Object} limits - {maxCardsPerDay, maxGoldPerDay} (null = unlimited)
+   * @param {string|null} updatedBy - Telegram user ID of the admin
+   * @returns {Promise<Object>} Stored limit row
+   */
+  async setSpendingLimit(telegramUserId, gameKey, limits, updatedBy = null) {
+    try {
+      await this.connect();
+
+      const row = this.db
+        .prepare(
+          `
+          INSERT INTO spending_limits (telegram_user_id, game_key, max_cards_per_day, max_gold_per_day, updated_by)
+          VALUES (@telegram_user_id, @game_key, @max_cards_per_day, @max_gold_per_day, @updated_by)
+          ON CONFLICT (telegram_user_id, game_key) DO UPDATE SET
+            max_cards_per_day = excluded.max_cards_per_day,
+            max_gold_per_day = excluded.max_gold_per_day,
+            updated_by = excluded.updated_by,
+            updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+          RETURNING *
+        `,
+        )
+        .get({
+          telegram_user_id: String(telegramUserId),
+          game_key: gameKey,
+          max_cards_per_day: limits.maxCardsPerDay ?? null,
+          max_gold_per_day: limits.maxGoldPerDay ?? null,
+          updated_by: updatedBy !== null ? String(updatedBy) : null,
+        });
+
+      return this.mapRow(row);
+    } catch (err) {
+      logger.error("Error setting spending limit:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Remove a user's limits for all games ('*') or one game
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string} gameKey - '*' or game name
+   * @returns {Promise<boolean>} True if a limit was removed
+   */
+  async deleteSpendingLimit(telegramUserId, gameKey) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          "DELETE FROM spending_limits WHERE telegram_user_id = ? AND game_key = ?",
+        )
+        .run(String(telegramUserId), gameKey);
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error deleting spending limit:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Cards and Gold a user spent per game in a time window.
+   * Orders still pending/processing count in full; finished orders count purchased cards only.
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {Date} since - Window start (inclusive)
+   * @param {Date} until - Window end (exclusive)
+   * @returns {Promise<Array<{game_name: string, cards: number, gold: number}>>}
+   */
+  async getUserSpendingBetween(telegramUserId, since, until) {
+    try {
+      await this.connect();
+
+      return this.db
+        .prepare(
+          `
+          SELECT game_name, SUM(cards) AS cards, SUM(cards * COALESCE(unit_gold, 0)) AS gold
+          FROM (
+            SELECT o.game_name, o.unit_gold,
+              CASE
+                WHEN o.status IN ('pending', 'processing') THEN o.cards_count
+                ELSE (
+                  SELECT COUNT(*) FROM purchases p
+                  WHERE p.order_id = o.id AND p.status IN ('success', 'pending')
+                )
+              END AS cards
+            FROM orders o
+            WHERE o.telegram_user_id = @telegram_user_id AND o.created_at >= @since AND o.created_at < @until
+          ) spent
+          GROUP BY game_name
+        `,
+        )
+        .all({
+          telegram_user_id: String(telegramUserId),
+          since: this.toTimestamp(since),
+          until: this.toTimestamp(until),
+        });
+    } catch (err) {
+      logger.error("Error getting user spending:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Cards and Gold a user has in pending scheduled orders per game in a time window
+   * @param {string} telegramUserId - Telegram user ID (requested_by)
+   * @param {Date} since - Window start (inclusive)
+   * @param {Date} until - Window end (exclusive)
+   * @param {number|null} excludeScheduledOrderId - Schedule left out (the one being edited)
+   * @returns {Promise<Array<{game_name: string, cards: number, gold: number}>>}
+   */
+  async getUserScheduledSpendingBetween(telegramUserId, since, until, excludeScheduledOrderId = null) {
+    try {
+      await this.connect();
+
+      return this.db
+        .prepare(
+          `
+          SELECT game_name, SUM(quantity) AS cards, SUM(quantity * COALESCE(unit_gold, 0)) AS gold
+          FROM scheduled_orders
+          WHERE requested_by = @telegram_user_id AND status = 'pending'
+            AND scheduled_time >= @since AND scheduled_time < @until
+            AND id != @exclude_id
+          GROUP BY game_name
+        `,
+        )
+        .all({
+          telegram_user_id: String(telegramUserId),
+          since: this.toTimestamp(since),
+          until: this.toTimestamp(until),
+          exclude_id: excludeScheduledOrderId ?? 0,
+        });
+    } catch (err) {
+      logger.error("Error getting user scheduled spending:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // BACKUP CODE OPERATIONS
+  // ============================================================================
+
+  /**
+   * Save multiple backup codes for a user (expires the previous active set)
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {Array<string>} codes - Array of backup codes (unencrypted)
+   * @returns {Promise<number>} Number of codes saved
+   */
+  async saveBackupCodes(telegramUserId, codes) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      await this.ensureUserExists(scopedUserId);
+
+      const expire = this.db.prepare(
+        "UPDATE backup_codes SET status = 'expired' WHERE telegram_user_id = ? AND status = 'active'",
+      );
+      const insert = this.db.prepare(
+        "INSERT INTO backup_codes (telegram_user_id, code_encrypted, status) VALUES (?, ?, 'active')",
+      );
+
+      this.db.transaction(() => {
+        expire.run(scopedUserId);
+        for (const code of codes) {
+          insert.run(scopedUserId, encryptionService.encrypt(code));
+        }
+      })();
+
+      logger.database(
+        `Saved ${codes.length} backup codes for shared operator ${scopedUserId}`,
+      );
+      return codes.length;
+    } catch (err) {
+      logger.error("Error saving backup codes:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get next available backup code for a user
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<string|null>} Decrypted backup code or null if none available
+   */
+  async getNextBackupCode(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      const row = this.db
+        .prepare(
+          `
+          SELECT id, code_encrypted FROM backup_codes
+          WHERE telegram_user_id = ? AND status = 'active'
+          ORDER BY id ASC
+          LIMIT 1
+        `,
+        )
+        .get(scopedUserId);
+
+      return row ? encryptionService.decrypt(row.code_encrypted) : null;
+    } catch (err) {
+      logger.error("Error getting backup code:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Atomically reserve and consume the next active backup code.
+   * Prevents duplicate assignment when multiple pages request a code concurrently.
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<{id: number, code: string} | null>} Reserved code payload or null
+   */
+  async reserveNextBackupCode(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      const select = this.db.prepare(`
+        SELECT id, code_encrypted FROM backup_codes
+        WHERE telegram_user_id = ? AND status = 'active'
+        ORDER BY id ASC
+        LIMIT 1
+      `);
+      const consume = this.db.prepare(
+        "UPDATE backup_codes SET status = 'used', used_at = ? WHERE id = ?",
+      );
+
+      const row = this.db.transaction(() => {
+        const next = select.get(scopedUserId);
+        if (next) {
+          consume.run(this.toTimestamp(new Date()), next.id);
+        }
+        return next;
+      }).immediate();
+
+      if (!row) {
+        return null;
+      }
+
+      return {
+        id: row.id,
+        code: encryptionService.decrypt(row.code_encrypted),
+      };
+    } catch (err) {
+      logger.error("Error reserving backup code:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Mark a backup code as used
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<boolean>} True if marked
+   */
+  async markBackupCodeAsUsed(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      // Mark the oldest active code as used
+      const result = this.db
+        .prepare(
+          `
+          UPDATE backup_codes
+          SET status = 'used', used_at = ?
+          WHERE id = (
+            SELECT id FROM backup_codes
+            WHERE telegram_user_id = ? AND status = 'active'
+            ORDER BY id ASC
+            LIMIT 1
+          )
+        `,
+        )
+        .run(this.toTimestamp(new Date()), scopedUserId);
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error marking backup code as used:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get all active backup codes for a user
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<Array<{id: number, code: string}>>} Active codes (decrypted)
+   */
+  async getAllActiveBackupCodes(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      const rows = this.db
+        .prepare(
+          `
+          SELECT id, code_encrypted FROM backup_codes
+          WHERE telegram_user_id = ? AND status = 'active'
+          ORDER BY id ASC
+        `,
+        )
+        .all(scopedUserId);
+
+      return rows.map((row) => ({
+        id: row.id,
+        code: encryptionService.decrypt(row.code_encrypted),
+      }));
+    } catch (err) {
+      logger.error("Error getting all active backup codes:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Mark specific backup codes as used by their IDs
+   * Used when distributing codes to browsers at purchase start
+   * @param {Array<number>} codeIds - Array of backup code IDs to mark as used
+   * @returns {Promise<number>} Number of codes marked
+   */
+  async markBackupCodesAsUsedByIds(codeIds) {
+    try {
+      await this.connect();
+      if (!codeIds || codeIds.length === 0) return 0;
+
+      const ids = codeIds.map((id) => parseInt(id));
+      const placeholders = ids.map(() => "?").join(",");
+
+      const result = this.db
+        .prepare(
+          `UPDATE backup_codes SET status = 'used', used_at = ? WHERE id IN (${placeholders})`,
+        )
+        .run(this.toTimestamp(new Date()), ...ids);
+
+      logger.database(
+        `Marked ${result.changes} backup codes as used (IDs: ${ids.join(",")})`,
+      );
+      return result.changes;
+    } catch (err) {
+      logger.error("Error marking backup codes as used by IDs:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get count of active backup codes
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<number>} Count of active codes
+   */
+  async getActiveBackupCodeCount(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      const row = this.db
+        .prepare(
+          "SELECT COUNT(*) as count FROM backup_codes WHERE telegram_user_id = ? AND status = 'active'",
+        )
+        .get(scopedUserId);
+
+      return row.count;
+    } catch (err) {
+      logger.error("Error getting backup code count:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Delete all backup codes for a user
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteAllBackupCodes(telegramUserId) {
+    try {
+      await this.connect();
+      const scopedUserId = this.normalizeSharedOperatorId(telegramUserId);
+
+      this.db
+        .prepare("DELETE FROM backup_codes WHERE telegram_user_id = ?")
+        .run(scopedUserId);
+
+      return true;
+    } catch (err) {
+      logger.error("Error deleting backup codes:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // SCHEDULED ORDER OPERATIONS
+  // ============================================================================
+
+  /**
+   * Create a scheduled order
+   * @param {Object} orderData - Order data
+   * @returns {Promise<number>} Scheduled order ID
+   */
+  async createScheduledOrder(orderData) {
+    try {
+      await this.connect();
+
+      // Ensure user account exists
+      const scopedUserId = this.normalizeSharedOperatorId();
+      await this.ensureUserExists(orderData.telegramUserId);
+
+      const result = this.db
+        .prepare(
+          `
+          INSERT INTO scheduled_orders
+          (telegram_user_id, chat_id, game_name, game_url, card_name, card_value, card_index, quantity, scheduled_time, unit_gold, requested_by, account_user_id, recurrence, time_zone)
+          VALUES (@telegram_user_id, @chat_id, @game_name, @game_url, @card_name, @card_value, @card_index, @quantity, @scheduled_time, @unit_gold, @requested_by, @account_user_id, @recurrence, @time_zone)
+        `,
+        )
+        .run({
+          telegram_user_id: scopedUserId,
+          chat_id: String(orderData.chatId),
+          game_name: orderData.gameName,
+          game_url: orderData.gameUrl,
+          card_name: orderData.cardName,
+          card_value: orderData.cardValue,
+          card_index: orderData.cardIndex,
+          quantity: orderData.quantity,
+          scheduled_time: this.toTimestamp(orderData.scheduledTime),
+          unit_gold: orderData.unitGold ?? null,
+          requested_by: String(orderData.telegramUserId),
+          account_user_id: orderData.accountUserId ? String(orderData.accountUserId) : null,
+          recurrence: orderData.recurrence || null,
+          time_zone: orderData.timeZone || null,
+        });
+
+      return Number(result.lastInsertRowid);
+    } catch (err) {
+      logger.error("Error creating scheduled order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get pending scheduled orders due by a moment (now = the ones that should be executed now)
+   * @param {Date} dueBy - Latest scheduled time to include (default now)
+   * @returns {Promise<Array>} Array of scheduled orders, earliest first
+   */
+  async getPendingScheduledOrders(dueBy = new Date()) {
+    try {
+      await this.connect();
+
+      const rows = this.db
+        .prepare(
+          `
+          SELECT * FROM scheduled_orders
+          WHERE status = 'pending' AND scheduled_time <= ?
+          ORDER BY scheduled_time ASC
+        `,
+        )
+        .all(this.toTimestamp(dueBy))
+        .map((row) => this.mapRow(row));
+
+      logger.debug(
+        `getPendingScheduledOrders: Found ${rows.length} pending orders`,
+      );
+      return rows;
+    } catch (err) {
+      logger.error("Error getting pending scheduled orders:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Check if there are any pending scheduled orders (regardless of time)
+   * Used to determine if monitoring should be active
+   * @returns {Promise<boolean>} True if there are pending orders
+   */
+  async hasAnyPendingScheduledOrders() {
+    try {
+      await this.connect();
+
+      const row = this.db
+        .prepare(
+          "SELECT COUNT(*) as count FROM scheduled_orders WHERE status = 'pending'",
+        )
+        .get();
+
+      logger.debug(
+        `hasAnyPendingScheduledOrders: Found ${row.count} pending orders (all times)`,
+      );
+      return row.count > 0;
+    } catch (err) {
+      logger.error("Error checking for any pending scheduled orders:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Update scheduled order status
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} status - New status
+   * @param {number} orderId - Order ID (optional)
+   * @param {string} errorMessage - Error message (optional)
+   * @returns {Promise<boolean>} True if updated
+   */
+  async updateScheduledOrderStatus(
+    scheduledOrderId,
+    status,
+    orderId = null,
+    errorMessage = null,
+  ) {
+    try {
+      await this.connect();
+
+      const params = { id: scheduledOrderId, status };
+      let query = "UPDATE scheduled_orders SET status = @status";
+
+      if (orderId) {
+        params.order_id = orderId;
+        query += ", order_id = @order_id";
+      }
+
+      if (errorMessage) {
+        params.error_message = errorMessage;
+        query += ", error_message = @error_message";
+      }
+
+      if (status === "completed" || status === "failed") {
+        params.executed_at = this.toTimestamp(new Date());
+        query += ", executed_at = @executed_at";
+      }
+
+      query += " WHERE id = @id";
+
+      this.db.prepare(query).run(params);
+      return true;
+    } catch (err) {
+      logger.error("Error updating scheduled order status:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get user's scheduled orders
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<Array>} Array of scheduled orders
+   */
+  async getUserScheduledOrders(telegramUserId) {
+    try {
+      await this.connect();
+
+      return this.db
+        .prepare(
+          `
+          SELECT * FROM scheduled_orders
+          WHERE telegram_user_id = ?
+          ORDER BY scheduled_time DESC
+        `,
+        )
+        .all(String(telegramUserId))
+        .map((row) => this.mapRow(row));
+    } catch (err) {
+      logger.error("Error getting user scheduled orders:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Cancel a pending or paused scheduled order (a recurring one stops for good)
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it (for authorization)
+   * @returns {Promise<boolean>} True if cancelled
+   */
+  async cancelScheduledOrder(scheduledOrderId, telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          UPDATE scheduled_orders
+          SET status = 'cancelled'
+          WHERE id = ? AND COALESCE(requested_by, telegram_user_id) = ?
+            AND status IN ('pending', 'paused')
+        `,
+        )
+        .run(scheduledOrderId, String(telegramUserId));
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error cancelling scheduled order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Pending and paused schedules of a user, next run first, with their last run
+   * @param {string} telegramUserId - Telegram user who scheduled them
+   * @returns {Promise<Array>} scheduled_orders rows plus last_run_status, last_run_order_id, last_run_at
+   */
+  async getUserSchedules(telegramUserId) {
+    try {
+      await this.connect();
+
+      return this.db
+        .prepare(
+          `
+          SELECT s.*, r.status AS last_run_status, r.order_id AS last_run_order_id,
+            r.started_at AS last_run_at
+          FROM scheduled_orders s
+          LEFT JOIN scheduled_order_runs r ON r.id = (
+            SELECT id FROM scheduled_order_runs
+            WHERE scheduled_order_id = s.id
+            ORDER BY started_at DESC, id DESC
+            LIMIT 1
+          )
+          WHERE COALESCE(s.requested_by, s.telegram_user_id) = ?
+            AND s.status IN ('pending', 'paused')
+          ORDER BY s.scheduled_time ASC
+        `,
+        )
+        .all(String(telegramUserId))
+        .map((row) => this.mapRow(row));
+    } catch (err) {
+      logger.error("Error getting user schedules:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Pause a pending schedule (it is skipped until resumed)
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it (for authorization)
+   * @returns {Promise<boolean>} True if paused
+   */
+  async pauseScheduledOrder(scheduledOrderId, telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          UPDATE scheduled_orders
+          SET status = 'paused'
+          WHERE id = ? AND COALESCE(requested_by, telegram_user_id) = ? AND status = 'pending'
+        `,
+        )
+        .run(scheduledOrderId, String(telegramUserId));
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error pausing scheduled order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Resume a paused schedule at its next run
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it (for authorization)
+   * @param {Date} scheduledTime - Next run
+   * @returns {Promise<boolean>} True if resumed
+   */
+  async resumeScheduledOrder(scheduledOrderId, telegramUserId, scheduledTime) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          UPDATE scheduled_orders
+          SET status = 'pending', scheduled_time = ?
+          WHERE id = ? AND COALESCE(requested_by, telegram_user_id) = ? AND status = 'paused'
+        `,
+        )
+        .run(this.toTimestamp(scheduledTime), scheduledOrderId, String(telegramUserId));
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error resuming scheduled order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Move a schedule to another time (a recurring schedule to its next run)
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {Date} scheduledTime - New time
+   * @returns {Promise<boolean>} True if updated
+   */
+  async updateScheduledOrderTime(scheduledOrderId, scheduledTime) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare("UPDATE scheduled_orders SET scheduled_time = ? WHERE id = ?")
+        .run(this.toTimestamp(scheduledTime), scheduledOrderId);
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error updating scheduled order time:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Move a pending or paused schedule to a new time and recurrence (a paused one stays paused)
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it (for authorization)
+   * @param {Object} schedule - {scheduledTime: next run, recurrence: cron or null for one-off, timeZone}
+   * @returns {Promise<boolean>} True if updated
+   */
+  async rescheduleScheduledOrder(scheduledOrderId, telegramUserId, { scheduledTime, recurrence, timeZone }) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          UPDATE scheduled_orders
+          SET scheduled_time = @scheduled_time, recurrence = @recurrence, time_zone = @time_zone
+          WHERE id = @id AND COALESCE(requested_by, telegram_user_id) = @telegram_user_id
+            AND status IN ('pending', 'paused')
+        `,
+        )
+        .run({
+          id: scheduledOrderId,
+          telegram_user_id: String(telegramUserId),
+          scheduled_time: this.toTimestamp(scheduledTime),
+          recurrence: recurrence || null,
+          time_zone: timeZone || null,
+        });
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error rescheduling scheduled order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Change the quantity of a pending or paused schedule
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it (for authorization)
+   * @param {number} quantity - New quantity
+   * @returns {Promise<boolean>} True if updated
+   */
+  async updateScheduledOrderQuantity(scheduledOrderId, telegramUserId, quantity) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          UPDATE scheduled_orders
+          SET quantity = ?
+          WHERE id = ? AND COALESCE(requested_by, telegram_user_id) = ?
+            AND status IN ('pending', 'paused')
+        `,
+        )
+        .run(quantity, scheduledOrderId, String(telegramUserId));
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error updating scheduled order quantity:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Change the card of a pending or paused schedule (same game)
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {string} telegramUserId - Telegram user who scheduled it (for authorization)
+   * @param {Object} card - {cardName, cardValue, cardIndex, unitGold}
+   * @returns {Promise<boolean>} True if updated
+   */
+  async updateScheduledOrderCard(scheduledOrderId, telegramUserId, { cardName, cardValue, cardIndex, unitGold }) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          UPDATE scheduled_orders
+          SET card_name = @card_name, card_value = @card_value, card_index = @card_index, unit_gold = @unit_gold
+          WHERE id = @id AND COALESCE(requested_by, telegram_user_id) = @telegram_user_id
+            AND status IN ('pending', 'paused')
+        `,
+        )
+        .run({
+          id: scheduledOrderId,
+          telegram_user_id: String(telegramUserId),
+          card_name: cardName,
+          card_value: cardValue,
+          card_index: cardIndex,
+          unit_gold: unitGold ?? null,
+        });
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error updating scheduled order card:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Record the start of a schedule run
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @param {Date} scheduledFor - Time the run was due
+   * @returns {Promise<number>} Run ID
+   */
+  async createScheduledOrderRun(scheduledOrderId, scheduledFor) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          INSERT INTO scheduled_order_runs (scheduled_order_id, scheduled_for, started_at)
+          VALUES (?, ?, ?)
+        `,
+        )
+        .run(scheduledOrderId, this.toTimestamp(scheduledFor), this.toTimestamp(new Date()));
+
+      return Number(result.lastInsertRowid);
+    } catch (err) {
+      logger.error("Error creating scheduled order run:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Record the outcome of a schedule run
+   * @param {number} runId - Run ID
+   * @param {string} status - completed, failed, cancelled or skipped
+   * @param {number} orderId - Order ID (optional)
+   * @param {string} errorMessage - Error message (optional)
+   * @returns {Promise<boolean>} True if updated
+   */
+  async finishScheduledOrderRun(runId, status, orderId = null, errorMessage = null) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          UPDATE scheduled_order_runs
+          SET status = @status, order_id = @order_id, error_message = @error_message,
+            finished_at = @finished_at
+          WHERE id = @id
+        `,
+        )
+        .run({
+          id: runId,
+          status,
+          order_id: orderId || null,
+          error_message: errorMessage || null,
+          finished_at: this.toTimestamp(new Date()),
+        });
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error finishing scheduled order run:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get a scheduled order by ID
+   * @param {number} scheduledOrderId - Scheduled order ID
+   * @returns {Promise<Object|null>} scheduled_orders row
+   */
+  async getScheduledOrder(scheduledOrderId) {
+    try {
+      await this.connect();
+
+      return this.mapRow(
+        this.db.prepare("SELECT * FROM scheduled_orders WHERE id = ?").get(scheduledOrderId),
+      );
+    } catch (err) {
+      logger.error("Error getting scheduled order:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // CATALOG HISTORY OPERATIONS
+  // ============================================================================
+
+  /**
+   * Known SKUs of a game (removed ones included, see removed_at)
+   * @param {string} gameId - Game ID from games-catalog
+   * @returns {Promise<Array<Object>>} catalog_skus rows
+   */
+  async getCatalogSkus(gameId) {
+    try {
+      await this.connect();
+
+      return this.db
+        .prepare("SELECT * FROM catalog_skus WHERE game_id = ? ORDER BY unit_gold, sku_name")
+        .all(gameId)
+        .map((row) => ({ ...this.mapRow(row), has_stock: Boolean(row.has_stock) }));
+    } catch (err) {
+      logger.error("Error getting catalog SKUs:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Insert or update one SKU's state
+   * @param {string} gameId - Game ID from games-catalog
+   * @param {Object} sku - {skuKey, skuName, productId, unitGold, hasStock, firstSeenAt,
+   *                       lastSeenAt, lastInStockAt, lastOutOfStockAt, removedAt}
+   */
+  async saveCatalogSku(gameId, sku) {
+    try {
+      await this.connect();
+
+      this.db
+        .prepare(
+          `
+          INSERT INTO catalog_skus
+          (game_id, sku_key, sku_name, product_id, unit_gold, has_stock, first_seen_at, last_seen_at, last_in_stock_at, last_out_of_stock_at, removed_at)
+          VALUES (@game_id, @sku_key, @sku_name, @product_id, @unit_gold, @has_stock, @first_seen_at, @last_seen_at, @last_in_stock_at, @last_out_of_stock_at, @removed_at)
+          ON CONFLICT (game_id, sku_key) DO UPDATE SET
+            sku_name = excluded.sku_name,
+            product_id = excluded.product_id,
+            unit_gold = excluded.unit_gold,
+            has_stock = excluded.has_stock,
+            first_seen_at = excluded.first_seen_at,
+            last_seen_at = excluded.last_seen_at,
+            last_in_stock_at = excluded.last_in_stock_at,
+            last_out_of_stock_at = excluded.last_out_of_stock_at,
+            removed_at = excluded.removed_at
+        `,
+        )
+        .run({
+          game_id: gameId,
+          sku_key: sku.skuKey,
+          sku_name: sku.skuName,
+          product_id: sku.productId ?? null,
+          unit_gold: sku.unitGold ?? null,
+          has_stock: sku.hasStock ? 1 : 0,
+          first_seen_at: this.toTimestamp(sku.firstSeenAt),
+          last_seen_at: this.toTimestamp(sku.lastSeenAt),
+          last_in_stock_at: this.toTimestamp(sku.lastInStockAt),
+          last_out_of_stock_at: this.toTimestamp(sku.lastOutOfStockAt),
+          removed_at: this.toTimestamp(sku.removedAt),
+        });
+    } catch (err) {
+      logger.error("Error saving catalog SKU:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Record catalog changes of one snapshot
+   * @param {string} gameId - Game ID from games-catalog
+   * @param {Array<Object>} events - {skuKey, skuName, eventType, oldUnitGold, newUnitGold, createdAt}
+   */
+  async addCatalogEvents(gameId, events) {
+    try {
+      await this.connect();
+
+      const insert = this.db.prepare(
+        `
+        INSERT INTO catalog_events (game_id, sku_key, sku_name, event_type, old_unit_gold, new_unit_gold, created_at)
+        VALUES (@game_id, @sku_key, @sku_name, @event_type, @old_unit_gold, @new_unit_gold, @created_at)
+      `,
+      );
+
+      const insertAll = this.db.transaction((rows) => {
+        for (const event of rows) {
+          insert.run({
+            game_id: gameId,
+            sku_key: event.skuKey,
+            sku_name: event.skuName,
+            event_type: event.eventType,
+            old_unit_gold: event.oldUnitGold ?? null,
+            new_unit_gold: event.newUnitGold ?? null,
+            created_at: this.toTimestamp(event.createdAt || new Date()),
+          });
+        }
+      });
+
+      insertAll(events);
+    } catch (err) {
+      logger.error("Error adding catalog events:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Latest catalog changes of a game
+   * @param {string} gameId - Game ID from games-catalog
+   * @param {number} limit - Maximum events
+   * @returns {Promise<Array<Object>>} catalog_events rows, newest first
+   */
+  async getCatalogEvents(gameId, limit = 20) {
+    try {
+      await this.connect();
+
+      return this.db
+        .prepare(
+          "SELECT * FROM catalog_events WHERE game_id = ? ORDER BY created_at DESC, id DESC LIMIT ?",
+        )
+        .all(gameId, limit)
+        .map((row) => this.mapRow(row));
+    } catch (err) {
+      logger.error("Error getting catalog events:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // STOCK WATCH OPERATIONS
+  // ============================================================================
+
+  /**
+   * Create a stock watch
+   * @param {Object} watchData - {telegramUserId, chatId, gameId, gameName, gameUrl, regionId,
+   *                             cardName, productId, expiresAt}
+   * @returns {Promise<number>} Stock watch ID
+   */
+  async createStockWatch(watchData) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          INSERT INTO stock_watches
+          (telegram_user_id, chat_id, game_id, game_name, game_url, region_id, card_name, product_id, expires_at)
+          VALUES (@telegram_user_id, @chat_id, @game_id, @game_name, @game_url, @region_id, @card_name, @product_id, @expires_at)
+        `,
+        )
+        .run({
+          telegram_user_id: String(watchData.telegramUserId),
+          chat_id: String(watchData.chatId),
+          game_id: watchData.gameId || null,
+          game_name: watchData.gameName,
+          game_url: watchData.gameUrl,
+          region_id: watchData.regionId ?? null,
+          card_name: watchData.cardName,
+          product_id: watchData.productId ?? null,
+          expires_at: this.toTimestamp(watchData.expiresAt),
+        });
+
+      return Number(result.lastInsertRowid);
+    } catch (err) {
+      logger.error("Error creating stock watch:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get active stock watches of every user
+   * @returns {Promise<Array<Object>>} stock_watches rows
+   */
+  async getActiveStockWatches() {
+    try {
+      await this.connect();
+
+      return this.db
+        .prepare("SELECT * FROM stock_watches WHERE status = 'active' ORDER BY id")
+        .all()
+        .map((row) => this.mapRow(row));
+    } catch (err) {
+      logger.error("Error getting active stock watches:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get a user's active stock watches
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<Array<Object>>} stock_watches rows, soonest expiry first
+   */
+  async getUserStockWatches(telegramUserId) {
+    try {
+      await this.connect();
+
+      return this.db
+        .prepare(
+          `
+          SELECT * FROM stock_watches
+          WHERE telegram_user_id = ? AND status = 'active'
+          ORDER BY expires_at ASC
+        `,
+        )
+        .all(String(telegramUserId))
+        .map((row) => this.mapRow(row));
+    } catch (err) {
+      logger.error("Error getting user stock watches:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get a stock watch by ID
+   * @param {number} watchId - Stock watch ID
+   * @returns {Promise<Object|null>} stock_watches row
+   */
+  async getStockWatch(watchId) {
+    try {
+      await this.connect();
+
+      return this.mapRow(
+        this.db.prepare("SELECT * FROM stock_watches WHERE id = ?").get(watchId),
+      );
+    } catch (err) {
+      logger.error("Error getting stock watch:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Move an active stock watch to a final status
+   * @param {number} watchId - Stock watch ID
+   * @param {string} status - 'notified' | 'expired'
+   * @returns {Promise<boolean>} True if the watch was still active
+   */
+  async closeStockWatch(watchId, status) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          UPDATE stock_watches
+          SET status = ?, closed_at = ?
+          WHERE id = ? AND status = 'active'
+        `,
+        )
+        .run(status, this.toTimestamp(new Date()), watchId);
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error closing stock watch:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Cancel a user's active stock watch
+   * @param {number} watchId - Stock watch ID
+   * @param {string} telegramUserId - Telegram user ID (owner)
+   * @returns {Promise<boolean>} True if cancelled
+   */
+  async cancelStockWatch(watchId, telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          UPDATE stock_watches
+          SET status = 'cancelled', closed_at = ?
+          WHERE id = ? AND telegram_user_id = ? AND status = 'active'
+        `,
+        )
+        .run(this.toTimestamp(new Date()), watchId, String(telegramUserId));
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error cancelling stock watch:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // ORDER QUEUE OPERATIONS
+  // ============================================================================
+
+  /**
+   * Add an order to the queue
+   * @param {Object} entryData - {telegramUserId, chatId, accountUserId, gameName, gameUrl, cardName,
+   *                             cardIndex, quantity, unitGold, scheduledOrderId, scheduledRunId, priority,
+   *                             cartItems (JSON lines of a cart order),
+   *                             encryptPins (true / false, null = the user's PIN archive setting)}
+   * @returns {Promise<number>} Queue entry ID
+   */
+  async createQueuedOrder(entryData) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          INSERT INTO order_queue
+          (telegram_user_id, chat_id, account_user_id, game_name, game_url, card_name, card_index, quantity,
+            unit_gold, scheduled_order_id, scheduled_run_id, priority, cart_items, encrypt_pins)
+          VALUES (@telegram_user_id, @chat_id, @account_user_id, @game_name, @game_url, @card_name, @card_index, @quantity,
+            @unit_gold, @scheduled_order_id, @scheduled_run_id, @priority, @cart_items, @encrypt_pins)
+        `,
+        )
+        .run({
+          telegram_user_id: String(entryData.telegramUserId),
+          chat_id: String(entryData.chatId),
+          account_user_id: entryData.accountUserId ? String(entryData.accountUserId) : null,
+          game_name: entryData.gameName,
+          game_url: entryData.gameUrl,
+          card_name: entryData.cardName,
+          card_index: entryData.cardIndex ?? null,
+          quantity: entryData.quantity,
+          unit_gold: entryData.unitGold ?? null,
+          scheduled_order_id: entryData.scheduledOrderId || null,
+          scheduled_run_id: entryData.scheduledRunId || null,
+          priority: entryData.priority || 0,
+          cart_items: entryData.cartItems || null,
+          encrypt_pins: typeof entryData.encryptPins === "boolean" ? Number(entryData.encryptPins) : null,
+        });
+
+      return Number(result.lastInsertRowid);
+    } catch (err) {
+      logger.error("Error queueing order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get queue entries still queued or processing, in the order they run
+   * @returns {Promise<Array<Object>>} order_queue rows (highest priority first, then FIFO)
+   */
+  async getOpenQueuedOrders() {
+    try {
+      await this.connect();
+
+      return this.db
+        .prepare(
+          `
+          SELECT * FROM order_queue
+          WHERE status IN ('queued', 'processing')
+          ORDER BY priority DESC, id ASC
+        `,
+        )
+        .all()
+        .map((row) => this.mapRow(row));
+    } catch (err) {
+      logger.error("Error getting queued orders:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Mark a queued order as processing
+   * @param {number} entryId - Queue entry ID
+   * @returns {Promise<boolean>} True if it was still queued
+   */
+  async startQueuedOrder(entryId) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          UPDATE order_queue
+          SET status = 'processing', started_at = ?
+          WHERE id = ? AND status = 'queued'
+        `,
+        )
+        .run(this.toTimestamp(new Date()), entryId);
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error starting queued order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Move a queue entry to a final status
+   * @param {number} entryId - Queue entry ID
+   * @param {string} status - completed, failed, cancelled or interrupted
+   * @param {number} orderId - Order ID (optional)
+   * @param {string} errorMessage - Error message (optional)
+   * @returns {Promise<boolean>} True if it was still queued or processing
+   */
+  async finishQueuedOrder(entryId, status, orderId = null, errorMessage = null) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          UPDATE order_queue
+          SET status = @status, order_id = @order_id, error_message = @error_message,
+            finished_at = @finished_at
+          WHERE id = @id AND status IN ('queued', 'processing')
+        `,
+        )
+        .run({
+          id: entryId,
+          status,
+          order_id: orderId || null,
+          error_message: errorMessage || null,
+          finished_at: this.toTimestamp(new Date()),
+        });
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error finishing queued order:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Cancel a user's order while it is still queued
+   * @param {number} entryId - Queue entry ID
+   * @param {string} telegramUserId - Telegram user ID (owner)
+   * @returns {Promise<boolean>} True if cancelled
+   */
+  async cancelQueuedOrder(entryId, telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          UPDATE order_queue
+          SET status = 'cancelled', finished_at = ?
+          WHERE id = ? AND telegram_user_id = ? AND status = 'queued'
+        `,
+        )
+        .run(this.toTimestamp(new Date()), entryId, String(telegramUserId));
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error cancelling queued order:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // ORDER TEMPLATE OPERATIONS
+  // ============================================================================
+
+  /**
+   * Save an order template
+   * @param {Object} templateData - {telegramUserId, name, gameId, gameName, gameUrl, regionId,
+   *                                cardName, productId, quantity, accountUserId}
+   * @returns {Promise<number>} Order template ID
+   */
+  async createOrderTemplate(templateData) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare(
+          `
+          INSERT INTO order_templates
+          (telegram_user_id, name, game_id, game_name, game_url, region_id, card_name, product_id, quantity, account_user_id)
+          VALUES (@telegram_user_id, @name, @game_id, @game_name, @game_url, @region_id, @card_name, @product_id, @quantity,
+            @account_user_id)
+        `,
+        )
+        .run({
+          telegram_user_id: String(templateData.telegramUserId),
+          name: templateData.name,
+          game_id: templateData.gameId || null,
+          game_name: templateData.gameName,
+          game_url: templateData.gameUrl,
+          region_id: templateData.regionId ?? null,
+          card_name: templateData.cardName,
+          product_id: templateData.productId ?? null,
+          quantity: templateData.quantity,
+          account_user_id: templateData.accountUserId ? String(templateData.accountUserId) : null,
+        });
+
+      return Number(result.lastInsertRowid);
+    } catch (err) {
+      logger.error("Error creating order template:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get a user's order templates
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<Array<Object>>} order_templates rows, by name
+   */
+  async getUserOrderTemplates(telegramUserId) {
+    try {
+      await this.connect();
+
+      return this.db
+        .prepare("SELECT * FROM order_templates WHERE telegram_user_id = ? ORDER BY name COLLATE NOCASE, id")
+        .all(String(telegramUserId))
+        .map((row) => this.mapRow(row));
+    } catch (err) {
+      logger.error("Error getting order templates:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get one of a user's order templates
+   * @param {number} templateId - Order template ID
+   * @param {string} telegramUserId - Telegram user ID (owner)
+   * @returns {Promise<Object|null>} order_templates row, or null if not theirs
+   */
+  async getOrderTemplate(templateId, telegramUserId) {
+    try {
+      await this.connect();
+
+      return this.mapRow(
+        this.db
+          .prepare("SELECT * FROM order_templates WHERE id = ? AND telegram_user_id = ?")
+          .get(templateId, String(telegramUserId)),
+      );
+    } catch (err) {
+      logger.error("Error getting order template:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Delete one of a user's order templates
+   * @param {number} templateId - Order template ID
+   * @param {string} telegramUserId - Telegram user ID (owner)
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteOrderTemplate(templateId, telegramUserId) {
+    try {
+      await this.connect();
+
+      const result = this.db
+        .prepare("DELETE FROM order_templates WHERE id = ? AND telegram_user_id = ?")
+        .run(templateId, String(telegramUserId));
+
+      return result.changes > 0;
+    } catch (err) {
+      logger.error("Error deleting order template:", err);
+      throw err;
+    }
+  }
+
+  // ============================================================================
+  // USER PREFERENCE OPERATIONS (keyed by real Telegram ID, not the shared operator)
+  // ============================================================================
+
+  /**
+   * Preferences a Telegram user picked in /settings
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<Object|null>} user_preferences row, or null if none saved
+   */
+  async getUserPreferences(telegramUserId) {
+    try {
+      await this.connect();
+
+      const row = this.db
+        .prepare("SELECT * FROM user_preferences WHERE telegram_user_id = ?")
+        .get(String(telegramUserId));
+
+      return this.mapRow(row);
+    } catch (err) {
+      logger.error("Error getting user preferences:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Save a user's timezone
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string|null} timeZone - IANA timezone (null = default)
+   */
+  async setUserTimeZone(telegramUserId, timeZone) {
+    try {
+      await this.connect();
+
+      this.db
+        .prepare(
+          `
+          INSERT INTO user_preferences (telegram_user_id, time_zone)
+          VALUES (?, ?)
+          ON CONFLICT (telegram_user_id) DO UPDATE SET
+            time_zone = excluded.time_zone,
+            updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        `,
+        )
+        .run(String(telegramUserId), timeZone);
+    } catch (err) {
+      logger.error("Error saving user timezone:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Save a user's PIN file format
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string|null} format - txt, csv or json (null = txt)
+   */
+  async setUserPinFileFormat(telegramUserId, format) {
+    try {
+      await this.connect();
+
+      this.db
+        .prepare(
+          `
+          INSERT INTO user_preferences (telegram_user_id, pin_file_format)
+          VALUES (?, ?)
+          ON CONFLICT (telegram_user_id) DO UPDATE SET
+            pin_file_format = excluded.pin_file_format,
+            updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        `,
+        )
+        .run(String(telegramUserId), format);
+    } catch (err) {
+      logger.error("Error saving user PIN file format:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Save how a user gets PIN files
+   * @param {string} telegramUserId - Telegram user ID
+   * @param {string|null} mode - passphrase or one_time (null = plain files)
+   * @param {string|null} passphrase - ZIP passphrase (stored encrypted; only kept for passphrase mode)
+   */
+  async setUserPinArchive(telegramUserId, mode, passphrase = null) {
+    try {
+      await this.connect();
+
+      this.db
+        .prepare(
+          `
+          INSERT INTO user_preferences (telegram_user_id, pin_archive, pin_archive_passphrase_encrypted)
+          VALUES (?, ?, ?)
+          ON CONFLICT (telegram_user_id) DO UPDATE SET
+            pin_archive = excluded.pin_archive,
+            pin_archive_passphrase_encrypted = excluded.pin_archive_passphrase_encrypted,
+            updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        `,
+        )
+        .run(
+          String(telegramUserId),
+          mode,
+          mode === "passphrase" && passphrase ? encryptionService.encrypt(passphrase) : null,
+        );
+    } catch (err) {
+      logger.error("Error saving user PIN archive setting:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * Close database file
+   */
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      logger.database("Database connection closed");
+    }
+  }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,613 @@
+/**
+ * Storage Backend
+ *
+ * Contract shared by every storage implementation (MSSQL, SQLite).
+ * Covers orders, purchases, user_accounts (Razer accounts), user_roles, spending_limits, backup_codes,
+ * scheduled_orders, scheduled_order_runs and user_preferences.
+ * Implementations override every async method below; shared-operator scoping
+ * and credential decryption live here so all backends behave the same.
+ *
+ * Razer accounts: every Razer account is a user_accounts row keyed by an operator ID.
+ * Account 1 is SHARED_OPERATOR_USER_ID, account N is SHARED_OPERATOR_USER_ID + N - 1.
+ * Credentials and backup codes are scoped to the account passed in, and any other
+ * ID (a real Telegram user) falls back to account 1.
+ */
+
+class StorageBackend {
+  constructor() {
+    // Migration dialect ("mssql" | "sqlite"), set by each backend
+    this.dialect = null;
+
+    // Shared-operator mode: all bot users read/write same credentials and backup codes.
+    this.SHARED_OPERATOR_USER_ID =
+      process.env.GLOBAL_OPERATOR_USER_ID || "900000000000000001";
+
+    // Operator IDs reserved for additional Razer accounts after the shared one
+    this.MAX_RAZER_ACCOUNTS = 100;
+  }
+
+  getSharedOperatorUserId() {
+    return this.SHARED_OPERATOR_USER_ID;
+  }
+
+  /**
+   * Operator ID of a Razer account
+   * @param {number} accountNumber - Account number (1 = shared operator account)
+   * @returns {string} Operator user ID
+   */
+  getAccountUserId(accountNumber) {
+    return String(BigInt(this.SHARED_OPERATOR_USER_ID) + BigInt(accountNumber - 1));
+  }
+
+  /**
+   * Account number of an operator ID
+   * @param {string|number|null} userId - Operator or Telegram user ID
+   * @returns {number|null} Account number, or null if the ID is not a Razer account
+   */
+  getAccountNumber(userId) {
+    if (userId === null || userId === undefined || !/^\d+$/.test(String(userId))) {
+      return null;
+    }
+
+    const offset = BigInt(userId) - BigInt(this.SHARED_OPERATOR_USER_ID);
+    if (offset < 0n || offset >= BigInt(this.MAX_RAZER_ACCOUNTS)) {
+      return null;
+    }
+    return Number(offset) + 1;
+  }
+
+  isAccountUserId(userId) {
+    return this.getAccountNumber(userId) !== null;
+  }
+
+  /**
+   * User ID that credentials and backup codes are stored under
+   * @param {string|null} userId - Razer account operator ID, or a Telegram user ID
+   * @returns {string} The account's operator ID, or the shared operator ID
+   */
+  normalizeSharedOperatorId(userId = null) {
+    return this.isAccountUserId(userId)
+      ? String(userId)
+      : this.getSharedOperatorUserId();
+  }
+
+  /**
+   * Shape a user_accounts row (plus active_backup_codes) as a Razer account
+   * @param {Object} row - Raw row
+   * @returns {{account_user_id: string, account_number: number, label: string|null, is_active: boolean, has_credentials: boolean, active_backup_codes: number}}
+   */
+  mapRazerAccount(row) {
+    const accountUserId = String(row.telegram_user_id);
+    return {
+      account_user_id: accountUserId,
+      account_number: this.getAccountNumber(accountUserId),
+      label: row.label || null,
+      is_active: row.is_active === null || row.is_active === undefined ? true : Boolean(row.is_active),
+      has_credentials: Boolean(row.email_encrypted && row.password_encrypted),
+      active_backup_codes: Number(row.active_backup_codes) || 0,
+    };
+  }
+
+  /**
+   * LIKE pattern matching a text anywhere (use with ESCAPE '\')
+   * @param {string} text - Text to find
+   * @returns {string} e.g. "%50\% off%"
+   */
+  toContainsPattern(text) {
+    return `%${String(text).replace(/[\\%_[]/g, "\\$&")}%`;
+  }
+
+  /**
+   * Throw for contract methods a backend does not implement.
+   * @param {string} methodName - Missing method name
+   */
+  notImplemented(methodName) {
+    throw new Error(
+      `${this.constructor.name} does not implement ${methodName}()`,
+    );
+  }
+
+  // ============================================================================
+  // CONNECTION
+  // ============================================================================
+
+  /** Open the connection (idempotent). */
+  async connect() {
+    this.notImplemented("connect");
+  }
+
+  /** Close the connection. */
+  async close() {
+    this.notImplemented("close");
+  }
+
+  // ============================================================================
+  // SCHEMA MIGRATIONS
+  // ============================================================================
+
+  /** @returns {Promise<number>} Highest applied migration version (0 if none) */
+  async getSchemaVersion() {
+    this.notImplemented("getSchemaVersion");
+  }
+
+  /** Apply {version, name, statements} in a transaction and record it. */
+  async applyMigration(migration) {
+    this.notImplemented("applyMigration");
+  }
+
+  // ============================================================================
+  // ORDER OPERATIONS
+  // ============================================================================
+
+  /** @returns {Promise<Order>} */
+  async createOrder(telegramUserId, cardsCount, cardValue, gameName, context = {}) {
+    this.notImplemented("createOrder");
+  }
+
+  /** @returns {Promise<Order|null>} */
+  async getOrderById(orderId) {
+    this.notImplemented("getOrderById");
+  }
+
+  /** @returns {Promise<Order[]>} */
+  async getUserOrdersPaginated(telegramUserId, limit, offset, filters = {}) {
+    this.notImplemented("getUserOrdersPaginated");
+  }
+
+  /** @returns {Promise<number>} */
+  async getUserOrderCount(telegramUserId, filters = {}) {
+    this.notImplemented("getUserOrderCount");
+  }
+
+  /** @returns {Promise<Array<{game_name: string, card_value: string, order_count: number}>>} */
+  async getUserOrderGameCards(telegramUserId) {
+    this.notImplemented("getUserOrderGameCards");
+  }
+
+  /** @returns {Promise<Order[]>} */
+  async getOrdersByStatus(status) {
+    this.notImplemented("getOrdersByStatus");
+  }
+
+  /** @returns {Promise<Order>} */
+  async updateOrderStatusWithCount(orderId, status, purchaseCount) {
+    this.notImplemented("updateOrderStatusWithCount");
+  }
+
+  /** @returns {Promise<Order>} */
+  async updateOrderStatus(orderId, status) {
+    this.notImplemented("updateOrderStatus");
+  }
+
+  /** @returns {Promise<Order>} */
+  async incrementOrderProgress(orderId) {
+    this.notImplemented("incrementOrderProgress");
+  }
+
+  // ============================================================================
+  // PURCHASE OPERATIONS
+  // ============================================================================
+
+  /** @returns {Promise<Purchase[]>} */
+  async getOrderPurchases(orderId) {
+    this.notImplemented("getOrderPurchases");
+  }
+
+  /** @returns {Promise<Purchase>} */
+  async createPurchaseWithEncryptedPin(purchaseData) {
+    this.notImplemented("createPurchaseWithEncryptedPin");
+  }
+
+  /** @returns {Promise<Purchase>} */
+  async updatePurchaseDetails(purchaseId, details) {
+    this.notImplemented("updatePurchaseDetails");
+  }
+
+  /** @returns {Promise<Set<string>>} */
+  async getTransactionIdsSince(since) {
+    this.notImplemented("getTransactionIdsSince");
+  }
+
+  /** @returns {Promise<Object[]>} purchases rows with their order's unit_gold */
+  async getPurchasesByTransactionIds(transactionIds) {
+    this.notImplemented("getPurchasesByTransactionIds");
+  }
+
+  /** @returns {Promise<Purchase>} */
+  async updatePurchaseStatus(purchaseId, status) {
+    this.notImplemented("updatePurchaseStatus");
+  }
+
+  // ============================================================================
+  // USER OPERATIONS
+  // ============================================================================
+
+  /** @returns {Promise<User|null>} */
+  async getUserByTelegramId(telegramUserId) {
+    this.notImplemented("getUserByTelegramId");
+  }
+
+  /**
+   * Get decrypted user credentials for auto-relogin
+   * @param {string} telegramUserId - Telegram user ID
+   * @returns {Promise<{email: string, password: string}|null>} Decrypted credentials or null
+   */
+  async getUserCredentials(telegramUserId) {
+    const logger = require("../../utils/logger");
+    try {
+      const user = await this.getUserByTelegramId(telegramUserId);
+      if (!user) return null;
+
+      const encryption = require("../../utils/encryption");
+
+      return {
+        email: user.email_encrypted
+          ? encryption.decrypt(user.email_encrypted)
+          : null,
+        password: user.password_encrypted
+          ? encryption.decrypt(user.password_encrypted)
+          : null,
+      };
+    } catch (err) {
+      logger.error("Error getting user credentials:", err);
+      throw err;
+    }
+  }
+
+  /** @returns {Promise<void>} */
+  async ensureUserExists(telegramUserId) {
+    this.notImplemented("ensureUserExists");
+  }
+
+  /** @returns {Promise<User>} */
+  async saveUserCredentials(telegramUserId, emailEncrypted, passwordEncrypted) {
+    this.notImplemented("saveUserCredentials");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async deleteUserCredentials(telegramUserId) {
+    this.notImplemented("deleteUserCredentials");
+  }
+
+  // ============================================================================
+  // RAZER ACCOUNT OPERATIONS (user_accounts rows keyed by operator ID)
+  // ============================================================================
+
+  /** @returns {Promise<Array<Object>>} Accounts (see mapRazerAccount), account 1 first */
+  async getRazerAccounts() {
+    this.notImplemented("getRazerAccounts");
+  }
+
+  /** @returns {Promise<void>} Creates the account if needed and sets its label */
+  async saveRazerAccount(accountUserId, label) {
+    this.notImplemented("saveRazerAccount");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async setRazerAccountActive(accountUserId, isActive) {
+    this.notImplemented("setRazerAccountActive");
+  }
+
+  /** @returns {Promise<Array<{account_user_id, orders, cards, gold}>>} Bought per account in [since, until) */
+  async getAccountSpendingBetween(since, until) {
+    this.notImplemented("getAccountSpendingBetween");
+  }
+
+  // ============================================================================
+  // USER ROLE OPERATIONS (keyed by real Telegram ID, not the shared operator)
+  // ============================================================================
+
+  /** @returns {Promise<Object|null>} {telegram_user_id, role, granted_by, created_at, updated_at} */
+  async getUserRole(telegramUserId) {
+    this.notImplemented("getUserRole");
+  }
+
+  /** @returns {Promise<Object>} Stored role row */
+  async setUserRole(telegramUserId, role, grantedBy = null) {
+    this.notImplemented("setUserRole");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async deleteUserRole(telegramUserId) {
+    this.notImplemented("deleteUserRole");
+  }
+
+  /** @returns {Promise<Array<Object>>} */
+  async getAllUserRoles() {
+    this.notImplemented("getAllUserRoles");
+  }
+
+  // ============================================================================
+  // SPENDING LIMIT OPERATIONS (keyed by real Telegram ID, not the shared operator)
+  // ============================================================================
+
+  /** @returns {Promise<Array<Object>>} Limit rows; game_key '*' = all games */
+  async getSpendingLimits(telegramUserId) {
+    this.notImplemented("getSpendingLimits");
+  }
+
+  /** @returns {Promise<Object>} Stored limit row */
+  async setSpendingLimit(telegramUserId, gameKey, limits, updatedBy = null) {
+    this.notImplemented("setSpendingLimit");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async deleteSpendingLimit(telegramUserId, gameKey) {
+    this.notImplemented("deleteSpendingLimit");
+  }
+
+  /** @returns {Promise<Array<{game_name, cards, gold}>>} Spent per game in [since, until) */
+  async getUserSpendingBetween(telegramUserId, since, until) {
+    this.notImplemented("getUserSpendingBetween");
+  }
+
+  /** @returns {Promise<Array<{game_name, cards, gold}>>} Pending scheduled per game in [since, until) */
+  async getUserScheduledSpendingBetween(telegramUserId, since, until, excludeScheduledOrderId = null) {
+    this.notImplemented("getUserScheduledSpendingBetween");
+  }
+
+  // ============================================================================
+  // BACKUP CODE OPERATIONS
+  // ============================================================================
+
+  /** @returns {Promise<number>} */
+  async saveBackupCodes(telegramUserId, codes) {
+    this.notImplemented("saveBackupCodes");
+  }
+
+  /** @returns {Promise<string|null>} */
+  async getNextBackupCode(telegramUserId) {
+    this.notImplemented("getNextBackupCode");
+  }
+
+  /** @returns {Promise<{id: number, code: string}|null>} */
+  async reserveNextBackupCode(telegramUserId) {
+    this.notImplemented("reserveNextBackupCode");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async markBackupCodeAsUsed(telegramUserId) {
+    this.notImplemented("markBackupCodeAsUsed");
+  }
+
+  /** @returns {Promise<Array<{id: number, code: string}>>} */
+  async getAllActiveBackupCodes(telegramUserId) {
+    this.notImplemented("getAllActiveBackupCodes");
+  }
+
+  /** @returns {Promise<number>} */
+  async markBackupCodesAsUsedByIds(codeIds) {
+    this.notImplemented("markBackupCodesAsUsedByIds");
+  }
+
+  /** @returns {Promise<number>} */
+  async getActiveBackupCodeCount(telegramUserId) {
+    this.notImplemented("getActiveBackupCodeCount");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async deleteAllBackupCodes(telegramUserId) {
+    this.notImplemented("deleteAllBackupCodes");
+  }
+
+  // ============================================================================
+  // SCHEDULED ORDER OPERATIONS
+  // ============================================================================
+
+  /** @returns {Promise<number>} Scheduled order ID */
+  async createScheduledOrder(orderData) {
+    this.notImplemented("createScheduledOrder");
+  }
+
+  /** @returns {Promise<Array>} Pending orders due by dueBy (default now), earliest first */
+  async getPendingScheduledOrders(dueBy = new Date()) {
+    this.notImplemented("getPendingScheduledOrders");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async hasAnyPendingScheduledOrders() {
+    this.notImplemented("hasAnyPendingScheduledOrders");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async updateScheduledOrderStatus(scheduledOrderId, status, orderId = null, errorMessage = null) {
+    this.notImplemented("updateScheduledOrderStatus");
+  }
+
+  /** @returns {Promise<Array>} */
+  async getUserScheduledOrders(telegramUserId) {
+    this.notImplemented("getUserScheduledOrders");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async cancelScheduledOrder(scheduledOrderId, telegramUserId) {
+    this.notImplemented("cancelScheduledOrder");
+  }
+
+  /** @returns {Promise<Array>} Pending and paused schedules of a user, with their last run */
+  async getUserSchedules(telegramUserId) {
+    this.notImplemented("getUserSchedules");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async pauseScheduledOrder(scheduledOrderId, telegramUserId) {
+    this.notImplemented("pauseScheduledOrder");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async resumeScheduledOrder(scheduledOrderId, telegramUserId, scheduledTime) {
+    this.notImplemented("resumeScheduledOrder");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async updateScheduledOrderTime(scheduledOrderId, scheduledTime) {
+    this.notImplemented("updateScheduledOrderTime");
+  }
+
+  /** @returns {Promise<boolean>} True if a pending or paused schedule of the user was moved */
+  async rescheduleScheduledOrder(scheduledOrderId, telegramUserId, { scheduledTime, recurrence, timeZone }) {
+    this.notImplemented("rescheduleScheduledOrder");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async updateScheduledOrderQuantity(scheduledOrderId, telegramUserId, quantity) {
+    this.notImplemented("updateScheduledOrderQuantity");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async updateScheduledOrderCard(scheduledOrderId, telegramUserId, { cardName, cardValue, cardIndex, unitGold }) {
+    this.notImplemented("updateScheduledOrderCard");
+  }
+
+  /** @returns {Promise<number>} Run ID */
+  async createScheduledOrderRun(scheduledOrderId, scheduledFor) {
+    this.notImplemented("createScheduledOrderRun");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async finishScheduledOrderRun(runId, status, orderId = null, errorMessage = null) {
+    this.notImplemented("finishScheduledOrderRun");
+  }
+
+  /** @returns {Promise<Object|null>} */
+  async getScheduledOrder(scheduledOrderId) {
+    this.notImplemented("getScheduledOrder");
+  }
+
+  // ============================================================================
+  // CATALOG HISTORY OPERATIONS
+  // ============================================================================
+
+  /** @returns {Promise<Array<Object>>} Known SKUs of a game, removed ones included */
+  async getCatalogSkus(gameId) {
+    this.notImplemented("getCatalogSkus");
+  }
+
+  /** @returns {Promise<void>} Inserts or updates one SKU's state */
+  async saveCatalogSku(gameId, sku) {
+    this.notImplemented("saveCatalogSku");
+  }
+
+  /** @returns {Promise<void>} */
+  async addCatalogEvents(gameId, events) {
+    this.notImplemented("addCatalogEvents");
+  }
+
+  /** @returns {Promise<Array<Object>>} Newest first */
+  async getCatalogEvents(gameId, limit = 20) {
+    this.notImplemented("getCatalogEvents");
+  }
+
+  // ============================================================================
+  // STOCK WATCH OPERATIONS (keyed by real Telegram ID, not the shared operator)
+  // ============================================================================
+
+  /** @returns {Promise<number>} Stock watch ID */
+  async createStockWatch(watchData) {
+    this.notImplemented("createStockWatch");
+  }
+
+  /** @returns {Promise<Array<Object>>} Active watches of every user */
+  async getActiveStockWatches() {
+    this.notImplemented("getActiveStockWatches");
+  }
+
+  /** @returns {Promise<Array<Object>>} Active watches of a user, soonest expiry first */
+  async getUserStockWatches(telegramUserId) {
+    this.notImplemented("getUserStockWatches");
+  }
+
+  /** @returns {Promise<Object|null>} */
+  async getStockWatch(watchId) {
+    this.notImplemented("getStockWatch");
+  }
+
+  /** @returns {Promise<boolean>} True if the watch was still active */
+  async closeStockWatch(watchId, status) {
+    this.notImplemented("closeStockWatch");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async cancelStockWatch(watchId, telegramUserId) {
+    this.notImplemented("cancelStockWatch");
+  }
+
+  // ============================================================================
+  // ORDER QUEUE OPERATIONS
+  // ============================================================================
+
+  /** @returns {Promise<number>} Queue entry ID */
+  async createQueuedOrder(entryData) {
+    this.notImplemented("createQueuedOrder");
+  }
+
+  /** @returns {Promise<Array<Object>>} Queued and processing entries, in run order */
+  async getOpenQueuedOrders() {
+    this.notImplemented("getOpenQueuedOrders");
+  }
+
+  /** @returns {Promise<boolean>} True if it was still queued */
+  async startQueuedOrder(entryId) {
+    this.notImplemented("startQueuedOrder");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async finishQueuedOrder(entryId, status, orderId = null, errorMessage = null) {
+    this.notImplemented("finishQueuedOrder");
+  }
+
+  /** @returns {Promise<boolean>} True if cancelled */
+  async cancelQueuedOrder(entryId, telegramUserId) {
+    this.notImplemented("cancelQueuedOrder");
+  }
+
+  // ============================================================================
+  // ORDER TEMPLATE OPERATIONS
+  // ============================================================================
+
+  /** @returns {Promise<number>} Order template ID */
+  async createOrderTemplate(templateData) {
+    this.notImplemented("createOrderTemplate");
+  }
+
+  /** @returns {Promise<Array<Object>>} order_templates rows */
+  async getUserOrderTemplates(telegramUserId) {
+    this.notImplemented("getUserOrderTemplates");
+  }
+
+  /** @returns {Promise<Object|null>} order_templates row */
+  async getOrderTemplate(templateId, telegramUserId) {
+    this.notImplemented("getOrderTemplate");
+  }
+
+  /** @returns {Promise<boolean>} */
+  async deleteOrderTemplate(templateId, telegramUserId) {
+    this.notImplemented("deleteOrderTemplate");
+  }
+
+  // ============================================================================
+  // USER PREFERENCE OPERATIONS (keyed by real Telegram ID, not the shared operator)
+  // ============================================================================
+
+  /** @returns {Promise<Object|null>} user_preferences row */
+  async getUserPreferences(telegramUserId) {
+    this.notImplemented("getUserPreferences");
+  }
+
+  /** @returns {Promise<void>} */
+  async setUserTimeZone(telegramUserId, timeZone) {
+    this.notImplemented("setUserTimeZone");
+  }
+
+  /** @returns {Promise<void>} */
+  async setUserPinFileFormat(telegramUserId, format) {
+    this.notImplemented("setUserPinFileFormat");
+  }
+
+  /** @returns {Promise<void>} */
+  async setUserPinArchive(telegramUserId, mode, passphrase = null) {
+    this.notImplemented("setUserPinArchive");
+  }
+}
+
+module.exports = StorageBackend;
@@ -0,0 +1,149 @@
+/**
+ * Migration 001 - Initial schema
+ *
+ * Tables used by the bot before migrations existed. MSSQL statements are guarded
+ * with OBJECT_ID checks so databases created by hand are adopted as-is.
+ */
+
+module.exports = {
+  description: "Initial schema",
+
+  mssql: [
+    `IF OBJECT_ID('dbo.orders', 'U') IS NULL
+    CREATE TABLE dbo.orders (
+      id INT IDENTITY(1,1) PRIMARY KEY,
+      telegram_user_id BIGINT NOT NULL,
+      cards_count INT NOT NULL,
+      card_value NVARCHAR(100) NULL,
+      game_name NVARCHAR(100) NULL,
+      status NVARCHAR(50) NOT NULL DEFAULT 'pending',
+      completed_purchases INT NOT NULL DEFAULT 0,
+      created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+    )`,
+
+    `IF OBJECT_ID('dbo.purchases', 'U') IS NULL
+    CREATE TABLE dbo.purchases (
+      id INT IDENTITY(1,1) PRIMARY KEY,
+      order_id INT NOT NULL REFERENCES dbo.orders(id),
+      razer_transaction_id NVARCHAR(100) NULL,
+      card_number INT NULL,
+      status NVARCHAR(20) NOT NULL DEFAULT 'pending',
+      pin_encrypted NVARCHAR(500) NULL,
+      serial_number_encrypted NVARCHAR(500) NULL,
+      game_name NVARCHAR(100) NULL,
+      card_value NVARCHAR(100) NULL,
+      purchased_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+    )`,
+
+    `IF OBJECT_ID('dbo.user_accounts', 'U') IS NULL
+    CREATE TABLE dbo.user_accounts (
+      id INT IDENTITY(1,1) PRIMARY KEY,
+      telegram_user_id BIGINT NOT NULL UNIQUE,
+      username NVARCHAR(50) NULL,
+      email_encrypted NVARCHAR(500) NULL,
+      password_encrypted NVARCHAR(500) NULL,
+      created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+    )`,
+
+    `IF OBJECT_ID('dbo.backup_codes', 'U') IS NULL
+    CREATE TABLE dbo.backup_codes (
+      id INT IDENTITY(1,1) PRIMARY KEY,
+      telegram_user_id BIGINT NOT NULL,
+      code_encrypted NVARCHAR(500) NOT NULL,
+      status NVARCHAR(20) NOT NULL DEFAULT 'active',
+      used_at DATETIME2 NULL,
+      created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+    )`,
+
+    `IF OBJECT_ID('dbo.scheduled_orders', 'U') IS NULL
+    CREATE TABLE dbo.scheduled_orders (
+      id INT IDENTITY(1,1) PRIMARY KEY,
+      telegram_user_id BIGINT NOT NULL,
+      chat_id BIGINT NOT NULL,
+      game_name NVARCHAR(100) NULL,
+      game_url NVARCHAR(500) NULL,
+      card_name NVARCHAR(100) NULL,
+      card_value NVARCHAR(100) NULL,
+      card_index INT NULL,
+      quantity INT NOT NULL,
+      scheduled_time DATETIME2 NOT NULL,
+      status NVARCHAR(20) NOT NULL DEFAULT 'pending',
+      order_id INT NULL,
+      error_message NVARCHAR(MAX) NULL,
+      created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+      executed_at DATETIME2 NULL
+    )`,
+  ],
+
+  // SQLite support arrived with the current schema, so it starts complete.
+  // Telegram IDs are TEXT and timestamps ISO-8601 strings (see SqliteStorage)
+  sqlite: [
+    `CREATE TABLE IF NOT EXISTS orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      telegram_user_id TEXT NOT NULL,
+      cards_count INTEGER NOT NULL,
+      card_value TEXT,
+      game_name TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      completed_purchases INTEGER NOT NULL DEFAULT 0,
+      chat_id TEXT,
+      game_url TEXT,
+      created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )`,
+    `CREATE INDEX IF NOT EXISTS ix_orders_user ON orders (telegram_user_id, created_at)`,
+    `CREATE INDEX IF NOT EXISTS ix_orders_status ON orders (status)`,
+
+    `CREATE TABLE IF NOT EXISTS purchases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id INTEGER NOT NULL REFERENCES orders (id),
+      razer_transaction_id TEXT,
+      card_number INTEGER,
+      status TEXT NOT NULL DEFAULT 'pending',
+      pin_encrypted TEXT,
+      serial_number_encrypted TEXT,
+      game_name TEXT,
+      card_value TEXT,
+      failure_stage TEXT,
+      purchased_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )`,
+    `CREATE INDEX IF NOT EXISTS ix_purchases_order ON purchases (order_id)`,
+
+    `CREATE TABLE IF NOT EXISTS user_accounts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      telegram_user_id TEXT NOT NULL UNIQUE,
+      username TEXT,
+      email_encrypted TEXT,
+      password_encrypted TEXT,
+      created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS backup_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      telegram_user_id TEXT NOT NULL,
+      code_encrypted TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active',
+      used_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )`,
+    `CREATE INDEX IF NOT EXISTS ix_backup_codes_user ON backup_codes (telegram_user_id, status)`,
+
+    `CREATE TABLE IF NOT EXISTS scheduled_orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      telegram_user_id TEXT NOT NULL,
+      chat_id TEXT NOT NULL,
+      game_name TEXT,
+      game_url TEXT,
+      card_name TEXT,
+      card_value TEXT,
+      card_index INTEGER,
+      quantity INTEGER NOT NULL,
+      scheduled_time TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      order_id INTEGER,
+      error_message TEXT,
+      created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      executed_at TEXT
+    )`,
+    `CREATE INDEX IF NOT EXISTS ix_scheduled_orders_status ON scheduled_orders (status, scheduled_time)`,
+  ],
+};
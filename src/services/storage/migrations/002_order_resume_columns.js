@@ -0,0 +1,24 @@
+/**
+ * Migration 002 - Order resume context and failure stage
+ *
+ * orders.chat_id / orders.game_url let interrupted orders be recovered and resumed.
+ * purchases.failure_stage records how far a failed card got.
+ */
+
+module.exports = {
+  description: "Order resume context and purchase failure stage",
+
+  mssql: [
+    `IF COL_LENGTH('dbo.orders', 'chat_id') IS NULL
+    ALTER TABLE dbo.orders ADD chat_id BIGINT NULL`,
+
+    `IF COL_LENGTH('dbo.orders', 'game_url') IS NULL
+    ALTER TABLE dbo.orders ADD game_url NVARCHAR(500) NULL`,
+
+    `IF COL_LENGTH('dbo.purchases', 'failure_stage') IS NULL
+    ALTER TABLE dbo.purchases ADD failure_stage NVARCHAR(50) NULL`,
+  ],
+
+  // Already part of the SQLite initial schema
+  sqlite: [],
+};
@@ -0,0 +1,31 @@
+/**
+ * Migration 003 - Backup code status
+ *
+ * Older databases tracked backup codes with is_used and/or used_at only.
+ * Adds status + used_at where missing and backfills status from the legacy flags,
+ * so every query can rely on status = 'active' | 'used' | 'expired'.
+ * The legacy is_used column is left in place (no longer read or written).
+ */
+
+module.exports = {
+  description: "Backup code status column",
+
+  mssql: [
+    `IF COL_LENGTH('dbo.backup_codes', 'used_at') IS NULL
+    ALTER TABLE dbo.backup_codes ADD used_at DATETIME2 NULL`,
+
+    `IF COL_LENGTH('dbo.backup_codes', 'status') IS NULL
+    ALTER TABLE dbo.backup_codes ADD status NVARCHAR(20) NOT NULL
+      CONSTRAINT DF_backup_codes_status DEFAULT 'active'`,
+
+    // Dynamic SQL: is_used may not exist, which would fail compilation of a static batch
+    `IF COL_LENGTH('dbo.backup_codes', 'is_used') IS NOT NULL
+    EXEC('UPDATE dbo.backup_codes SET status = ''used'' WHERE is_used = 1 AND status = ''active''')`,
+
+    `UPDATE dbo.backup_codes SET status = 'used'
+    WHERE used_at IS NOT NULL AND status = 'active'`,
+  ],
+
+  // Already part of the SQLite initial schema
+  sqlite: [],
+};
@@ -0,0 +1,32 @@
+/**
+ * Migration 004 - User roles
+ *
+ * Role-based access control (admin / operator / viewer) stored per Telegram user.
+ * Replaces the AUTHORIZED_USER_IDS whitelist, which only seeds the first admins.
+ */
+
+module.exports = {
+  description: "User roles for access control",
+
+  mssql: [
+    `IF OBJECT_ID('dbo.user_roles', 'U') IS NULL
+    CREATE TABLE dbo.user_roles (
+      telegram_user_id BIGINT NOT NULL PRIMARY KEY,
+      role NVARCHAR(20) NOT NULL,
+      granted_by BIGINT NULL,
+      created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+      updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+      CONSTRAINT CK_user_roles_role CHECK (role IN ('admin', 'operator', 'viewer'))
+    )`,
+  ],
+
+  sqlite: [
+    `CREATE TABLE IF NOT EXISTS user_roles (
+      telegram_user_id TEXT NOT NULL PRIMARY KEY,
+      role TEXT NOT NULL CHECK (role IN ('admin', 'operator', 'viewer')),
+      granted_by TEXT,
+      created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )`,
+  ],
+};
@@ -0,0 +1,51 @@
+/**
+ * Migration 005 - Spending limits
+ *
+ * spending_limits holds per-user daily caps (cards and Razer Gold), either for all
+ * games (game_key '*') or for one game name.
+ * orders.unit_gold / scheduled_orders.unit_gold record the card price so Gold spent
+ * can be summed; scheduled_orders.requested_by keeps the real Telegram user behind a
+ * scheduled order (telegram_user_id holds the shared operator ID).
+ */
+
+module.exports = {
+  description: "Spending limits and order unit price",
+
+  mssql: [
+    `IF OBJECT_ID('dbo.spending_limits', 'U') IS NULL
+    CREATE TABLE dbo.spending_limits (
+      telegram_user_id BIGINT NOT NULL,
+      game_key NVARCHAR(100) NOT NULL,
+      max_cards_per_day INT NULL,
+      max_gold_per_day INT NULL,
+      updated_by BIGINT NULL,
+      updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+      CONSTRAINT PK_spending_limits PRIMARY KEY (telegram_user_id, game_key)
+    )`,
+
+    `IF COL_LENGTH('dbo.orders', 'unit_gold') IS NULL
+    ALTER TABLE dbo.orders ADD unit_gold INT NULL`,
+
+    `IF COL_LENGTH('dbo.scheduled_orders', 'unit_gold') IS NULL
+    ALTER TABLE dbo.scheduled_orders ADD unit_gold INT NULL`,
+
+    `IF COL_LENGTH('dbo.scheduled_orders', 'requested_by') IS NULL
+    ALTER TABLE dbo.scheduled_orders ADD requested_by BIGINT NULL`,
+  ],
+
+  sqlite: [
+    `CREATE TABLE IF NOT EXISTS spending_limits (
+      telegram_user_id TEXT NOT NULL,
+      game_key TEXT NOT NULL,
+      max_cards_per_day INTEGER,
+      max_gold_per_day INTEGER,
+      updated_by TEXT,
+      updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      PRIMARY KEY (telegram_user_id, game_key)
+    )`,
+
+    `ALTER TABLE orders ADD COLUMN unit_gold INTEGER`,
+    `ALTER TABLE scheduled_orders ADD COLUMN unit_gold INTEGER`,
+    `ALTER TABLE scheduled_orders ADD COLUMN requested_by TEXT`,
+  ],
+};
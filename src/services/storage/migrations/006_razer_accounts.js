@@ -0,0 +1,35 @@
+/**
+ * Migration 006 - Razer accounts
+ *
+ * Each Razer account is a user_accounts row keyed by an operator ID (see StorageBackend).
+ * user_accounts.label / is_active name an account and take it out of order routing.
+ * orders.account_user_id records which account bought an order (NULL = account 1,
+ * orders placed before multiple accounts existed); scheduled_orders.account_user_id
+ * is the account the operator picked (NULL = route automatically).
+ */
+
+module.exports = {
+  description: "Razer accounts and per-account order attribution",
+
+  mssql: [
+    `IF COL_LENGTH('dbo.user_accounts', 'label') IS NULL
+    ALTER TABLE dbo.user_accounts ADD label NVARCHAR(50) NULL`,
+
+    `IF COL_LENGTH('dbo.user_accounts', 'is_active') IS NULL
+    ALTER TABLE dbo.user_accounts ADD is_active BIT NOT NULL
+      CONSTRAINT DF_user_accounts_is_active DEFAULT 1`,
+
+    `IF COL_LENGTH('dbo.orders', 'account_user_id') IS NULL
+    ALTER TABLE dbo.orders ADD account_user_id BIGINT NULL`,
+
+    `IF COL_LENGTH('dbo.scheduled_orders', 'account_user_id') IS NULL
+    ALTER TABLE dbo.scheduled_orders ADD account_user_id BIGINT NULL`,
+  ],
+
+  sqlite: [
+    `ALTER TABLE user_accounts ADD COLUMN label TEXT`,
+    `ALTER TABLE user_accounts ADD COLUMN is_active INTEGER NOT NULL DEFAULT 1`,
+    `ALTER TABLE orders ADD COLUMN account_user_id TEXT`,
+    `ALTER TABLE scheduled_orders ADD COLUMN account_user_id TEXT`,
+  ],
+};
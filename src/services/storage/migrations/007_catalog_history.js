@@ -0,0 +1,76 @@
+/**
+ * Migration 007 - Catalog history
+ *
+ * catalog_skus holds the latest known state of every denomination per game
+ * (keyed by Razer product ID, or card name when the API gives none): price, stock
+ * and when it was first/last seen, last in stock, last out of stock and removed.
+ * catalog_events records each change between two snapshots (added, removed,
+ * in_stock, out_of_stock, price_changed).
+ */
+
+module.exports = {
+  description: "Catalog price and stock history",
+
+  mssql: [
+    `IF OBJECT_ID('dbo.catalog_skus', 'U') IS NULL
+    CREATE TABLE dbo.catalog_skus (
+      game_id NVARCHAR(50) NOT NULL,
+      sku_key NVARCHAR(100) NOT NULL,
+      sku_name NVARCHAR(100) NOT NULL,
+      product_id INT NULL,
+      unit_gold INT NULL,
+      has_stock BIT NOT NULL,
+      first_seen_at DATETIME2 NOT NULL,
+      last_seen_at DATETIME2 NOT NULL,
+      last_in_stock_at DATETIME2 NULL,
+      last_out_of_stock_at DATETIME2 NULL,
+      removed_at DATETIME2 NULL,
+      CONSTRAINT PK_catalog_skus PRIMARY KEY (game_id, sku_key)
+    )`,
+
+    `IF OBJECT_ID('dbo.catalog_events', 'U') IS NULL
+    CREATE TABLE dbo.catalog_events (
+      id INT IDENTITY(1,1) PRIMARY KEY,
+      game_id NVARCHAR(50) NOT NULL,
+      sku_key NVARCHAR(100) NOT NULL,
+      sku_name NVARCHAR(100) NOT NULL,
+      event_type NVARCHAR(20) NOT NULL,
+      old_unit_gold INT NULL,
+      new_unit_gold INT NULL,
+      created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+    )`,
+
+    `IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_catalog_events_game')
+    CREATE INDEX IX_catalog_events_game ON dbo.catalog_events (game_id, created_at)`,
+  ],
+
+  sqlite: [
+    `CREATE TABLE IF NOT EXISTS catalog_skus (
+      game_id TEXT NOT NULL,
+      sku_key TEXT NOT NULL,
+      sku_name TEXT NOT NULL,
+      product_id INTEGER,
+      unit_gold INTEGER,
+      has_stock INTEGER NOT NULL,
+      first_seen_at TEXT NOT NULL,
+      last_seen_at TEXT NOT NULL,
+      last_in_stock_at TEXT,
+      last_out_of_stock_at TEXT,
+      removed_at TEXT,
+      PRIMARY KEY (game_id, sku_key)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS catalog_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      game_id TEXT NOT NULL,
+      sku_key TEXT NOT NULL,
+      sku_name TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      old_unit_gold INTEGER,
+      new_unit_gold INTEGER,
+      created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS ix_catalog_events_game ON catalog_events (game_id, created_at)`,
+  ],
+};
@@ -0,0 +1,53 @@
+/**
+ * Migration 008 - Stock watches
+ *
+ * stock_watches holds /watch requests: notify a user when an out-of-stock card of a
+ * game comes back in stock. A watch is active until it is notified, expires at
+ * expires_at or is cancelled (closed_at records when it left the active state).
+ */
+
+module.exports = {
+  description: "Stock watches for restock notifications",
+
+  mssql: [
+    `IF OBJECT_ID('dbo.stock_watches', 'U') IS NULL
+    CREATE TABLE dbo.stock_watches (
+      id INT IDENTITY(1,1) PRIMARY KEY,
+      telegram_user_id BIGINT NOT NULL,
+      chat_id BIGINT NOT NULL,
+      game_id NVARCHAR(50) NULL,
+      game_name NVARCHAR(100) NOT NULL,
+      game_url NVARCHAR(500) NOT NULL,
+      region_id INT NULL,
+      card_name NVARCHAR(100) NOT NULL,
+      product_id INT NULL,
+      status NVARCHAR(20) NOT NULL DEFAULT 'active',
+      expires_at DATETIME2 NOT NULL,
+      created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+      closed_at DATETIME2 NULL
+    )`,
+
+    `IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_stock_watches_status')
+    CREATE INDEX IX_stock_watches_status ON dbo.stock_watches (status, telegram_user_id)`,
+  ],
+
+  sqlite: [
+    `CREATE TABLE IF NOT EXISTS stock_watches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      telegram_user_id TEXT NOT NULL,
+      chat_id TEXT NOT NULL,
+      game_id TEXT,
+      game_name TEXT NOT NULL,
+      game_url TEXT NOT NULL,
+      region_id INTEGER,
+      card_name TEXT NOT NULL,
+      product_id INTEGER,
+      status TEXT NOT NULL DEFAULT 'active',
+      expires_at TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      closed_at TEXT
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS ix_stock_watches_status ON stock_watches (status, telegram_user_id)`,
+  ],
+};
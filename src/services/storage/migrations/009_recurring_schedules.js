@@ -0,0 +1,50 @@
+/**
+ * Migration 009 - Recurring schedules
+ *
+ * scheduled_orders.recurrence holds a cron expression in the schedule's timezone
+ * (Egypt time until migration 010 added scheduled_orders.time_zone; NULL = one-off).
+ * A recurring schedule stays 'pending' (or 'paused') and scheduled_time moves to its
+ * next run after each run. scheduled_order_runs records every execution of a schedule,
+ * one-off or recurring, with its status and resulting order.
+ */
+
+module.exports = {
+  description: "Recurring schedules and per-run execution records",
+
+  mssql: [
+    `IF COL_LENGTH('dbo.scheduled_orders', 'recurrence') IS NULL
+    ALTER TABLE dbo.scheduled_orders ADD recurrence NVARCHAR(100) NULL`,
+
+    `IF OBJECT_ID('dbo.scheduled_order_runs', 'U') IS NULL
+    CREATE TABLE dbo.scheduled_order_runs (
+      id INT IDENTITY(1,1) PRIMARY KEY,
+      scheduled_order_id INT NOT NULL,
+      scheduled_for DATETIME2 NOT NULL,
+      status NVARCHAR(20) NOT NULL DEFAULT 'processing',
+      order_id INT NULL,
+      error_message NVARCHAR(MAX) NULL,
+      started_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+      finished_at DATETIME2 NULL
+    )`,
+
+    `IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_scheduled_order_runs_schedule')
+    CREATE INDEX IX_scheduled_order_runs_schedule ON dbo.scheduled_order_runs (scheduled_order_id, started_at)`,
+  ],
+
+  sqlite: [
+    `ALTER TABLE scheduled_orders ADD COLUMN recurrence TEXT`,
+
+    `CREATE TABLE IF NOT EXISTS scheduled_order_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scheduled_order_id INTEGER NOT NULL,
+      scheduled_for TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'processing',
+      order_id INTEGER,
+      error_message TEXT,
+      started_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      finished_at TEXT
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS ix_scheduled_order_runs_schedule ON scheduled_order_runs (scheduled_order_id, started_at)`,
+  ],
+};
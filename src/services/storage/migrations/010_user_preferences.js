@@ -0,0 +1,34 @@
+/**
+ * Migration 010 - User preferences
+ *
+ * user_preferences holds per-Telegram-user settings picked in /settings, starting with
+ * time_zone (IANA name, NULL = DEFAULT_TIMEZONE). scheduled_orders.time_zone is the zone
+ * a schedule was entered in, so a recurrence keeps its wall-clock time across DST changes
+ * (NULL = DEFAULT_TIMEZONE, schedules created before timezones existed).
+ */
+
+module.exports = {
+  description: "User preferences (timezone) and schedule timezones",
+
+  mssql: [
+    `IF OBJECT_ID('dbo.user_preferences', 'U') IS NULL
+    CREATE TABLE dbo.user_preferences (
+      telegram_user_id BIGINT NOT NULL PRIMARY KEY,
+      time_zone NVARCHAR(64) NULL,
+      updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+    )`,
+
+    `IF COL_LENGTH('dbo.scheduled_orders', 'time_zone') IS NULL
+    ALTER TABLE dbo.scheduled_orders ADD time_zone NVARCHAR(64) NULL`,
+  ],
+
+  sqlite: [
+    `CREATE TABLE IF NOT EXISTS user_preferences (
+      telegram_user_id TEXT NOT NULL PRIMARY KEY,
+      time_zone TEXT,
+      updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )`,
+
+    `ALTER TABLE scheduled_orders ADD COLUMN time_zone TEXT`,
+  ],
+};
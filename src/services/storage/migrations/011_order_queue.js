@@ -0,0 +1,67 @@
+/**
+ * Migration 011 - Order queue
+ *
+ * order_queue holds orders waiting for the browser, so they survive a restart.
+ * Orders run one at a time by priority (higher first; scheduled orders may get a
+ * higher one), then FIFO. status: queued -> processing -> completed / failed, or
+ * cancelled while queued, or interrupted when the bot stopped during its run.
+ * scheduled_order_id / scheduled_run_id link a queued scheduled run.
+ */
+
+module.exports = {
+  description: "Persistent order queue",
+
+  mssql: [
+    `IF OBJECT_ID('dbo.order_queue', 'U') IS NULL
+    CREATE TABLE dbo.order_queue (
+      id INT IDENTITY(1,1) PRIMARY KEY,
+      telegram_user_id BIGINT NOT NULL,
+      chat_id BIGINT NOT NULL,
+      account_user_id BIGINT NULL,
+      game_name NVARCHAR(100) NOT NULL,
+      game_url NVARCHAR(500) NOT NULL,
+      card_name NVARCHAR(100) NOT NULL,
+      card_index INT NULL,
+      quantity INT NOT NULL,
+      unit_gold INT NULL,
+      scheduled_order_id INT NULL,
+      scheduled_run_id INT NULL,
+      priority INT NOT NULL DEFAULT 0,
+      status NVARCHAR(20) NOT NULL DEFAULT 'queued',
+      order_id INT NULL,
+      error_message NVARCHAR(MAX) NULL,
+      created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+      started_at DATETIME2 NULL,
+      finished_at DATETIME2 NULL
+    )`,
+
+    `IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_order_queue_status')
+    CREATE INDEX IX_order_queue_status ON dbo.order_queue (status, priority, id)`,
+  ],
+
+  sqlite: [
+    `CREATE TABLE IF NOT EXISTS order_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      telegram_user_id TEXT NOT NULL,
+      chat_id TEXT NOT NULL,
+      account_user_id TEXT,
+      game_name TEXT NOT NULL,
+      game_url TEXT NOT NULL,
+      card_name TEXT NOT NULL,
+      card_index INTEGER,
+      quantity INTEGER NOT NULL,
+      unit_gold INTEGER,
+      scheduled_order_id INTEGER,
+      scheduled_run_id INTEGER,
+      priority INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'queued',
+      order_id INTEGER,
+      error_message TEXT,
+      created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      started_at TEXT,
+      finished_at TEXT
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS ix_order_queue_status ON order_queue (status, priority, id)`,
+  ],
+};
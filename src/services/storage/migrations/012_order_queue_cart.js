@@ -0,0 +1,20 @@
+/**
+ * Migration 012 - Cart orders in the order queue
+ *
+ * order_queue.cart_items holds the lines of a cart order as JSON
+ * ([{gameName, gameUrl, cardName, cardIndex, quantity, unitGold}], NULL = single order).
+ * A cart takes one place in the queue; quantity is its total number of cards.
+ */
+
+module.exports = {
+  description: "Cart lines for queued orders",
+
+  mssql: [
+    `IF COL_LENGTH('dbo.order_queue', 'cart_items') IS NULL
+    ALTER TABLE dbo.order_queue ADD cart_items NVARCHAR(MAX) NULL`,
+  ],
+
+  sqlite: [
+    `ALTER TABLE order_queue ADD COLUMN cart_items TEXT`,
+  ],
+};
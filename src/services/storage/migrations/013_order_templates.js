@@ -0,0 +1,52 @@
+/**
+ * Migration 013 - Order templates
+ *
+ * order_templates holds orders a user saved by name (/templates) to buy again with one tap.
+ * The card is found again by product_id when a template runs (by card_name if the product
+ * is unknown or gone), since its position in the catalog can change.
+ * account_user_id is the Razer account picked when saving (NULL = automatic routing).
+ */
+
+module.exports = {
+  description: "Saved order templates",
+
+  mssql: [
+    `IF OBJECT_ID('dbo.order_templates', 'U') IS NULL
+    CREATE TABLE dbo.order_templates (
+      id INT IDENTITY(1,1) PRIMARY KEY,
+      telegram_user_id BIGINT NOT NULL,
+      name NVARCHAR(50) NOT NULL,
+      game_id NVARCHAR(50) NULL,
+      game_name NVARCHAR(100) NOT NULL,
+      game_url NVARCHAR(500) NOT NULL,
+      region_id INT NULL,
+      card_name NVARCHAR(100) NOT NULL,
+      product_id INT NULL,
+      quantity INT NOT NULL,
+      account_user_id BIGINT NULL,
+      created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+    )`,
+
+    `IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_order_templates_user')
+    CREATE INDEX IX_order_templates_user ON dbo.order_templates (telegram_user_id)`,
+  ],
+
+  sqlite: [
+    `CREATE TABLE IF NOT EXISTS order_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      telegram_user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      game_id TEXT,
+      game_name TEXT NOT NULL,
+      game_url TEXT NOT NULL,
+      region_id INTEGER,
+      card_name TEXT NOT NULL,
+      product_id INTEGER,
+      quantity INTEGER NOT NULL,
+      account_user_id TEXT,
+      created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS ix_order_templates_user ON order_templates (telegram_user_id)`,
+  ],
+};
@@ -0,0 +1,21 @@
+/**
+ * Migration 014 - PIN file format
+ *
+ * user_preferences.pin_file_format is the format a user gets PIN files in, for order
+ * delivery, /history downloads and /transactions: txt (PINs only), csv or json (with
+ * serial, transaction ID, game, denomination, Gold cost, purchase time and order ID).
+ * NULL = txt.
+ */
+
+module.exports = {
+  description: "Per-user PIN file format",
+
+  mssql: [
+    `IF COL_LENGTH('dbo.user_preferences', 'pin_file_format') IS NULL
+    ALTER TABLE dbo.user_preferences ADD pin_file_format NVARCHAR(10) NULL`,
+  ],
+
+  sqlite: [
+    `ALTER TABLE user_preferences ADD COLUMN pin_file_format TEXT`,
+  ],
+};
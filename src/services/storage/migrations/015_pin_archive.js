@@ -0,0 +1,32 @@
+/**
+ * Migration 015 - Encrypted PIN archives
+ *
+ * user_preferences.pin_archive is how a user gets PIN files: NULL = plain files,
+ * 'passphrase' = AES-encrypted ZIP opened with their own passphrase
+ * (pin_archive_passphrase_encrypted, encrypted like PINs), 'one_time' = AES-encrypted ZIP
+ * with a fresh password sent in a separate message. order_queue.encrypt_pins is the
+ * per-order choice made before Buy Now (NULL = the user's setting).
+ */
+
+module.exports = {
+  description: "Encrypted PIN archive preference and per-order choice",
+
+  mssql: [
+    `IF COL_LENGTH('dbo.user_preferences', 'pin_archive') IS NULL
+    ALTER TABLE dbo.user_preferences ADD pin_archive NVARCHAR(20) NULL`,
+
+    `IF COL_LENGTH('dbo.user_preferences', 'pin_archive_passphrase_encrypted') IS NULL
+    ALTER TABLE dbo.user_preferences ADD pin_archive_passphrase_encrypted NVARCHAR(MAX) NULL`,
+
+    `IF COL_LENGTH('dbo.order_queue', 'encrypt_pins') IS NULL
+    ALTER TABLE dbo.order_queue ADD encrypt_pins BIT NULL`,
+  ],
+
+  sqlite: [
+    `ALTER TABLE user_preferences ADD COLUMN pin_archive TEXT`,
+
+    `ALTER TABLE user_preferences ADD COLUMN pin_archive_passphrase_encrypted TEXT`,
+
+    `ALTER TABLE order_queue ADD COLUMN encrypt_pins INTEGER`,
+  ],
+};
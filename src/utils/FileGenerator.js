@@ -3,15 +3,29 @@
  * 
  * Single Responsibility: Generate and send PIN files in standardized formats
  * This utility ensures all services use the same file generation logic (SOLID principle)
+ * Formats: txt (PINs only), csv and json (one record per card with its metadata)
+ * Files can be delivered in an AES-256 encrypted ZIP instead (see sendEncryptedArchive)
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
 
+// Formats a user can pick in /settings
+const PIN_FILE_FORMATS = ['txt', 'csv', 'json'];
+
+// One-time ZIP passwords: no look-alike characters, nothing Markdown treats as formatting
+const ONE_TIME_PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+const ONE_TIME_PASSWORD_LENGTH = 16;
+
+// CSV columns / JSON keys of a card record, in order
+const EXPORT_FIELDS = ['pin', 'serial', 'transactionId', 'game', 'denomination', 'goldCost', 'purchasedAt', 'orderId'];
+
 class FileGenerator {
   constructor() {
     this.pinsDir = path.join(process.cwd(), 'temp_pins');
+    this.archiver = null; // Loaded on first encrypted archive
     this.ensureDirectoryExists();
   }
 
@@ -71,6 +85,85 @@ class FileGenerator {
     return filteredPins.map(pin => pin.pinCode).join('\n') + '\n';
   }
 
+  /**
+   * Build one export record per valid card.
+   * Values on a pin (gameName, cardValue, unitGold, purchasedAt, orderId) win over the shared metadata.
+   * @param {Array} pins - Array of pin objects
+   * @param {Object} metadata - {orderId, gameName, cardValue, unitGold, purchasedAt} shared by all pins
+   * @returns {Array<Object>} - Records keyed by EXPORT_FIELDS
+   */
+  buildExportRecords(pins, metadata = {}) {
+    return this.filterValidPins(pins).map(pin => ({
+      pin: pin.pinCode,
+      serial: pin.serialNumber || null,
+      transactionId: pin.transactionId || pin.txnNum || null,
+      game: pin.gameName || metadata.gameName || null,
+      denomination: pin.cardValue || metadata.cardValue || null,
+      goldCost: pin.unitGold ?? metadata.unitGold ?? null,
+      purchasedAt: this.formatTimestamp(pin.purchasedAt || metadata.purchasedAt),
+      orderId: pin.orderId ?? metadata.orderId ?? null
+    }));
+  }
+
+  /**
+   * Format a timestamp as ISO 8601 (UTC)
+   * @param {Date|string|null} value - Timestamp
+   * @returns {string|null} - ISO string, the raw value if unparseable, or null
+   * @private
+   */
+  formatTimestamp(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+  }
+
+  /**
+   * Generate CSV content (header row, then one row per card)
+   * @param {Array<Object>} records - Export records
+   * @returns {string} - File content
+   * @private
+   */
+  generateCsvContent(records) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [EXPORT_FIELDS.join(',')];
+    for (const record of records) {
+      lines.push(EXPORT_FIELDS.map(field => escape(record[field])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Generate JSON content (array of card records)
+   * @param {Array<Object>} records - Export records
+   * @returns {string} - File content
+   * @private
+   */
+  generateJsonContent(records) {
+    return JSON.stringify(records, null, 2) + '\n';
+  }
+
+  /**
+   * Generate file content in a user's PIN file format
+   * @param {Array} pins - Array of pin objects
+   * @param {string} fileFormat - txt, csv or json
+   * @param {Object} metadata - Shared card metadata (see buildExportRecords)
+   * @returns {{content: string, extension: string, contentType: string}}
+   */
+  generateFileContent(pins, fileFormat = 'txt', metadata = {}) {
+    if (fileFormat === 'csv') {
+      return { content: this.generateCsvContent(this.buildExportRecords(pins, metadata)), extension: 'csv', contentType: 'text/csv' };
+    }
+    if (fileFormat === 'json') {
+      return { content: this.generateJsonContent(this.buildExportRecords(pins, metadata)), extension: 'json', contentType: 'application/json' };
+    }
+    return { content: this.generatePinOnlyContent(pins), extension: 'txt', contentType: 'text/plain' };
+  }
+
   /**
    * Generate safe filename fragment from a transaction description.
    * @param {string} description
@@ -89,13 +182,16 @@ class FileGenerator {
   /**
    * Generate filename with optional partial suffix
    * @param {number} orderId - Order ID
-   * @param {string} format - File format ('with_serial' or 'only')
+   * @param {string} format - File format ('with_serial', 'only', 'csv' or 'json')
    * @param {boolean} isPartial - Whether this is a partial order
    * @returns {string} - Generated filename
    * @private
    */
   generateFileName(orderId, format, isPartial = false) {
     const partialSuffix = isPartial ? '_Partial' : '';
+    if (format === 'csv' || format === 'json') {
+      return `Order_${orderId}${partialSuffix}_Pins.${format}`;
+    }
     const formatSuffix = format === 'with_serial' ? 'Pins_with_Serial' : 'Pins_Only';
     return `Order_${orderId}${partialSuffix}_${formatSuffix}.txt`;
   }
@@ -103,7 +199,7 @@ class FileGenerator {
   /**
    * Generate caption for file
    * @param {number} orderId - Order ID
-   * @param {string} format - File format ('with_serial' or 'only')
+   * @param {string} format - File format ('with_serial', 'only', 'csv' or 'json')
    * @param {boolean} isPartial - Whether this is a partial order
    * @returns {string} - Generated caption
    * @private
@@ -111,7 +207,9 @@ class FileGenerator {
   generateCaption(orderId, format, isPartial = false) {
     const partialLabel = isPartial ? ' (Partial)' : '';
 
-    if (format === 'with_serial') {
+    if (format === 'csv' || format === 'json') {
+      return `📄 *PINs (${format.toUpperCase()})*\nOrder #${orderId}${partialLabel}`;
+    } else if (format === 'with_serial') {
       return `📄 *PINs + Serials*\nOrder #${orderId}${partialLabel}`;
     } else {
       return `📄 *PINs Only*\nOrder #${orderId}${partialLabel}`;
@@ -147,7 +245,96 @@ class FileGenerator {
   }
 
   /**
-   * Send PIN-only file to Telegram chat.
+   * Generate a random password for a one-time encrypted archive
+   * @returns {string} - Password
+   */
+  generateOneTimePassword() {
+    let password = '';
+    for (let i = 0; i < ONE_TIME_PASSWORD_LENGTH; i++) {
+      password += ONE_TIME_PASSWORD_ALPHABET[crypto.randomInt(ONE_TIME_PASSWORD_ALPHABET.length)];
+    }
+    return password;
+  }
+
+  /**
+   * archiver with the AES-encrypted ZIP format registered
+   * @returns {Object} - archiver module
+   * @private
+   */
+  getArchiver() {
+    if (!this.archiver) {
+      const archiver = require('archiver');
+      archiver.registerFormat('zip-encrypted', require('archiver-zip-encrypted'));
+      this.archiver = archiver;
+    }
+    return this.archiver;
+  }
+
+  /**
+   * Pack files into an AES-256 encrypted ZIP
+   * @param {Array<{name: string, content: string}>} files - Files to pack
+   * @param {string} password - ZIP password
+   * @returns {Promise<Buffer>} - ZIP file
+   * @private
+   */
+  createEncryptedZip(files, password) {
+    return new Promise((resolve, reject) => {
+      const archive = this.getArchiver().create('zip-encrypted', {
+        zlib: { level: 9 },
+        encryptionMethod: 'aes256',
+        password
+      });
+      const chunks = [];
+
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('end', () => resolve(Buffer.concat(chunks)));
+      archive.on('warning', reject);
+      archive.on('error', reject);
+
+      for (const file of files) {
+        archive.append(file.content, { name: file.name });
+      }
+      archive.finalize();
+    });
+  }
+
+  /**
+   * Send files in an AES-256 encrypted ZIP.
+   * A one-time password follows in its own message, so forwarding the archive alone does not expose the PINs.
+   * @param {Object} bot - Telegram bot instance
+   * @param {number|string} chatId - Telegram chat ID
+   * @param {Array<{name: string, content: string}>} files - Files to pack
+   * @param {Object} archive - {password, oneTime} from UserPreferencesService.getPinArchive
+   * @param {Object} options - {fileName (.zip), caption (Markdown)}
+   */
+  async sendEncryptedArchive(bot, chatId, files, archive, { fileName, caption }) {
+    this.ensureDirectoryExists();
+
+    const zip = await this.createEncryptedZip(files, archive.password);
+    const filePath = path.join(this.pinsDir, fileName);
+    fs.writeFileSync(filePath, zip);
+
+    try {
+      const lockLine = archive.oneTime
+        ? '🔒 Encrypted ZIP - password in the next message'
+        : '🔒 Encrypted ZIP - open with your /settings passphrase';
+      await bot.sendDocument(chatId, filePath, {
+        caption: `${caption}\n${lockLine}`,
+        parse_mode: 'Markdown'
+      }, { contentType: 'application/zip' });
+    } finally {
+      this.deleteFile(filePath);
+    }
+
+    if (archive.oneTime) {
+      await bot.sendMessage(chatId, `🔑 *ZIP password*\n\`${archive.password}\``, { parse_mode: 'Markdown' });
+    }
+
+    logger.info(`FileGenerator: Sent encrypted archive ${fileName} (${files.length} file(s))`);
+  }
+
+  /**
+   * Send the PIN file (PIN-only TXT, or CSV / JSON with metadata) to Telegram chat.
    *
    * This is the SINGLE SOURCE OF TRUTH for order PIN file generation across the application.
    * All services (OrderFlowHandler, ScheduledOrderService, etc.) use this method.
@@ -159,9 +346,12 @@ class FileGenerator {
    * @param {Object} options - Optional settings
    * @param {boolean} options.isPartial - Whether this is a partial order (adds "(Partial)" suffix)
    * @param {Function} options.formatPinsPlain - Fallback formatter function for plain text messages
+   * @param {string} options.fileFormat - txt, csv or json (the user's /settings choice)
+   * @param {Order} options.order - Order the pins belong to (game, card, Gold cost and time for CSV / JSON)
+   * @param {Object} options.archive - {password, oneTime} to send the file in an encrypted ZIP (null = plain file)
    */
   async sendPinFiles(bot, chatId, orderId, pins, options = {}) {
-    const { isPartial = false, formatPinsPlain = null } = options;
+    const { isPartial = false, formatPinsPlain = null, fileFormat = 'txt', order = null, archive = null } = options;
 
     try {
       // Filter out FAILED cards
@@ -175,25 +365,38 @@ class FileGenerator {
       // Ensure directory exists
       this.ensureDirectoryExists();
 
-      // Generate and send PIN-only file
-      const fileName = this.generateFileName(orderId, 'only', isPartial);
-      const content = this.generatePinOnlyContent(filteredPins);
+      // Generate and send the PIN file
+      const format = fileFormat === 'txt' ? 'only' : fileFormat;
+      const metadata = order
+        ? { orderId, gameName: order.game_name, cardValue: order.card_value, unitGold: order.unit_gold, purchasedAt: order.created_at }
+        : { orderId };
+      const { content, contentType } = this.generateFileContent(filteredPins, fileFormat, metadata);
+      const fileName = this.generateFileName(orderId, format, isPartial);
+
+      if (archive) {
+        await this.sendEncryptedArchive(bot, chatId, [{ name: fileName, content }], archive, {
+          fileName: fileName.replace(/\.\w+$/, '.zip'),
+          caption: this.generateCaption(orderId, format, isPartial)
+        });
+        return;
+      }
+
       const filePath = this.writeFile(fileName, content);
 
       await bot.sendDocument(chatId, filePath, {
-        caption: this.generateCaption(orderId, 'only', isPartial),
+        caption: this.generateCaption(orderId, format, isPartial),
         parse_mode: 'Markdown'
-      }, { contentType: 'text/plain' });
+      }, { contentType });
 
       this.deleteFile(filePath);
 
-      logger.info(`FileGenerator: Successfully sent PIN-only file for order ${orderId}`);
+      logger.info(`FileGenerator: Successfully sent ${fileFormat.toUpperCase()} PIN file for order ${orderId}`);
 
     } catch (err) {
       logger.error('FileGenerator: Error sending PIN files:', err);
 
-      // Fallback to plain text messages if file sending fails
-      if (formatPinsPlain && typeof formatPinsPlain === 'function') {
+      // Fallback to plain text messages if file sending fails (never for an encrypted archive)
+      if (!archive && formatPinsPlain && typeof formatPinsPlain === 'function') {
         try {
           const plainMessages = formatPinsPlain(pins);
           for (const message of plainMessages) {
@@ -264,15 +467,17 @@ class FileGenerator {
   }
 
   /**
-   * Send one pin-only TXT file per transaction description.
+   * Send one PIN file per transaction description (PIN-only TXT, or CSV / JSON with each pin's metadata).
    * @param {Object} bot - Telegram bot instance
    * @param {number|string} chatId - Telegram chat ID
    * @param {Object} groupedPins - { description: [{pinCode, txnNum, ...}] }
    * @param {Object} options - Optional metadata
    * @param {string} options.dateLabel - User requested date label
+   * @param {string} options.fileFormat - txt, csv or json (the user's /settings choice)
+   * @param {Object} options.archive - {password, oneTime} to send all files in one encrypted ZIP (null = plain files)
    */
   async sendGroupedPinFiles(bot, chatId, groupedPins, options = {}) {
-    const { dateLabel = '' } = options;
+    const { dateLabel = '', fileFormat = 'txt', archive = null } = options;
     const entries = Object.entries(groupedPins || {});
 
     if (entries.length === 0) {
@@ -281,6 +486,40 @@ class FileGenerator {
 
     this.ensureDirectoryExists();
 
+    if (archive) {
+      const files = [];
+      const usedNames = new Set(); // lower case - archive tools may extract onto a case-insensitive disk
+      let pinCount = 0;
+      for (const [description, pins] of entries) {
+        const filteredPins = this.filterValidPins(pins);
+        if (filteredPins.length === 0) {
+          continue;
+        }
+
+        const { content, extension } = this.generateFileContent(filteredPins, fileFormat);
+
+        // Different descriptions can sanitize to the same name: number the repeats
+        const baseName = this.sanitizeDescriptionForFileName(description);
+        let name = `${baseName}.${extension}`;
+        for (let counter = 2; usedNames.has(name.toLowerCase()); counter++) {
+          name = `${baseName}_${counter}.${extension}`;
+        }
+        usedNames.add(name.toLowerCase());
+
+        files.push({ name, content });
+        pinCount += filteredPins.length;
+      }
+
+      if (files.length > 0) {
+        const dateSuffix = dateLabel ? `\nDate: ${dateLabel}` : '';
+        await this.sendEncryptedArchive(bot, chatId, files, archive, {
+          fileName: `PINs_${Date.now()}.zip`,
+          caption: `📄 *PINs*: ${pinCount} in ${files.length} file(s)${dateSuffix}`
+        });
+      }
+      return;
+    }
+
     for (const [description, pins] of entries) {
       const filteredPins = this.filterValidPins(pins);
       if (filteredPins.length === 0) {
@@ -288,15 +527,15 @@ class FileGenerator {
       }
 
       const safeName = this.sanitizeDescriptionForFileName(description);
-      const fileName = `${safeName}_${Date.now()}.txt`;
-      const content = filteredPins.map(pin => pin.pinCode).join('\n') + '\n';
+      const { content, extension, contentType } = this.generateFileContent(filteredPins, fileFormat);
+      const fileName = `${safeName}_${Date.now()}.${extension}`;
       const filePath = this.writeFile(fileName, content);
 
       try {
         const dateSuffix = dateLabel ? `\nDate: ${dateLabel}` : '';
         await bot.sendDocument(chatId, filePath, {
           caption: `${description}\nPINs: ${filteredPins.length}${dateSuffix}`
-        }, { contentType: 'text/plain' });
+        }, { contentType });
       } finally {
         this.deleteFile(filePath);
       }
@@ -306,3 +545,4 @@ class FileGenerator {
 
 // Export singleton instance
 module.exports = new FileGenerator();
+module.exports.PIN_FILE_FORMATS = PIN_FILE_FORMATS;
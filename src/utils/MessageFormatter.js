@@ -5,6 +5,8 @@
  * This utility ensures all services use the same message formatting (SOLID principle)
  */
 
+const { getDefaultTimeZone, getZonedParts, formatUtcOffset } = require('./timezone');
+
 class MessageFormatter {
   /**
    * Format order completion message
@@ -203,39 +205,299 @@ class MessageFormatter {
 
   /**
    * Format schedule time prompt
-   * @param {string} currentEgyptTime - Current Egypt time
+   * @param {string} timeZone - User's IANA timezone
    * @returns {string} - Formatted message
    */
-  formatScheduleTimePrompt(currentEgyptTime) {
+  formatScheduleTimePrompt(timeZone) {
     return `⏰ *SCHEDULE ORDER*\n\n` +
       `Enter the date and time when you\n` +
       `want this order to be processed.\n\n` +
       `Format: YYYY-MM-DD HH:MM\n` +
       `Example: 2026-02-20 14:30\n\n` +
-      `📍 Current Egypt time:\n` +
-      `\`${currentEgyptTime}\`\n\n` +
-      `⚠️ Use Egypt time (Cairo timezone)\n` +
-      `_Works on any server location_\n\n` +
+      `📍 Current time:\n` +
+      `\`${this.formatDateTime(new Date(), timeZone)}\`\n\n` +
+      `⚠️ Use your timezone: ${this.formatTimeZone(timeZone)}\n` +
+      `_Change it in /settings_\n\n` +
       `_Use /start to cancel_`;
   }
 
   /**
    * Format schedule confirmation
    * @param {Object} order - Order object
-   * @param {string} egyptTimeFormatted - Formatted Egypt time
+   * @param {string} scheduledTimeFormatted - Scheduled time in the user's timezone
    * @returns {string} - Formatted message
    */
-  formatScheduleConfirmation(order, egyptTimeFormatted) {
+  formatScheduleConfirmation(order, scheduledTimeFormatted) {
     return `✅ *ORDER SCHEDULED*\n\n` +
       `🆔 Order ID: #${order.id}\n` +
       `🎮 Game: ${order.game_name}\n` +
       `💵 Card Value: $${order.card_value}\n` +
       `🔢 Quantity: ${order.cards_count} card(s)\n` +
-      `⏰ Scheduled Time: ${egyptTimeFormatted}\n\n` +
+      `⏰ Scheduled Time: ${scheduledTimeFormatted}\n\n` +
       `Your order will be processed automatically\n` +
       `at the scheduled time.\n\n` +
       `Use /history to view your orders.`;
   }
+
+  /**
+   * Format a Gold amount (whole numbers without decimals)
+   * @param {number} amount - Gold amount
+   * @returns {string} - Formatted amount
+   */
+  formatGold(amount) {
+    return Number.isInteger(amount) ? String(amount) : amount.toFixed(2);
+  }
+
+  /**
+   * Format a duration as minutes, or hours and minutes (e.g. "45m", "2h 05m")
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} - Formatted duration
+   */
+  formatDuration(ms) {
+    const totalMinutes = Math.floor(ms / 60000);
+    if (totalMinutes < 60) {
+      return `${totalMinutes}m`;
+    }
+    return `${Math.floor(totalMinutes / 60)}h ${String(totalMinutes % 60).padStart(2, '0')}m`;
+  }
+
+  /**
+   * Format an order's place in the order queue
+   * @param {Object} entry - Queue entry (order_queue row)
+   * @param {number} position - Place in line, counting the running order
+   * @param {number} etaMs - Estimated wait until it starts
+   * @returns {string} - Formatted message
+   */
+  formatQueuePosition(entry, position, etaMs) {
+    const etaMinutes = Math.max(1, Math.ceil(etaMs / 60000));
+    const eta = etaMinutes < 60 ? `${etaMinutes} min` : this.formatDuration(etaMinutes * 60000);
+    const title = entry.scheduled_order_id
+      ? `🕒 *Scheduled Order Queued*\n🆔 #${entry.scheduled_order_id}`
+      : '🕒 *Order Queued*';
+    const order = entry.items
+      ? `${this.formatCartLines(entry.items)}\n📦 ${entry.quantity} cards`
+      : `🎮 ${entry.game_name}\n💎 ${entry.card_name}\n📦 ${entry.quantity}`;
+
+    return `${title}\n` +
+      `${order}\n\n` +
+      `👥 You are #${position}, ETA ~${eta}\n` +
+      `It starts by itself when the orders ahead finish.`;
+  }
+
+  /**
+   * Format the lines of a cart order, one per line
+   * @param {Array<Object>} items - Cart lines {gameName, cardName, quantity}
+   * @returns {string} - Formatted lines
+   */
+  formatCartLines(items) {
+    return items
+      .map((item, index) => `${index + 1}. 🎮 ${item.gameName} - 💎 ${item.cardName} × ${item.quantity}`)
+      .join('\n');
+  }
+
+  /**
+   * Format the cart review with its total cost and the balance left afterwards
+   * @param {Array<Object>} items - Cart lines {gameName, cardName, quantity, unitGold}
+   * @param {number|null} balance - Gold balance (null if unknown)
+   * @returns {string} - Formatted message
+   */
+  formatCart(items, balance = null) {
+    if (items.length === 0) {
+      return '🛒 *CART*\nEmpty. Add an item to start.';
+    }
+
+    const totalCards = items.reduce((total, item) => total + item.quantity, 0);
+    const hasPrices = items.every(item => item.unitGold !== null && item.unitGold !== undefined);
+    let message = `🛒 *CART*\n${this.formatCartLines(items)}\n\n📦 Total: ${totalCards} cards`;
+
+    // Cost is only shown when every line's card price is known
+    if (hasPrices) {
+      const cost = items.reduce((total, item) => total + item.unitGold * item.quantity, 0);
+      message += `\n💰 Cost: ${this.formatGold(cost)} Gold`;
+      if (balance !== null) {
+        message += balance >= cost
+          ? `\n🥇 Balance after: ${this.formatGold(balance - cost)} Gold`
+          : `\n⚠️ Balance ${this.formatGold(balance)} Gold - ${this.formatGold(cost - balance)} Gold short`;
+      }
+    }
+
+    return message;
+  }
+
+  /**
+   * Format the combined summary of a finished cart order
+   * @param {Array<Object>} lines - {item, status ('completed'|'cancelled'|'failed'|'skipped'),
+   *                                order, validPinCount, failedCount, error}
+   * @returns {string} - Formatted message
+   */
+  formatCartComplete(lines) {
+    const icons = { completed: '✅', cancelled: '🛑', failed: '❌', skipped: '⏹️' };
+    const totalCards = lines.reduce((total, line) => total + line.item.quantity, 0);
+    const doneCards = lines.reduce((total, line) => total + line.validPinCount, 0);
+    const isCancelled = lines.some(line => line.status === 'cancelled');
+    const isComplete = lines.every(line => line.status === 'completed' && line.validPinCount === line.item.quantity);
+
+    const title = isCancelled
+      ? '🛑 *Cart Cancelled*'
+      : isComplete ? '✅ *Cart Complete*' : '⚠️ *Cart Partly Complete*';
+
+    const rows = lines.map((line, index) => {
+      const { item } = line;
+      const icon = line.status === 'completed' && line.validPinCount < item.quantity ? '⚠️' : icons[line.status];
+      let row = `${index + 1}. ${icon} ${item.gameName} - ${item.cardName}: `;
+
+      if (line.status === 'skipped') {
+        return `${row}not processed`;
+      }
+      row += `${line.validPinCount}/${item.quantity}`;
+      if (line.order) row += ` #${line.order.id}`;
+      if (line.failedCount > 0) row += ` (${line.failedCount} failed)`;
+      if (line.status === 'failed' && line.error) row += `\n   ${line.error.replace(/[_*`[\]]/g, '')}`;
+      return row;
+    });
+
+    return `${title}\n${rows.join('\n')}\n\n📦 ${doneCards}/${totalCards} cards` +
+      (doneCards > 0 ? '\nPINs below' : '');
+  }
+
+  /**
+   * Format projected order cost and balance left afterwards
+   * @param {Object} affordability - {cost, balance, affordable} (balance null if unknown)
+   * @returns {string} - Formatted lines
+   */
+  formatProjectedCost({ cost, balance, affordable }) {
+    let message = `💰 Cost: ${this.formatGold(cost)} Gold`;
+
+    if (balance !== null) {
+      const balanceAfter = balance - cost;
+      message += balanceAfter >= 0
+        ? `\n🥇 Balance after: ${this.formatGold(balanceAfter)} Gold`
+        : `\n⚠️ Balance ${this.formatGold(balance)} Gold - covers ${affordable} card(s)`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Format insufficient balance prompt shown before a bulk order starts
+   * @param {Object} affordability - {quantity, unitGold, cost, balance, affordable}
+   * @returns {string} - Formatted message
+   */
+  formatInsufficientBalance({ quantity, unitGold, cost, balance, affordable }) {
+    return `⚠️ *INSUFFICIENT BALANCE*\n` +
+      `📦 ${quantity} × ${this.formatGold(unitGold)} = ${this.formatGold(cost)} Gold\n` +
+      `🥇 Balance: ${this.formatGold(balance)} Gold\n\n` +
+      (affordable > 0
+        ? `You can afford ${affordable} card(s).`
+        : `Not enough Gold for a single card. Reload your account first.`);
+  }
+
+  /**
+   * Format remaining daily allowance
+   * @param {Object} remaining - {cards, gold} (null = unlimited)
+   * @param {string} dayLabel - Day the allowance applies to (e.g. 'today', '20/02')
+   * @returns {string|null} - Formatted line, or null if no limit applies
+   */
+  formatSpendingAllowance(remaining, dayLabel = 'today') {
+    const parts = [];
+    if (remaining.cards !== null) parts.push(`${remaining.cards} cards`);
+    if (remaining.gold !== null) parts.push(`${remaining.gold} Gold`);
+    if (parts.length === 0) return null;
+
+    return `📊 Remaining ${dayLabel}: ${parts.join(' · ')}`;
+  }
+
+  /**
+   * Format spending limit exceeded message
+   * @param {Object} check - Result of SpendingLimitService.checkOrder
+   * @param {number} quantity - Requested quantity
+   * @param {string} dayLabel - Day the allowance applies to
+   * @returns {string} - Formatted message
+   */
+  formatSpendingLimitExceeded(check, quantity, dayLabel = 'today') {
+    let message = `⛔ *DAILY LIMIT*\n` +
+      `📦 Requested: ${quantity}\n` +
+      `${this.formatSpendingAllowance(check.remaining, dayLabel)}\n`;
+
+    if (check.unknownPrice) {
+      message += `\n⚠️ Card price unknown - Gold limit can't be checked.`;
+    } else if (check.maxQuantity > 0) {
+      message += `\n✅ You can order up to ${check.maxQuantity}.`;
+    } else {
+      message += `\n🚫 No allowance left.`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Format a timestamp in a user's timezone, e.g. "19/10 14:30"
+   * @param {Date|string} date - Timestamp
+   * @param {string} timeZone - IANA timezone (default zone if omitted)
+   * @param {Object} options - {withYear: "19/10/2026 14:30"}
+   * @returns {string} - Formatted time
+   */
+  formatDateTime(date, timeZone = getDefaultTimeZone(), { withYear = false } = {}) {
+    const local = getZonedParts(date, timeZone);
+    const pad = (value) => String(value).padStart(2, '0');
+    const year = withYear ? `/${local.year}` : '';
+    return `${pad(local.day)}/${pad(local.month)}${year} ${pad(local.hour)}:${pad(local.minute)}`;
+  }
+
+  /**
+   * Format a timezone with its current UTC offset
+   * @param {string} timeZone - IANA timezone
+   * @returns {string} - e.g. "Africa/Cairo (UTC+3)"
+   */
+  formatTimeZone(timeZone = getDefaultTimeZone()) {
+    return `${timeZone} (${formatUtcOffset(timeZone)})`;
+  }
+
+  /**
+   * Format a game's catalog history: current denominations and recent changes
+   * @param {Object} game - Game from games-catalog
+   * @param {Object} history - Result of CatalogHistoryService.getHistory
+   * @param {string} timeZone - User's IANA timezone
+   * @returns {string} - Formatted message
+   */
+  formatCatalogHistory(game, { skus, events, lastSnapshotAt }, timeZone = getDefaultTimeZone()) {
+    if (!lastSnapshotAt) {
+      return `📈 *CATALOG* ${game.name}\n\nNo snapshots yet. Check back after the next catalog refresh.`;
+    }
+
+    const listed = skus.filter(sku => !sku.removed_at);
+    const skuLines = listed.map(sku => {
+      const price = sku.unit_gold !== null ? ` - ${this.formatGold(sku.unit_gold)} Gold` : '';
+      const lastChange = sku.has_stock
+        ? (sku.last_out_of_stock_at ? `last out: ${this.formatDateTime(sku.last_out_of_stock_at, timeZone)}` : 'never seen out')
+        : (sku.last_in_stock_at ? `last in: ${this.formatDateTime(sku.last_in_stock_at, timeZone)}` : 'never seen in stock');
+      return `${sku.has_stock ? '✅' : '❌'} ${sku.sku_name}${price}\n      ${lastChange}`;
+    });
+
+    const eventLines = events.map(event => {
+      const at = this.formatDateTime(event.created_at, timeZone);
+      switch (event.event_type) {
+        case 'added':
+          return `🆕 ${at} ${event.sku_name} added`;
+        case 'removed':
+          return `🗑️ ${at} ${event.sku_name} removed`;
+        case 'in_stock':
+          return `✅ ${at} ${event.sku_name} restocked`;
+        case 'out_of_stock':
+          return `❌ ${at} ${event.sku_name} sold out`;
+        case 'price_changed':
+          return `💰 ${at} ${event.sku_name} ${this.formatGold(event.old_unit_gold)} → ${this.formatGold(event.new_unit_gold)} Gold`;
+        default:
+          return `• ${at} ${event.sku_name} ${event.event_type}`;
+      }
+    });
+
+    return `📈 *CATALOG* ${game.name}\n` +
+      `🕒 Last snapshot: ${this.formatDateTime(lastSnapshotAt, timeZone)} (${timeZone})\n\n` +
+      (skuLines.length > 0 ? skuLines.join('\n') : 'No denominations listed.') +
+      `\n\n*Recent changes*\n` +
+      (eventLines.length > 0 ? eventLines.join('\n') : 'None recorded yet.');
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,295 @@
+/**
+ * Order history search helpers.
+ * "/history pubg date:tuesday min:5" narrows the history with filters that
+ * DatabaseService applies to the user's orders. Days are calendar days in the
+ * user's timezone; filters.until is exclusive.
+ */
+const { getDefaultTimeZone, getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const ORDER_STATUSES = ['pending', 'processing', 'interrupted', 'completed', 'failed'];
+const FULL_DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MAX_DAYS = 3660;
+
+const FILTER_KEYS = {
+  game: 'game',
+  card: 'card',
+  denom: 'card',
+  status: 'status',
+  date: 'date',
+  on: 'date',
+  from: 'from',
+  to: 'to',
+  days: 'days',
+  min: 'min'
+};
+
+const QUERY_HELP =
+  'game:pubg · card:"60 UC" · status:failed · date:tuesday · date:13/10 · ' +
+  'from:2026-10-01 to:2026-10-15 · days:7 · min:10 (other words search the game name)';
+
+/**
+ * Calendar day a number of days away
+ * @param {{year: number, month: number, day: number}} fields
+ * @param {number} days - Days to add (negative = earlier)
+ * @returns {{year: number, month: number, day: number}}
+ */
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function compareDays(a, b) {
+  return (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+}
+
+function isRealDay({ year, month, day }) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Parse a day: YYYY-MM-DD, D/M[/YYYY], today, yesterday or a weekday (the most recent one, today included)
+ * @param {string} text - Day text
+ * @param {{year: number, month: number, day: number}} today - Today in the user's timezone
+ * @returns {{year: number, month: number, day: number}|null} Day, or null if the text is not a day
+ * @throws {Error} If the text looks like a date that does not exist
+ */
+function parseDay(text, today) {
+  const input = String(text || '').trim().toLowerCase();
+
+  if (input === 'today') return today;
+  if (input === 'yesterday') return addDays(today, -1);
+
+  const weekday = input.length >= 3 ? FULL_DAY_NAMES.findIndex(name => name.startsWith(input)) : -1;
+  if (weekday !== -1) {
+    const todayWeekday = new Date(Date.UTC(today.year, today.month - 1, today.day)).getUTCDay();
+    return addDays(today, -((todayWeekday - weekday + 7) % 7));
+  }
+
+  let fields = null;
+  const isoMatch = input.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const dayMonthMatch = input.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/);
+
+  if (isoMatch) {
+    fields = { year: parseInt(isoMatch[1], 10), month: parseInt(isoMatch[2], 10), day: parseInt(isoMatch[3], 10) };
+  } else if (dayMonthMatch) {
+    fields = {
+      year: dayMonthMatch[3] ? parseInt(dayMonthMatch[3], 10) : today.year,
+      month: parseInt(dayMonthMatch[2], 10),
+      day: parseInt(dayMonthMatch[1], 10)
+    };
+    // Without a year, a day still ahead this year means last year's
+    if (!dayMonthMatch[3] && isRealDay(fields) && compareDays(fields, today) > 0) {
+      fields.year -= 1;
+    }
+  }
+
+  if (!fields) return null;
+
+  if (!isRealDay(fields)) {
+    throw new Error(`"${text}" is not a valid date`);
+  }
+  return fields;
+}
+
+function requireDay(text, today) {
+  const day = parseDay(text, today);
+  if (!day) {
+    throw new Error(`"${text}" is not a date. Use YYYY-MM-DD, D/M, today, yesterday or a weekday`);
+  }
+  return day;
+}
+
+function parseCount(text, name) {
+  if (!/^\d+$/.test(text) || parseInt(text, 10) < 1) {
+    throw new Error(`${name} must be a whole number of at least 1`);
+  }
+  return parseInt(text, 10);
+}
+
+/**
+ * Text filter value safe to show in Markdown
+ * @param {string} text - User text
+ * @returns {string}
+ */
+function cleanText(text) {
+  return String(text).replace(/[*_`[\]]/g, '').trim();
+}
+
+/**
+ * Parse a /history query
+ * Examples:
+ *   "pubg date:tuesday min:5" / "game:\"free fire\" status:failed"
+ *   "card:60 days:7" / "from:2026-10-01 to:13/10"
+ * @param {string} text - Query after /history
+ * @param {string} timeZone - User's IANA timezone (day boundaries)
+ * @param {Date} now - Current time
+ * @returns {Object} Filters for DatabaseService.getUserOrdersPaginated / getUserOrderCount
+ * @throws {Error} If a filter is unknown or has an invalid value
+ */
+function parseHistoryQuery(text, timeZone = getDefaultTimeZone(), now = new Date()) {
+  const today = getZonedParts(now, timeZone);
+  const filters = {};
+  const words = [];
+  let fromDay = null;
+  let toDay = null;
+
+  const tokens = String(text || '').match(/[a-z]+:"[^"]*"|"[^"]*"|\S+/gi) || [];
+  for (const token of tokens) {
+    const keyMatch = token.match(/^([a-z]+):(.*)$/i);
+
+    if (!keyMatch) {
+      const word = token.replace(/^"|"$/g, '');
+      const lower = word.toLowerCase();
+      const day = parseDay(word, today);
+      if (day) {
+        fromDay = day;
+        toDay = day;
+      } else if (ORDER_STATUSES.includes(lower)) {
+        filters.status = lower;
+      } else {
+        words.push(word);
+      }
+      continue;
+    }
+
+    const key = FILTER_KEYS[keyMatch[1].toLowerCase()];
+    const value = keyMatch[2].replace(/^"|"$/g, '').trim();
+    if (!key) {
+      throw new Error(`Unknown filter "${cleanText(keyMatch[1])}:"`);
+    }
+    if (!value) {
+      throw new Error(`"${key}:" needs a value`);
+    }
+
+    switch (key) {
+      case 'game':
+        filters.gameName = cleanText(value);
+        break;
+      case 'card':
+        filters.cardSearch = cleanText(value);
+        break;
+      case 'status': {
+        const status = ORDER_STATUSES.find(name => name.startsWith(value.toLowerCase()));
+        if (!status) {
+          throw new Error(`Unknown status "${cleanText(value)}". Use ${ORDER_STATUSES.join(', ')}`);
+        }
+        filters.status = status;
+        break;
+      }
+      case 'date':
+        fromDay = requireDay(value, today);
+        toDay = fromDay;
+        break;
+      case 'from':
+        fromDay = requireDay(value, today);
+        break;
+      case 'to':
+        toDay = requireDay(value, today);
+        break;
+      case 'days': {
+        const days = parseCount(value, 'days');
+        if (days > MAX_DAYS) {
+          throw new Error(`days can be at most ${MAX_DAYS}`);
+        }
+        fromDay = addDays(today, -(days - 1));
+        toDay = null;
+        break;
+      }
+      case 'min':
+        filters.minQuantity = parseCount(value, 'min');
+        break;
+    }
+  }
+
+  if (words.length > 0 && !filters.gameName) {
+    filters.gameName = cleanText(words.join(' '));
+  }
+  if (filters.gameName === '') delete filters.gameName;
+  if (filters.cardSearch === '') delete filters.cardSearch;
+
+  if (fromDay && toDay && compareDays(fromDay, toDay) > 0) {
+    throw new Error('"from" is after "to"');
+  }
+  if (fromDay) {
+    filters.since = zonedTimeToUtc(fromDay, timeZone);
+  }
+  if (toDay) {
+    filters.until = zonedTimeToUtc(addDays(toDay, 1), timeZone);
+  }
+
+  return filters;
+}
+
+/**
+ * Filters for a whole number of days up to today
+ * @param {number} days - 1 = today only
+ * @param {string} timeZone - User's IANA timezone
+ * @param {Date} now - Current time
+ * @returns {{since: Date}}
+ */
+function getRecentDaysFilter(days, timeZone = getDefaultTimeZone(), now = new Date()) {
+  return { since: zonedTimeToUtc(addDays(getZonedParts(now, timeZone), -(days - 1)), timeZone) };
+}
+
+/**
+ * Filters for a single day some days ago
+ * @param {number} daysAgo - 0 = today, 1 = yesterday
+ * @param {string} timeZone - User's IANA timezone
+ * @param {Date} now - Current time
+ * @returns {{since: Date, until: Date}}
+ */
+function getDayFilter(daysAgo, timeZone = getDefaultTimeZone(), now = new Date()) {
+  const day = addDays(getZonedParts(now, timeZone), -daysAgo);
+  return {
+    since: zonedTimeToUtc(day, timeZone),
+    until: zonedTimeToUtc(addDays(day, 1), timeZone)
+  };
+}
+
+function hasHistoryFilters(filters) {
+  return Boolean(filters) && Object.values(filters).some(value => value !== null && value !== undefined);
+}
+
+/**
+ * Human-readable filters (Markdown)
+ * @param {Object} filters - Order history filters
+ * @param {string} timeZone - User's IANA timezone
+ * @returns {string} e.g. "📅 13/10/2026 · 🎮 pubg · 📦 5+", or "" without filters
+ */
+function describeHistoryFilters(filters, timeZone = getDefaultTimeZone()) {
+  if (!hasHistoryFilters(filters)) return '';
+
+  const pad = (value) => String(value).padStart(2, '0');
+  const formatDay = ({ year, month, day }) => `${pad(day)}/${pad(month)}/${year}`;
+  const parts = [];
+
+  // until is exclusive: show the last day it includes
+  const since = filters.since ? formatDay(getZonedParts(filters.since, timeZone)) : null;
+  const until = filters.until ? formatDay(getZonedParts(new Date(filters.until.getTime() - 1), timeZone)) : null;
+  if (since && until) {
+    parts.push(since === until ? `📅 ${since}` : `📅 ${since} - ${until}`);
+  } else if (since) {
+    parts.push(`📅 since ${since}`);
+  } else if (until) {
+    parts.push(`📅 until ${until}`);
+  }
+
+  if (filters.gameName) parts.push(`🎮 ${filters.gameName}`);
+  if (filters.cardValue) parts.push(`💎 ${filters.cardValue}`);
+  if (filters.cardSearch) parts.push(`💎 "${filters.cardSearch}"`);
+  if (filters.status) parts.push(`📊 ${filters.status}`);
+  if (filters.minQuantity) parts.push(`📦 ${filters.minQuantity}+ cards`);
+
+  return parts.join(' · ');
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  QUERY_HELP,
+  parseHistoryQuery,
+  getRecentDaysFilter,
+  getDayFilter,
+  hasHistoryFilters,
+  describeHistoryFilters
+};
@@ -0,0 +1,255 @@
+/**
+ * Recurring schedule helpers.
+ * Every recurrence is stored as a 5-field cron expression (minute hour day-of-month
+ * month day-of-week) evaluated in the schedule's IANA timezone. "daily 10:00" and
+ * "mon,thu 18:30" are shorthands that compile to cron.
+ */
+const { getDefaultTimeZone, getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const MAX_SEARCH_DAYS = 4 * 366 + 1; // Long enough for "29 Feb" schedules
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const FULL_DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_GROUPS = { weekdays: [1, 2, 3, 4, 5], weekends: [6, 0] };
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameBase: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameBase: 0 }
+];
+
+function parseFieldValue(text, field) {
+  const nameIndex = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  if (nameIndex !== -1) {
+    return nameIndex + field.nameBase;
+  }
+
+  const value = /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} "${text}" (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes('-')) {
+      const [startText, endText] = rangeText.split('-');
+      start = parseFieldValue(startText, field);
+      end = parseFieldValue(endText, field);
+      if (start > end) {
+        throw new Error(`Invalid range "${rangeText}" in ${field.name}`);
+      }
+    } else {
+      start = parseFieldValue(rangeText, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, isWildcard: text === '*' };
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - e.g. "30 18 * * 1,4"
+ * @returns {Object} {minutes, hours, daysOfMonth, months, daysOfWeek, ...}
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // Sunday is 0 or 7
+  if (dayOfWeek.values.delete(7)) {
+    dayOfWeek.values.add(0);
+  }
+
+  return {
+    minutes: [...minute.values].sort((a, b) => a - b),
+    hours: [...hour.values].sort((a, b) => a - b),
+    daysOfMonth: dayOfMonth.values,
+    months: month.values,
+    daysOfWeek: dayOfWeek.values,
+    isDayOfMonthWildcard: dayOfMonth.isWildcard,
+    isDayOfWeekWildcard: dayOfWeek.isWildcard
+  };
+}
+
+function matchesDay(schedule, day) {
+  if (!schedule.months.has(day.getUTCMonth() + 1)) {
+    return false;
+  }
+
+  const dayOfMonthMatch = schedule.daysOfMonth.has(day.getUTCDate());
+  const dayOfWeekMatch = schedule.daysOfWeek.has(day.getUTCDay());
+
+  // Standard cron: when both day fields are restricted, either one may match
+  if (!schedule.isDayOfMonthWildcard && !schedule.isDayOfWeekWildcard) {
+    return dayOfMonthMatch || dayOfWeekMatch;
+  }
+  return dayOfMonthMatch && dayOfWeekMatch;
+}
+
+/**
+ * Next run of a recurrence strictly after a moment.
+ * Runs follow the zone's wall clock across DST changes (a run in a skipped hour moves past the jump).
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Start of the search (default now)
+ * @param {string} timeZone - IANA timezone the expression is in
+ * @returns {Date|null} Next run in UTC, or null if it never runs
+ */
+function getNextRun(expression, after = new Date(), timeZone = getDefaultTimeZone()) {
+  const schedule = parseCron(expression);
+  const afterMs = new Date(after).getTime();
+  const local = getZonedParts(afterMs, timeZone);
+
+  for (let dayOffset = 0; dayOffset < MAX_SEARCH_DAYS; dayOffset++) {
+    const day = new Date(Date.UTC(local.year, local.month - 1, local.day + dayOffset));
+    if (!matchesDay(schedule, day)) continue;
+
+    for (const hour of schedule.hours) {
+      for (const minute of schedule.minutes) {
+        const run = zonedTimeToUtc({
+          year: day.getUTCFullYear(),
+          month: day.getUTCMonth() + 1,
+          day: day.getUTCDate(),
+          hour,
+          minute
+        }, timeZone);
+        if (run.getTime() > afterMs) {
+          return run;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+function parseTime(hourText, minuteText) {
+  const hour = parseInt(hourText, 10);
+  const minute = parseInt(minuteText, 10);
+  if (hour > 23 || minute > 59) {
+    throw new Error('Hour must be 0-23, minute must be 0-59');
+  }
+  return { hour, minute };
+}
+
+function parseDayList(text) {
+  const days = new Set();
+
+  for (const token of text.toLowerCase().split(/[\s,]+/).filter(Boolean)) {
+    if (DAY_GROUPS[token]) {
+      DAY_GROUPS[token].forEach(day => days.add(day));
+      continue;
+    }
+
+    // "mon", "mond", "monday", ...
+    const index = token.length >= 3 ? FULL_DAY_NAMES.findIndex(name => name.startsWith(token)) : -1;
+    if (index === -1) {
+      return null;
+    }
+    days.add(index);
+  }
+
+  return days.size > 0 ? [...days].sort((a, b) => a - b) : null;
+}
+
+/**
+ * Parse a recurrence typed by the user
+ *   "daily 10:00" / "every day 10:00"
+ *   "mon,thu 18:30" / "weekly mon thu 18:30" / "weekdays 09:00"
+ *   "cron 0 10 * * 1-5"
+ * @param {string} text - User input
+ * @returns {{cron: string}|null} Recurrence, or null if the text is not a recurrence (times are wall-clock)
+ * @throws {Error} If the text is a recurrence with an invalid time or cron field
+ */
+function parseRecurrence(text) {
+  const input = String(text || '').trim();
+
+  const cronMatch = input.match(/^cron\s+(.+)$/i);
+  if (cronMatch) {
+    const cron = cronMatch[1].trim().split(/\s+/).join(' ');
+    parseCron(cron);
+    if (!getNextRun(cron)) {
+      throw new Error('This cron expression never runs');
+    }
+    return { cron };
+  }
+
+  const dailyMatch = input.match(/^(?:daily|every\s+day)\s+(\d{1,2}):(\d{2})$/i);
+  if (dailyMatch) {
+    const { hour, minute } = parseTime(dailyMatch[1], dailyMatch[2]);
+    return { cron: `${minute} ${hour} * * *` };
+  }
+
+  const weeklyMatch = input.match(/^(?:weekly\s+|every\s+)?([a-z,\s]+?)\s+(\d{1,2}):(\d{2})$/i);
+  if (weeklyMatch) {
+    const days = parseDayList(weeklyMatch[1]);
+    if (!days) return null;
+
+    const { hour, minute } = parseTime(weeklyMatch[2], weeklyMatch[3]);
+    return { cron: `${minute} ${hour} * * ${days.join(',')}` };
+  }
+
+  return null;
+}
+
+/**
+ * Human-readable recurrence (Markdown)
+ * @param {string} expression - Cron expression
+ * @returns {string} e.g. "Every day at 10:00", "Mon, Thu at 18:30"
+ */
+function describeRecurrence(expression) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const simple = String(expression).match(/^(\d+) (\d+) \* \* (\*|[\d,]+)$/);
+
+  if (simple) {
+    const time = `${pad(simple[2])}:${pad(simple[1])}`;
+    if (simple[3] === '*') {
+      return `Every day at ${time}`;
+    }
+
+    if (simple[3] === '1,2,3,4,5') {
+      return `Weekdays at ${time}`;
+    }
+
+    // Monday first
+    const days = simple[3].split(',').map(Number).sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+    const names = days.map(day => DAY_NAMES[day % 7].charAt(0).toUpperCase() + DAY_NAMES[day % 7].slice(1));
+    return `${names.join(', ')} at ${time}`;
+  }
+
+  return `Cron \`${expression}\``;
+}
+
+module.exports = {
+  parseCron,
+  getNextRun,
+  parseRecurrence,
+  describeRecurrence
+};
@@ -0,0 +1,168 @@
+/**
+ * IANA timezone helpers built on Intl (DST-aware, independent of the server's zone).
+ * Users pick their zone in /settings; DEFAULT_TIMEZONE applies until they do.
+ */
+const appConfig = require('../config/app-config');
+
+const formatterCache = new Map(); // timeZone -> Intl.DateTimeFormat
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Zone used when a user has not picked one
+ * @returns {string} IANA timezone
+ */
+function getDefaultTimeZone() {
+  return appConfig.time.defaultTimeZone;
+}
+
+/**
+ * Whether a string is an IANA timezone known to this Node build
+ * @param {string} timeZone - e.g. "Africa/Cairo"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Canonical spelling of a timezone typed by a user ("africa/cairo" -> "Africa/Cairo")
+ * @param {string} input - User input
+ * @returns {string|null} IANA timezone, or null if unknown
+ */
+function normalizeTimeZone(input) {
+  const text = String(input || '').trim().replace(/\s+/g, '_');
+  if (!isValidTimeZone(text)) return null;
+  return new Intl.DateTimeFormat('en-US', { timeZone: text }).resolvedOptions().timeZone;
+}
+
+/**
+ * Wall-clock fields of a moment in a zone
+ * @param {Date|string} date - Moment
+ * @param {string} timeZone - IANA timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *          month 1-12, weekday 0 (Sunday) - 6
+ */
+function getZonedParts(date, timeZone = getDefaultTimeZone()) {
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: weekdays.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Offset of a zone from UTC at a moment (positive east of Greenwich)
+ * @param {Date|string} date - Moment
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in ms
+ */
+function getOffsetMs(date, timeZone = getDefaultTimeZone()) {
+  const ms = new Date(date).getTime();
+  const parts = getZonedParts(ms, timeZone);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - (ms - (((ms % 1000) + 1000) % 1000));
+}
+
+/**
+ * Moment of a wall-clock time in a zone. A time skipped by a DST jump resolves to
+ * the same clock time after the jump; a repeated time resolves to its first occurrence.
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number}} fields - month 1-12
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone = getDefaultTimeZone()) {
+  const localAsUTC = Date.UTC(year, month - 1, day, hour, minute);
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  // Offsets in force around that clock time (two different ones on a DST change day)
+  const offsets = [...new Set([-dayMs, 0, dayMs].map(shift => getOffsetMs(localAsUTC + shift, timeZone)))];
+  const valid = offsets
+    .map(offset => localAsUTC - offset)
+    .filter(candidate => localAsUTC - getOffsetMs(candidate, timeZone) === candidate);
+
+  if (valid.length > 0) {
+    return new Date(Math.min(...valid));
+  }
+
+  // Skipped by a forward jump: apply the offset from before the jump
+  return new Date(localAsUTC - Math.min(...offsets));
+}
+
+/**
+ * Local day containing a moment (23 or 25 hours long on DST change days)
+ * @param {Date} at - Moment inside the day
+ * @param {string} timeZone - IANA timezone
+ * @returns {{since: Date, until: Date}} Day window in UTC
+ */
+function getZonedDayWindow(at = new Date(), timeZone = getDefaultTimeZone()) {
+  const { year, month, day } = getZonedParts(at, timeZone);
+  const nextDay = new Date(Date.UTC(year, month - 1, day + 1));
+
+  return {
+    since: zonedTimeToUtc({ year, month, day }, timeZone),
+    until: zonedTimeToUtc({
+      year: nextDay.getUTCFullYear(),
+      month: nextDay.getUTCMonth() + 1,
+      day: nextDay.getUTCDate()
+    }, timeZone)
+  };
+}
+
+/**
+ * Short UTC offset of a zone at a moment
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} at - Moment (offsets change with DST)
+ * @returns {string} e.g. "UTC+3", "UTC+5:30", "UTC"
+ */
+function formatUtcOffset(timeZone = getDefaultTimeZone(), at = new Date()) {
+  const offsetMinutes = Math.round(getOffsetMs(at, timeZone) / 60000);
+  if (offsetMinutes === 0) return 'UTC';
+
+  const sign = offsetMinutes > 0 ? '+' : '-';
+  const hours = Math.floor(Math.abs(offsetMinutes) / 60);
+  const minutes = Math.abs(offsetMinutes) % 60;
+  return `UTC${sign}${hours}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}`;
+}
+
+module.exports = {
+  getDefaultTimeZone,
+  isValidTimeZone,
+  normalizeTimeZone,
+  getZonedParts,
+  getOffsetMs,
+  zonedTimeToUtc,
+  getZonedDayWindow,
+  formatUtcOffset
+};
@@ -0,0 +1,88 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers");
+const { PERMISSIONS } = require("../src/services/AuthorizationService");
+
+const ADMIN_ID = "111";
+const OPERATOR_ID = "222";
+const VIEWER_ID = "333";
+const STRANGER_ID = "444";
+
+describe("callback routing and RBAC", () => {
+  let harness;
+
+  before(async () => {
+    harness = await createHarness({
+      roles: { [ADMIN_ID]: "admin", [OPERATOR_ID]: "operator", [VIEWER_ID]: "viewer" },
+    });
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  beforeEach(() => {
+    harness.bot.reset();
+    harness.botController.rateLimits.clear();
+  });
+
+  it("maps callback data to the permission it needs", () => {
+    const { botController } = harness;
+
+    assert.equal(botController.getCallbackPermission("close_menu"), null);
+    assert.equal(botController.getCallbackPermission("settings_tz_UTC"), null);
+    assert.equal(botController.getCallbackPermission("queue_cancel_3"), null);
+    assert.equal(botController.getCallbackPermission("history_next"), PERMISSIONS.VIEW_HISTORY);
+    assert.equal(botController.getCallbackPermission("history_reorder_5"), PERMISSIONS.PURCHASE);
+    assert.equal(botController.getCallbackPermission("catalog_day_1"), PERMISSIONS.VIEW_INFO);
+    assert.equal(botController.getCallbackPermission("settings_razer_id"), PERMISSIONS.MANAGE_CREDENTIALS);
+    assert.equal(botController.getCallbackPermission("account_codes_2"), PERMISSIONS.MANAGE_BACKUP_CODES);
+    assert.equal(botController.getCallbackPermission("account_remove_2"), PERMISSIONS.MANAGE_CREDENTIALS);
+    assert.equal(botController.getCallbackPermission("order_schedule"), PERMISSIONS.SCHEDULE);
+    assert.equal(botController.getCallbackPermission("scheduled_cancel_9"), PERMISSIONS.SCHEDULE);
+    assert.equal(botController.getCallbackPermission("order_game_pubg"), PERMISSIONS.PURCHASE);
+    assert.equal(botController.getCallbackPermission("recovery_dismiss_4"), PERMISSIONS.PURCHASE);
+  });
+
+  it("denies buttons to users without a role", async () => {
+    const { bot } = harness;
+
+    await bot.pressButton(STRANGER_ID, "history_get_pins_1");
+
+    const [answer] = bot.getCalls("answerCallbackQuery");
+    assert.equal(answer.options.text, "Access denied.");
+    assert.equal(bot.getCalls("sendMessage").length, 0);
+  });
+
+  it("stops viewers from starting purchases", async () => {
+    const { bot } = harness;
+
+    await bot.pressButton(VIEWER_ID, "order_game_pubg");
+    await bot.pressButton(VIEWER_ID, "history_reorder_1", { chatId: "9001" });
+
+    const answers = bot.getCalls("answerCallbackQuery");
+    assert.equal(answers.length, 2);
+    for (const answer of answers) {
+      assert.equal(answer.options.text, "⛔ Not allowed for your role (viewer).");
+      assert.equal(answer.options.show_alert, true);
+    }
+  });
+
+  it("stops operators from managing Razer credentials", async () => {
+    const { bot } = harness;
+
+    await bot.pressButton(OPERATOR_ID, "settings_razer_id");
+
+    const [answer] = bot.getCalls("answerCallbackQuery");
+    assert.equal(answer.options.text, "⛔ Not allowed for your role (operator).");
+    assert.equal(bot.getCalls("sendMessage").length, 0);
+  });
+
+  it("routes history PIN buttons with the order ID", async () => {
+    const { bot } = harness;
+
+    await bot.pressButton(VIEWER_ID, "history_get_pins_424242");
+
+    assert.equal(bot.lastMessage(VIEWER_ID).text, "❌ Order not found.");
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Test Helpers
+ *
+ * Boots the controllers against a throwaway SQLite database and the fake Telegram client.
+ * Each test file runs in its own process (node --test), so every file gets fresh singletons.
+ *
+ * Usage:
+ *   const { createHarness } = require("./helpers");
+ *
+ *   const harness = await createHarness({ roles: { 111: "admin", 222: "viewer" } });
+ *   await harness.bot.sendText(111, "/start");
+ *   await harness.close();
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Must be set before DatabaseService is loaded
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "razer-bot-test-"));
+process.env.STORAGE_BACKEND = "sqlite";
+process.env.SQLITE_PATH = path.join(tempDir, "test.db");
+process.env.ENCRYPTION_KEY = "0".repeat(64);
+process.env.AUTHORIZED_USER_IDS = "";
+
+const FakeTelegramBot = require("../tools/fake-telegram/FakeTelegramBot");
+
+/**
+ * Create a bot controller wired to a fake Telegram client
+ * @param {Object} options
+ * @param {Object} options.roles - Telegram user ID -> role to grant before the test
+ * @returns {Promise<Object>} {bot, botController, orderFlowHandler, db, close}
+ */
+async function createHarness({ roles = {} } = {}) {
+  const migrationService = require("../src/services/MigrationService");
+  const authService = require("../src/services/AuthorizationService");
+  const db = require("../src/services/DatabaseService");
+  const botController = require("../src/controllers/TelegramBotController");
+  const orderFlowHandler = require("../src/controllers/OrderFlowHandler");
+  const sessionManager = require("../src/services/SessionManager");
+
+  await migrationService.applyPendingMigrations();
+  for (const [telegramUserId, role] of Object.entries(roles)) {
+    await authService.grantRole(telegramUserId, role, null);
+  }
+
+  const bot = new FakeTelegramBot();
+  botController.initialize(null, { client: bot });
+
+  return {
+    bot,
+    botController,
+    orderFlowHandler,
+    db,
+    async close() {
+      // Module-level cleanup intervals would keep the test process alive
+      await botController.stop();
+      orderFlowHandler.stopSessionCleanup();
+      sessionManager.stopSessionCleanup();
+      await db.close();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { createHarness };
@@ -0,0 +1,169 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers");
+
+const OPERATOR_ID = "111";
+
+describe("busy-operation model", () => {
+  let harness;
+
+  before(async () => {
+    harness = await createHarness({ roles: { [OPERATOR_ID]: "admin" } });
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  beforeEach(() => {
+    const { bot, botController, orderFlowHandler } = harness;
+    bot.reset();
+    botController.userOperations.clear();
+    botController.rateLimits.clear();
+    orderFlowHandler.clearSession(OPERATOR_ID);
+  });
+
+  it("allows one operation at a time", () => {
+    const { botController } = harness;
+
+    const first = botController.beginUserOperation(OPERATOR_ID, "settings", false);
+    assert.ok(first);
+    assert.equal(botController.isUserBusy(OPERATOR_ID), true);
+    assert.equal(botController.beginUserOperation(OPERATOR_ID, "history", false), null);
+    assert.equal(botController.getActiveOperation(OPERATOR_ID).type, "settings");
+  });
+
+  it("is shared by every user of the bot", () => {
+    const { botController } = harness;
+
+    botController.beginUserOperation(OPERATOR_ID, "settings", false);
+    assert.equal(botController.isUserBusy("999"), true);
+  });
+
+  it("ignores a clear for an operation that already ended", () => {
+    const { botController } = harness;
+
+    const first = botController.beginUserOperation(OPERATOR_ID, "settings", false);
+    botController.clearUserOperation(OPERATOR_ID, first.id);
+    const second = botController.beginUserOperation(OPERATOR_ID, "history", false);
+
+    botController.clearUserOperation(OPERATOR_ID, first.id);
+    assert.equal(botController.getActiveOperation(OPERATOR_ID).id, second.id);
+
+    botController.clearUserOperation(OPERATOR_ID);
+    assert.equal(botController.isUserBusy(OPERATOR_ID), false);
+  });
+
+  it("tells a command to wait while an operation runs", async () => {
+    const { bot, botController } = harness;
+
+    botController.beginUserOperation(OPERATOR_ID, "settings", false);
+    const operation = await botController.tryBeginCommandOperation(
+      OPERATOR_ID,
+      OPERATOR_ID,
+      "history",
+      false,
+    );
+
+    assert.equal(operation, null);
+    assert.equal(
+      bot.lastMessage(OPERATOR_ID).text,
+      "⏳ Please wait, settings update is in progress.\nPlease wait until it finishes.",
+    );
+  });
+
+  it("offers /cancel when the running operation is cancellable", async () => {
+    const { bot, botController } = harness;
+
+    botController.beginUserOperation(OPERATOR_ID, "transactions", true);
+    await bot.sendText(OPERATOR_ID, "/history");
+
+    assert.match(bot.lastMessage(OPERATOR_ID).text, /transactions fetch is in progress/);
+    assert.match(bot.lastMessage(OPERATOR_ID).text, /Use \/cancel/);
+  });
+
+  it("blocks commands while a queued order runs in the chat", async () => {
+    const { bot, botController, orderFlowHandler } = harness;
+
+    orderFlowHandler.beginRunningOrder(OPERATOR_ID, OPERATOR_ID, 1);
+    const operation = await botController.tryBeginCommandOperation(
+      OPERATOR_ID,
+      OPERATOR_ID,
+      "settings",
+      false,
+    );
+    orderFlowHandler.endRunningOrder(OPERATOR_ID);
+
+    assert.equal(operation, null);
+    assert.match(bot.lastMessage(OPERATOR_ID).text, /purchase processing is in progress/);
+  });
+
+  it("keeps a flow started while the order waited in the queue", () => {
+    const { orderFlowHandler } = harness;
+
+    orderFlowHandler.initSession(OPERATOR_ID);
+    orderFlowHandler.updateSession(OPERATOR_ID, { step: "enter_quantity", gameName: "PUBG Mobile" });
+    orderFlowHandler.beginRunningOrder(OPERATOR_ID, OPERATOR_ID, 1);
+    orderFlowHandler.endRunningOrder(OPERATOR_ID);
+
+    assert.equal(orderFlowHandler.getSession(OPERATOR_ID).step, "enter_quantity");
+  });
+
+  it("hands the queuing session over to the running order", () => {
+    const { orderFlowHandler } = harness;
+
+    orderFlowHandler.initSession(OPERATOR_ID);
+    orderFlowHandler.updateSession(OPERATOR_ID, { step: "queued", queueEntryId: 7 });
+    orderFlowHandler.beginRunningOrder(OPERATOR_ID, OPERATOR_ID, 7);
+
+    assert.equal(orderFlowHandler.getSession(OPERATOR_ID), undefined);
+    assert.equal(orderFlowHandler.getRunningOrder(OPERATOR_ID).queueEntryId, 7);
+    orderFlowHandler.endRunningOrder(OPERATOR_ID);
+  });
+
+  it("stops the running order on /cancel", async () => {
+    const { bot, orderFlowHandler } = harness;
+
+    orderFlowHandler.beginRunningOrder(OPERATOR_ID, OPERATOR_ID, 1);
+    await bot.sendText(OPERATOR_ID, "/cancel");
+
+    assert.equal(orderFlowHandler.getRunningOrder(OPERATOR_ID).cancelRequested, true);
+    assert.equal(orderFlowHandler.isCancelled(OPERATOR_ID), true);
+    orderFlowHandler.endRunningOrder(OPERATOR_ID);
+    orderFlowHandler.clearCancellation(OPERATOR_ID);
+  });
+
+  it("answers text replies with the busy message", async () => {
+    const { bot, botController } = harness;
+
+    botController.beginUserOperation(OPERATOR_ID, "accounts", false);
+    await bot.sendText(OPERATOR_ID, "5");
+
+    assert.equal(bot.getCalls("sendMessage", OPERATOR_ID).length, 1);
+    assert.match(bot.lastMessage(OPERATOR_ID).text, /Razer accounts is in progress/);
+  });
+
+  it("keeps buttons locked but lets cancel buttons through", async () => {
+    const { bot, botController } = harness;
+
+    botController.beginUserOperation(OPERATOR_ID, "purchase", true);
+    await bot.pressButton(OPERATOR_ID, "history_get_pins_1");
+
+    const [answer] = bot.getCalls("answerCallbackQuery");
+    assert.equal(answer.options.text, "⏳ purchase processing in progress");
+    assert.equal(bot.getCalls("sendMessage").length, 0);
+
+    assert.equal(botController.isCancelCallback("order_cancel_processing"), true);
+    assert.equal(botController.isCancelCallback("queue_cancel_7"), true);
+    assert.equal(botController.isCancelCallback("history_get_pins_1"), false);
+  });
+
+  it("releases the callback operation once the button is handled", async () => {
+    const { bot, botController } = harness;
+
+    await bot.pressButton(OPERATOR_ID, "history_get_pins_1");
+
+    assert.equal(bot.lastMessage(OPERATOR_ID).text, "❌ Order not found.");
+    assert.equal(botController.isUserBusy(OPERATOR_ID), false);
+  });
+});
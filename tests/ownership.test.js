@@ -0,0 +1,59 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers");
+
+const ADMIN_ID = "111";
+const OWNER_ID = "222";
+const OTHER_ID = "333";
+
+describe("order ownership", () => {
+  let harness;
+  let order;
+
+  before(async () => {
+    harness = await createHarness({
+      roles: { [ADMIN_ID]: "admin", [OWNER_ID]: "operator", [OTHER_ID]: "operator" },
+    });
+    order = await harness.db.createOrder(OWNER_ID, 2, "60 UC", "PUBG Mobile", { chatId: OWNER_ID });
+    await harness.db.updateOrderStatus(order.id, "interrupted");
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  beforeEach(() => {
+    harness.bot.reset();
+    harness.botController.rateLimits.clear();
+  });
+
+  it("hides another user's PINs", async () => {
+    const { bot } = harness;
+
+    await bot.pressButton(OTHER_ID, `history_get_pins_${order.id}`);
+
+    assert.equal(bot.lastMessage(OTHER_ID).text, "❌ Order not found.");
+  });
+
+  it("lets the owner and admins open an order's PINs", async () => {
+    const { bot } = harness;
+
+    await bot.pressButton(OWNER_ID, `history_get_pins_${order.id}`);
+    await bot.pressButton(ADMIN_ID, `history_get_pins_${order.id}`);
+
+    assert.equal(bot.lastMessage(OWNER_ID).text, "⚠️ No PINs available.");
+    assert.equal(bot.lastMessage(ADMIN_ID).text, "⚠️ No PINs available.");
+  });
+
+  it("only lets the owner dismiss an interrupted order", async () => {
+    const { bot, db } = harness;
+
+    await bot.pressButton(OTHER_ID, `recovery_dismiss_${order.id}`);
+    assert.equal(bot.lastMessage(OTHER_ID).text, "⚠️ Order not found.");
+    assert.equal((await db.getOrderById(order.id)).status, "interrupted");
+
+    await bot.pressButton(OWNER_ID, `recovery_dismiss_${order.id}`);
+    assert.equal(bot.lastMessage(OWNER_ID).text, "✅ Dismissed. Use /start for a new order.");
+    assert.equal((await db.getOrderById(order.id)).status, "completed");
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers");
+const appConfig = require("../src/config/app-config");
+
+const MINUTE_MS = 60 * 1000;
+
+describe("scheduled run pre-warm window", () => {
+  let harness;
+  let scheduledOrderService;
+
+  before(async () => {
+    harness = await createHarness();
+    scheduledOrderService = require("../src/services/ScheduledOrderService")(harness.bot);
+  });
+
+  after(async () => {
+    scheduledOrderService.clearTimers();
+    await harness.close();
+  });
+
+  beforeEach(() => {
+    scheduledOrderService.clearTimers();
+    scheduledOrderService.prewarmedRuns.clear();
+    scheduledOrderService.prewarms.clear();
+  });
+
+  it("is closed with nothing scheduled", () => {
+    assert.equal(scheduledOrderService.isPrewarmWindowActive(2 * MINUTE_MS), false);
+  });
+
+  it("covers a pre-warmed run until it is due", () => {
+    scheduledOrderService.prewarmedRuns.set(1, Date.now() + MINUTE_MS);
+    assert.equal(scheduledOrderService.isPrewarmWindowActive(), true);
+
+    scheduledOrderService.prewarmedRuns.set(1, Date.now() - MINUTE_MS);
+    assert.equal(scheduledOrderService.isPrewarmWindowActive(), false);
+  });
+
+  it("looks ahead to pre-warms about to start", () => {
+    const now = Date.now();
+    scheduledOrderService.armPrewarm(
+      { id: 2, scheduled_time: new Date(now + appConfig.schedule.prewarmMs + 5 * MINUTE_MS) },
+      now,
+    );
+
+    assert.equal(scheduledOrderService.isPrewarmWindowActive(2 * MINUTE_MS), false);
+    assert.equal(scheduledOrderService.isPrewarmWindowActive(10 * MINUTE_MS), true);
+  });
+});
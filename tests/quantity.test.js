@@ -0,0 +1,86 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers");
+
+const OPERATOR_ID = "111";
+
+describe("quantity validation", () => {
+  let harness;
+
+  before(async () => {
+    harness = await createHarness({ roles: { [OPERATOR_ID]: "operator" } });
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  beforeEach(() => {
+    const { bot, orderFlowHandler } = harness;
+    bot.reset();
+    orderFlowHandler.clearSession(OPERATOR_ID);
+    orderFlowHandler.initSession(OPERATOR_ID);
+    orderFlowHandler.updateSession(OPERATOR_ID, {
+      step: "enter_quantity",
+      telegramUserId: OPERATOR_ID,
+      gameName: "PUBG Mobile",
+      cardName: "60 UC",
+    });
+  });
+
+  for (const input of ["0", "-3", "501", "abc", ""]) {
+    it(`rejects "${input}"`, async () => {
+      const { bot, orderFlowHandler } = harness;
+
+      await bot.sendText(OPERATOR_ID, input);
+
+      assert.equal(bot.lastMessage(OPERATOR_ID).text, "⚠️ Invalid. Enter 1-500");
+      const session = orderFlowHandler.getSession(OPERATOR_ID);
+      assert.equal(session.step, "enter_quantity");
+      assert.equal(session.quantity, null);
+    });
+  }
+
+  it("accepts the bounds of the range", async () => {
+    const { bot, orderFlowHandler } = harness;
+
+    await bot.sendText(OPERATOR_ID, "500");
+    assert.equal(orderFlowHandler.getSession(OPERATOR_ID).quantity, 500);
+
+    orderFlowHandler.updateSession(OPERATOR_ID, { step: "enter_quantity" });
+    await bot.sendText(OPERATOR_ID, "1");
+    assert.equal(orderFlowHandler.getSession(OPERATOR_ID).quantity, 1);
+  });
+
+  it("requires backup codes before buying", async () => {
+    const { bot, orderFlowHandler } = harness;
+
+    await bot.sendText(OPERATOR_ID, "5");
+
+    assert.equal(bot.lastMessage(OPERATOR_ID).text, "⚠️ *NO BACKUP CODES*");
+    const session = orderFlowHandler.getSession(OPERATOR_ID);
+    assert.equal(session.quantity, 5);
+    assert.equal(session.balanceConfirmed, false);
+  });
+
+  it("asks for a template name in template mode", async () => {
+    const { bot, orderFlowHandler } = harness;
+
+    orderFlowHandler.updateSession(OPERATOR_ID, { isTemplateMode: true });
+    await bot.sendText(OPERATOR_ID, "12");
+
+    assert.equal(orderFlowHandler.getSession(OPERATOR_ID).step, "enter_template_name");
+    assert.match(bot.lastMessage(OPERATOR_ID).text, /TEMPLATE NAME/);
+    assert.match(bot.lastMessage(OPERATOR_ID).text, /60 UC × 12/);
+  });
+
+  it("ignores numbers outside the quantity step", async () => {
+    const { bot, orderFlowHandler } = harness;
+
+    orderFlowHandler.updateSession(OPERATOR_ID, { step: "select_card" });
+    await bot.sendText(OPERATOR_ID, "5");
+
+    assert.equal(bot.getCalls("sendMessage").length, 0);
+    assert.equal(orderFlowHandler.getSession(OPERATOR_ID).quantity, null);
+  });
+});
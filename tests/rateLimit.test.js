@@ -0,0 +1,61 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers");
+
+const OPERATOR_ID = "111";
+const OTHER_ID = "222";
+
+describe("rate limiting", () => {
+  let harness;
+
+  before(async () => {
+    harness = await createHarness({
+      roles: { [OPERATOR_ID]: "admin", [OTHER_ID]: "operator" },
+    });
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  beforeEach(() => {
+    harness.bot.reset();
+    harness.botController.rateLimits.clear();
+  });
+
+  it("rejects a second request from the same chat inside the window", () => {
+    const { botController } = harness;
+
+    assert.equal(botController.checkRateLimit(OPERATOR_ID), true);
+    assert.equal(botController.checkRateLimit(OPERATOR_ID), false);
+  });
+
+  it("limits each chat separately", () => {
+    const { botController } = harness;
+
+    assert.equal(botController.checkRateLimit(OPERATOR_ID), true);
+    assert.equal(botController.checkRateLimit(OTHER_ID), true);
+  });
+
+  it("accepts requests again once the window has passed", () => {
+    const { botController } = harness;
+
+    botController.rateLimits.set(
+      OPERATOR_ID,
+      Date.now() - botController.RATE_LIMIT_MS - 1,
+    );
+    assert.equal(botController.checkRateLimit(OPERATOR_ID), true);
+  });
+
+  it("answers a rapid second button press without handling it", async () => {
+    const { bot } = harness;
+
+    await bot.pressButton(OPERATOR_ID, "history_get_pins_1");
+    await bot.pressButton(OPERATOR_ID, "history_get_pins_2");
+
+    const answers = bot.getCalls("answerCallbackQuery");
+    assert.equal(answers.length, 2);
+    assert.equal(answers[1].options.text, "⏳ Wait a moment.");
+    assert.equal(bot.getCalls("sendMessage", OPERATOR_ID).length, 1);
+  });
+});
@@ -0,0 +1,148 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers");
+const { getZonedParts, zonedTimeToUtc } = require("../src/utils/timezone");
+
+const OPERATOR_ID = "111";
+const TIME_ZONE = "Africa/Cairo";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Schedule input for a day some days from now in TIME_ZONE
+ * @param {number} days - Days from now (negative = earlier)
+ * @param {string} time - HH:MM
+ * @returns {{text: string, fields: Object, sameYear: boolean}}
+ */
+function dayInput(days, time) {
+  const now = getZonedParts(new Date(), TIME_ZONE);
+  const target = getZonedParts(new Date(Date.now() + days * DAY_MS), TIME_ZONE);
+  const [hour, minute] = time.split(":").map(Number);
+  return {
+    text: `${target.day}/${target.month} ${time}`,
+    fields: { year: target.year, month: target.month, day: target.day, hour, minute },
+    // The year is implied, so inputs across New Year cannot be checked
+    sameYear: target.year === now.year,
+  };
+}
+
+describe("schedule-time parsing", () => {
+  let harness;
+
+  before(async () => {
+    harness = await createHarness({ roles: { [OPERATOR_ID]: "operator" } });
+  });
+
+  after(async () => {
+    await harness.close();
+  });
+
+  beforeEach(() => {
+    harness.bot.reset();
+  });
+
+  it("reads DD/MM HH:MM as wall-clock time in the user's timezone", async (t) => {
+    const { bot, orderFlowHandler } = harness;
+    const input = dayInput(2, "14:30");
+    if (!input.sameYear) return t.skip("crosses New Year");
+
+    const scheduledTime = await orderFlowHandler.parseScheduleTime(bot, OPERATOR_ID, input.text, TIME_ZONE);
+
+    assert.equal(scheduledTime.getTime(), zonedTimeToUtc(input.fields, TIME_ZONE).getTime());
+    const local = getZonedParts(scheduledTime, TIME_ZONE);
+    assert.equal(local.hour, 14);
+    assert.equal(local.minute, 30);
+    assert.equal(bot.getCalls("sendMessage").length, 0);
+  });
+
+  it("rejects text that is not DD/MM HH:MM", async () => {
+    const { bot, orderFlowHandler } = harness;
+
+    for (const text of ["tomorrow", "20/02", "2026-02-20 14:30", "20/02 14h30"]) {
+      bot.reset();
+      const scheduledTime = await orderFlowHandler.parseScheduleTime(bot, OPERATOR_ID, text, TIME_ZONE);
+      assert.equal(scheduledTime, null);
+      assert.match(bot.lastMessage(OPERATOR_ID).text, /INVALID FORMAT/);
+    }
+  });
+
+  it("rejects hours and minutes out of range", async () => {
+    const { bot, orderFlowHandler } = harness;
+
+    for (const time of ["24:00", "12:60"]) {
+      bot.reset();
+      const scheduledTime = await orderFlowHandler.parseScheduleTime(
+        bot,
+        OPERATOR_ID,
+        dayInput(2, time).text,
+        TIME_ZONE,
+      );
+      assert.equal(scheduledTime, null);
+      assert.match(bot.lastMessage(OPERATOR_ID).text, /Hour must be 0-23, minute must be 0-59/);
+    }
+  });
+
+  it("rejects times in the past", async (t) => {
+    const { bot, orderFlowHandler } = harness;
+    const input = dayInput(-2, "12:00");
+    if (!input.sameYear) return t.skip("crosses New Year");
+
+    const scheduledTime = await orderFlowHandler.parseScheduleTime(bot, OPERATOR_ID, input.text, TIME_ZONE);
+
+    assert.equal(scheduledTime, null);
+    assert.match(bot.lastMessage(OPERATOR_ID).text, /Must be in future/);
+  });
+
+  it("rejects times more than 30 days ahead", async (t) => {
+    const { bot, orderFlowHandler } = harness;
+    const input = dayInput(40, "12:00");
+    if (!input.sameYear) return t.skip("crosses New Year");
+
+    const scheduledTime = await orderFlowHandler.parseScheduleTime(bot, OPERATOR_ID, input.text, TIME_ZONE);
+
+    assert.equal(scheduledTime, null);
+    assert.match(bot.lastMessage(OPERATOR_ID).text, /TOO FAR AHEAD/);
+  });
+
+  it("turns repeat schedules into cron with the next run as first time", async () => {
+    const { bot, orderFlowHandler } = harness;
+
+    const daily = await orderFlowHandler.resolveScheduleInput(bot, OPERATOR_ID, "daily 10:00", TIME_ZONE);
+    assert.deepEqual(daily.recurrence, { cron: "0 10 * * *" });
+    assert.ok(daily.scheduledTime > new Date());
+    assert.equal(getZonedParts(daily.scheduledTime, TIME_ZONE).hour, 10);
+
+    const weekdays = await orderFlowHandler.resolveScheduleInput(bot, OPERATOR_ID, "weekdays 09:00", TIME_ZONE);
+    assert.deepEqual(weekdays.recurrence, { cron: "0 9 * * 1,2,3,4,5" });
+
+    const cron = await orderFlowHandler.resolveScheduleInput(bot, OPERATOR_ID, "cron 30 18 * * 1-5", TIME_ZONE);
+    assert.deepEqual(cron.recurrence, { cron: "30 18 * * 1-5" });
+    assert.equal(bot.getCalls("sendMessage").length, 0);
+  });
+
+  it("reports invalid repeat schedules", async () => {
+    const { bot, orderFlowHandler } = harness;
+
+    const schedule = await orderFlowHandler.resolveScheduleInput(bot, OPERATOR_ID, "daily 25:00", TIME_ZONE);
+
+    assert.equal(schedule, null);
+    assert.match(bot.lastMessage(OPERATOR_ID).text, /INVALID SCHEDULE/);
+  });
+
+  it("keeps the schedule step after invalid input from the chat", async () => {
+    const { bot, orderFlowHandler } = harness;
+
+    orderFlowHandler.initSession(OPERATOR_ID);
+    orderFlowHandler.updateSession(OPERATOR_ID, {
+      step: "enter_schedule_time",
+      telegramUserId: OPERATOR_ID,
+      gameName: "PUBG Mobile",
+      cardName: "60 UC",
+      quantity: 2,
+    });
+    await bot.sendText(OPERATOR_ID, "next friday");
+
+    assert.match(bot.lastMessage(OPERATOR_ID).text, /INVALID FORMAT/);
+    assert.equal(orderFlowHandler.getSession(OPERATOR_ID).step, "enter_schedule_time");
+    orderFlowHandler.clearSession(OPERATOR_ID);
+  });
+});
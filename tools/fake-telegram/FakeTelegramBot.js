@@ -0,0 +1,264 @@
+/**
+ * Fake Telegram Bot
+ *
+ * In-memory stand-in for the node-telegram-bot-api client so controller flows
+ * (TelegramBotController, OrderFlowHandler, OrderHistoryHandler) can be driven without a live bot.
+ * - Records sendMessage / editMessageText / sendDocument / deleteMessage / answerCallbackQuery calls
+ * - Simulates commands, text replies and callback queries with the library's dispatch order
+ * - Resolves once every handler triggered by an update has settled
+ *
+ * Usage:
+ *   const FakeTelegramBot = require("./tools/fake-telegram/FakeTelegramBot");
+ *   const botController = require("./src/controllers/TelegramBotController");
+ *
+ *   const bot = new FakeTelegramBot();
+ *   botController.initialize(null, { client: bot });
+ *
+ *   await bot.sendText(123456789, "/start");
+ *   await bot.pressButton(123456789, "order_game_freefire");
+ *   bot.lastMessage(123456789).text;
+ */
+
+class FakeTelegramBot {
+  constructor() {
+    this.calls = [];
+    this.textHandlers = []; // { regexp, callback }
+    this.listeners = new Map(); // event -> Array<listener>
+    this.pendingFailures = new Map(); // method -> Array<Error>
+    this.nextMessageId = 1000;
+    this.nextUpdateId = 1;
+    this.polling = true;
+  }
+
+  // ============================================================================
+  // node-telegram-bot-api SURFACE
+  // ============================================================================
+
+  onText(regexp, callback) {
+    this.textHandlers.push({ regexp, callback });
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(listener);
+  }
+
+  removeListener(event, listener) {
+    const listeners = this.listeners.get(event) || [];
+    this.listeners.set(
+      event,
+      listeners.filter((existing) => existing !== listener),
+    );
+  }
+
+  async sendMessage(chatId, text, options = {}) {
+    this.record("sendMessage", { chatId: String(chatId), text, options });
+    return this.createMessage(chatId, text);
+  }
+
+  async editMessageText(text, options = {}) {
+    this.record("editMessageText", {
+      chatId: String(options.chat_id),
+      messageId: options.message_id,
+      text,
+      options,
+    });
+    return { ...this.createMessage(options.chat_id, text), message_id: options.message_id };
+  }
+
+  async editMessageReplyMarkup(replyMarkup, options = {}) {
+    this.record("editMessageReplyMarkup", {
+      chatId: String(options.chat_id),
+      messageId: options.message_id,
+      replyMarkup,
+      options,
+    });
+    return true;
+  }
+
+  async sendDocument(chatId, document, options = {}, fileOptions = {}) {
+    this.record("sendDocument", {
+      chatId: String(chatId),
+      document,
+      options,
+      fileOptions,
+    });
+    return this.createMessage(chatId, options.caption || "");
+  }
+
+  async deleteMessage(chatId, messageId) {
+    this.record("deleteMessage", { chatId: String(chatId), messageId });
+    return true;
+  }
+
+  async answerCallbackQuery(callbackQueryId, options = {}) {
+    this.record("answerCallbackQuery", { callbackQueryId, options });
+    return true;
+  }
+
+  async stopPolling() {
+    this.polling = false;
+  }
+
+  // ============================================================================
+  // SIMULATION
+  // ============================================================================
+
+  /**
+   * Simulate a user sending a text message or command.
+   * @param {string|number} userId - Telegram user ID (also the private chat ID)
+   * @param {string} text - Message text
+   * @param {Object} options - {chatId, username}
+   * @returns {Promise<Object>} The simulated message
+   */
+  async sendText(userId, text, options = {}) {
+    const message = {
+      message_id: this.nextMessageId++,
+      from: { id: Number(userId), is_bot: false, username: options.username || `user${userId}` },
+      chat: { id: Number(options.chatId || userId), type: "private" },
+      date: Math.floor(Date.now() / 1000),
+      text,
+    };
+
+    // Same order as node-telegram-bot-api: "message" listeners, then onText matches
+    const results = this.emit("message", message);
+    for (const { regexp, callback } of this.textHandlers) {
+      regexp.lastIndex = 0;
+      const match = regexp.exec(text);
+      if (match) {
+        results.push(Promise.resolve().then(() => callback(message, match)));
+      }
+    }
+
+    await Promise.allSettled(results);
+    return message;
+  }
+
+  /**
+   * Simulate a user pressing an inline keyboard button.
+   * @param {string|number} userId - Telegram user ID
+   * @param {string} data - callback_data of the button
+   * @param {Object} options - {chatId, messageId}
+   * @returns {Promise<Object>} The simulated callback query
+   */
+  async pressButton(userId, data, options = {}) {
+    const chatId = Number(options.chatId || userId);
+    const query = {
+      id: String(this.nextUpdateId++),
+      from: { id: Number(userId), is_bot: false, username: `user${userId}` },
+      message: {
+        message_id: options.messageId || this.lastMessageId(chatId),
+        chat: { id: chatId, type: "private" },
+        date: Math.floor(Date.now() / 1000),
+      },
+      data,
+    };
+
+    await Promise.allSettled(this.emit("callback_query", query));
+    return query;
+  }
+
+  /**
+   * Make the next call to a method reject (e.g. a Markdown parse error).
+   * @param {string} method - Bot method name
+   * @param {Error} error - Error to reject with
+   */
+  failNext(method, error) {
+    if (!this.pendingFailures.has(method)) {
+      this.pendingFailures.set(method, []);
+    }
+    this.pendingFailures.get(method).push(error);
+  }
+
+  // ============================================================================
+  // INSPECTION
+  // ============================================================================
+
+  /**
+   * Recorded calls, optionally filtered by method and chat.
+   * @param {string|null} method - Bot method name
+   * @param {string|number|null} chatId - Chat ID
+   * @returns {Array<Object>}
+   */
+  getCalls(method = null, chatId = null) {
+    return this.calls.filter(
+      (call) =>
+        (!method || call.method === method) &&
+        (chatId === null || call.chatId === String(chatId)),
+    );
+  }
+
+  /**
+   * Last message sent to a chat.
+   * @param {string|number} chatId - Chat ID
+   * @returns {Object|null} Recorded sendMessage call
+   */
+  lastMessage(chatId) {
+    const messages = this.getCalls("sendMessage", chatId);
+    return messages[messages.length - 1] || null;
+  }
+
+  /**
+   * Flattened inline keyboard buttons of a recorded call.
+   * @param {Object} call - Recorded sendMessage/editMessageText call
+   * @returns {Array<{text: string, callback_data: string}>}
+   */
+  getButtons(call) {
+    const keyboard =
+      call && call.options && call.options.reply_markup
+        ? call.options.reply_markup.inline_keyboard || []
+        : [];
+    return keyboard.flat();
+  }
+
+  reset() {
+    this.calls = [];
+    this.pendingFailures.clear();
+  }
+
+  // ============================================================================
+  // INTERNALS
+  // ============================================================================
+
+  record(method, details) {
+    const failures = this.pendingFailures.get(method);
+    if (failures && failures.length > 0) {
+      throw failures.shift();
+    }
+
+    const call = { method, ...details, messageId: details.messageId || null };
+    this.calls.push(call);
+    return call;
+  }
+
+  createMessage(chatId, text) {
+    const message = {
+      message_id: this.nextMessageId++,
+      chat: { id: Number(chatId), type: "private" },
+      date: Math.floor(Date.now() / 1000),
+      text,
+    };
+
+    const lastCall = this.calls[this.calls.length - 1];
+    if (lastCall && !lastCall.messageId) {
+      lastCall.messageId = message.message_id;
+    }
+
+    return message;
+  }
+
+  lastMessageId(chatId) {
+    const sent = this.getCalls(null, chatId).filter((call) => call.messageId);
+    return sent.length > 0 ? sent[sent.length - 1].messageId : this.nextMessageId;
+  }
+
+  emit(event, payload) {
+    return (this.listeners.get(event) || []).map((listener) =>
+      Promise.resolve().then(() => listener(payload)),
+    );
+  }
+}
+
+module.exports = FakeTelegramBot;
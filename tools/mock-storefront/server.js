@@ -0,0 +1,656 @@
+/**
+ * Mock Razer Gold Storefront
+ *
+ * Local stand-in for gold.razer.com and razerid.razer.com so the Playwright
+ * purchase flows can run end to end without touching the real site.
+ * - Gold storefront on MOCK_STOREFRONT_PORT (default 4100)
+ * - RazerID login/dashboard on MOCK_STOREFRONT_PORT + 1
+ * - Catalog page, checkout API, 2FA backup-code iframe, transactions history
+ * - Scenarios: default, out-of-stock, insufficient-balance, invalid-code
+ *
+ * Usage:
+ *   npm run mock:storefront
+ *   RAZER_GOLD_BASE_URL=http://localhost:4100 RAZER_ID_BASE_URL=http://localhost:4101 npm run start:dev
+ *
+ * Admin endpoints (Gold port):
+ *   GET  /__mock/state                      current state (balance, scenario, transactions)
+ *   POST /__mock/scenario {"name": "...", "restockAfterMs": 0, "balance": 0}
+ *   POST /__mock/reset
+ *
+ * No dependencies - plain Node http with in-memory state.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const GOLD_PORT = parseInt(process.env.MOCK_STOREFRONT_PORT || "4100", 10);
+const RAZER_ID_PORT = GOLD_PORT + 1;
+const GOLD_BASE_URL = `http://localhost:${GOLD_PORT}`;
+const RAZER_ID_BASE_URL = `http://localhost:${RAZER_ID_PORT}`;
+
+const DEFAULT_BALANCE = parseFloat(process.env.MOCK_BALANCE || "10000");
+const TWO_FACTOR_WINDOW_MS = 15 * 60 * 1000;
+const SESSION_COOKIE = "mock_razer_session";
+const SCENARIOS = ["default", "out-of-stock", "insufficient-balance", "invalid-code"];
+
+// Optional allow-list of backup codes; any unused 8-digit code is accepted otherwise
+const BACKUP_CODES = (process.env.MOCK_BACKUP_CODES || "")
+  .split(",")
+  .map((code) => code.trim())
+  .filter(Boolean);
+
+const CATALOG_NAMES = {
+  "freefire-pins": "Free Fire (Global)",
+  "yalla-ludo": "Yalla Ludo",
+  "pubg-mobile-uc-code": "PUBG Mobile UC",
+  "xbox-live-usa": "Xbox Gift Card (USA)",
+  "pubg-mobile": "PUBG Mobile (US)",
+};
+
+const SKU_TEMPLATES = [
+  { vanityName: "100 Diamonds", unitGold: 100 },
+  { vanityName: "310 Diamonds", unitGold: 300 },
+  { vanityName: "520 Diamonds", unitGold: 500 },
+  { vanityName: "1060 Diamonds", unitGold: 1000 },
+];
+
+let state;
+
+function resetState() {
+  state = {
+    scenario: "default",
+    balance: DEFAULT_BALANCE,
+    restockAt: null,
+    twoFactorVerifiedAt: 0,
+    usedBackupCodes: new Set(),
+    pendingCheckouts: new Map(),
+    transactions: [],
+  };
+}
+
+/**
+ * Apply a scenario preset.
+ * @param {Object} options - {name, restockAfterMs, balance}
+ */
+function applyScenario(options = {}) {
+  const name = options.name || "default";
+  if (!SCENARIOS.includes(name)) {
+    throw new Error(`Unknown scenario "${name}" (expected ${SCENARIOS.join(", ")})`);
+  }
+
+  state.scenario = name;
+  state.restockAt =
+    name === "out-of-stock" && Number(options.restockAfterMs) > 0
+      ? Date.now() + Number(options.restockAfterMs)
+      : null;
+
+  if (options.balance !== undefined) {
+    state.balance = Number(options.balance);
+  } else if (name === "insufficient-balance") {
+    state.balance = 0;
+  } else if (state.balance <= 0) {
+    state.balance = DEFAULT_BALANCE;
+  }
+}
+
+// ============================================================================
+// CATALOG
+// ============================================================================
+
+function isInStock() {
+  if (state.scenario !== "out-of-stock") return true;
+  return state.restockAt !== null && Date.now() >= state.restockAt;
+}
+
+function getCatalog(permalink) {
+  const name =
+    CATALOG_NAMES[permalink] ||
+    permalink.replace(/-/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+  const baseId = parseInt(crypto.createHash("md5").update(permalink).digest("hex").slice(0, 4), 16);
+  const hasStock = isInStock();
+
+  return {
+    permalink,
+    name,
+    skus: SKU_TEMPLATES.map((template, index) => ({
+      productId: baseId * 10 + index,
+      vanityName: template.vanityName,
+      productName: `${name} ${template.vanityName}`,
+      unitGold: template.unitGold,
+      hasStock,
+      position: index,
+    })),
+  };
+}
+
+function resolveSku(permalink, productId) {
+  const catalog = getCatalog(permalink);
+  const sku = catalog.skus.find((s) => s.productId === productId);
+  return sku ? { catalog, sku } : null;
+}
+
+// ============================================================================
+// PURCHASES
+// ============================================================================
+
+function randomDigits(length) {
+  let digits = "";
+  while (digits.length < length) {
+    digits += crypto.randomInt(0, 10);
+  }
+  return digits;
+}
+
+function createTransaction(catalog, sku) {
+  const txnNum = `M${Date.now()}${randomDigits(5)}`;
+  const transaction = {
+    txnNum,
+    txnDate: new Date().toISOString(),
+    description: sku.productName,
+    productName: sku.productName,
+    unitGold: sku.unitGold,
+    pinCode: randomDigits(16),
+    serialNumber: crypto.randomBytes(6).toString("hex").toUpperCase(),
+  };
+
+  state.balance -= sku.unitGold;
+  state.transactions.unshift(transaction);
+  console.log(`[mock] purchase ${txnNum}: ${sku.productName} (${sku.unitGold} Gold)`);
+  return transaction;
+}
+
+/**
+ * Resolve a checkout request the way the storefront does:
+ * reload (insufficient balance), otp (2FA needed) or success.
+ */
+function checkout(body) {
+  const productId = Number(body.productId);
+  const match = body.permalink ? resolveSku(String(body.permalink), productId) : null;
+
+  if (!match) {
+    return { status: 404, payload: { message: "Product not found" } };
+  }
+
+  if (!match.sku.hasStock) {
+    return { status: 409, payload: { message: "Product is currently unavailable" } };
+  }
+
+  if (state.balance < match.sku.unitGold) {
+    return { status: 200, payload: { action: "reload" } };
+  }
+
+  if (Date.now() - state.twoFactorVerifiedAt > TWO_FACTOR_WINDOW_MS) {
+    const otpToken = crypto.randomBytes(12).toString("hex");
+    state.pendingCheckouts.set(otpToken, {
+      permalink: match.catalog.permalink,
+      productId,
+    });
+    return { status: 200, payload: { action: "otp", otpToken } };
+  }
+
+  const transaction = createTransaction(match.catalog, match.sku);
+  return {
+    status: 200,
+    payload: { action: "success", transactionNumber: transaction.txnNum },
+  };
+}
+
+function verifyBackupCode(body) {
+  const pending = state.pendingCheckouts.get(String(body.otpToken || ""));
+  if (!pending) {
+    return { status: 404, payload: { valid: false, message: "Verification expired" } };
+  }
+
+  const code = String(body.code || "");
+  const valid =
+    state.scenario !== "invalid-code" &&
+    /^\d{8}$/.test(code) &&
+    !state.usedBackupCodes.has(code) &&
+    (BACKUP_CODES.length === 0 || BACKUP_CODES.includes(code));
+
+  if (!valid) {
+    return { status: 200, payload: { valid: false, message: "Invalid code" } };
+  }
+
+  state.usedBackupCodes.add(code);
+  state.pendingCheckouts.delete(String(body.otpToken));
+  state.twoFactorVerifiedAt = Date.now();
+
+  const match = resolveSku(pending.permalink, pending.productId);
+  if (state.balance < match.sku.unitGold) {
+    return { status: 200, payload: { valid: true, action: "reload" } };
+  }
+
+  const transaction = createTransaction(match.catalog, match.sku);
+  return {
+    status: 200,
+    payload: { valid: true, action: "success", transactionNumber: transaction.txnNum },
+  };
+}
+
+// ============================================================================
+// HTML
+// ============================================================================
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function layout(title, body, script = "") {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: sans-serif; background: #111; color: #eee; margin: 0; }
+  main { padding: 24px; }
+  .selection-tile { display: inline-block; margin: 4px; padding: 8px; border: 1px solid #444; }
+  .selection-tile.selected { border-color: #44d62c; }
+  .modal { position: fixed; inset: 0; background: rgba(0, 0, 0, 0.7); }
+  .modal iframe { width: 420px; height: 420px; margin: 60px auto; display: block; background: #fff; border: 0; }
+  #main-alert { display: none; padding: 8px; background: #a00; }
+  #main-alert.show { display: block; }
+</style>
+</head>
+<body>
+<div id="main-alert" class="notification"></div>
+<main id="main_content">
+${body}
+</main>
+${script ? `<script>${script}</script>` : ""}
+</body>
+</html>`;
+}
+
+function renderHome(region, locale) {
+  return layout(
+    "Razer Gold",
+    `<h1>Razer Gold (mock)</h1>
+<p>Balance: ${state.balance} Gold</p>
+<p><a href="/${region}/${locale}/transactions">Transactions</a></p>`,
+  );
+}
+
+function renderCatalogPage(region, locale, permalink) {
+  const catalog = getCatalog(permalink);
+
+  const tiles = catalog.skus
+    .map((sku) => {
+      const id = `paymentAmountItem-${sku.productId}`;
+      return `<div class="selection-tile${sku.hasStock ? "" : " disabled"}">
+  <input type="radio" id="${id}" name="paymentAmountItem" value="${sku.productId}"${sku.hasStock ? "" : " disabled"}>
+  <label for="${id}" class="selection-tile__content"><span class="selection-tile__text">${escapeHtml(sku.vanityName)}</span>${sku.hasStock ? "" : " <small>Out of stock</small>"}</label>
+</div>`;
+    })
+    .join("\n");
+
+  const body = `<h1>${escapeHtml(catalog.name)}</h1>
+<section id="webshop_step_sku">
+${tiles}
+</section>
+<section id="webshop_step_payment_channels">
+  <div class="selection-tile" data-cs-override-id="payment-channel-razergold">
+    <input type="radio" id="paymentChannelItem-razergold" name="paymentChannelItem" value="razergold">
+    <label for="paymentChannelItem-razergold" class="selection-tile__content"><span class="selection-tile__text">Razer Gold</span></label>
+  </div>
+</section>
+<button type="button" data-cs-override-id="purchase-webshop-checkout-btn">Checkout</button>
+<div id="purchaseOtpModal" class="modal fade" style="display: none"></div>`;
+
+  const script = `
+const permalink = ${JSON.stringify(permalink)};
+const basePath = ${JSON.stringify(`/${region}/${locale}`)};
+
+document.querySelectorAll("input[type=radio]").forEach((radio) => {
+  radio.addEventListener("change", () => {
+    document.querySelectorAll("input[name='" + radio.name + "']").forEach((other) => {
+      other.closest(".selection-tile").classList.toggle("selected", other.checked);
+    });
+  });
+});
+
+// Real storefront uses XHR, which the bot captures for API replay
+document.querySelector("[data-cs-override-id='purchase-webshop-checkout-btn']").addEventListener("click", () => {
+  const sku = document.querySelector("input[name='paymentAmountItem']:checked");
+  const channel = document.querySelector("input[name='paymentChannelItem']:checked");
+  if (!sku || !channel) return;
+
+  const xhr = new XMLHttpRequest();
+  xhr.open("POST", "/api/webshop/checkout/gold");
+  xhr.setRequestHeader("content-type", "application/json");
+  xhr.onload = () => {
+    const result = JSON.parse(xhr.responseText || "{}");
+    if (result.action === "reload") {
+      window.location.href = basePath + "/gold/reload";
+    } else if (result.action === "success") {
+      window.location.href = basePath + "/transaction/purchase/" + result.transactionNumber;
+    } else if (result.action === "otp") {
+      const modal = document.getElementById("purchaseOtpModal");
+      modal.innerHTML = '<iframe id="otp-iframe-1" src="/otp?token=' + result.otpToken + '&base=' + encodeURIComponent(basePath) + '"></iframe>';
+      modal.style.display = "block";
+      modal.classList.add("show");
+      document.body.classList.add("modal-open");
+    }
+  };
+  xhr.send(JSON.stringify({ productId: Number(sku.value), paymentChannel: channel.value, permalink }));
+});
+`;
+
+  return layout(`${catalog.name} - Razer Gold`, body, script);
+}
+
+function renderOtpFrame(token, basePath) {
+  const inputs = Array.from({ length: 8 }, (_, i) =>
+    `<input type="tel" id="otp-input-${i}" maxlength="1" size="1">`,
+  ).join("");
+
+  const body = `<div id="step-verify"><h2>Two-Step Verification</h2><button type="button" id="choose-another">Choose another method</button></div>
+<div id="step-methods" style="display: none"><button type="button">Authenticator App</button><button type="button" id="use-backup">Backup Codes</button></div>
+<div id="step-code" style="display: none"><p>Enter backup code</p>${inputs}</div>`;
+
+  const script = `
+const otpToken = ${JSON.stringify(token)};
+const basePath = ${JSON.stringify(basePath)};
+const show = (id) => ["step-verify", "step-methods", "step-code"].forEach((step) => {
+  document.getElementById(step).style.display = step === id ? "block" : "none";
+});
+
+document.getElementById("choose-another").addEventListener("click", () => show("step-methods"));
+document.getElementById("use-backup").addEventListener("click", () => show("step-code"));
+
+const inputs = Array.from(document.querySelectorAll("[id^=otp-input-]"));
+let submitted = false;
+inputs.forEach((input) => input.addEventListener("input", () => {
+  const code = inputs.map((el) => el.value).join("");
+  if (submitted || code.length !== 8) return;
+  submitted = true;
+
+  const xhr = new XMLHttpRequest();
+  xhr.open("POST", "/api/otp/verify");
+  xhr.setRequestHeader("content-type", "application/json");
+  xhr.onload = () => {
+    const result = JSON.parse(xhr.responseText || "{}");
+    if (result.valid && result.action === "success") {
+      window.top.location.href = basePath + "/transaction/purchase/" + result.transactionNumber;
+    } else if (result.valid && result.action === "reload") {
+      window.top.location.href = basePath + "/gold/reload";
+    } else {
+      const alert = window.parent.document.getElementById("main-alert");
+      alert.textContent = result.message || "Invalid code";
+      alert.className = "show error notification";
+      inputs.forEach((el) => { el.value = ""; });
+      submitted = false;
+    }
+  };
+  xhr.send(JSON.stringify({ otpToken, code }));
+}));
+`;
+
+  return layout("Two-Step Verification", body, script);
+}
+
+function detailRow(label, value) {
+  return `<div class="row"><div class="col"><p class="text-uppercase mb-0">${label}</p>
+<p class="text--brand">${escapeHtml(value)}</p></div></div>`;
+}
+
+function renderTransactionPage(transaction) {
+  if (!transaction) {
+    return layout("Transaction", "<h2>Transaction Loading Error</h2>");
+  }
+
+  const body = `<h2 data-v-621e38f9>Congratulations!</h2>
+<p class="status-success">Successful</p>
+<strong data-v-621e38f9 class="text--white">${escapeHtml(transaction.productName)}</strong>
+<p>Transaction number: <span data-v-175ddd8f>${transaction.txnNum}</span></p>
+<div class="pin-block product-pin">
+  <div class="pin-code">${transaction.pinCode}</div>
+  <div class="pin-serial-number">S/N: ${transaction.serialNumber}</div>
+</div>
+<div class="transaction-details___info">
+${detailRow("Product(s)", transaction.productName)}
+${detailRow("Status", "SUCCESS")}
+${detailRow("PIN", transaction.pinCode)}
+${detailRow("Serial No.", transaction.serialNumber)}
+${detailRow("Transaction ID", transaction.txnNum)}
+</div>`;
+
+  return layout("Transaction - Razer Gold", body);
+}
+
+function renderTransactionsPage(region, locale) {
+  const script = `
+fetch("/api/transactions/history", { credentials: "include" })
+  .then((response) => response.json())
+  .then((payload) => {
+    document.getElementById("transactions").innerHTML = payload.Transactions
+      .map((tx) => '<li><a href="/${region}/${locale}/transaction/purchase/' + tx.txnNum + '">' + tx.txnNum + '</a> ' + tx.description + '</li>')
+      .join("");
+  });
+`;
+
+  return layout("Transactions - Razer Gold", `<h1>Transactions</h1><ul id="transactions"></ul>`, script);
+}
+
+function renderLoginPage(failed) {
+  return layout(
+    "Razer ID",
+    `<h1>Razer ID</h1>
+${failed ? "<p>Incorrect email or password.</p>" : ""}
+<form method="POST" action="/">
+  <input type="email" id="input-login-email" name="email">
+  <input type="password" id="input-login-password" name="password">
+  <button type="submit">Log in</button>
+</form>`,
+  );
+}
+
+function renderDashboard() {
+  return layout(
+    "Razer ID Dashboard",
+    `<h1>Dashboard</h1>
+<div class="info-balance">${state.balance.toFixed(2)}</div>
+<div class="info-balance">0</div>`,
+  );
+}
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, headers);
+  res.end(body);
+}
+
+function sendHtml(res, html, status = 200) {
+  send(res, status, html, { "content-type": "text/html; charset=utf-8" });
+}
+
+function sendJson(res, payload, status = 200) {
+  send(res, status, JSON.stringify(payload), { "content-type": "application/json" });
+}
+
+function redirect(res, location, headers = {}) {
+  send(res, 302, "", { location, ...headers });
+}
+
+function hasSession(req) {
+  return String(req.headers.cookie || "").includes(`${SESSION_COOKIE}=`);
+}
+
+function getStateSnapshot() {
+  return {
+    scenario: state.scenario,
+    balance: state.balance,
+    inStock: isInStock(),
+    restockAt: state.restockAt ? new Date(state.restockAt).toISOString() : null,
+    twoFactorVerifiedAt: state.twoFactorVerifiedAt
+      ? new Date(state.twoFactorVerifiedAt).toISOString()
+      : null,
+    usedBackupCodes: Array.from(state.usedBackupCodes),
+    transactions: state.transactions,
+  };
+}
+
+async function handleGold(req, res) {
+  const url = new URL(req.url, GOLD_BASE_URL);
+  const path = url.pathname.replace(/\/+$/, "") || "/";
+  let match;
+
+  // Admin
+  if (path === "/__mock/state" && req.method === "GET") {
+    return sendJson(res, getStateSnapshot());
+  }
+  if (path === "/__mock/scenario" && req.method === "POST") {
+    try {
+      applyScenario(parseJson(await readBody(req)));
+      return sendJson(res, getStateSnapshot());
+    } catch (err) {
+      return sendJson(res, { message: err.message }, 400);
+    }
+  }
+  if (path === "/__mock/reset" && req.method === "POST") {
+    resetState();
+    return sendJson(res, getStateSnapshot());
+  }
+
+  // APIs
+  if (path === "/api/webshop/checkout/gold" && req.method === "POST") {
+    const result = checkout(parseJson(await readBody(req)));
+    return sendJson(res, result.payload, result.status);
+  }
+  if (path === "/api/otp/verify" && req.method === "POST") {
+    const result = verifyBackupCode(parseJson(await readBody(req)));
+    return sendJson(res, result.payload, result.status);
+  }
+  if (path === "/api/transactions/history") {
+    return sendJson(res, {
+      Transactions: state.transactions.map((tx) => ({
+        txnNum: tx.txnNum,
+        txnDate: tx.txnDate,
+        description: tx.description,
+        statusDescription: "Success",
+        txnTabType: "webshop",
+        status: 1,
+      })),
+    });
+  }
+  if ((match = /^\/api\/webshopv2\/([A-Za-z0-9]+)$/.exec(path))) {
+    const transaction = state.transactions.find((tx) => tx.txnNum === match[1]);
+    if (!transaction) return sendJson(res, { message: "Not found" }, 404);
+    return sendJson(res, {
+      transactionNumber: transaction.txnNum,
+      description: transaction.description,
+      status: "Success",
+      transactionDate: transaction.txnDate,
+      fullfillment: {
+        pins: [{ pinCode1: transaction.pinCode, serialNumber1: transaction.serialNumber }],
+      },
+    });
+  }
+  if ((match = /^\/api\/v2\/content\/gold\/catalogs\/(\d+)\/([^/]+)$/.exec(path))) {
+    const catalog = getCatalog(decodeURIComponent(match[2]));
+    return sendJson(res, { gameSkus: catalog.skus });
+  }
+
+  // Pages
+  if (path === "/otp") {
+    return sendHtml(res, renderOtpFrame(url.searchParams.get("token") || "", url.searchParams.get("base") || "/global/en"));
+  }
+  if ((match = /^\/([a-z]+)\/([a-z]+)\/gold\/catalog\/([^/]+)$/.exec(path))) {
+    return sendHtml(res, renderCatalogPage(match[1], match[2], decodeURIComponent(match[3])));
+  }
+  if ((match = /^\/([a-z]+)\/([a-z]+)\/gold\/reload$/.exec(path))) {
+    return sendHtml(res, layout("Reload - Razer Gold", "<h1>Reload Razer Gold</h1><p>Your balance is too low for this purchase.</p>"));
+  }
+  if ((match = /^\/([a-z]+)\/([a-z]+)\/transaction\/purchase\/([A-Za-z0-9]+)$/.exec(path))) {
+    return sendHtml(res, renderTransactionPage(state.transactions.find((tx) => tx.txnNum === match[3])));
+  }
+  if ((match = /^\/([a-z]+)\/([a-z]+)\/transactions$/.exec(path))) {
+    return sendHtml(res, renderTransactionsPage(match[1], match[2]));
+  }
+  if ((match = /^\/([a-z]+)\/([a-z]+)$/.exec(path))) {
+    return sendHtml(res, renderHome(match[1], match[2]));
+  }
+  if (path === "/") {
+    return redirect(res, "/global/en");
+  }
+
+  return sendHtml(res, layout("Not Found", "<h1>Page not found</h1>"), 404);
+}
+
+async function handleRazerId(req, res) {
+  const url = new URL(req.url, RAZER_ID_BASE_URL);
+
+  if (url.pathname === "/" && req.method === "POST") {
+    const form = new URLSearchParams(await readBody(req));
+    const expectedPassword = process.env.MOCK_LOGIN_PASSWORD;
+    const ok =
+      !!form.get("email") &&
+      !!form.get("password") &&
+      (!expectedPassword || form.get("password") === expectedPassword);
+
+    if (!ok) {
+      return redirect(res, "/?failed=1");
+    }
+
+    // localhost cookies are shared across ports, so the Gold port sees the session too
+    return redirect(res, "/dashboard", {
+      "set-cookie": `${SESSION_COOKIE}=${crypto.randomBytes(8).toString("hex")}; Path=/; HttpOnly`,
+    });
+  }
+
+  if (url.pathname === "/") {
+    return sendHtml(res, renderLoginPage(url.searchParams.has("failed")));
+  }
+
+  if (url.pathname === "/dashboard") {
+    return hasSession(req) ? sendHtml(res, renderDashboard()) : redirect(res, "/");
+  }
+
+  return sendHtml(res, layout("Not Found", "<h1>Page not found</h1>"), 404);
+}
+
+function createServer(handler) {
+  return http.createServer((req, res) => {
+    handler(req, res).catch((err) => {
+      console.error("[mock] request failed:", err);
+      sendJson(res, { message: err.message }, 500);
+    });
+  });
+}
+
+resetState();
+if (process.env.MOCK_SCENARIO) {
+  applyScenario({ name: process.env.MOCK_SCENARIO });
+}
+
+createServer(handleGold).listen(GOLD_PORT, () => {
+  console.log(`[mock] Razer Gold storefront on ${GOLD_BASE_URL} (scenario: ${state.scenario})`);
+});
+createServer(handleRazerId).listen(RAZER_ID_PORT, () => {
+  console.log(`[mock] Razer ID on ${RAZER_ID_BASE_URL}`);
+});